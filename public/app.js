@@ -33,23 +33,54 @@ const SAMPLE_EVENTS = [
 const eventInput = document.getElementById('eventInput');
 const simulateFailureCheckbox = document.getElementById('simulateFailure');
 const submitBtn = document.getElementById('submitBtn');
+const validateBtn = document.getElementById('validateBtn');
 const clearBtn = document.getElementById('clearBtn');
 const loadSampleBtn = document.getElementById('loadSampleBtn');
 const submitResult = document.getElementById('submitResult');
 
+// Events table page size
+const EVENTS_PAGE_SIZE = 20;
+
+// Events table view: sort and the cursor of the page on screen (null = first page)
+const eventsView = {
+    sort: 'created_at',
+    order: 'desc',
+    cursor: null,
+    pagination: null
+};
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     loadSample();
+    loadReportingCurrencies();
     refreshAll();
     
     // Event listeners
     submitBtn.addEventListener('click', submitEvent);
+    validateBtn.addEventListener('click', validateEvent);
     clearBtn.addEventListener('click', clearForm);
     loadSampleBtn.addEventListener('click', loadSample);
     document.getElementById('refreshStatsBtn').addEventListener('click', refreshStats);
     document.getElementById('refreshEventsBtn').addEventListener('click', refreshEvents);
-    document.getElementById('refreshFailedBtn').addEventListener('click', refreshFailedEvents);
+    document.getElementById('eventsPrevBtn').addEventListener('click', () => pageEvents('prev_cursor'));
+    document.getElementById('eventsNextBtn').addEventListener('click', () => pageEvents('next_cursor'));
+    document.querySelectorAll('#eventsTable th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => sortEvents(th.dataset.sort));
+    });
+    document.getElementById('refreshFailedBtn').addEventListener('click', () => refreshFailedEvents(true));
+    document.getElementById('failedErrorType').addEventListener('change', () => refreshFailedEvents(true));
+    document.getElementById('failedClient').addEventListener('change', () => refreshFailedEvents(true));
+    document.getElementById('failedStatus').addEventListener('change', () => refreshFailedEvents(true));
+    document.getElementById('failedTableBody').addEventListener('click', handleFailedTableClick);
     document.getElementById('refreshAggBtn').addEventListener('click', refreshAggregations);
+    document.getElementById('reportingCurrency').addEventListener('change', () => {
+        updateAggregationLinks();
+        refreshAggregations();
+    });
+    document.getElementById('importPreviewBtn').addEventListener('click', () => previewImport(false));
+    document.getElementById('importFile').addEventListener('change', () => previewImport(false));
+    document.getElementById('importMapping').addEventListener('change', () => previewImport(true));
+    document.getElementById('importBtn').addEventListener('click', runImport);
 });
 
 // Load random sample event
@@ -115,6 +146,51 @@ async function submitEvent() {
     }
 }
 
+// Validate event (dry run - nothing is stored)
+async function validateEvent() {
+    const rawEvent = eventInput.value.trim();
+    
+    if (!rawEvent) {
+        showResult('error', 'Please enter event data');
+        return;
+    }
+
+    try {
+        const eventData = JSON.parse(rawEvent);
+        
+        validateBtn.disabled = true;
+        validateBtn.textContent = 'Validating...';
+        
+        const response = await fetch(`${API_BASE}/events/validate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(eventData)
+        });
+        
+        const result = await response.json();
+        
+        if (!result.success) {
+            showResult('error', 'Validation Request Failed', result);
+        } else if (!result.valid) {
+            showResult('error', 'Invalid — would be stored as a failed event', result);
+        } else if (result.outcome === 'duplicate') {
+            showResult('warning', 'Valid — would be detected as a duplicate', result);
+        } else if (result.outcome === 'rejected') {
+            showResult('warning', 'Valid — but the idempotency key is already bound to another body', result);
+        } else {
+            showResult('success', 'Valid — would be processed as a new event', result);
+        }
+        
+    } catch (error) {
+        showResult('error', 'Invalid JSON or Network Error', { error: error.message });
+    } finally {
+        validateBtn.disabled = false;
+        validateBtn.textContent = 'Validate only';
+    }
+}
+
 // Show result
 function showResult(type, message, data = null) {
     submitResult.className = `result-box ${type}`;
@@ -157,13 +233,29 @@ async function refreshStats() {
     }
 }
 
-// Refresh events table
+// Refresh events table (the page on screen, in the chosen sort)
 async function refreshEvents() {
     try {
-        const response = await fetch(`${API_BASE}/events`);
+        const params = new URLSearchParams({
+            limit: EVENTS_PAGE_SIZE,
+            sort: eventsView.sort,
+            order: eventsView.order,
+            include_total: 'true'
+        });
+        if (eventsView.cursor) params.set('cursor', eventsView.cursor);
+
+        const response = await fetch(`${API_BASE}/events?${params}`);
         const data = await response.json();
         
+        // The page on screen no longer exists (e.g. after a restore): back to the first page
+        if (eventsView.cursor && !(data.success && data.events.length > 0)) {
+            eventsView.cursor = null;
+            return refreshEvents();
+        }
+
         const tbody = document.getElementById('eventsTableBody');
+        eventsView.pagination = data.success ? data.pagination : null;
+        renderEventsPager(data.success ? data.events.length : 0);
         
         if (data.success && data.events.length > 0) {
             tbody.innerHTML = data.events.map(event => `
@@ -171,7 +263,7 @@ async function refreshEvents() {
                     <td>${event.id}</td>
                     <td><strong>${event.client_id}</strong></td>
                     <td>${event.metric}</td>
-                    <td><strong>${event.amount.toFixed(2)}</strong></td>
+                    <td><strong>${formatAmount(event.amount, event.unit)}</strong></td>
                     <td>${new Date(event.timestamp).toLocaleString()}</td>
                     <td><span class="status-badge processed">✓ Processed</span></td>
                     <td><span class="hash-display">${event.event_hash.substring(0, 12)}...</span></td>
@@ -185,33 +277,329 @@ async function refreshEvents() {
     }
 }
 
+// Go to the next or previous page of events
+function pageEvents(cursorField) {
+    if (!eventsView.pagination || !eventsView.pagination[cursorField]) return;
+    eventsView.cursor = eventsView.pagination[cursorField];
+    refreshEvents();
+}
+
+// Sort events by a column (clicking the sorted column flips the order)
+function sortEvents(sort) {
+    if (eventsView.sort === sort) {
+        eventsView.order = eventsView.order === 'desc' ? 'asc' : 'desc';
+    } else {
+        eventsView.sort = sort;
+        eventsView.order = 'desc';
+    }
+    eventsView.cursor = null;
+    refreshEvents();
+}
+
+// Pager buttons, page info and sort arrows
+function renderEventsPager(rowCount) {
+    const pagination = eventsView.pagination;
+    document.getElementById('eventsPrevBtn').disabled = !(pagination && pagination.prev_cursor);
+    document.getElementById('eventsNextBtn').disabled = !(pagination && pagination.next_cursor);
+    // Download CSV exports every event, in the table's sort
+    document.getElementById('eventsCsvLink').href =
+        `${API_BASE}/export/events.csv?${new URLSearchParams({ sort: eventsView.sort, order: eventsView.order })}`;
+    document.getElementById('eventsPageInfo').textContent = pagination
+        ? `${rowCount} of ${pagination.total} events`
+        : '';
+
+    document.querySelectorAll('#eventsTable th[data-sort]').forEach(th => {
+        const arrow = eventsView.order === 'desc' ? ' ▼' : ' ▲';
+        th.textContent = th.textContent.replace(/ [▲▼]$/, '') + (th.dataset.sort === eventsView.sort ? arrow : '');
+    });
+}
+
 // Refresh failed events table
-async function refreshFailedEvents() {
+// Skipped on auto-refresh while an inline editor is open, so edits aren't lost
+async function refreshFailedEvents(force = false) {
+    const tbody = document.getElementById('failedTableBody');
+    if (!force && tbody.querySelector('.editor-row.open')) {
+        return;
+    }
+
     try {
-        const response = await fetch(`${API_BASE}/events`);
+        const params = new URLSearchParams();
+        const errorType = document.getElementById('failedErrorType').value;
+        const clientId = document.getElementById('failedClient').value.trim();
+        const status = document.getElementById('failedStatus').value;
+        if (errorType) params.set('error_type', errorType);
+        if (clientId) params.set('client_id', clientId);
+        if (status) params.set('status', status);
+
+        const response = await fetch(`${API_BASE}/failed-events?${params}`);
         const data = await response.json();
         
-        // Get failed events from event service
-        const failedResponse = await fetch(`${API_BASE}/stats`);
-        const statsData = await failedResponse.json();
-        
-        const tbody = document.getElementById('failedTableBody');
-        
-        // For now, just show if there are failed events
-        if (statsData.success && statsData.stats.totalFailed > 0) {
-            tbody.innerHTML = `<tr><td colspan="5" class="empty-state">${statsData.stats.totalFailed} failed events (check logs for details)</td></tr>`;
+        if (data.success && data.failedEvents.length > 0) {
+            tbody.innerHTML = data.failedEvents.map(event => `
+                <tr>
+                    <td>${event.id}</td>
+                    <td><strong>${escapeHtml(event.client_id || '—')}</strong></td>
+                    <td>${event.error_type}</td>
+                    <td>${escapeHtml(event.error_message)}</td>
+                    <td>${event.attempts}</td>
+                    <td>${new Date(event.failed_at.replace(' ', 'T') + 'Z').toLocaleString()}</td>
+                    <td><span class="status-badge ${event.status}">${event.status === 'resolved' ? '✓ Resolved' : '✗ Failed'}</span></td>
+                    <td>
+                        ${event.status === 'failed'
+                            ? `<button class="btn btn-secondary btn-sm" data-action="edit" data-id="${event.id}">Edit &amp; Resubmit</button>`
+                            : `<span class="hash-display">${(event.resolved_by_hash || '').substring(0, 12)}...</span>`}
+                    </td>
+                </tr>
+                <tr class="editor-row" id="failedEditor-${event.id}" style="display: none;">
+                    <td colspan="8">
+                        <textarea rows="8">${escapeHtml(JSON.stringify(JSON.parse(event.raw_data), null, 2))}</textarea>
+                        <div class="button-group">
+                            <button class="btn btn-primary btn-sm" data-action="resubmit" data-id="${event.id}">Resubmit</button>
+                            <button class="btn btn-secondary btn-sm" data-action="cancel" data-id="${event.id}">Cancel</button>
+                        </div>
+                        <div class="result-box" style="display: none;"></div>
+                    </td>
+                </tr>
+            `).join('');
         } else {
-            tbody.innerHTML = '<tr><td colspan="5" class="empty-state">No failed events.</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No failed events.</td></tr>';
         }
     } catch (error) {
         console.error('Error refreshing failed events:', error);
     }
 }
 
+// CSV import query string: default client and, once previewed, the mapping chosen in the selects
+function importParams(withMapping) {
+    const params = new URLSearchParams();
+    const clientId = document.getElementById('importClient').value.trim();
+    if (clientId) params.set('client_id', clientId);
+    if (withMapping) {
+        document.querySelectorAll('#importMapping select').forEach(select => {
+            params.set(`map.${select.dataset.field}`, select.value);
+        });
+    }
+    return params;
+}
+
+async function postImport(path, params) {
+    const file = document.getElementById('importFile').files[0];
+    const response = await fetch(`${API_BASE}/import/${path}?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: await file.text()
+    });
+    return response.json();
+}
+
+// Preview a CSV import: mapping selects and the first rows as they would be ingested
+async function previewImport(withMapping) {
+    const mappingContainer = document.getElementById('importMapping');
+    const previewContainer = document.getElementById('importPreview');
+    const importBtn = document.getElementById('importBtn');
+    document.getElementById('importResult').style.display = 'none';
+    importBtn.disabled = true;
+
+    if (!document.getElementById('importFile').files[0]) {
+        mappingContainer.innerHTML = '';
+        previewContainer.innerHTML = '<p class="empty-state">Choose a CSV file to preview.</p>';
+        return;
+    }
+
+    try {
+        const data = await postImport('csv/preview', importParams(withMapping));
+
+        if (data.columns) {
+            mappingContainer.innerHTML = data.fields.map(field => {
+                const mapped = data.mapping[field] ? data.mapping[field].column : '';
+                return `
+                    <label>${field}${data.mapping[field] && data.mapping[field].source === 'detected' ? ' (detected)' : ''}
+                        <select data-field="${field}">
+                            <option value="">(not mapped)</option>
+                            ${data.columns.filter(column => column !== '').map(column => `
+                                <option value="${escapeHtml(column)}" ${column === mapped ? 'selected' : ''}>${escapeHtml(column)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+            }).join('');
+        }
+
+        if (!data.success) {
+            previewContainer.innerHTML = `<p class="empty-state">${escapeHtml((data.errors || [data.message]).join('; '))}</p>`;
+            return;
+        }
+
+        previewContainer.innerHTML = `
+            <p class="help-text">${data.total_rows} rows; first ${data.rows.length} shown. Other columns are kept as tags.</p>
+            <table>
+                <thead>
+                    <tr><th>Row</th><th>Client</th><th>Metric</th><th>Amount</th><th>Timestamp</th><th>Outcome</th></tr>
+                </thead>
+                <tbody>
+                    ${data.rows.map(row => `
+                        <tr>
+                            <td>${row.row}</td>
+                            <td>${escapeHtml(row.canonical ? row.canonical.client_id : '—')}</td>
+                            <td>${escapeHtml(row.canonical ? row.canonical.metric : '—')}</td>
+                            <td>${row.canonical ? row.canonical.amount : '—'}</td>
+                            <td>${row.canonical ? new Date(row.canonical.timestamp).toLocaleString() : '—'}</td>
+                            <td>${row.outcome}${row.errors.length > 0 ? `: ${escapeHtml(row.errors.join('; '))}` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        importBtn.disabled = data.total_rows === 0;
+    } catch (error) {
+        previewContainer.innerHTML = `<p class="empty-state">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Import the CSV file with the previewed mapping
+async function runImport() {
+    const importBtn = document.getElementById('importBtn');
+    const resultBox = document.getElementById('importResult');
+    importBtn.disabled = true;
+    importBtn.textContent = 'Importing...';
+
+    try {
+        const data = await postImport('csv', importParams(true));
+        const failures = data.failures || [];
+        resultBox.className = `result-box ${data.success ? 'success' : (data.summary ? 'warning' : 'error')}`;
+        resultBox.innerHTML = `
+            <h4>${escapeHtml(data.message)}</h4>
+            ${data.summary ? `<p>${data.summary.created} created, ${data.summary.duplicate} duplicates, ${data.summary.invalid + data.summary.error} failed</p>` : ''}
+            ${failures.length > 0 ? `<pre>${failures.map(failure => `Row ${failure.row}: ${escapeHtml(failure.errors.join('; '))}`).join('\n')}</pre>` : ''}
+            ${data.errors ? `<pre>${escapeHtml(data.errors.join('\n'))}</pre>` : ''}
+        `;
+        resultBox.style.display = 'block';
+        refreshAll();
+    } catch (error) {
+        resultBox.className = 'result-box error';
+        resultBox.innerHTML = `<h4>Import failed</h4><pre>${escapeHtml(error.message)}</pre>`;
+        resultBox.style.display = 'block';
+    } finally {
+        importBtn.textContent = 'Import';
+        importBtn.disabled = false;
+    }
+}
+
+// Handle edit / resubmit / cancel buttons in the failed events table
+function handleFailedTableClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const editor = document.getElementById(`failedEditor-${button.dataset.id}`);
+
+    if (button.dataset.action === 'edit') {
+        editor.style.display = 'table-row';
+        editor.classList.add('open');
+    } else if (button.dataset.action === 'cancel') {
+        editor.style.display = 'none';
+        editor.classList.remove('open');
+    } else if (button.dataset.action === 'resubmit') {
+        resubmitFailedEvent(button, editor);
+    }
+}
+
+// Resubmit a corrected payload for a failed event
+async function resubmitFailedEvent(button, editor) {
+    const resultBox = editor.querySelector('.result-box');
+
+    try {
+        const correctedEvent = JSON.parse(editor.querySelector('textarea').value);
+
+        button.disabled = true;
+        button.textContent = 'Resubmitting...';
+
+        const response = await fetch(`${API_BASE}/failed-events/${button.dataset.id}/resubmit`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(correctedEvent)
+        });
+
+        const result = await response.json();
+
+        resultBox.className = `result-box ${result.success ? 'success' : 'error'}`;
+        resultBox.innerHTML = `<h4>${result.success ? 'Resubmitted — original marked resolved' : 'Resubmission Failed'}</h4>
+            <pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre>`;
+        resultBox.style.display = 'block';
+
+        if (result.success) {
+            setTimeout(() => {
+                editor.classList.remove('open');
+                refreshAll();
+            }, 1500);
+        }
+    } catch (error) {
+        resultBox.className = 'result-box error';
+        resultBox.innerHTML = `<h4>Invalid JSON or Network Error</h4><pre>${escapeHtml(error.message)}</pre>`;
+        resultBox.style.display = 'block';
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Resubmit';
+    }
+}
+
+// Escape text for safe insertion into HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// CO2e sums are null when no event has an emission factor
+function formatCo2e(value) {
+    return value === null || value === undefined ? '—' : value.toFixed(2);
+}
+
+// Amount sums are null when a group mixes units (unit "mixed"; with a
+// reporting currency, also when an amount has no exchange rate)
+function formatAmount(value, unit) {
+    if (value === null || value === undefined) {
+        return unit === 'mixed' ? '— (mixed units)' : '—';
+    }
+    return unit ? `${value.toFixed(2)} ${escapeHtml(unit)}` : value.toFixed(2);
+}
+
+// Currencies of the unit catalog for the reporting currency picker
+async function loadReportingCurrencies() {
+    try {
+        const response = await fetch(`${API_BASE}/units`);
+        const data = await response.json();
+        const select = document.getElementById('reportingCurrency');
+
+        data.units.filter(unit => unit.dimension === 'currency').forEach(unit => {
+            select.add(new Option(`Report in ${unit.unit}`, unit.unit));
+        });
+    } catch (error) {
+        console.error('Error loading currencies:', error);
+    }
+}
+
+// Query string of the reporting currency ('' when amounts are shown as sent)
+function reportingCurrencyQuery() {
+    const currency = document.getElementById('reportingCurrency').value;
+    return currency ? `?currency=${encodeURIComponent(currency)}` : '';
+}
+
+// Aggregation downloads follow the reporting currency
+function updateAggregationLinks() {
+    document.querySelectorAll('a[href^="/api/export/aggregations/"]').forEach(link => {
+        link.dataset.baseHref = link.dataset.baseHref || link.getAttribute('href');
+        link.setAttribute('href', link.dataset.baseHref + reportingCurrencyQuery());
+    });
+}
+
 // Refresh aggregations
 async function refreshAggregations() {
     try {
-        const response = await fetch(`${API_BASE}/aggregations`);
+        const response = await fetch(`${API_BASE}/aggregations${reportingCurrencyQuery()}`);
         const data = await response.json();
         
         if (data.success) {
@@ -228,15 +616,19 @@ async function refreshAggregations() {
                         </tr>
                         <tr>
                             <th>Total Amount</th>
-                            <td><strong>${agg.summary.total_amount?.toFixed(2) || 0}</strong></td>
+                            <td><strong>${formatAmount(agg.summary.total_amount, agg.summary.unit)}</strong></td>
                         </tr>
                         <tr>
                             <th>Average Amount</th>
-                            <td>${agg.summary.avg_amount?.toFixed(2) || 0}</td>
+                            <td>${formatAmount(agg.summary.avg_amount, agg.summary.unit)}</td>
                         </tr>
                         <tr>
                             <th>Min / Max</th>
-                            <td>${agg.summary.min_amount?.toFixed(2) || 0} / ${agg.summary.max_amount?.toFixed(2) || 0}</td>
+                            <td>${formatAmount(agg.summary.min_amount, agg.summary.unit)} / ${formatAmount(agg.summary.max_amount, agg.summary.unit)}</td>
+                        </tr>
+                        <tr>
+                            <th>Total CO2e (kg)</th>
+                            <td><strong>${formatCo2e(agg.summary.total_co2e_kg)}</strong></td>
                         </tr>
                         <tr>
                             <th>Unique Clients</th>
@@ -263,6 +655,7 @@ async function refreshAggregations() {
                                 <th>Events</th>
                                 <th>Total Amount</th>
                                 <th>Avg Amount</th>
+                                <th>CO2e (kg)</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -270,8 +663,9 @@ async function refreshAggregations() {
                                 <tr>
                                     <td><strong>${item.client_id}</strong></td>
                                     <td>${item.event_count}</td>
-                                    <td><strong>${item.total_amount.toFixed(2)}</strong></td>
-                                    <td>${item.avg_amount.toFixed(2)}</td>
+                                    <td><strong>${formatAmount(item.total_amount, item.unit)}</strong></td>
+                                    <td>${formatAmount(item.avg_amount, item.unit)}</td>
+                                    <td>${formatCo2e(item.total_co2e_kg)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -292,6 +686,7 @@ async function refreshAggregations() {
                                 <th>Events</th>
                                 <th>Total Amount</th>
                                 <th>Avg Amount</th>
+                                <th>CO2e (kg)</th>
                             </tr>
                         </thead>
                         <tbody>
@@ -299,8 +694,9 @@ async function refreshAggregations() {
                                 <tr>
                                     <td><strong>${item.metric}</strong></td>
                                     <td>${item.event_count}</td>
-                                    <td><strong>${item.total_amount.toFixed(2)}</strong></td>
-                                    <td>${item.avg_amount.toFixed(2)}</td>
+                                    <td><strong>${formatAmount(item.total_amount, item.unit)}</strong></td>
+                                    <td>${formatAmount(item.avg_amount, item.unit)}</td>
+                                    <td>${formatCo2e(item.total_co2e_kg)}</td>
                                 </tr>
                             `).join('')}
                         </tbody>
@@ -309,6 +705,36 @@ async function refreshAggregations() {
             } else {
                 byMetricContainer.innerHTML = '<p class="empty-state">No data available</p>';
             }
+
+            // By GHG Scope (unclassified events flagged so rules can be added)
+            const byScopeContainer = document.getElementById('byScopeContainer');
+            if (agg.byScope && agg.byScope.length > 0) {
+                byScopeContainer.innerHTML = `
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Scope</th>
+                                <th>Events</th>
+                                <th>CO2e (kg)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${agg.byScope.map(item => `
+                                <tr${item.scope === 'unclassified' ? ' class="unclassified-row"' : ''}>
+                                    <td>
+                                        <strong>${item.label}</strong>
+                                        ${item.scope === 'unclassified' ? '<span class="status-badge failed">needs rule</span>' : ''}
+                                    </td>
+                                    <td>${item.event_count}</td>
+                                    <td>${formatCo2e(item.total_co2e_kg)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            } else {
+                byScopeContainer.innerHTML = '<p class="empty-state">No data available</p>';
+            }
         }
     } catch (error) {
         console.error('Error refreshing aggregations:', error);
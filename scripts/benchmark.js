@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Ingest throughput benchmark
+ *
+ * Usage: node scripts/benchmark.js [events=100000]
+ *
+ * Ingests unique events through EventService into a throwaway database
+ * (in a temp directory), reporting throughput per 10% of the run - it
+ * should stay flat as the database grows - then measures recovery: the
+ * time to reopen the database and replay the journal.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+const EventService = require('../src/services/eventService');
+
+async function main() {
+  const total = Number(process.argv[2] || 100000);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-benchmark-'));
+  const dbPath = path.join(dir, 'data.db');
+
+  try {
+    const storage = await createStorage({ backend: 'sqljs', dbPath });
+    const eventService = new EventService(storage);
+    const step = Math.max(1, Math.floor(total / 10));
+    const start = Date.now();
+    let stepStart = start;
+
+    console.log(`Ingesting ${total} events into ${dbPath}`);
+
+    for (let i = 1; i <= total; i++) {
+      const result = await eventService.ingestEvent({
+        source: `client_${i % 10}`,
+        payload: {
+          metric: `metric_${i % 5}`,
+          amount: i % 1000,
+          timestamp: new Date(Date.UTC(2024, 0, 1) + i * 60000).toISOString(),
+          sequence: i
+        }
+      });
+
+      if (result.status !== 201) {
+        throw new Error(`Event ${i} was not created: ${result.message}`);
+      }
+
+      if (i % step === 0) {
+        const now = Date.now();
+        const rate = Math.round(step / ((now - stepStart) / 1000));
+        console.log(`  ${String(i).padStart(String(total).length)} events  ${rate} events/s`);
+        stepStart = now;
+      }
+    }
+
+    const seconds = (Date.now() - start) / 1000;
+    const journalBytes = fs.statSync(`${dbPath}.journal`).size;
+
+    console.log(`Ingested ${total} events in ${seconds.toFixed(1)}s (${Math.round(total / seconds)} events/s)`);
+    console.log(`Snapshot ${(fs.statSync(dbPath).size / 1048576).toFixed(1)} MB, journal ${(journalBytes / 1048576).toFixed(1)} MB`);
+
+    // Recovery: reopen without closing, as after a crash
+    const recoveryStart = Date.now();
+    const recovered = await createStorage({ backend: 'sqljs', dbPath });
+    const count = recovered.events.getCounts().processed;
+    console.log(`Recovered ${count} events in ${((Date.now() - recoveryStart) / 1000).toFixed(1)}s`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
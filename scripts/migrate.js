@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations
+ *
+ * Usage (from the project root, with the server stopped - the server keeps
+ * its own copy of the database in memory and would overwrite the file):
+ *   node scripts/migrate.js status               List applied and pending migrations
+ *   node scripts/migrate.js up [version]         Apply pending migrations (up to version)
+ *   node scripts/migrate.js down [version]       Roll back the latest migration
+ *                                                (or every migration after version)
+ *
+ * The server applies pending migrations on startup; `up` is for applying
+ * them ahead of a deploy, `down` for undoing a release.
+ */
+
+const { createStorage } = require('../src/storage');
+const Migrator = require('../src/migrator');
+
+function usage() {
+  console.error('Usage: node scripts/migrate.js <status|up|down> [version]');
+  process.exit(2);
+}
+
+async function main() {
+  const command = process.argv[2];
+  const versionArg = process.argv[3];
+
+  if (!['status', 'up', 'down'].includes(command)) {
+    usage();
+  }
+
+  let target = null;
+  if (versionArg !== undefined) {
+    if (command === 'status' || !/^\d+$/.test(versionArg)) {
+      usage();
+    }
+    target = Number(versionArg);
+  }
+
+  const storage = await createStorage({ migrate: false });
+  const db = storage.database;
+
+  try {
+    if (command === 'status') {
+      const status = Migrator.getStatus(db);
+      status.migrations.forEach(({ version, name, status: state, applied_at }) => {
+        const label = String(version).padStart(3, '0');
+        console.log(`${label} ${name.padEnd(28)} ${state.padEnd(8)} ${applied_at || ''}`);
+      });
+      console.log(`Schema version ${status.current} (latest: ${status.latest})`);
+      return;
+    }
+
+    const changed = command === 'up'
+      ? Migrator.migrate(db, target)
+      : Migrator.rollback(db, target);
+
+    if (changed.length === 0) {
+      console.log('Nothing to do');
+    }
+    changed.forEach(({ version, name }) => {
+      console.log(`${command === 'up' ? 'Applied' : 'Rolled back'} ${String(version).padStart(3, '0')} ${name}`);
+    });
+    console.log(`Schema version ${Migrator.getStatus(db).current}`);
+  } finally {
+    storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Rollup maintenance
+ *
+ * Usage (from the project root, with the server stopped - the server keeps
+ * its own copy of the database in memory and would overwrite the file):
+ *   node scripts/rollups.js rebuild   Rebuild rollups from normalized_events
+ *   node scripts/rollups.js check     Compare rollups to normalized_events
+ *                                     (exit code 1 when inconsistent)
+ */
+
+const { createStorage } = require('../src/storage');
+const RollupService = require('../src/services/rollupService');
+
+async function main() {
+  const command = process.argv[2];
+
+  if (!['rebuild', 'check'].includes(command)) {
+    console.error('Usage: node scripts/rollups.js <rebuild|check>');
+    process.exit(2);
+  }
+
+  const storage = await createStorage();
+  const rollupService = new RollupService(storage);
+
+  if (command === 'rebuild') {
+    const counts = rollupService.rebuild();
+    Object.keys(counts).forEach(table => {
+      console.log(`${table}: ${counts[table]} buckets`);
+    });
+    return;
+  }
+
+  const report = rollupService.check();
+  Object.keys(report.rollups).forEach(table => {
+    const { buckets, mismatches, details } = report.rollups[table];
+    console.log(`${table}: ${buckets} buckets, ${mismatches} mismatches`);
+    details.forEach(detail => {
+      console.log(`  ${detail.problem}: ${detail.bucket_start} ${detail.client_id} ${detail.metric}`);
+    });
+  });
+  console.log(report.consistent ? 'Rollups are consistent' : 'Rollups are INCONSISTENT - run: node scripts/rollups.js rebuild');
+  process.exit(report.consistent ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('Rollup maintenance failed:', error);
+  process.exit(1);
+});
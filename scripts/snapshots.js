@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Database snapshots
+ *
+ * Usage (from the project root, with the server stopped - the server keeps
+ * its own copy of the database in memory and would overwrite the file):
+ *   node scripts/snapshots.js create [label]   Write a snapshot (and prune old ones)
+ *   node scripts/snapshots.js list             List snapshots, newest first
+ *   node scripts/snapshots.js restore <id>     Validate a snapshot and restore it
+ *
+ * While the server runs, use the admin API instead (/api/admin/snapshots).
+ */
+
+const { createStorage } = require('../src/storage');
+const SnapshotService = require('../src/services/snapshotService');
+
+function usage() {
+  console.error('Usage: node scripts/snapshots.js <create [label]|list|restore <id>>');
+  process.exit(2);
+}
+
+function describe(snapshot) {
+  const { raw_events, processed_events, failed_events } = snapshot.counts;
+  return `${snapshot.id}  schema ${snapshot.schema_version}  ` +
+    `${raw_events} raw / ${processed_events} processed / ${failed_events} failed  ` +
+    `${snapshot.bytes} bytes${snapshot.label ? `  ${snapshot.label}` : ''}`;
+}
+
+async function main() {
+  const command = process.argv[2];
+  const arg = process.argv[3];
+
+  if (!['create', 'list', 'restore'].includes(command) || (command === 'restore' && !arg)) {
+    usage();
+  }
+
+  const storage = await createStorage();
+  const snapshotService = new SnapshotService(storage);
+
+  try {
+    if (command === 'list') {
+      const snapshots = snapshotService.listSnapshots();
+      snapshots.forEach(snapshot => console.log(describe(snapshot)));
+      console.log(`${snapshots.length} snapshots in ${snapshotService.dir} (keeping ${snapshotService.retention})`);
+      return;
+    }
+
+    const result = command === 'create'
+      ? snapshotService.createSnapshot({ label: arg || null })
+      : await snapshotService.restoreSnapshot(arg);
+
+    if (!result.success) {
+      console.error(result.message);
+      (result.errors || []).forEach(error => console.error(`  ${error}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (command === 'create') {
+      console.log(`Created ${describe(result.snapshot)}`);
+      result.pruned.forEach(id => console.log(`Pruned ${id}`));
+    } else {
+      console.log(`Restored ${describe(result.restored)}`);
+      console.log(`Previous database saved as snapshot ${result.pre_restore_snapshot}`);
+      console.log(`Schema version ${result.schema_version}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Snapshot command failed:', error.message);
+  process.exit(1);
+});
@@ -1,24 +1,74 @@
 const express = require('express');
+const { pipeline } = require('stream');
 const path = require('path');
-const Database = require('./src/database');
+const { createStorage } = require('./src/storage');
 const EventService = require('./src/services/eventService');
 const AggregationService = require('./src/services/aggregationService');
+const DedupPolicyService = require('./src/services/dedupPolicyService');
+const FieldMappingService = require('./src/services/fieldMappingService');
+const NumberFormatService = require('./src/services/numberFormatService');
+const ReprocessService = require('./src/services/reprocessService');
+const RollupService = require('./src/services/rollupService');
+const SnapshotService = require('./src/services/snapshotService');
+const ExportService = require('./src/services/exportService');
+const ImportService = require('./src/services/importService');
+const EmissionFactorService = require('./src/services/emissionFactorService');
+const ClassificationService = require('./src/services/classificationService');
+const UnitService = require('./src/services/unitService');
+const ExchangeRateService = require('./src/services/exchangeRateService');
+const { isValidTagKey, parseTagFilters } = require('./src/tags');
+const { findCurrency } = require('./src/units');
 
 const app = express();
 const PORT = 3000;
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-// Initialize database and services
+// Initialize storage and services
+let storage;
 let eventService;
 let aggregationService;
+let dedupPolicyService;
+let fieldMappingService;
+let numberFormatService;
+let reprocessService;
+let rollupService;
+let snapshotService;
+let exportService;
+let importService;
+let emissionFactorService;
+let classificationService;
+let unitService;
+let exchangeRateService;
 
 async function initializeServices() {
-  const db = await new Database().init();
-  eventService = new EventService(db);
-  aggregationService = new AggregationService(db);
+  storage = await createStorage();
+  eventService = new EventService(storage);
+  aggregationService = new AggregationService(storage);
+  dedupPolicyService = new DedupPolicyService(storage);
+  fieldMappingService = new FieldMappingService(storage);
+  numberFormatService = new NumberFormatService(storage);
+  reprocessService = new ReprocessService(storage);
+  rollupService = new RollupService(storage);
+  snapshotService = new SnapshotService(storage);
+  exportService = new ExportService(storage);
+  importService = new ImportService(storage);
+  emissionFactorService = new EmissionFactorService(storage);
+  classificationService = new ClassificationService(storage);
+  unitService = new UnitService(storage);
+  exchangeRateService = new ExchangeRateService(storage);
+
+  // Rates from EXCHANGE_RATES_FILE (only changed ones are written)
+  if (exchangeRateService.file) {
+    const loaded = exchangeRateService.loadFile();
+    if (loaded.success) {
+      console.log(`Exchange rates loaded from ${loaded.file}: ${loaded.saved} saved, ${loaded.unchanged} unchanged`);
+    } else {
+      console.error(`${loaded.message}${loaded.errors ? `: ${loaded.errors.join('; ')}` : ''}`);
+    }
+  }
 }
 
 initializeServices().then(() => {
@@ -30,9 +80,13 @@ initializeServices().then(() => {
 
 // API Routes
 
-// Health check
+// Health check (degraded while storage has problems; still serving)
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  if (!storage) {
+    return res.json({ status: 'starting', timestamp: new Date().toISOString() });
+  }
+  const storageStatus = { backend: storage.backend, ...storage.getStatus() };
+  res.json({ status: storageStatus.status, storage: storageStatus, timestamp: new Date().toISOString() });
 });
 
 // Ingest event
@@ -43,9 +97,13 @@ app.post('/api/events', async (req, res) => {
     }
     const rawEvent = req.body;
     const simulateFailure = req.query.simulate_failure === 'true';
+    const idempotencyKey = req.get('Idempotency-Key');
     
-    const result = await eventService.ingestEvent(rawEvent, simulateFailure);
+    const result = await eventService.ingestEvent(rawEvent, simulateFailure, { idempotencyKey });
     
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
+    }
     res.status(result.status).json(result);
   } catch (error) {
     console.error('Error ingesting event:', error);
@@ -58,36 +116,239 @@ app.post('/api/events', async (req, res) => {
   }
 });
 
-// Get all events (with filtering)
+// Dry-run an event: normalization + hash computation, nothing persisted
+app.post('/api/events/validate', (req, res) => {
+  try {
+    if (!eventService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const idempotencyKey = req.get('Idempotency-Key');
+    const result = eventService.validateEvent(req.body, { idempotencyKey });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error validating event:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Ingest a batch of events (JSON array or NDJSON)
+app.post('/api/events/batch', express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '50mb' }), async (req, res) => {
+  try {
+    if (!eventService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+
+    let result;
+    if (typeof req.body === 'string') {
+      const { events, parseErrors } = EventService.parseNdjson(req.body);
+      result = await eventService.ingestBatch(events, parseErrors);
+    } else {
+      result = await eventService.ingestBatch(req.body);
+    }
+
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error ingesting batch:', error);
+    res.status(500).json({
+      status: 500,
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// CSV import body: the file itself (text/csv), options in the query string
+const csvBody = express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '50mb' });
+
+function csvImportOptions(req) {
+  const { client_id, delimiter } = req.query;
+  return { client_id, delimiter, mapping: ImportService.parseMappingParams(req.query) };
+}
+
+// Preview a CSV import: column mapping and the first rows, nothing written
+app.post('/api/import/csv/preview', csvBody, (req, res) => {
+  try {
+    if (!importService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ success: false, message: 'Send the CSV file as the request body (Content-Type: text/csv)' });
+    }
+    const result = importService.previewCsv(req.body, csvImportOptions(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error previewing CSV import:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import a CSV file (one event per row; map.<field>=<column>, client_id, delimiter)
+app.post('/api/import/csv', csvBody, async (req, res) => {
+  try {
+    if (!importService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ success: false, message: 'Send the CSV file as the request body (Content-Type: text/csv)' });
+    }
+    const result = await importService.importCsv(req.body, csvImportOptions(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error importing CSV:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get events (with filtering, sorting and cursor pagination)
 app.get('/api/events', (req, res) => {
   try {
     if (!eventService) {
       return res.status(503).json({ success: false, message: 'Service initializing' });
     }
-    const { client_id, status, start_date, end_date } = req.query;
-    const events = eventService.getEvents({ client_id, status, start_date, end_date });
-    res.json({ success: true, events });
+    const { client_id, status, scope, start_date, end_date } = req.query;
+    const tags = parseTagFilters(req.query);
+    const invalidTag = Object.keys(tags).find(key => !isValidTagKey(key));
+    if (invalidTag !== undefined) {
+      return res.status(400).json({ success: false, error: `Invalid tag name: ${invalidTag}` });
+    }
+    const { limit, cursor, sort, order, include_total } = req.query;
+    const result = eventService.getEvents(
+      { client_id, status, scope, start_date, end_date, tags },
+      { limit, cursor, sort, order, include_total }
+    );
+    res.status(result.status).json(result);
   } catch (error) {
     console.error('Error fetching events:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Get failed events (with filtering, sorting and cursor pagination)
+app.get('/api/failed-events', (req, res) => {
+  try {
+    if (!eventService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { error_type, client_id, status, start_date, end_date } = req.query;
+    const { limit, cursor, sort, order, include_total } = req.query;
+    const result = eventService.getFailedEvents(
+      { error_type, client_id, status, start_date, end_date },
+      { limit, cursor, sort, order, include_total }
+    );
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching failed events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get failed event detail
+app.get('/api/failed-events/:id', (req, res) => {
+  try {
+    if (!eventService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const failedEvent = eventService.getFailedEvent(req.params.id);
+    if (!failedEvent) {
+      return res.status(404).json({ success: false, message: 'Failed event not found' });
+    }
+    res.json({ success: true, failedEvent });
+  } catch (error) {
+    console.error('Error fetching failed event:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resubmit a corrected payload for a failed event
+app.post('/api/failed-events/:id/resubmit', async (req, res) => {
+  try {
+    if (!eventService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = await eventService.resubmitFailedEvent(req.params.id, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resubmitting failed event:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get aggregated data
 app.get('/api/aggregations', (req, res) => {
   try {
     if (!aggregationService) {
       return res.status(503).json({ success: false, message: 'Service initializing' });
     }
-    const { client_id, start_date, end_date } = req.query;
-    const aggregations = aggregationService.getAggregations({ client_id, start_date, end_date });
-    res.json({ success: true, aggregations });
+    const { client_id, start_date, end_date, currency } = req.query;
+    if (currency !== undefined && !findCurrency(currency)) {
+      return res.status(400).json({ success: false, error: `Unknown currency: ${currency}` });
+    }
+    const aggregations = aggregationService.getAggregations({ client_id, start_date, end_date, currency });
+    res.json({ success: true, currency: currency === undefined ? null : findCurrency(currency), aggregations });
   } catch (error) {
     console.error('Error fetching aggregations:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Run an aggregation query (dimensions, measures, filters, sort, limit)
+app.post('/api/aggregations/query', (req, res) => {
+  try {
+    if (!aggregationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = aggregationService.query(req.body || {});
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error running aggregation query:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a zero-filled time series (granularity, tz, paginated with cursor)
+app.get('/api/aggregations/timeseries', (req, res) => {
+  try {
+    if (!aggregationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const tags = parseTagFilters(req.query);
+    const invalidTag = Object.keys(tags).find(key => !isValidTagKey(key));
+    if (invalidTag !== undefined) {
+      return res.status(400).json({ success: false, error: `Invalid tag name: ${invalidTag}` });
+    }
+    const { granularity, tz, start_date, end_date, client_id, metric, currency, cursor, limit } = req.query;
+    const result = aggregationService.getTimeseries({
+      granularity, tz, start_date, end_date, client_id, metric, tags, currency, cursor, limit
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching time series:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get aggregated data grouped by a tag
+app.get('/api/aggregations/by-tag/:tagKey', (req, res) => {
+  try {
+    if (!aggregationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    if (!isValidTagKey(req.params.tagKey)) {
+      return res.status(400).json({ success: false, error: `Invalid tag name: ${req.params.tagKey}` });
+    }
+    const { client_id, start_date, end_date, currency } = req.query;
+    if (currency !== undefined && !findCurrency(currency)) {
+      return res.status(400).json({ success: false, error: `Unknown currency: ${currency}` });
+    }
+    const byTag = aggregationService.getByTag(req.params.tagKey, { client_id, start_date, end_date, currency });
+    res.json({ success: true, tag: req.params.tagKey, byTag });
+  } catch (error) {
+    console.error('Error fetching tag aggregations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get statistics
 app.get('/api/stats', (req, res) => {
   try {
@@ -102,12 +363,654 @@ app.get('/api/stats', (req, res) => {
   }
 });
 
+// List a client's field mappings (and the resolved lookup order)
+app.get('/api/clients/:clientId/mappings', (req, res) => {
+  try {
+    if (!fieldMappingService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { clientId } = req.params;
+    res.json({
+      success: true,
+      mappings: fieldMappingService.listMappings(clientId),
+      resolved: fieldMappingService.getResolvedMappings(clientId)
+    });
+  } catch (error) {
+    console.error('Error fetching field mappings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a field mapping for a client
+app.post('/api/clients/:clientId/mappings', (req, res) => {
+  try {
+    if (!fieldMappingService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = fieldMappingService.addMapping(req.params.clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error adding field mapping:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a client's field mapping
+app.put('/api/clients/:clientId/mappings/:mappingId', (req, res) => {
+  try {
+    if (!fieldMappingService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = fieldMappingService.updateMapping(req.params.clientId, req.params.mappingId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating field mapping:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a client's field mapping
+app.delete('/api/clients/:clientId/mappings/:mappingId', (req, res) => {
+  try {
+    if (!fieldMappingService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = fieldMappingService.deleteMapping(req.params.clientId, req.params.mappingId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting field mapping:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List clients' number formats
+app.get('/api/admin/number-formats', (req, res) => {
+  try {
+    if (!numberFormatService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, number_formats: numberFormatService.listFormats() });
+  } catch (error) {
+    console.error('Error fetching number formats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the number format a client's amounts are read with
+app.get('/api/clients/:clientId/number-format', (req, res) => {
+  try {
+    if (!numberFormatService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, ...numberFormatService.describeFormat(req.params.clientId) });
+  } catch (error) {
+    console.error('Error fetching number format:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a client's number format
+app.put('/api/clients/:clientId/number-format', (req, res) => {
+  try {
+    if (!numberFormatService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = numberFormatService.setFormat(req.params.clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error saving number format:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a client's number format (back to the default one)
+app.delete('/api/clients/:clientId/number-format', (req, res) => {
+  try {
+    if (!numberFormatService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = numberFormatService.deleteFormat(req.params.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting number format:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send an export result: JSON error, or the file streamed as it is produced
+function sendExport(res, result) {
+  if (!result.success) {
+    return res.status(result.status).json(result);
+  }
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+  // Headers are sent by now; a failure mid-stream can only cut the response
+  pipeline(result.stream, res, error => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Export failed mid-stream:', error);
+    }
+  });
+}
+
+// Export events as CSV or NDJSON (same filters and sorts as GET /api/events)
+app.get('/api/export/events.:format', (req, res) => {
+  try {
+    if (!exportService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { client_id, status, scope, start_date, end_date, sort, order } = req.query;
+    const tags = parseTagFilters(req.query);
+    const invalidTag = Object.keys(tags).find(key => !isValidTagKey(key));
+    if (invalidTag !== undefined) {
+      return res.status(400).json({ success: false, error: `Invalid tag name: ${invalidTag}` });
+    }
+    sendExport(res, exportService.exportEvents(
+      req.params.format,
+      { client_id, status, scope, start_date, end_date, tags },
+      { sort, order }
+    ));
+  } catch (error) {
+    console.error('Error exporting events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export the result of an aggregation query spec as CSV
+app.post('/api/export/aggregations/query.csv', (req, res) => {
+  try {
+    if (!exportService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    sendExport(res, exportService.exportQuery(req.body || {}));
+  } catch (error) {
+    console.error('Error exporting aggregation query:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export an aggregation view as CSV (summary, by-client, by-metric, by-day,
+// by-client-metric, time-range, by-tag, timeseries)
+app.get('/api/export/aggregations/:view.csv', (req, res) => {
+  try {
+    if (!exportService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const tags = parseTagFilters(req.query);
+    const invalidTag = Object.keys(tags).find(key => !isValidTagKey(key));
+    if (invalidTag !== undefined) {
+      return res.status(400).json({ success: false, error: `Invalid tag name: ${invalidTag}` });
+    }
+    sendExport(res, exportService.exportAggregation(req.params.view, { ...req.query, tags }));
+  } catch (error) {
+    console.error('Error exporting aggregations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list dedup policies
+app.get('/api/admin/dedup-policies', (req, res) => {
+  try {
+    if (!dedupPolicyService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, policies: dedupPolicyService.listPolicies() });
+  } catch (error) {
+    console.error('Error fetching dedup policies:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: get a client's dedup policy
+app.get('/api/admin/dedup-policies/:clientId', (req, res) => {
+  try {
+    if (!dedupPolicyService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const policy = dedupPolicyService.getPolicy(req.params.clientId);
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'Dedup policy not found' });
+    }
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Error fetching dedup policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: create or replace a client's dedup policy
+app.put('/api/admin/dedup-policies/:clientId', (req, res) => {
+  try {
+    if (!dedupPolicyService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = dedupPolicyService.upsertPolicy(req.params.clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error saving dedup policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: delete a client's dedup policy
+app.delete('/api/admin/dedup-policies/:clientId', (req, res) => {
+  try {
+    if (!dedupPolicyService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = dedupPolicyService.deletePolicy(req.params.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting dedup policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list emission factors (optionally for one metric)
+app.get('/api/admin/emission-factors', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, factors: emissionFactorService.listFactors({ metric: req.query.metric }) });
+  } catch (error) {
+    console.error('Error fetching emission factors:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: add an emission factor
+app.post('/api/admin/emission-factors', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = emissionFactorService.addFactor(req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error adding emission factor:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: recalculate the CO2e of processed events with the current factors
+app.post('/api/admin/emission-factors/recalculate', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { metrics, metric, client_id, start_date, end_date, dry_run } = req.body || {};
+    const report = emissionFactorService.recalculate(
+      { metrics: typeof metric === 'string' ? [metric] : metrics, client_id, start_date, end_date },
+      { dryRun: dry_run === true }
+    );
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error recalculating emissions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: get an emission factor
+app.get('/api/admin/emission-factors/:id', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const factor = emissionFactorService.getFactor(req.params.id);
+    if (!factor) {
+      return res.status(404).json({ success: false, message: 'Emission factor not found' });
+    }
+    res.json({ success: true, factor });
+  } catch (error) {
+    console.error('Error fetching emission factor:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: update an emission factor
+app.put('/api/admin/emission-factors/:id', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = emissionFactorService.updateFactor(req.params.id, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating emission factor:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: delete an emission factor
+app.delete('/api/admin/emission-factors/:id', (req, res) => {
+  try {
+    if (!emissionFactorService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = emissionFactorService.deleteFactor(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting emission factor:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list GHG scope classification rules (in the order they are tried)
+app.get('/api/admin/classification-rules', (req, res) => {
+  try {
+    if (!classificationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, rules: classificationService.listRules() });
+  } catch (error) {
+    console.error('Error fetching classification rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: add a classification rule
+app.post('/api/admin/classification-rules', (req, res) => {
+  try {
+    if (!classificationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = classificationService.addRule(req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error adding classification rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: get a classification rule
+app.get('/api/admin/classification-rules/:id', (req, res) => {
+  try {
+    if (!classificationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const rule = classificationService.getRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Classification rule not found' });
+    }
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('Error fetching classification rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: update a classification rule
+app.put('/api/admin/classification-rules/:id', (req, res) => {
+  try {
+    if (!classificationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = classificationService.updateRule(req.params.id, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating classification rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: delete a classification rule
+app.delete('/api/admin/classification-rules/:id', (req, res) => {
+  try {
+    if (!classificationService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = classificationService.deleteRule(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting classification rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Unit catalog (units amounts can be given in)
+app.get('/api/units', (req, res) => {
+  try {
+    if (!unitService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, units: unitService.listUnits() });
+  } catch (error) {
+    console.error('Error fetching units:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list canonical units of metrics
+app.get('/api/admin/metric-units', (req, res) => {
+  try {
+    if (!unitService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, metricUnits: unitService.listMetricUnits() });
+  } catch (error) {
+    console.error('Error fetching metric units:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: get the canonical unit of a metric
+app.get('/api/admin/metric-units/:metric', (req, res) => {
+  try {
+    if (!unitService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const metricUnit = unitService.getMetricUnit(req.params.metric);
+    if (!metricUnit) {
+      return res.status(404).json({ success: false, message: 'Metric unit not found' });
+    }
+    res.json({ success: true, metricUnit });
+  } catch (error) {
+    console.error('Error fetching metric unit:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: set the canonical unit of a metric (stored events: reprocess)
+app.put('/api/admin/metric-units/:metric', (req, res) => {
+  try {
+    if (!unitService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = unitService.setMetricUnit(req.params.metric, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error setting metric unit:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: remove the canonical unit of a metric
+app.delete('/api/admin/metric-units/:metric', (req, res) => {
+  try {
+    if (!unitService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = unitService.deleteMetricUnit(req.params.metric);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error removing metric unit:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: currencies with exchange rates (against the base currency)
+app.get('/api/admin/exchange-rates', (req, res) => {
+  try {
+    if (!exchangeRateService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, ...exchangeRateService.listCurrencies() });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: save exchange rates ({ rates: [{ currency, date, rate }] })
+app.put('/api/admin/exchange-rates', (req, res) => {
+  try {
+    if (!exchangeRateService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = exchangeRateService.setRates(req.body || {});
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error saving exchange rates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: load the exchange rate file again (EXCHANGE_RATES_FILE)
+app.post('/api/admin/exchange-rates/reload', (req, res) => {
+  try {
+    if (!exchangeRateService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = exchangeRateService.loadFile();
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error loading exchange rate file:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: rates of a currency, newest first (start_date, end_date)
+app.get('/api/admin/exchange-rates/:currency', (req, res) => {
+  try {
+    if (!exchangeRateService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { start_date, end_date } = req.query;
+    const result = exchangeRateService.listRates(req.params.currency, { start_date, end_date });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: delete the rate of a currency on a date
+app.delete('/api/admin/exchange-rates/:currency/:date', (req, res) => {
+  try {
+    if (!exchangeRateService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = exchangeRateService.deleteRate(req.params.currency, req.params.date);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: reprocess raw events through the current normalizer
+app.post('/api/admin/reprocess', (req, res) => {
+  try {
+    if (!reprocessService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { client_id, start_date, end_date, raw_event_ids, dry_run } = req.body || {};
+    const report = reprocessService.reprocessEvents(
+      { client_id, start_date, end_date, raw_event_ids },
+      { dryRun: dry_run === true }
+    );
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error reprocessing events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rebuild rollup tables from normalized events
+app.post('/api/admin/rollups/rebuild', (req, res) => {
+  try {
+    if (!rollupService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const buckets = rollupService.rebuild();
+    res.json({ success: true, buckets });
+  } catch (error) {
+    console.error('Error rebuilding rollups:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare rollup tables to normalized events
+app.get('/api/admin/rollups/check', (req, res) => {
+  try {
+    if (!rollupService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const report = rollupService.check();
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Error checking rollups:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: write a point-in-time snapshot of the database
+app.post('/api/admin/snapshots', (req, res) => {
+  try {
+    if (!snapshotService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const { label } = req.body || {};
+    const result = snapshotService.createSnapshot({ label });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: list snapshots, newest first
+app.get('/api/admin/snapshots', (req, res) => {
+  try {
+    if (!snapshotService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    res.json({ success: true, retention: snapshotService.retention, snapshots: snapshotService.listSnapshots() });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: validate a snapshot and restore it
+app.post('/api/admin/snapshots/:id/restore', async (req, res) => {
+  try {
+    if (!snapshotService) {
+      return res.status(503).json({ success: false, message: 'Service initializing' });
+    }
+    const result = await snapshotService.restoreSnapshot(req.params.id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error restoring snapshot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Start server locally; export app on Vercel/serverless
 if (process.env.VERCEL) {
   module.exports = app;
 } else {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Database initialized successfully`);
+  });
+
+  // Write a final snapshot on shutdown (the journal covers crashes)
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      if (storage) {
+        storage.close();
+      }
+      process.exit(0);
+    });
   });
 }
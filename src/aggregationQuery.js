@@ -0,0 +1,537 @@
+const { isValidTagKey, tagJsonPath } = require('./tags');
+const { ROLLUPS } = require('./rollups');
+const { MIXED_UNITS, findCurrency, listCurrencies } = require('./units');
+
+/**
+ * Aggregation Query Compiler
+ *
+ * Turns a query spec (dimensions, measures, filters, sort, limit) into one
+ * parameterized SQL statement over processed normalized events.
+ *
+ * Spec:
+ * - dimensions: ["client_id", "metric", "unit", "scope", "scope3_category",
+ *   "day", "tag.region"] or
+ *   { field, as } - time buckets: quarter_hour, hour, day, week (Monday),
+ *   month, year (UTC; see timeBuckets.js for other timezones)
+ * - measures: ["count", "sum", "avg", "min", "max"] (on amount) or
+ *   { fn, field, as } - fn: count, sum, avg, min, max, count_distinct;
+ *   numeric fields: amount, co2e_kg (null for events without an emission
+ *   factor, so sum/avg/count cover the events that have one); fn "unit"
+ *   (no field) is the unit of the group's amounts, "mixed" when they are
+ *   in more than one
+ * - filters: [{ field, op, value }] - op: eq, ne, in, not_in, gt, gte,
+ *   lt, lte, between ([from, to], inclusive)
+ * - sort: [{ by, dir }] - by: a dimension or measure name
+ * - currency: a reporting currency ("EUR"): amounts in other currencies
+ *   are converted with the exchange rates of their date (the unit
+ *   dimension and filter keep the currency events were sent in)
+ * - limit: 1..MAX_LIMIT (default DEFAULT_LIMIT)
+ *
+ * Design Decisions:
+ * - Everything is validated against whitelists; only whitelisted SQL
+ *   fragments are concatenated, user values are always bound parameters
+ * - Only status = 'processed' events are aggregated, as everywhere else
+ * - Amounts are never summed across units: sum / avg / min / max of
+ *   amount are null for a group whose events are in more than one unit
+ *   (events without a unit count as one more); group by unit to get them
+ * - An amount whose currency has no rate on or before its date stays in
+ *   its currency, so its group is mixed rather than silently short
+ * - A spec can also be compiled against a rollup table (options.rollup);
+ *   that fails, like an invalid spec, when the rollup's grain can't answer
+ *   it (tags, scopes, amount filters, quarter_hour, unaligned time bounds)
+ */
+
+const MAX_LIMIT = 10000;
+const DEFAULT_LIMIT = 1000;
+
+// Upper bounds on spec size
+const MAX_DIMENSIONS = 5;
+const MAX_MEASURES = 10;
+const MAX_FILTERS = 20;
+const MAX_IN_VALUES = 500;
+
+// Columns of normalized_events that can be grouped, filtered and measured
+const COLUMNS = {
+  client_id: { sql: 'client_id', numeric: false },
+  metric: { sql: 'metric', numeric: false },
+  amount: { sql: 'amount', numeric: true },
+  unit: { sql: 'unit', rollupSql: "NULLIF(unit, '')", numeric: false },
+  timestamp: { sql: 'timestamp', numeric: false },
+  co2e_kg: { sql: 'co2e_kg', numeric: true },
+  scope: { sql: 'scope', numeric: false },
+  scope3_category: { sql: 'scope3_category', numeric: false }
+};
+
+// Time bucket expressions over a timestamp column
+const TIME_BUCKETS = {
+  quarter_hour: column => `strftime('%Y-%m-%dT%H:', ${column}) || ` +
+    `printf('%02d', CAST(strftime('%M', ${column}) AS INTEGER) / 15 * 15) || ':00Z'`,
+  hour: column => `strftime('%Y-%m-%dT%H:00:00Z', ${column})`,
+  day: column => `DATE(${column})`,
+  week: column => `DATE(${column}, 'weekday 0', '-6 days')`,
+  month: column => `strftime('%Y-%m', ${column})`,
+  year: column => `strftime('%Y', ${column})`
+};
+
+// Time buckets each rollup grain can serve
+const ROLLUP_TIME_BUCKETS = {
+  hourly: ['hour', 'day', 'week', 'month', 'year'],
+  daily: ['day', 'week', 'month', 'year']
+};
+
+// Decimals kept of an amount converted to the reporting currency
+const CONVERTED_DECIMALS = 6;
+
+// Distinct units of a group's amounts
+const distinctUnits = source => `COUNT(DISTINCT COALESCE(${source.unit}, ''))`;
+
+// Measures over rollup columns: fn -> field -> SQL, or a function of the
+// source columns for the ones over amounts (see sourceColumns)
+const ROLLUP_MEASURES = {
+  count: Object.fromEntries(['*', 'client_id', 'metric', 'amount', 'timestamp']
+    .map(field => [field, 'COALESCE(SUM(event_count), 0)'])),
+  sum: { amount: source => `SUM(${source.amount('total_amount')})`, co2e_kg: 'SUM(total_co2e_kg)' },
+  avg: { amount: source => `SUM(${source.amount('total_amount')}) / SUM(event_count)` },
+  min: {
+    amount: source => `MIN(${source.amount('min_amount')})`,
+    timestamp: 'MIN(first_event)',
+    client_id: 'MIN(client_id)',
+    metric: 'MIN(metric)'
+  },
+  max: {
+    amount: source => `MAX(${source.amount('max_amount')})`,
+    timestamp: 'MAX(last_event)',
+    client_id: 'MAX(client_id)',
+    metric: 'MAX(metric)'
+  },
+  count_distinct: {
+    client_id: 'COUNT(DISTINCT client_id)',
+    metric: 'COUNT(DISTINCT metric)',
+    unit: "COUNT(DISTINCT NULLIF(unit, ''))"
+  },
+  unit: { '*': source => `CASE WHEN ${distinctUnits(source)} > 1 THEN '${MIXED_UNITS}' ELSE MAX(${source.unit}) END` }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const CANONICAL_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const GROUPABLE_COLUMNS = ['client_id', 'metric', 'unit'];
+
+// Groupable on normalized_events only (not part of the rollup grain)
+const EVENT_GROUPABLE_COLUMNS = ['scope', 'scope3_category'];
+
+const MEASURE_FUNCTIONS = {
+  count: { sql: field => (field ? `COUNT(${field})` : 'COUNT(*)'), numericOnly: false },
+  sum: { sql: field => `SUM(${field})`, numericOnly: true },
+  avg: { sql: field => `AVG(${field})`, numericOnly: true },
+  min: { sql: field => `MIN(${field})`, numericOnly: false },
+  max: { sql: field => `MAX(${field})`, numericOnly: false },
+  count_distinct: { sql: field => `COUNT(DISTINCT ${field})`, numericOnly: false },
+  unit: {
+    sql: (field, source) => `CASE WHEN ${distinctUnits(source)} > 1 THEN '${MIXED_UNITS}' ELSE MAX(${source.unit}) END`,
+    numericOnly: false,
+    fieldless: true
+  }
+};
+
+// Measures of amount that are null when a group mixes units
+const UNIT_GUARDED_FUNCTIONS = ['sum', 'avg', 'min', 'max'];
+
+const FILTER_OPERATORS = {
+  eq: '= ?',
+  ne: '!= ?',
+  gt: '> ?',
+  gte: '>= ?',
+  lt: '< ?',
+  lte: '<= ?'
+};
+
+const LIST_OPERATORS = { in: 'IN', not_in: 'NOT IN' };
+
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * SQL of the amounts and their units in a source table, converted to a
+ * reporting currency when one is given
+ *
+ * An amount in another currency is multiplied by the reporting currency's
+ * rate over its currency's rate, each the latest on or before the event's
+ * (or bucket's) date; rates are against baseCurrency, whose own rate is 1.
+ * Currency codes come from the unit catalog, so they are safe to inline.
+ *
+ * @returns {Object} - { rollup, amount(column) -> SQL, unit: SQL (null for
+ *                     amounts without a unit) }
+ */
+function sourceColumns(rollup = null, currency = null, baseCurrency = null) {
+  const unit = rollup ? COLUMNS.unit.rollupSql : COLUMNS.unit.sql;
+
+  if (!currency) {
+    return { rollup, amount: column => column, unit };
+  }
+
+  const date = `substr(${rollup ? 'bucket_start' : 'timestamp'}, 1, 10)`;
+  const rate = code => `(CASE WHEN ${code} = '${baseCurrency}' THEN 1.0 ELSE (` +
+    `SELECT xr.rate FROM exchange_rates xr WHERE xr.base_currency = '${baseCurrency}' ` +
+    `AND xr.currency = ${code} AND xr.rate_date <= ${date} ORDER BY xr.rate_date DESC LIMIT 1) END)`;
+  const factor = `${currency === baseCurrency ? '1.0' : rate(`'${currency}'`)} / ${rate(unit)}`;
+  const converted = `${unit} IN (${listCurrencies().map(code => `'${code}'`).join(', ')}) ` +
+    `AND ${unit} != '${currency}' AND ${factor} IS NOT NULL`;
+
+  return {
+    rollup,
+    amount: column => `(CASE WHEN ${converted} THEN ROUND(${column} * ${factor}, ${CONVERTED_DECIMALS}) ELSE ${column} END)`,
+    unit: `(CASE WHEN ${converted} THEN '${currency}' ELSE ${unit} END)`
+  };
+}
+
+/**
+ * Resolve a field name (column or tag.<key>) to a SQL expression over a
+ * source (see sourceColumns; amounts in its reporting currency)
+ * @returns {Object|null} - { sql, params, numeric } or null if not allowed
+ */
+function resolveField(name, source = sourceColumns()) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+
+  if (name.startsWith('tag.')) {
+    const key = name.slice(4);
+    return isValidTagKey(key) ? { sql: 'json_extract(tags, ?)', params: [tagJsonPath(key)], numeric: false } : null;
+  }
+
+  if (COLUMNS[name]) {
+    const sql = source.rollup && COLUMNS[name].rollupSql ? COLUMNS[name].rollupSql : COLUMNS[name].sql;
+    return { sql: name === 'amount' ? source.amount(sql) : sql, params: [], numeric: COLUMNS[name].numeric };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a dimension (group-by column, tag or time bucket)
+ */
+function resolveDimension(name, source) {
+  const rollup = source.rollup;
+
+  if (TIME_BUCKETS[name]) {
+    if (rollup) {
+      return ROLLUP_TIME_BUCKETS[rollup].includes(name) ? { sql: TIME_BUCKETS[name]('bucket_start'), params: [] } : null;
+    }
+    return { sql: TIME_BUCKETS[name]('timestamp'), params: [] };
+  }
+
+  const eventOnly = EVENT_GROUPABLE_COLUMNS.includes(name) || (typeof name === 'string' && name.startsWith('tag.'));
+
+  if (GROUPABLE_COLUMNS.includes(name) || (!rollup && eventOnly)) {
+    return resolveField(name, source);
+  }
+
+  return null;
+}
+
+/**
+ * Translate a timestamp bound to a rollup bucket condition
+ *
+ * Only bounds on bucket edges translate: a date (whole days, both grains),
+ * an hour start / end (hourly) or a day start / end (both grains) in
+ * canonical form. Bounds compare as strings, like the raw filters.
+ *
+ * @returns {Object|null} - { sql, value } or null if the bound isn't aligned
+ */
+function rollupTimeBound(rollup, op, value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  if (DATE_ONLY.test(value)) {
+    // No canonical timestamp equals a bare date: "<=" excludes that whole day
+    return op === 'gte' ? { sql: 'bucket_start >= ?', value } : { sql: 'bucket_start < ?', value };
+  }
+
+  if (!CANONICAL_TIMESTAMP.test(value)) {
+    return null;
+  }
+
+  const time = value.slice(11);
+  const boundary = op === 'gte' ? /^\d{2}:00:00\.000Z$/ : /^\d{2}:59:59\.999Z$/;
+  const dayBoundary = op === 'gte' ? '00:00:00.000Z' : '23:59:59.999Z';
+  const sql = op === 'gte' ? 'bucket_start >= ?' : 'bucket_start <= ?';
+
+  if (rollup === 'hourly' && boundary.test(time)) {
+    return { sql, value };
+  }
+
+  if (rollup === 'daily' && time === dayBoundary) {
+    return { sql, value: value.slice(0, 10) };
+  }
+
+  return null;
+}
+
+/**
+ * Quote a validated alias as an SQL identifier
+ */
+function quoteAlias(alias) {
+  return `"${alias}"`;
+}
+
+/**
+ * Compile an aggregation query spec
+ *
+ * @param {Object} spec - Query spec (see module comment)
+ * @param {Object} options - Optional { unbounded, rollup, baseCurrency } -
+ *                           unbounded: no LIMIT (internal callers that
+ *                           bound the range themselves); rollup: 'hourly'
+ *                           or 'daily'; baseCurrency: the exchange rates'
+ *                           base (needed for spec.currency)
+ * @returns {Object} - { errors, sql, params, query } - query is the spec with
+ *                     defaults applied; sql is null when there are errors
+ */
+function compileAggregationQuery(spec = {}, options = {}) {
+  const errors = [];
+  const select = [];
+  const selectParams = [];
+  const groupBy = [];
+  const groupParams = [];
+  const aliases = new Set();
+
+  const dimensions = spec.dimensions === undefined ? [] : spec.dimensions;
+  const measures = spec.measures === undefined ? ['count'] : spec.measures;
+  const filters = spec.filters === undefined ? [] : spec.filters;
+  const sort = spec.sort === undefined ? [] : spec.sort;
+  const limit = spec.limit === undefined ? DEFAULT_LIMIT : spec.limit;
+  const currency = spec.currency === undefined || spec.currency === null ? null : findCurrency(spec.currency);
+
+  if (spec.currency !== undefined && spec.currency !== null && !currency) {
+    errors.push(`currency: unknown currency "${spec.currency}" (allowed: ${listCurrencies().join(', ')})`);
+  }
+
+  if (currency && !options.baseCurrency) {
+    throw new Error('A reporting currency needs options.baseCurrency');
+  }
+
+  const source = sourceColumns(options.rollup, currency, options.baseCurrency);
+
+  const claimAlias = (alias, label) => {
+    if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+      errors.push(`${label}: invalid name "${alias}"`);
+      return false;
+    }
+    if (aliases.has(alias)) {
+      errors.push(`${label}: duplicate name "${alias}"`);
+      return false;
+    }
+    aliases.add(alias);
+    return true;
+  };
+
+  // Dimensions
+  if (!Array.isArray(dimensions) || dimensions.length > MAX_DIMENSIONS) {
+    errors.push(`dimensions must be an array of at most ${MAX_DIMENSIONS} entries`);
+  } else {
+    dimensions.forEach((entry, index) => {
+      const field = typeof entry === 'object' && entry !== null ? entry.field : entry;
+      const alias = typeof entry === 'object' && entry !== null && entry.as !== undefined ? entry.as : field;
+      const dimension = resolveDimension(field, source);
+
+      if (!dimension) {
+        errors.push(
+          `dimensions[${index}]: unknown dimension "${field}" ` +
+          `(allowed: ${[...GROUPABLE_COLUMNS, ...EVENT_GROUPABLE_COLUMNS, ...Object.keys(TIME_BUCKETS)].join(', ')}, tag.<name>)`
+        );
+        return;
+      }
+
+      if (claimAlias(alias, `dimensions[${index}]`)) {
+        select.push(`${dimension.sql} as ${quoteAlias(alias)}`);
+        selectParams.push(...dimension.params);
+        groupBy.push(dimension.sql);
+        groupParams.push(...dimension.params);
+      }
+    });
+  }
+
+  // Measures
+  if (!Array.isArray(measures) || measures.length === 0 || measures.length > MAX_MEASURES) {
+    errors.push(`measures must be a non-empty array of at most ${MAX_MEASURES} entries`);
+  } else {
+    measures.forEach((entry, index) => {
+      const isObject = typeof entry === 'object' && entry !== null;
+      const fn = isObject ? entry.fn : entry;
+      const measureFunction = MEASURE_FUNCTIONS[fn];
+
+      if (!measureFunction) {
+        errors.push(`measures[${index}]: unknown function "${fn}" (allowed: ${Object.keys(MEASURE_FUNCTIONS).join(', ')})`);
+        return;
+      }
+
+      if (measureFunction.fieldless && isObject && entry.field !== undefined) {
+        errors.push(`measures[${index}]: ${fn} takes no field`);
+        return;
+      }
+
+      const defaultField = fn === 'count' || measureFunction.fieldless ? null : 'amount';
+      const fieldName = isObject && entry.field !== undefined ? entry.field : defaultField;
+      const field = fieldName === null ? { sql: null, params: [], numeric: false } : resolveField(fieldName, source);
+
+      if (!field) {
+        errors.push(`measures[${index}]: unknown field "${fieldName}"`);
+        return;
+      }
+
+      if (measureFunction.numericOnly && !field.numeric) {
+        errors.push(`measures[${index}]: ${fn} needs a numeric field (amount, co2e_kg)`);
+        return;
+      }
+
+      const rollupMeasure = options.rollup ? ROLLUP_MEASURES[fn][fieldName === null ? '*' : fieldName] : null;
+      const rollupSql = typeof rollupMeasure === 'function' ? rollupMeasure(source) : rollupMeasure;
+
+      if (options.rollup && !rollupSql) {
+        errors.push(`measures[${index}]: not available from rollup_${options.rollup}`);
+        return;
+      }
+
+      const defaultAlias = fieldName === null ? fn : `${fn}_${fieldName}`;
+      const alias = isObject && entry.as !== undefined ? entry.as : defaultAlias;
+
+      let sql = rollupSql || measureFunction.sql(field.sql, source);
+
+      if (fieldName === 'amount' && UNIT_GUARDED_FUNCTIONS.includes(fn)) {
+        sql = `CASE WHEN ${distinctUnits(source)} > 1 THEN NULL ELSE ${sql} END`;
+      }
+
+      if (claimAlias(alias, `measures[${index}]`)) {
+        select.push(`${sql} as ${quoteAlias(alias)}`);
+        selectParams.push(...(rollupSql ? [] : field.params));
+      }
+    });
+  }
+
+  // Filters (rollups only hold processed events)
+  const where = options.rollup ? ['1=1'] : ["status = 'processed'"];
+  const whereParams = [];
+
+  if (!Array.isArray(filters) || filters.length > MAX_FILTERS) {
+    errors.push(`filters must be an array of at most ${MAX_FILTERS} entries`);
+  } else {
+    filters.forEach((filter, index) => {
+      const label = `filters[${index}]`;
+      const field = filter && resolveField(filter.field, source);
+
+      if (!field) {
+        errors.push(`${label}: unknown field "${filter && filter.field}"`);
+        return;
+      }
+
+      const { op, value } = filter;
+      const isScalar = (v) => ['string', 'number'].includes(typeof v);
+
+      if (options.rollup && !GROUPABLE_COLUMNS.includes(filter.field)) {
+        const bounds = filter.field !== 'timestamp' ? null
+          : op === 'between' && Array.isArray(value) && value.length === 2
+            ? [rollupTimeBound(options.rollup, 'gte', value[0]), rollupTimeBound(options.rollup, 'lte', value[1])]
+            : ['gte', 'lte'].includes(op) ? [rollupTimeBound(options.rollup, op, value)] : null;
+
+        if (!bounds || bounds.includes(null)) {
+          errors.push(`${label}: not available from rollup_${options.rollup}`);
+          return;
+        }
+
+        bounds.forEach(bound => {
+          where.push(bound.sql);
+          whereParams.push(bound.value);
+        });
+        return;
+      }
+
+      if (FILTER_OPERATORS[op]) {
+        if (!isScalar(value)) {
+          errors.push(`${label}: ${op} needs a string or number value`);
+          return;
+        }
+        where.push(`${field.sql} ${FILTER_OPERATORS[op]}`);
+        whereParams.push(...field.params, value);
+      } else if (LIST_OPERATORS[op]) {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_IN_VALUES || !value.every(isScalar)) {
+          errors.push(`${label}: ${op} needs an array of 1 to ${MAX_IN_VALUES} strings or numbers`);
+          return;
+        }
+        where.push(`${field.sql} ${LIST_OPERATORS[op]} (${value.map(() => '?').join(', ')})`);
+        whereParams.push(...field.params, ...value);
+      } else if (op === 'between') {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(isScalar)) {
+          errors.push(`${label}: between needs [from, to]`);
+          return;
+        }
+        where.push(`${field.sql} BETWEEN ? AND ?`);
+        whereParams.push(...field.params, value[0], value[1]);
+      } else {
+        errors.push(
+          `${label}: unknown operator "${op}" ` +
+          `(allowed: ${[...Object.keys(FILTER_OPERATORS), ...Object.keys(LIST_OPERATORS), 'between'].join(', ')})`
+        );
+      }
+    });
+  }
+
+  // Sort (by dimension or measure name)
+  const orderBy = [];
+
+  if (!Array.isArray(sort)) {
+    errors.push('sort must be an array');
+  } else {
+    sort.forEach((entry, index) => {
+      const by = typeof entry === 'object' && entry !== null ? entry.by : entry;
+      const dir = typeof entry === 'object' && entry !== null && entry.dir !== undefined ? entry.dir : 'asc';
+
+      if (!aliases.has(by)) {
+        errors.push(`sort[${index}]: "${by}" is not a dimension or measure of this query`);
+      } else if (!['asc', 'desc'].includes(dir)) {
+        errors.push(`sort[${index}]: dir must be asc or desc`);
+      } else {
+        orderBy.push(`${quoteAlias(by)} ${dir.toUpperCase()}`);
+      }
+    });
+  }
+
+  if (!options.unbounded && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors, sql: null, params: [], query: null };
+  }
+
+  const table = options.rollup ? ROLLUPS[options.rollup].table : 'normalized_events';
+  let sql = `SELECT ${select.join(', ')} FROM ${table} WHERE ${where.join(' AND ')}`;
+
+  if (groupBy.length > 0) {
+    sql += ` GROUP BY ${groupBy.join(', ')}`;
+  }
+
+  if (orderBy.length > 0) {
+    sql += ` ORDER BY ${orderBy.join(', ')}`;
+  }
+
+  const params = [...selectParams, ...whereParams, ...groupParams];
+
+  if (!options.unbounded) {
+    // One extra row tells the caller the result was truncated
+    sql += ' LIMIT ?';
+    params.push(limit + 1);
+  }
+
+  return {
+    errors,
+    sql,
+    params,
+    query: { dimensions, measures, filters, sort, limit: options.unbounded ? null : limit, currency }
+  };
+}
+
+module.exports = {
+  compileAggregationQuery,
+  MAX_LIMIT,
+  DEFAULT_LIMIT
+};
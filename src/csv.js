@@ -0,0 +1,155 @@
+/**
+ * CSV
+ *
+ * RFC 4180 output for exports: comma-separated, CRLF line endings, fields
+ * quoted when they contain a comma, quote or line break. Parsing for
+ * imports accepts what spreadsheets write: LF or CRLF, a UTF-8 BOM, and
+ * comma, semicolon or tab delimiters.
+ *
+ * Design Decisions:
+ * - null/undefined are empty fields; objects (tags) are written as JSON
+ * - Text starting with =, +, -, @ or a control character is prefixed with
+ *   a single quote, so spreadsheets don't run it as a formula (numbers are
+ *   written as numbers and never prefixed)
+ * - Parsed records carry their spreadsheet row number (quoted line breaks
+ *   don't start a new row), so import reports point at the right row
+ * - The parser is lenient: a quote inside an unquoted field is kept as
+ *   text; only an unterminated quoted field is an error
+ */
+
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Format one field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format one record (an array of values) as a CSV line, with its CRLF
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Guess the delimiter from the first line: the candidate that occurs most
+ * often outside quotes (comma on a tie or when there is none)
+ */
+function detectDelimiter(text) {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(ch)) {
+      counts.set(ch, counts.get(ch) + 1);
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => counts.get(delimiter) > counts.get(best) ? delimiter : best);
+}
+
+/**
+ * Parse CSV text into records
+ *
+ * @param {string} text - CSV text
+ * @param {Object} options - Optional { delimiter } (default: detected)
+ * @returns {Object} - { delimiter, records: [{ row, values }], errors:
+ *                     [{ row, message }] } - row is the 1-based spreadsheet
+ *                     row; blank lines are records with one empty value
+ */
+function parseCsv(text, options = {}) {
+  text = String(text || '');
+  if (text.charCodeAt(0) === 0xfeff) {
+    text = text.slice(1);
+  }
+
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const records = [];
+  const errors = [];
+  let values = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let row = 1;
+  let i = 0;
+
+  const endRecord = () => {
+    values.push(field);
+    records.push({ row, values });
+    values = [];
+    field = '';
+    quoted = false;
+    row++;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 2;
+      } else if (ch === '"') {
+        inQuotes = false;
+        i++;
+      } else {
+        field += ch;
+        i++;
+      }
+    } else if (ch === '"' && field === '' && !quoted) {
+      inQuotes = true;
+      quoted = true;
+      i++;
+    } else if (ch === delimiter) {
+      values.push(field);
+      field = '';
+      quoted = false;
+      i++;
+    } else if (ch === '\r' || ch === '\n') {
+      endRecord();
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += ch;
+      i++;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ row, message: `Row ${row}: unterminated quoted field` });
+  } else if (field !== '' || quoted || values.length > 0) {
+    endRecord();
+  }
+
+  return { delimiter, records, errors };
+}
+
+module.exports = {
+  DELIMITERS,
+  formatCsvField,
+  formatCsvRow,
+  detectDelimiter,
+  parseCsv
+};
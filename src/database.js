@@ -1,143 +1,328 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const initSqlJs = require('sql.js');
+const Migrator = require('./migrator');
+
+/**
+ * Database Manager
+ *
+ * sql.js keeps the whole database in memory; this class makes it durable.
+ * It is the default storage backend (STORAGE_BACKEND=sqljs, see storage/).
+ *
+ * Persistence:
+ * - Journal (data.db.journal): every committed write is appended as one
+ *   JSON line { seq, statements: [[sql, params, now]] } - a transaction is
+ *   a single line, so it is replayed entirely or not at all
+ * - Snapshot (data.db): the exported database, written to a temp file and
+ *   renamed over the old one, so a crash never leaves a truncated file.
+ *   Taken when the journal passes snapshotBytes, on startup after a replay
+ *   and on close; the journal is truncated afterwards
+ * - Recovery: load the snapshot, replay journal lines newer than the
+ *   snapshot's journal_seq, ignore a torn last line (crash mid-append)
+ *
+ * Corruption handling:
+ * - A checksum sidecar (data.db.sha256) is written with every snapshot;
+ *   on load the file must match it and pass PRAGMA integrity_check
+ * - A damaged journal (empty or bad line before the end, gap in seq,
+ *   statement that fails to replay) counts as corruption too
+ * - Corrupt files are quarantined to data.db.corrupt-<timestamp>[.journal]
+ * - DB_CORRUPTION_POLICY=fail (default) refuses to start and leaves the
+ *   files in place (the quarantine is a copy); start_empty moves them
+ *   aside and starts an empty database, reported as degraded storage
+ *
+ * Schema:
+ * - Tables are created and changed by versioned migrations (src/migrations,
+ *   see migrator.js), applied on startup after the journal is replayed -
+ *   journal entries were written against the schema of their snapshot
+ *
+ * Design Decisions:
+ * - Statements run with Date.now frozen to the time recorded in the
+ *   journal, so CURRENT_TIMESTAMP defaults replay to the same values
+ * - A write is journaled before it commits; if the append fails the write
+ *   is rolled back, so memory and disk never disagree
+ * - Appends are not fsynced by default (safe against process crashes);
+ *   DB_JOURNAL_FSYNC=true also survives power loss, at a throughput cost
+ * - Storage problems found at runtime (failed snapshot or journal write)
+ *   are reported through getStorageStatus() until the next success
+ */
+
+// Snapshot once the journal grows past this size
+const DEFAULT_SNAPSHOT_BYTES = 8 * 1024 * 1024;
+
+const CORRUPTION_POLICIES = ['fail', 'start_empty'];
+
+/**
+ * Error for damaged database files (handled by the corruption policy)
+ */
+function corruptionError(message) {
+  const error = new Error(message);
+  error.corrupt = true;
+  return error;
+}
 
 class DatabaseManager {
-  constructor(dbPath = null) {
-    // Use /tmp for Vercel, otherwise use current directory
+  /**
+   * @param {string} dbPath - Snapshot file (default ./data.db, /tmp on Vercel)
+   * @param {Object} options - Optional { snapshotBytes, fsync, corruptionPolicy,
+   *                            migrate (apply pending migrations on init, default true) }
+   */
+  constructor(dbPath = null, options = {}) {
     if (!dbPath) {
-      const tmpDir = process.env.VERCEL ? '/tmp' : '.';
-      dbPath = path.join(tmpDir, 'data.db');
+      dbPath = DatabaseManager.defaultPath();
     }
     this.dbPath = dbPath;
+    this.journalPath = `${dbPath}.journal`;
+    this.tempPath = `${dbPath}.tmp`;
+    this.checksumPath = `${dbPath}.sha256`;
+    this.snapshotBytes = options.snapshotBytes || DEFAULT_SNAPSHOT_BYTES;
+    this.fsync = options.fsync !== undefined ? options.fsync : process.env.DB_JOURNAL_FSYNC === 'true';
+    this.corruptionPolicy = options.corruptionPolicy || process.env.DB_CORRUPTION_POLICY || 'fail';
+    this.autoMigrate = options.migrate !== false;
+    this.SQL = null;
     this.db = null;
     this.inTransaction = false;
+    this.deferredSaves = 0;
+    this.pendingStatements = [];
+    this.journalFd = null;
+    this.journalBytes = 0;
+    this.journalSeq = 0;
+    this.storageIssues = new Map();
+
+    if (!CORRUPTION_POLICIES.includes(this.corruptionPolicy)) {
+      throw new Error(`DB_CORRUPTION_POLICY must be one of: ${CORRUPTION_POLICIES.join(', ')}`);
+    }
   }
 
   async init() {
-    const SQL = await initSqlJs({
-      locateFile: (file) => {
-        // Ensure the WASM file is found in serverless environments
-        return path.join(process.cwd(), 'node_modules', 'sql.js', 'dist', file);
+    const SQL = await DatabaseManager.loadSqlJs();
+    this.SQL = SQL;
+
+    const hasSnapshot = fs.existsSync(this.dbPath);
+    let replayed = 0;
+    let startedEmpty = false;
+
+    // Leftover of a snapshot interrupted before its rename
+    if (fs.existsSync(this.tempPath)) {
+      fs.unlinkSync(this.tempPath);
+    }
+
+    try {
+      this.db = hasSnapshot ? this.loadSnapshot(SQL) : new SQL.Database();
+      this.initializeTables();
+      replayed = this.replayJournal();
+    } catch (error) {
+      if (!error.corrupt) {
+        throw error;
       }
-    });
-        
+      this.handleCorruption(SQL, error);
+      startedEmpty = true;
+    }
+
+    // Not journaled (the journal isn't open yet): the snapshot below
+    // captures the migrated schema
+    const migrated = this.autoMigrate ? Migrator.migrate(this) : [];
+    if (migrated.length > 0) {
+      console.log(`Applied migrations: ${migrated.map(migration => `${migration.version}_${migration.name}`).join(', ')}`);
+    }
+
+    this.openJournal();
+
+    if (this.journalFd !== null && (!hasSnapshot || replayed > 0 || startedEmpty || migrated.length > 0)) {
+      this.snapshot();
+    }
+
+    return this;
+  }
+
+  /**
+   * Load and verify the snapshot (checksum sidecar, then integrity_check)
+   */
+  loadSnapshot(SQL) {
+    const buffer = fs.readFileSync(this.dbPath);
+
+    if (fs.existsSync(this.checksumPath)) {
+      const expected = JSON.parse(fs.readFileSync(this.checksumPath, 'utf8'));
+      const actual = DatabaseManager.checksum(buffer);
+      // A crash between writing the sidecar and renaming the snapshot
+      // leaves the previous snapshot in place
+      if (actual !== expected.sha256 && actual !== expected.previous_sha256) {
+        throw corruptionError(`Checksum mismatch for ${this.dbPath} (expected ${expected.sha256}, got ${actual})`);
+      }
+    } else {
+      console.warn(`No checksum for ${this.dbPath}, relying on integrity_check`);
+    }
+
+    let db;
     try {
-      if (fs.existsSync(this.dbPath)) {
-        try {
-          const buffer = fs.readFileSync(this.dbPath);
-          this.db = new SQL.Database(buffer);
-          console.log('Loaded existing database');
-        } catch (e) {
-          console.warn('Failed to load, using new database:', e.message);
-          this.db = new SQL.Database();
+      db = new SQL.Database(buffer);
+      DatabaseManager.checkIntegrity(db);
+    } catch (error) {
+      if (db) {
+        db.close();
+      }
+      throw corruptionError(`${this.dbPath} failed integrity check: ${error.message}`);
+    }
+
+    console.log('Loaded existing database');
+    return db;
+  }
+
+  /**
+   * Apply the corruption policy: quarantine, then fail or start empty
+   */
+  handleCorruption(SQL, error) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const quarantinePath = `${this.dbPath}.corrupt-${stamp}`;
+    const moveAside = this.corruptionPolicy === 'start_empty';
+
+    [
+      [this.dbPath, quarantinePath],
+      [this.journalPath, `${quarantinePath}.journal`],
+      [this.checksumPath, `${quarantinePath}.sha256`]
+    ].forEach(([from, to]) => {
+      if (fs.existsSync(from)) {
+        if (moveAside) {
+          fs.renameSync(from, to);
+        } else {
+          fs.copyFileSync(from, to);
         }
-      } else {
-        this.db = new SQL.Database();
       }
-    } catch (e) {
-      console.warn('Using in-memory database:', e.message);
-      this.db = new SQL.Database();
+    });
+
+    if (!moveAside) {
+      throw new Error(
+        `Database is corrupt: ${error.message}. A copy was saved to ${quarantinePath}. ` +
+        'Restore a backup, or set DB_CORRUPTION_POLICY=start_empty to start with an empty database'
+      );
+    }
+
+    console.error(`Database is corrupt: ${error.message}. Moved to ${quarantinePath}, starting with an empty database`);
+
+    if (this.db) {
+      this.db.close();
     }
-        
+    this.db = new SQL.Database();
+    this.journalSeq = 0;
     this.initializeTables();
-    return this;
+    this.setStorageIssue('corruption', `Started empty after corruption; original quarantined at ${quarantinePath}`);
+  }
+
+  /**
+   * Storage health for the health endpoint
+   * @returns {Object} - { status: 'ok' | 'degraded', issues: [{ type, message, since }] }
+   */
+  getStorageStatus() {
+    const issues = [...this.storageIssues.entries()].map(([type, issue]) => ({ type, ...issue }));
+    return { status: issues.length > 0 ? 'degraded' : 'ok', issues };
+  }
+
+  setStorageIssue(type, message) {
+    if (!this.storageIssues.has(type)) {
+      this.storageIssues.set(type, { message, since: new Date().toISOString() });
+    }
+  }
+
+  clearStorageIssue(type) {
+    this.storageIssues.delete(type);
   }
 
   initializeTables() {
-    // Raw events table - stores original incoming data
+    // Persistence state - last journal entry contained in the snapshot
+    // (needed before the journal is replayed, so not a migration)
     this.exec(`
-      CREATE TABLE IF NOT EXISTS raw_events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        event_hash TEXT UNIQUE NOT NULL,
-        raw_data TEXT NOT NULL,
-        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      CREATE TABLE IF NOT EXISTS persistence_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        journal_seq INTEGER NOT NULL
       )
     `);
+  }
 
-    // Normalized events table - stores processed canonical format
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS normalized_events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        raw_event_id INTEGER NOT NULL,
-        client_id TEXT NOT NULL,
-        metric TEXT NOT NULL,
-        amount REAL NOT NULL,
-        timestamp TEXT NOT NULL,
-        status TEXT NOT NULL DEFAULT 'processed',
-        processing_error TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (raw_event_id) REFERENCES raw_events(id)
-      )
-    `);
 
-    // Failed events table - stores events that couldn't be processed
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS failed_events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        raw_event_id INTEGER,
-        event_hash TEXT NOT NULL,
-        raw_data TEXT NOT NULL,
-        error_message TEXT NOT NULL,
-        error_type TEXT NOT NULL,
-        failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (raw_event_id) REFERENCES raw_events(id)
-      )
-    `);
+  exec(sql) {
+    this.write(sql, []);
+  }
 
-    // Processing log - tracks all processing attempts
-    this.exec(`
-      CREATE TABLE IF NOT EXISTS processing_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        event_hash TEXT NOT NULL,
-        action TEXT NOT NULL,
-        status TEXT NOT NULL,
-        message TEXT,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+  /**
+   * Run a write statement and journal it
+   * Inside a transaction it is journaled with the transaction at commit
+   */
+  write(sql, params) {
+    if (this.journalFd === null || this.inTransaction) {
+      this.execute(sql, params);
+      return;
+    }
 
-    // Create indexes for better query performance
-    this.exec(`
-      CREATE INDEX IF NOT EXISTS idx_raw_events_hash ON raw_events(event_hash);
-      CREATE INDEX IF NOT EXISTS idx_normalized_events_client ON normalized_events(client_id);
-      CREATE INDEX IF NOT EXISTS idx_normalized_events_timestamp ON normalized_events(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_normalized_events_status ON normalized_events(status);
-      CREATE INDEX IF NOT EXISTS idx_failed_events_hash ON failed_events(event_hash);
-    `);
+    this.transaction(() => this.execute(sql, params))();
   }
 
-  exec(sql) {
-    this.db.exec(sql);
-    this.save();
+  /**
+   * Run a statement with the clock frozen (see runAt) and remember it
+   * for the journal
+   */
+  execute(sql, params, now = Date.now()) {
+    DatabaseManager.runAt(now, () => {
+      if (params.length > 0) {
+        this.db.run(sql, params);
+      } else {
+        this.db.exec(sql);
+      }
+    });
+
+    if (this.inTransaction) {
+      this.pendingStatements.push([sql, params, now]);
+    }
   }
 
   // Transaction support for atomic operations
   transaction(callback) {
     return (...args) => {
       this.inTransaction = true;
+      this.pendingStatements = [];
+      const journalBytes = this.journalBytes;
+      const journalSeq = this.journalSeq;
       try {
         this.db.exec('BEGIN TRANSACTION');
         const result = callback(...args);
+        this.appendJournal(this.pendingStatements);
         this.db.exec('COMMIT');
-        this.save();
         this.inTransaction = false;
+        this.pendingStatements = [];
+        this.maybeSnapshot();
         return result;
       } catch (error) {
-        this.db.exec('ROLLBACK');
         this.inTransaction = false;
+        this.pendingStatements = [];
+        // The entry may be journaled already (COMMIT failed): take it back,
+        // or the next entry would skip a sequence number
+        this.journalSeq = journalSeq;
+        this.truncateJournal(journalBytes);
+        try {
+          this.db.exec('ROLLBACK');
+        } catch (rollbackError) {
+          // A failed COMMIT can end the transaction itself
+        }
         throw error;
       }
     };
   }
 
+  // Deferred snapshots for bulk work: writes inside the callback are
+  // journaled as usual, a snapshot (if due) waits until the end
+  async deferSave(callback) {
+    this.deferredSaves++;
+    try {
+      return await callback();
+    } finally {
+      this.deferredSaves--;
+      this.maybeSnapshot();
+    }
+  }
+
   prepare(sql) {
     return {
       run: (...params) => {
-        this.db.run(sql, params);
-        this.save();
-        // Get last insert rowid
+        this.write(sql, params);
         const result = this.db.exec('SELECT last_insert_rowid() as id');
         return {
           lastInsertRowid: result[0] ? result[0].values[0][0] : null
@@ -173,22 +358,339 @@ class DatabaseManager {
     };
   }
 
-  save() {
+  /**
+   * Replay journal entries newer than the snapshot
+   * @returns {number} - Entries replayed
+   */
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) {
+      return 0;
+    }
+
+    const state = this.db.exec('SELECT journal_seq FROM persistence_state WHERE id = 1');
+    const snapshotSeq = state[0] ? state[0].values[0][0] : 0;
+    const content = fs.readFileSync(this.journalPath, 'utf8');
+    const lines = content.split('\n');
+    let replayed = 0;
+    let validBytes = 0;
+
+    this.journalSeq = snapshotSeq;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      // The last element is what follows the final newline: empty unless torn
+      const complete = i < lines.length - 1;
+      let entry = null;
+
+      if (complete) {
+        // A torn append never ends with a newline, so a complete line
+        // that is empty or unreadable is damage, not a crash
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          entry = null;
+        }
+        if (!entry || typeof entry !== 'object') {
+          throw corruptionError(`Journal entry after ${this.journalSeq} is ${line === '' ? 'empty' : 'unreadable'}`);
+        }
+      }
+
+      if (!entry) {
+        const ignored = Buffer.byteLength(content) - validBytes;
+        if (ignored > 0) {
+          // Cut it off, or new entries would be appended after it
+          console.warn(`Ignoring ${ignored} bytes of incomplete journal at entry ${this.journalSeq + 1}`);
+          fs.truncateSync(this.journalPath, validBytes);
+        }
+        break;
+      }
+
+      validBytes += Buffer.byteLength(line) + 1;
+
+      if (entry.seq <= snapshotSeq) {
+        continue;
+      }
+
+      if (entry.seq !== this.journalSeq + 1) {
+        throw corruptionError(`Journal skips from entry ${this.journalSeq} to ${entry.seq}`);
+      }
+
+      this.db.exec('BEGIN TRANSACTION');
+      try {
+        entry.statements.forEach(([sql, params, now]) => this.execute(sql, params, now));
+        this.db.exec('COMMIT');
+      } catch (error) {
+        this.db.exec('ROLLBACK');
+        throw corruptionError(`Journal replay failed at entry ${entry.seq}: ${error.message}`);
+      }
+
+      this.journalSeq = entry.seq;
+      replayed++;
+    }
+
+    if (replayed > 0) {
+      console.log(`Replayed ${replayed} journal entries`);
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Open the journal for appending (not on read-only filesystems:
+   * the database then works in-memory only)
+   */
+  openJournal() {
+    try {
+      this.journalFd = fs.openSync(this.journalPath, 'a');
+      this.journalBytes = fs.fstatSync(this.journalFd).size;
+    } catch (error) {
+      console.warn(`Journal unavailable (${error.message}), changes will not be persisted`);
+      this.journalFd = null;
+      this.setStorageIssue('journal_unavailable', `Journal unavailable (${error.message}), changes are kept in memory only`);
+    }
+  }
+
+  /**
+   * Append one committed unit of work to the journal
+   */
+  appendJournal(statements) {
+    if (this.journalFd === null || statements.length === 0) {
+      return;
+    }
+
+    const line = Buffer.from(`${JSON.stringify({ seq: this.journalSeq + 1, statements })}\n`);
+    try {
+      // writeSync may write less than asked for
+      for (let written = 0; written < line.length;) {
+        written += fs.writeSync(this.journalFd, line, written, line.length - written);
+      }
+      if (this.fsync) {
+        fs.fdatasyncSync(this.journalFd);
+      }
+    } catch (error) {
+      this.setStorageIssue('journal_write', `Journal write failed: ${error.message}`);
+      // Part of the line may be on disk; the caller cuts it off
+      throw error;
+    }
+    this.journalBytes += line.length;
+    this.journalSeq++;
+    this.clearStorageIssue('journal_write');
+  }
+
+  /**
+   * Cut the journal back to a known-good length (after a failed append
+   * or commit). Always truncates: a failed append may have written part
+   * of its line without counting it. If even that fails, journaling stops
+   * (the database works in-memory only), rather than append after torn bytes
+   */
+  truncateJournal(bytes) {
+    if (this.journalFd === null) {
+      return;
+    }
+    try {
+      fs.ftruncateSync(this.journalFd, bytes);
+      this.journalBytes = bytes;
+    } catch (error) {
+      console.error(`Journal truncate failed (${error.message}), changes will not be persisted`);
+      try {
+        fs.closeSync(this.journalFd);
+      } catch (closeError) {
+        // Not used again either way
+      }
+      this.journalFd = null;
+      this.setStorageIssue('journal_unavailable', `Journal truncate failed (${error.message}), changes are kept in memory only`);
+    }
+  }
+
+  /**
+   * Snapshot when the journal has grown past snapshotBytes
+   */
+  maybeSnapshot() {
+    if (this.deferredSaves === 0 && this.journalBytes >= this.snapshotBytes) {
+      try {
+        this.snapshot();
+      } catch (error) {
+        // The journal still has everything; retried after the next commit
+        console.error('Snapshot failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the whole database atomically and reset the journal
+   */
+  snapshot() {
+    if (this.journalFd === null || this.inTransaction) {
+      return;
+    }
+
+    this.db.run(`
+      INSERT INTO persistence_state (id, journal_seq) VALUES (1, ?)
+      ON CONFLICT(id) DO UPDATE SET journal_seq = excluded.journal_seq
+    `, [this.journalSeq]);
+
+    try {
+      const buffer = Buffer.from(this.db.export());
+      this.writeFileSynced(this.tempPath, buffer);
+      // The sidecar is renamed first and keeps the previous hash, so it
+      // matches whichever snapshot survives a crash in between
+      this.writeChecksum(DatabaseManager.checksum(buffer));
+      fs.renameSync(this.tempPath, this.dbPath);
+    } catch (error) {
+      this.setStorageIssue('snapshot', `Snapshot failed: ${error.message}`);
+      throw error;
+    }
+    this.clearStorageIssue('snapshot');
+
+    // Entries up to journalSeq are in the snapshot (and skipped on replay
+    // if a crash happens before this truncate)
+    fs.ftruncateSync(this.journalFd, 0);
+    this.journalBytes = 0;
+  }
+
+  /**
+   * Write a file and fsync it before returning
+   */
+  writeFileSynced(filePath, data) {
+    const fd = fs.openSync(filePath, 'w');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Replace the checksum sidecar, remembering the current snapshot's hash
+   */
+  writeChecksum(sha256) {
+    let previous = null;
+    if (fs.existsSync(this.checksumPath) && fs.existsSync(this.dbPath)) {
+      try {
+        previous = JSON.parse(fs.readFileSync(this.checksumPath, 'utf8')).sha256;
+      } catch (error) {
+        previous = null;
+      }
+    }
+
+    const tempChecksumPath = `${this.checksumPath}.tmp`;
+    this.writeFileSynced(tempChecksumPath, JSON.stringify({
+      sha256,
+      previous_sha256: previous,
+      written_at: new Date().toISOString()
+    }));
+    fs.renameSync(tempChecksumPath, this.checksumPath);
+  }
+
+  /**
+   * Export a consistent copy of the database (call between transactions)
+   * @returns {Buffer} - SQLite database file
+   */
+  serialize() {
+    if (this.inTransaction) {
+      throw new Error('Cannot export the database during a transaction');
+    }
+    return Buffer.from(this.db.export());
+  }
+
+  /**
+   * Replace the database with a SQLite file image (restore), migrate it
+   * forward and persist it as the new snapshot
+   *
+   * Migrations run unjournaled: until the snapshot below is renamed into
+   * place, a crash recovers the old database from the old journal.
+   */
+  restore(buffer) {
+    if (this.inTransaction || this.deferredSaves > 0) {
+      throw new Error('Database is busy (transaction or batch in progress), try again');
+    }
+
+    const previous = this.db;
+    const journalFd = this.journalFd;
+    this.db = new this.SQL.Database(buffer);
+    this.journalFd = null;
+
     try {
-      if (!this.inTransaction) {
-        const data = this.db.export();
-        const buffer = Buffer.from(data);
-        fs.writeFileSync(this.dbPath, buffer);
+      this.initializeTables();
+      if (this.autoMigrate) {
+        Migrator.migrate(this);
       }
     } catch (error) {
-      // Silently fail on read-only filesystems (Vercel)
-      // Database still works in-memory
+      this.db.close();
+      this.db = previous;
+      throw error;
+    } finally {
+      this.journalFd = journalFd;
+    }
+
+    try {
+      this.snapshot();
+    } catch (error) {
+      this.db.close();
+      this.db = previous;
+      throw error;
     }
+    previous.close();
   }
 
   close() {
+    this.snapshot();
+    if (this.journalFd !== null) {
+      fs.closeSync(this.journalFd);
+      this.journalFd = null;
+    }
     this.db.close();
   }
+
+  /**
+   * Database file location: /tmp on Vercel, otherwise the current directory
+   */
+  static defaultPath() {
+    const tmpDir = process.env.VERCEL ? '/tmp' : '.';
+    return path.join(tmpDir, 'data.db');
+  }
+
+  static loadSqlJs() {
+    return initSqlJs({
+      locateFile: (file) => {
+        // Ensure the WASM file is found in serverless environments
+        return path.join(process.cwd(), 'node_modules', 'sql.js', 'dist', file);
+      }
+    });
+  }
+
+  /**
+   * Throw unless PRAGMA integrity_check reports ok
+   */
+  static checkIntegrity(db) {
+    const result = db.exec('PRAGMA integrity_check');
+    const messages = result[0] ? result[0].values.map(row => row[0]) : [];
+    if (messages.length !== 1 || messages[0] !== 'ok') {
+      throw new Error(messages.slice(0, 5).join('; '));
+    }
+  }
+
+  /**
+   * SHA-256 of a snapshot, as stored in the sidecar
+   */
+  static checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Run a callback with Date.now frozen (CURRENT_TIMESTAMP in sql.js
+   * reads it), so a statement and its replay see the same time
+   */
+  static runAt(now, callback) {
+    const realNow = Date.now;
+    Date.now = () => now;
+    try {
+      return callback();
+    } finally {
+      Date.now = realNow;
+    }
+  }
 }
 
 module.exports = DatabaseManager;
@@ -0,0 +1,72 @@
+/**
+ * GHG Protocol Scopes
+ *
+ * The scopes and Scope 3 categories events are classified into (see
+ * ClassificationService). Shared by classification and the scope
+ * breakdowns.
+ *
+ * Design Decisions:
+ * - Scope 2 is two scopes, location- and market-based, since the GHG
+ *   Protocol reports them side by side rather than one inside the other
+ * - Scope 3 categories are stored as their number (1-15); names are added
+ *   when results are returned
+ * - An event no rule matches has no scope; breakdowns list it as
+ *   "unclassified" rather than dropping it
+ */
+
+const SCOPES = ['scope_1', 'scope_2_location', 'scope_2_market', 'scope_3'];
+
+const UNCLASSIFIED = 'unclassified';
+
+const SCOPE_NAMES = {
+  scope_1: 'Scope 1',
+  scope_2_location: 'Scope 2 (location-based)',
+  scope_2_market: 'Scope 2 (market-based)',
+  scope_3: 'Scope 3'
+};
+
+const SCOPE3_CATEGORIES = {
+  1: 'Purchased goods and services',
+  2: 'Capital goods',
+  3: 'Fuel- and energy-related activities',
+  4: 'Upstream transportation and distribution',
+  5: 'Waste generated in operations',
+  6: 'Business travel',
+  7: 'Employee commuting',
+  8: 'Upstream leased assets',
+  9: 'Downstream transportation and distribution',
+  10: 'Processing of sold products',
+  11: 'Use of sold products',
+  12: 'End-of-life treatment of sold products',
+  13: 'Downstream leased assets',
+  14: 'Franchises',
+  15: 'Investments'
+};
+
+/**
+ * Check a Scope 3 category number
+ */
+function isScope3Category(value) {
+  return Number.isInteger(value) && SCOPE3_CATEGORIES[value] !== undefined;
+}
+
+/**
+ * Display name of a scope (and category), e.g. "Scope 3.6 Business travel"
+ */
+function scopeLabel(scope, category = null) {
+  if (!scope) {
+    return 'Unclassified';
+  }
+  if (scope === 'scope_3' && category) {
+    return `Scope 3.${category} ${SCOPE3_CATEGORIES[category]}`;
+  }
+  return SCOPE_NAMES[scope] || scope;
+}
+
+module.exports = {
+  SCOPES,
+  UNCLASSIFIED,
+  SCOPE3_CATEGORIES,
+  isScope3Category,
+  scopeLabel
+};
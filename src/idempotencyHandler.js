@@ -10,15 +10,27 @@ const crypto = require('crypto');
  * 
  * Design Decisions:
  * - Hash includes semantic fields only (not timestamps of receipt)
- * - Uses content-based hashing for deduplication
+ * - Uses content-based hashing for deduplication by default
+ * - A client-supplied Idempotency-Key header (or event_id field) replaces
+ *   the content hash as dedup key, so identical-looking events stay distinct
+ * - Per-client dedup policies can narrow the hash to key fields, ignore
+ *   volatile fields, keep string case and limit dedup to a time window
  * - Tracks processing state separately from event data
  * - Handles partial failures through transaction isolation
+ * - Reads and writes go through the storage interface (storage/), never
+ *   SQL, so every storage backend dedups the same way
  * 
  * How it prevents double counting:
  * 1. Generate content hash from normalized event data
- * 2. Check if hash exists in raw_events table
+ * 2. Check if hash exists in raw_events table with a normalized event
  * 3. If exists, return existing result (idempotent)
  * 4. If not, process in transaction with rollback on failure
+ *
+ * Retry lifecycle:
+ * - A hash whose raw event has no normalized event is a failed attempt,
+ *   not a duplicate, and stays re-processable
+ * - Each failed attempt is counted on its failed_events row
+ * - A retry that succeeds marks that row as resolved
  */
 
 class IdempotencyHandler {
@@ -27,31 +39,140 @@ class IdempotencyHandler {
    * Hash is based on semantic content, not metadata
    * 
    * @param {Object} rawEvent - Raw event object
+   * @param {Object} policy - Optional per-client dedup policy
    * @returns {string} - SHA256 hash
    */
-  static generateEventHash(rawEvent) {
+  static generateEventHash(rawEvent, policy = null) {
+    let source = rawEvent;
+
+    // Key fields replace the body as hash input (scoped to the client,
+    // so two clients' txn_id sequences never collide)
+    if (policy && policy.key_fields) {
+      const keyValues = this.pickKeyFields(rawEvent, policy.key_fields);
+      if (keyValues) {
+        source = { client_id: policy.client_id, key_fields: keyValues };
+      }
+    }
+
     // Sort keys to ensure consistent ordering
-    const normalized = this.normalizeForHashing(rawEvent);
+    const normalized = this.normalizeForHashing(source, policy);
     const content = JSON.stringify(normalized);
     return crypto.createHash('sha256').update(content).digest('hex');
   }
 
+  /**
+   * Pick the policy's key fields from an event
+   * A plain name is looked up at root level, then in payload;
+   * a dotted name ("payload.txn_id") is a path from the root
+   * 
+   * @returns {Object|null} - Field values, or null if none are present
+   *                          (the whole body is hashed instead)
+   */
+  static pickKeyFields(rawEvent, keyFields) {
+    const values = {};
+    let found = false;
+
+    keyFields.forEach(field => {
+      let value;
+      if (field.includes('.')) {
+        value = field.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), rawEvent);
+      } else if (rawEvent && rawEvent[field] !== undefined) {
+        value = rawEvent[field];
+      } else if (rawEvent && rawEvent.payload && typeof rawEvent.payload === 'object') {
+        value = rawEvent.payload[field];
+      }
+
+      if (value !== undefined && value !== null && value !== '') {
+        found = true;
+      }
+      values[field] = value === undefined ? null : value;
+    });
+
+    return found ? values : null;
+  }
+
+  /**
+   * Resolve the event hash for a policy with a dedup window
+   * 
+   * The latest event with the same content hash is a duplicate only if it
+   * was received within the window; otherwise this is a new occurrence and
+   * gets its own hash. Retries of that occurrence find it as the latest one.
+   * 
+   * @param {Object} storage - Storage (storage/index.js)
+   * @param {string} contentHash - Content hash (with policy applied)
+   * @param {number} windowSeconds - Dedup window
+   * @returns {string} - Event hash to dedup against
+   */
+  static resolveWindowedHash(storage, contentHash, windowSeconds) {
+    const latest = storage.dedup.findLatestByContentHash(contentHash);
+
+    if (!latest) {
+      return contentHash;
+    }
+
+    const receivedAt = Date.parse(`${latest.received_at.replace(' ', 'T')}Z`);
+    if (Date.now() - receivedAt <= windowSeconds * 1000) {
+      return latest.event_hash;
+    }
+
+    return crypto.createHash('sha256').update(`${contentHash}:${Date.now()}`).digest('hex');
+  }
+
+  /**
+   * Resolve the client-supplied idempotency key, if any
+   * The Idempotency-Key header wins over an event_id field in the body
+   * 
+   * @param {Object} rawEvent - Raw event object
+   * @param {string} headerKey - Idempotency-Key header value
+   * @returns {string|null} - Key or null (content hashing applies)
+   */
+  static resolveIdempotencyKey(rawEvent, headerKey = null) {
+    if (headerKey && String(headerKey).trim()) {
+      return String(headerKey).trim();
+    }
+
+    if (rawEvent && rawEvent.event_id !== undefined && rawEvent.event_id !== null && rawEvent.event_id !== '') {
+      return String(rawEvent.event_id).trim();
+    }
+
+    return null;
+  }
+
+  /**
+   * Scope a key to its client, so two clients using the same
+   * event_id sequence don't collide
+   */
+  static scopeIdempotencyKey(idempotencyKey, clientId) {
+    return clientId ? `${clientId}:${idempotencyKey}` : idempotencyKey;
+  }
+
+  /**
+   * Generate the event hash for a (scoped) idempotency key
+   * Prefixed so it can never equal a content hash
+   */
+  static generateKeyHash(scopedKey) {
+    return crypto.createHash('sha256').update(`idempotency-key:${scopedKey}`).digest('hex');
+  }
+
   /**
    * Normalize event data for consistent hashing
    * - Sorts object keys recursively
    * - Removes metadata that shouldn't affect deduplication
+   *   (plus the policy's ignored fields)
+   * - Lowercases strings unless the policy is case sensitive
    * - Handles nested structures
    */
-  static normalizeForHashing(obj) {
+  static normalizeForHashing(obj, policy = null) {
     if (obj === null || obj === undefined) {
       return obj;
     }
 
     if (Array.isArray(obj)) {
-      return obj.map(item => this.normalizeForHashing(item));
+      return obj.map(item => this.normalizeForHashing(item, policy));
     }
 
     if (typeof obj === 'object') {
+      const ignoredFields = policy ? policy.ignored_fields : [];
       const sorted = {};
       Object.keys(obj)
         .sort()
@@ -61,120 +182,64 @@ class IdempotencyHandler {
           if (key === 'received_at' || key === 'created_at' || key === 'id') {
             return;
           }
-          sorted[key] = this.normalizeForHashing(obj[key]);
+          if (ignoredFields.includes(key)) {
+            return;
+          }
+          sorted[key] = this.normalizeForHashing(obj[key], policy);
         });
       return sorted;
     }
 
     // Handle primitives
     if (typeof obj === 'string') {
-      return obj.trim().toLowerCase();
+      const trimmed = obj.trim();
+      return policy && policy.case_sensitive ? trimmed : trimmed.toLowerCase();
     }
 
     return obj;
   }
 
   /**
-   * Check if event has been processed before
-   * @param {Object} db - Database instance
-   * @param {string} eventHash - Event hash
-   * @returns {Object|null} - Existing event or null
+   * Bind an idempotency key to its request body and store the response
+   * 
+   * Only successful responses are stored for replay; failures keep the
+   * key bound to the body (response NULL) so a retry is processed again.
    */
-  static checkDuplicate(db, eventHash) {
-    const stmt = db.prepare(`
-      SELECT re.id, re.event_hash, re.received_at,
-             ne.id as normalized_id, ne.status, ne.client_id, ne.metric, ne.amount, ne.timestamp
-      FROM raw_events re
-      LEFT JOIN normalized_events ne ON ne.raw_event_id = re.id
-      WHERE re.event_hash = ?
-      LIMIT 1
-    `);
-
-    const result = stmt.get(eventHash);
-    
-    if (result) {
-      return {
-        isDuplicate: true,
-        rawEventId: result.id,
-        normalizedId: result.normalized_id,
-        status: result.status,
-        firstSeenAt: result.received_at,
-        data: result.normalized_id ? {
-          client_id: result.client_id,
-          metric: result.metric,
-          amount: result.amount,
-          timestamp: result.timestamp
-        } : null
-      };
-    }
+  static storeResponse(storage, scopedKey, eventHash, requestHash, response) {
+    const replayable = response.success;
 
-    return null;
+    storage.dedup.storeResponse(
+      scopedKey,
+      eventHash,
+      requestHash,
+      replayable ? response.status : null,
+      replayable ? JSON.stringify(response) : null
+    );
   }
 
   /**
-   * Log processing attempt
+   * Record a failed processing attempt
+   * First failure stores the raw event and a failed event,
+   * later failures of the same hash increment its attempt count
+   * 
+   * @param {Object} context - Optional { clientId, contentHash, receivedAt }
+   * @returns {Object} - { rawEventId, failedEventId, attempts }
    */
-  static logProcessing(db, eventHash, action, status, message = null) {
-    const stmt = db.prepare(`
-      INSERT INTO processing_log (event_hash, action, status, message)
-      VALUES (?, ?, ?, ?)
-    `);
-    
-    stmt.run(eventHash, action, status, message);
-  }
+  static recordFailedAttempt(storage, eventHash, rawData, errorMessage, errorType, context = {}) {
+    const prior = storage.dedup.findFailedAttempt(eventHash);
+    const rawEventId = prior
+      ? prior.rawEventId
+      : storage.events.storeRawEvent(eventHash, rawData, context.contentHash || eventHash, context.receivedAt);
 
-  /**
-   * Store raw event (first step in processing)
-   * Returns rawEventId if successful
-   */
-  static storeRawEvent(db, eventHash, rawData) {
-    try {
-      const stmt = db.prepare(`
-        INSERT INTO raw_events (event_hash, raw_data)
-        VALUES (?, ?)
-      `);
-      
-      const info = stmt.run(eventHash, JSON.stringify(rawData));
-      return info.lastInsertRowid;
-    } catch (error) {
-      // If unique constraint violation, event already exists
-      if (error.message.includes('UNIQUE constraint failed')) {
-        return null;
-      }
-      throw error;
+    if (prior && prior.failedEventId) {
+      storage.events.recordRetryFailure(prior.failedEventId, errorMessage, errorType);
+      return { rawEventId, failedEventId: prior.failedEventId, attempts: prior.attempts + 1 };
     }
-  }
 
-  /**
-   * Store normalized event (second step in processing)
-   */
-  static storeNormalizedEvent(db, rawEventId, normalizedData) {
-    const stmt = db.prepare(`
-      INSERT INTO normalized_events (raw_event_id, client_id, metric, amount, timestamp, status)
-      VALUES (?, ?, ?, ?, ?, 'processed')
-    `);
-    
-    const info = stmt.run(
-      rawEventId,
-      normalizedData.client_id,
-      normalizedData.metric,
-      normalizedData.amount,
-      normalizedData.timestamp
+    const failedEventId = storage.events.storeFailedEvent(
+      rawEventId, eventHash, rawData, errorMessage, errorType, context.clientId || null
     );
-    
-    return info.lastInsertRowid;
-  }
-
-  /**
-   * Store failed event
-   */
-  static storeFailedEvent(db, rawEventId, eventHash, rawData, errorMessage, errorType) {
-    const stmt = db.prepare(`
-      INSERT INTO failed_events (raw_event_id, event_hash, raw_data, error_message, error_type)
-      VALUES (?, ?, ?, ?, ?)
-    `);
-    
-    stmt.run(rawEventId, eventHash, JSON.stringify(rawData), errorMessage, errorType);
+    return { rawEventId, failedEventId, attempts: 1 };
   }
 }
 
@@ -0,0 +1,77 @@
+/**
+ * Initial schema: raw, normalized and failed events plus the processing log
+ */
+
+module.exports = {
+  up(db) {
+    // Raw events table - stores original incoming data
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS raw_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_hash TEXT UNIQUE NOT NULL,
+        raw_data TEXT NOT NULL,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Normalized events table - stores processed canonical format
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS normalized_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raw_event_id INTEGER NOT NULL,
+        client_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        amount REAL NOT NULL,
+        timestamp TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processed',
+        processing_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (raw_event_id) REFERENCES raw_events(id)
+      )
+    `);
+
+    // Failed events table - stores events that couldn't be processed
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS failed_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raw_event_id INTEGER,
+        event_hash TEXT NOT NULL,
+        raw_data TEXT NOT NULL,
+        error_message TEXT NOT NULL,
+        error_type TEXT NOT NULL,
+        failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (raw_event_id) REFERENCES raw_events(id)
+      )
+    `);
+
+    // Processing log - tracks all processing attempts
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS processing_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_hash TEXT NOT NULL,
+        action TEXT NOT NULL,
+        status TEXT NOT NULL,
+        message TEXT,
+        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_raw_events_hash ON raw_events(event_hash);
+      CREATE INDEX IF NOT EXISTS idx_normalized_events_client ON normalized_events(client_id);
+      CREATE INDEX IF NOT EXISTS idx_normalized_events_timestamp ON normalized_events(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_normalized_events_status ON normalized_events(status);
+      CREATE INDEX IF NOT EXISTS idx_failed_events_hash ON failed_events(event_hash);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS processing_log;
+      DROP TABLE IF EXISTS failed_events;
+      DROP TABLE IF EXISTS normalized_events;
+      DROP TABLE IF EXISTS raw_events;
+    `);
+  }
+};
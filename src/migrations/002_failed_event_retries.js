@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * Failed event retries: attempt tracking, resolution and client lookup
+ */
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'failed_events', 'client_id', 'TEXT');
+    addColumn(db, 'failed_events', 'attempts', 'INTEGER NOT NULL DEFAULT 1');
+    addColumn(db, 'failed_events', 'status', "TEXT NOT NULL DEFAULT 'failed'");
+    // ALTER TABLE can't add a CURRENT_TIMESTAMP default; existing rows
+    // were last attempted when they failed
+    if (addColumn(db, 'failed_events', 'last_attempt_at', 'DATETIME')) {
+      db.exec('UPDATE failed_events SET last_attempt_at = failed_at');
+    }
+    addColumn(db, 'failed_events', 'resolved_at', 'DATETIME');
+    addColumn(db, 'failed_events', 'resolved_by_hash', 'TEXT');
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_failed_events_status ON failed_events(status);
+      CREATE INDEX IF NOT EXISTS idx_failed_events_client ON failed_events(client_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_failed_events_status;
+      DROP INDEX IF EXISTS idx_failed_events_client;
+    `);
+    ['resolved_by_hash', 'resolved_at', 'last_attempt_at', 'status', 'attempts', 'client_id']
+      .forEach(column => dropColumn(db, 'failed_events', column));
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Idempotency keys: client-supplied dedup keys and their stored responses
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        idempotency_key TEXT PRIMARY KEY,
+        event_hash TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        response_status INTEGER,
+        response_body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
@@ -0,0 +1,34 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * Dedup policies: per-client rules for building the event hash, and the
+ * policy-independent content hash on raw events
+ */
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'raw_events', 'content_hash', 'TEXT');
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS dedup_policies (
+        client_id TEXT PRIMARY KEY,
+        key_fields TEXT,
+        ignored_fields TEXT NOT NULL DEFAULT '[]',
+        case_sensitive INTEGER NOT NULL DEFAULT 0,
+        window_seconds INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_raw_events_content_hash ON raw_events(content_hash)');
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS dedup_policies;
+      DROP INDEX IF EXISTS idx_raw_events_content_hash;
+    `);
+    dropColumn(db, 'raw_events', 'content_hash');
+  }
+};
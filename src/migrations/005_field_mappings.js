@@ -0,0 +1,25 @@
+/**
+ * Field mappings: per-client aliases for canonical fields
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS field_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id TEXT NOT NULL,
+        canonical_field TEXT NOT NULL,
+        alias TEXT NOT NULL,
+        action TEXT NOT NULL DEFAULT 'include',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (client_id, canonical_field, alias)
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_field_mappings_client ON field_mappings(client_id)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS field_mappings');
+  }
+};
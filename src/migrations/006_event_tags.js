@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * Event tags: unknown payload fields kept on normalized events (JSON object)
+ */
+
+module.exports = {
+  up(db) {
+    addColumn(db, 'normalized_events', 'tags', "TEXT NOT NULL DEFAULT '{}'");
+  },
+
+  down(db) {
+    dropColumn(db, 'normalized_events', 'tags');
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Rollups: processed events pre-aggregated per client x metric x hour/day,
+ * filled from the existing normalized events
+ *
+ * Tables, buckets and the fill query are spelled out rather than taken
+ * from rollups.js, which changes with later migrations.
+ */
+
+// Rollup tables and their bucket expressions as of this migration
+const ROLLUP_TABLES = [
+  { table: 'rollup_hourly', bucketSql: "substr(timestamp, 1, 13) || ':00:00.000Z'" },
+  { table: 'rollup_daily', bucketSql: 'substr(timestamp, 1, 10)' }
+];
+
+module.exports = {
+  up(db) {
+    ROLLUP_TABLES.forEach(rollup => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ${rollup.table} (
+          bucket_start TEXT NOT NULL,
+          client_id TEXT NOT NULL,
+          metric TEXT NOT NULL,
+          event_count INTEGER NOT NULL,
+          total_amount REAL NOT NULL,
+          min_amount REAL NOT NULL,
+          max_amount REAL NOT NULL,
+          first_event TEXT NOT NULL,
+          last_event TEXT NOT NULL,
+          PRIMARY KEY (bucket_start, client_id, metric)
+        )
+      `);
+
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${rollup.table}_client ON ${rollup.table}(client_id)`);
+
+      const empty = db.prepare(`SELECT COUNT(*) as count FROM ${rollup.table}`).get().count === 0;
+      if (empty) {
+        db.exec(`
+          INSERT INTO ${rollup.table}
+            (bucket_start, client_id, metric, event_count, total_amount, min_amount, max_amount, first_event, last_event)
+          SELECT ${rollup.bucketSql} as bucket_start, client_id, metric,
+            COUNT(*), SUM(amount), MIN(amount), MAX(amount), MIN(timestamp), MAX(timestamp)
+          FROM normalized_events
+          WHERE status = 'processed'
+          GROUP BY bucket_start, client_id, metric
+        `);
+      }
+    });
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_normalized_events_rollup ON normalized_events(client_id, metric, timestamp)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_normalized_events_rollup');
+    ROLLUP_TABLES.forEach(rollup => {
+      db.exec(`DROP TABLE IF EXISTS ${rollup.table}`);
+    });
+  }
+};
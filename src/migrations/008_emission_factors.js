@@ -0,0 +1,51 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * Emission factors: kgCO2e per unit of an activity metric, by unit, region
+ * and validity dates, and the CO2e computed for each normalized event
+ * (summed in the rollups). Existing events get no CO2e until recalculated.
+ */
+
+// Rollup tables as of this migration (rollups.js may change later)
+const ROLLUP_TABLES = ['rollup_hourly', 'rollup_daily'];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS emission_factors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        metric TEXT NOT NULL,
+        unit TEXT NOT NULL,
+        region TEXT,
+        valid_from TEXT,
+        valid_to TEXT,
+        kg_co2e_per_unit REAL NOT NULL,
+        source TEXT NOT NULL,
+        citation TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_emission_factors_metric ON emission_factors(metric)');
+
+    addColumn(db, 'normalized_events', 'co2e_kg', 'REAL');
+    addColumn(db, 'normalized_events', 'emission_factor_id', 'INTEGER');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_normalized_events_metric ON normalized_events(metric)');
+
+    ROLLUP_TABLES.forEach(table => {
+      addColumn(db, table, 'total_co2e_kg', 'REAL');
+    });
+  },
+
+  down(db) {
+    ROLLUP_TABLES.forEach(table => {
+      dropColumn(db, table, 'total_co2e_kg');
+    });
+
+    db.exec('DROP INDEX IF EXISTS idx_normalized_events_metric');
+    dropColumn(db, 'normalized_events', 'emission_factor_id');
+    dropColumn(db, 'normalized_events', 'co2e_kg');
+    db.exec('DROP TABLE IF EXISTS emission_factors');
+  }
+};
@@ -0,0 +1,39 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * GHG scope classification: rules mapping metrics and tags to a scope
+ * (and Scope 3 category), and the classification stored on each normalized
+ * event. Existing events stay unclassified until reprocessed.
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS classification_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        metric TEXT,
+        tag_key TEXT,
+        tag_value TEXT,
+        scope TEXT NOT NULL,
+        scope3_category INTEGER,
+        priority INTEGER NOT NULL DEFAULT 0,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    addColumn(db, 'normalized_events', 'scope', 'TEXT');
+    addColumn(db, 'normalized_events', 'scope3_category', 'INTEGER');
+    addColumn(db, 'normalized_events', 'classification_rule_id', 'INTEGER');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_normalized_events_scope ON normalized_events(scope, scope3_category)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX IF EXISTS idx_normalized_events_scope');
+    dropColumn(db, 'normalized_events', 'classification_rule_id');
+    dropColumn(db, 'normalized_events', 'scope3_category');
+    dropColumn(db, 'normalized_events', 'scope');
+    db.exec('DROP TABLE IF EXISTS classification_rules');
+  }
+};
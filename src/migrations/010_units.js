@@ -0,0 +1,87 @@
+const { addColumn, dropColumn } = require('../migrator');
+
+/**
+ * Units: the unit of each normalized event's amount (converted to the
+ * metric's canonical unit, the original amount and unit kept), canonical
+ * units per metric, and the unit as part of the rollup grain so amounts
+ * in different units are never summed. Existing events have no unit until
+ * reprocessed.
+ *
+ * The rollup tables are recreated (the unit joins their primary key) and
+ * refilled; tables, buckets and fill queries are spelled out rather than
+ * taken from rollups.js, which may change with later migrations.
+ */
+
+// Rollup tables and their bucket expressions as of this migration
+const ROLLUP_TABLES = [
+  { table: 'rollup_hourly', bucketSql: "substr(timestamp, 1, 13) || ':00:00.000Z'" },
+  { table: 'rollup_daily', bucketSql: 'substr(timestamp, 1, 10)' }
+];
+
+function createRollupTable(db, rollup, withUnit) {
+  db.exec(`
+    CREATE TABLE ${rollup.table} (
+      bucket_start TEXT NOT NULL,
+      client_id TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      ${withUnit ? "unit TEXT NOT NULL DEFAULT ''," : ''}
+      event_count INTEGER NOT NULL,
+      total_amount REAL NOT NULL,
+      min_amount REAL NOT NULL,
+      max_amount REAL NOT NULL,
+      first_event TEXT NOT NULL,
+      last_event TEXT NOT NULL,
+      total_co2e_kg REAL,
+      PRIMARY KEY (bucket_start, client_id, metric${withUnit ? ', unit' : ''})
+    )
+  `);
+
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_${rollup.table}_client ON ${rollup.table}(client_id)`);
+
+  db.exec(`
+    INSERT INTO ${rollup.table}
+      (bucket_start, client_id, metric, ${withUnit ? 'unit, ' : ''}event_count, total_amount, min_amount, max_amount,
+       first_event, last_event, total_co2e_kg)
+    SELECT ${rollup.bucketSql} as bucket_start, client_id, metric, ${withUnit ? "COALESCE(unit, ''), " : ''}
+      COUNT(*), SUM(amount), MIN(amount), MAX(amount), MIN(timestamp), MAX(timestamp), SUM(co2e_kg)
+    FROM normalized_events
+    WHERE status = 'processed'
+    GROUP BY bucket_start, client_id, metric${withUnit ? ", COALESCE(unit, '')" : ''}
+  `);
+}
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS metric_units (
+        metric TEXT PRIMARY KEY,
+        unit TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    addColumn(db, 'normalized_events', 'unit', 'TEXT');
+    addColumn(db, 'normalized_events', 'original_amount', 'REAL');
+    addColumn(db, 'normalized_events', 'original_unit', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_normalized_events_metric_unit ON normalized_events(metric, unit)');
+
+    ROLLUP_TABLES.forEach(rollup => {
+      db.exec(`DROP TABLE IF EXISTS ${rollup.table}`);
+      createRollupTable(db, rollup, true);
+    });
+  },
+
+  down(db) {
+    ROLLUP_TABLES.forEach(rollup => {
+      db.exec(`DROP TABLE IF EXISTS ${rollup.table}`);
+      createRollupTable(db, rollup, false);
+    });
+
+    db.exec('DROP INDEX IF EXISTS idx_normalized_events_metric_unit');
+    dropColumn(db, 'normalized_events', 'original_unit');
+    dropColumn(db, 'normalized_events', 'original_amount');
+    dropColumn(db, 'normalized_events', 'unit');
+    db.exec('DROP TABLE IF EXISTS metric_units');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Exchange rates: daily rates of currencies against a base currency, used
+ * to report amounts in several currencies in one (see
+ * ExchangeRateService). Rates are stored with their base, so changing the
+ * configured base doesn't reinterpret rates loaded for another.
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        base_currency TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        rate_date TEXT NOT NULL,
+        rate REAL NOT NULL,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (base_currency, currency, rate_date)
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS exchange_rates');
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Number formats: the decimal and grouping separators a client writes
+ * numbers with ("1.200,50"), used to read amounts given as text (see
+ * NumberFormatService). Clients without one keep the default format.
+ */
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS number_formats (
+        client_id TEXT PRIMARY KEY,
+        locale TEXT,
+        decimal_separator TEXT NOT NULL,
+        grouping_separator TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS number_formats');
+  }
+};
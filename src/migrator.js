@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema Migrator
+ *
+ * Versioned schema changes in src/migrations, named NNN_description.js and
+ * exporting up(db) and down(db). Applied versions are recorded in
+ * schema_migrations.
+ *
+ * Design Decisions:
+ * - DatabaseManager migrates forward on startup; rollbacks and targeted
+ *   runs are for operators (scripts/migrate.js)
+ * - A run (all pending migrations, or all rolled back ones) is one
+ *   transaction: a failure leaves the schema as it was
+ * - A database with versions this code doesn't know was migrated by newer
+ *   code; it is refused rather than written to with an outdated schema
+ * - Migrations that add columns check for them first (addColumn), so
+ *   databases created before migrations existed, which already have some
+ *   of the schema, can be brought up to date by the same scripts
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Load migrations, ordered by version
+ * @returns {Array} - [{ version, name, up, down }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function') {
+        throw new Error(`Migration ${file} has no up()`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Applied and pending migrations
+ * @returns {Object} - { current, latest, migrations: [{ version, name, status,
+ *                     applied_at }] } - status is applied, pending or unknown
+ *                     (applied by newer code)
+ */
+function getStatus(db, migrations = loadMigrations()) {
+  ensureMigrationsTable(db);
+
+  const applied = new Map(
+    db.prepare('SELECT version, name, applied_at FROM schema_migrations').all()
+      .map(row => [row.version, row])
+  );
+  const known = new Set(migrations.map(migration => migration.version));
+
+  const rows = migrations.map(({ version, name }) => ({
+    version,
+    name,
+    status: applied.has(version) ? 'applied' : 'pending',
+    applied_at: applied.has(version) ? applied.get(version).applied_at : null
+  }));
+
+  applied.forEach((row, version) => {
+    if (!known.has(version)) {
+      rows.push({ version, name: row.name, status: 'unknown', applied_at: row.applied_at });
+    }
+  });
+
+  rows.sort((a, b) => a.version - b.version);
+
+  return {
+    current: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    migrations: rows
+  };
+}
+
+/**
+ * Apply pending migrations up to a version, in one transaction
+ * @returns {Array} - Applied migrations ({ version, name })
+ */
+function migrate(db, target = null, migrations = loadMigrations()) {
+  const status = getStatus(db, migrations);
+  const unknown = status.migrations.filter(row => row.status === 'unknown');
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Database schema is newer than this code (applied: ${unknown.map(row => row.version).join(', ')}; ` +
+      `latest known: ${status.latest}). Refusing to use it - upgrade the code or restore a backup`
+    );
+  }
+
+  const limit = target === null ? status.latest : target;
+  const pending = status.migrations
+    .filter(row => row.status === 'pending' && row.version <= limit)
+    .map(row => migrations.find(migration => migration.version === row.version));
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  db.transaction(() => {
+    pending.forEach(migration => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+        .run(migration.version, migration.name);
+    });
+  })();
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Roll back applied migrations newer than a version (default: the latest
+ * one), newest first, in one transaction
+ * @returns {Array} - Rolled back migrations ({ version, name })
+ */
+function rollback(db, target = null, migrations = loadMigrations()) {
+  const status = getStatus(db, migrations);
+  const limit = target === null ? status.current - 1 : target;
+
+  const toRollBack = status.migrations
+    .filter(row => row.status !== 'pending' && row.version > limit)
+    .reverse();
+
+  toRollBack.forEach(row => {
+    const migration = migrations.find(candidate => candidate.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.version} (${row.name}) is not known to this code and can't be rolled back`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${row.version} (${row.name}) has no down()`);
+    }
+  });
+
+  if (toRollBack.length === 0) {
+    return [];
+  }
+
+  db.transaction(() => {
+    toRollBack.forEach(row => {
+      migrations.find(migration => migration.version === row.version).down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(row.version);
+    });
+  })();
+
+  return toRollBack.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Check whether a table has a column
+ */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(row => row.name === column);
+}
+
+/**
+ * Add a column unless it exists (databases created before migrations)
+ * @returns {boolean} - Whether the column was added
+ */
+function addColumn(db, table, column, definition) {
+  if (hasColumn(db, table, column)) {
+    return false;
+  }
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Drop a column if it exists
+ */
+function dropColumn(db, table, column) {
+  if (hasColumn(db, table, column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  hasColumn,
+  addColumn,
+  dropColumn
+};
@@ -1,3 +1,17 @@
+const { MAX_TAGS, isValidTagKey, isTagValue } = require('./tags');
+const { unitCandidates, symbolsInOtherCase, dimensionOf } = require('./units');
+const { parseNumber } = require('./numbers');
+
+// [sign] [currency sign or code] [sign] number [%] [unit]; the number's
+// separators are checked against the client's number format (numbers.js)
+const AMOUNT_PATTERN = /^([-+]?)\s*(US\$|C\$|A\$|[$€£¥₹]|[A-Z]{3}(?=[\s\d.,+-]))?\s*([-+]?)((?:\d(?:[\d.,'\s\u2019]*\d)?|[.,]\d+)(?:[eE][-+]?\d+)?)\s*(%?)\s*(.*)$/;
+
+// Accounting negative: the amount (or its number) in parentheses, "(500)", "$(1,200.00)"
+const ACCOUNTING_PATTERN = /^([^()]*)\(([^()]*\d[^()]*)\)([^()]*)$/;
+
+// Significant digits kept when a percentage becomes a fraction
+const PERCENT_PRECISION = 15;
+
 /**
  * Normalization Layer
  * 
@@ -8,15 +22,50 @@
  * - Provide clear error messages for validation failures
  * 
  * Design Decisions:
- * - Field mapping is configurable per client
+ * - Field mapping is configurable per client (client-specific aliases are
+ *   tried before global ones, see FieldMappingService)
  * - Validation is lenient but tracks issues
  * - Type coercion is explicit and logged
- * - Unknown fields are preserved but not validated
+ * - Unknown fields are preserved as tags (scalar values, see tags.js)
+ *   but not validated
+ * - Amounts carry a unit (a unit field, or text after the number: "12 kWh")
+ *   from the unit catalog (units.js); an unknown unit is an error, and
+ *   with a unit registry the amount is converted to the metric's canonical
+ *   unit
+ * - Currencies are units too, given by a currency field, an ISO code or a
+ *   currency sign around the number ("€350", "350 EUR"); a bare $ is read
+ *   as USD unless a currency field says which dollar
+ * - Numbers in text are read with the client's number format (decimal and
+ *   grouping separators, see NumberFormatService); text that isn't a
+ *   number in it is an error, never a truncated amount
+ * - Valid events get their CO2e (co2e_kg, null without a matching
+ *   emission factor) and GHG scope (null: unclassified) when an emission
+ *   factor registry and a classifier are given
  */
 
 class Normalizer {
-  constructor() {
-    // Configurable field mappings - can be extended per client
+  /**
+   * @param {Object} mappingRegistry - Optional source of per-client mappings
+   *                                   (getClientMappings(clientId))
+   * @param {Object} options - Optional { numberFormats, units,
+   *                           emissionFactors, classifier } - numberFormats
+   *                           gives a client's number format
+   *                           (getFormat(clientId), NumberFormatService);
+   *                           applied to valid events: units converts the
+   *                           amount (convert(event), see UnitService),
+   *                           emissionFactors computes CO2e
+   *                           (calculate(event), EmissionFactorService),
+   *                           classifier the GHG scope (classify(event),
+   *                           ClassificationService)
+   */
+  constructor(mappingRegistry = null, options = {}) {
+    this.mappingRegistry = mappingRegistry;
+    this.numberFormats = options.numberFormats || null;
+    this.units = options.units || null;
+    this.emissionFactors = options.emissionFactors || null;
+    this.classifier = options.classifier || null;
+
+    // Global field mappings - the defaults for every client
     this.fieldMappings = {
       // Client ID mappings
       client_id: ['source', 'client', 'client_id', 'clientId', 'sender'],
@@ -26,6 +75,12 @@ class Normalizer {
       
       // Amount mappings
       amount: ['amount', 'value', 'quantity', 'total', 'sum'],
+
+      // Unit mappings (the unit can also follow the amount: "12 kWh")
+      unit: ['unit', 'units', 'uom', 'unit_of_measure'],
+
+      // Currency mappings (a currency can also surround the amount: "€350")
+      currency: ['currency', 'currency_code', 'ccy'],
       
       // Timestamp mappings
       timestamp: ['timestamp', 'time', 'date', 'created_at', 'createdAt', 'event_time']
@@ -43,55 +98,130 @@ class Normalizer {
   /**
    * Normalize raw event to canonical format
    * @param {Object} rawEvent - Raw event from client
-   * @returns {Object} - { success, data, errors, warnings }
+   * @param {Object} context - Optional { receivedAt } - receipt time used as
+   *                           timestamp fallback (defaults to now)
+   * @returns {Object} - { success, data, errors, warnings, fieldSources }
+   *                     fieldSources: canonical field -> path it was read from
    */
-  normalize(rawEvent) {
+  normalize(rawEvent, context = {}) {
     const errors = [];
     const warnings = [];
     const normalized = {};
+    const fieldSources = {};
+
+    // Extract a field and record which alias it was resolved from
+    const extract = (obj, canonicalName, mappings, prefix = '') => {
+      const found = this.findField(obj, canonicalName, mappings);
+      if (!found) {
+        return null;
+      }
+      fieldSources[canonicalName] = `${prefix}${found.alias}`;
+      return found.value;
+    };
 
     try {
-      // Extract and validate client_id
-      const clientId = this.extractField(rawEvent, 'client_id');
+      // Extract and validate client_id (global mappings: it identifies the client)
+      const clientId = extract(rawEvent, 'client_id', this.fieldMappings);
       if (!clientId) {
         errors.push('Missing required field: client_id (or equivalent)');
       } else {
         normalized.client_id = String(clientId);
       }
 
+      // Client-specific mappings take precedence over global ones
+      const mappings = this.resolveMappings(normalized.client_id);
+
       // Extract payload (handle nested structure)
       const payload = rawEvent.payload || rawEvent;
+      const payloadPrefix = rawEvent.payload ? 'payload.' : '';
 
       // Extract and validate metric
-      const metric = this.extractField(payload, 'metric');
+      const metric = extract(payload, 'metric', mappings, payloadPrefix);
       if (!metric) {
         errors.push('Missing required field: metric (or equivalent)');
       } else {
         normalized.metric = String(metric);
       }
 
-      // Extract and validate amount (with type coercion)
-      const amount = this.extractField(payload, 'amount');
+      // Extract and validate amount (with type coercion; units may surround the number)
+      const amount = extract(payload, 'amount', mappings, payloadPrefix);
+      let amountUnits = [];
+      const amountWarnings = [];
       if (amount === null || amount === undefined) {
         errors.push('Missing required field: amount (or equivalent)');
       } else {
-        const parsedAmount = this.parseNumber(amount);
-        if (parsedAmount === null) {
-          errors.push(`Invalid amount value: ${amount} (cannot be converted to number)`);
+        const parsedAmount = this.parseAmount(amount, this.resolveNumberFormat(normalized.client_id));
+        if (parsedAmount.error) {
+          errors.push(`Invalid amount value: ${amount} (${parsedAmount.error})`);
         } else {
-          normalized.amount = parsedAmount;
+          normalized.amount = parsedAmount.value;
+          amountUnits = parsedAmount.units;
           if (typeof amount === 'string') {
-            warnings.push(`Amount was provided as string "${amount}", converted to ${parsedAmount}`);
+            const unitText = amountUnits.length === 0 ? '' : ` (unit ${amountUnits.join(' ')})`;
+            amountWarnings.push(`Amount was provided as string "${amount}", converted to ${parsedAmount.value}${unitText}`);
           }
+          amountWarnings.push(...parsedAmount.warnings);
+        }
+      }
+
+      // Extract and validate unit: the currency field, the unit field and
+      // the units around the amount must agree on one
+      const unitSources = [
+        { label: 'Currency field', name: extract(payload, 'currency', mappings, payloadPrefix), currency: true },
+        { label: 'Unit field', name: extract(payload, 'unit', mappings, payloadPrefix) },
+        ...amountUnits.map(name => ({ label: 'Amount unit', name }))
+      ].filter(source => source.name !== null).map(source => ({ ...source, name: String(source.name).trim() }));
+      let agreed = null;
+      normalized.unit = null;
+      for (const source of unitSources) {
+        const candidates = unitCandidates(source.name)
+          .filter(unit => !source.currency || dimensionOf(unit) === 'currency');
+        if (candidates.length === 0) {
+          // A symbol in the wrong case is refused, not guessed (see units.js)
+          const otherCase = symbolsInOtherCase(source.name);
+          const caseNote = otherCase.length > 0
+            ? `unit symbols are case-sensitive, the catalog has ${otherCase.join(', ')}`
+            : null;
+          errors.push(source.label === 'Amount unit'
+            ? `Invalid amount value: ${amount} (${source.name} is not a number or a known unit${caseNote ? `; ${caseNote}` : ''})`
+            : `Unknown ${source.currency ? 'currency' : 'unit'}: ${source.name}${caseNote ? ` (${caseNote})` : ''}`);
+          agreed = null;
+          break;
+        }
+        const common = agreed === null ? candidates : agreed.units.filter(unit => candidates.includes(unit));
+        if (common.length === 0) {
+          errors.push(`${source.label} ${source.name} conflicts with ${agreed.source.label.toLowerCase()} ${agreed.source.name}`);
+          agreed = null;
+          break;
+        }
+        agreed = { source: agreed === null ? source : agreed.source, units: common };
+      }
+      // Only a conversion whose units are accepted is reported as one
+      // ("12abc" is an invalid amount, not "converted to 12 (unit abc)")
+      if (unitSources.length === 0 || agreed !== null) {
+        warnings.push(...amountWarnings);
+      }
+      if (agreed !== null) {
+        normalized.unit = agreed.units[0];
+        if (agreed.units.length > 1) {
+          warnings.push(
+            `Currency sign ${agreed.source.name} read as ${agreed.units[0]} ` +
+            `(also used for ${agreed.units.slice(1).join(', ')}; give a currency field for those)`
+          );
         }
       }
 
       // Extract and validate timestamp (with format normalization)
-      const timestamp = this.extractField(payload, 'timestamp');
+      const timestamp = extract(payload, 'timestamp', mappings, payloadPrefix);
       if (!timestamp) {
-        // Use current timestamp as fallback
-        normalized.timestamp = new Date().toISOString();
-        warnings.push('Missing timestamp field, using current time as fallback');
+        // Use receipt time as fallback (stable when an event is reprocessed)
+        if (context.receivedAt) {
+          normalized.timestamp = context.receivedAt;
+          warnings.push('Missing timestamp field, using receipt time as fallback');
+        } else {
+          normalized.timestamp = new Date().toISOString();
+          warnings.push('Missing timestamp field, using current time as fallback');
+        }
       } else {
         const parsedTimestamp = this.parseTimestamp(timestamp);
         if (!parsedTimestamp) {
@@ -106,31 +236,90 @@ class Normalizer {
         }
       }
 
-      // Check for unknown fields (log but don't fail)
-      const knownFields = new Set(['source', 'client', 'client_id', 'clientId', 'sender', 'payload']);
-      const payloadKnownFields = new Set(['metric', 'type', 'event_type', 'eventType', 'name', 
-                                           'amount', 'value', 'quantity', 'total', 'sum',
-                                           'timestamp', 'time', 'date', 'created_at', 'createdAt', 'event_time']);
+      // Unknown fields are kept as tags (log but don't fail)
+      const knownFields = new Set([...mappings.client_id, 'payload', 'event_id', 'tags']);
+      const payloadKnownFields = new Set([...Normalizer.MAPPABLE_FIELDS.flatMap(field => mappings[field]), 'tags']);
+      const isFlat = payload === rawEvent;
+      const tags = {};
+
+      const keepTag = (key, value, location) => {
+        if (!isTagValue(value)) {
+          warnings.push(`Unknown field ${location}: ${key} (not kept as tag: not a scalar value)`);
+        } else if (!isValidTagKey(key)) {
+          warnings.push(`Unknown field ${location}: ${key} (not kept as tag: invalid tag name)`);
+        } else if (Object.keys(tags).length >= MAX_TAGS && !(key in tags)) {
+          warnings.push(`Unknown field ${location}: ${key} (not kept as tag: more than ${MAX_TAGS} tags)`);
+        } else {
+          tags[key] = String(value).trim();
+          warnings.push(`Unknown field ${location}: ${key} (kept as tag)`);
+        }
+      };
       
       Object.keys(rawEvent).forEach(key => {
-        if (!knownFields.has(key)) {
-          warnings.push(`Unknown field at root level: ${key}`);
+        if (!knownFields.has(key) && !(isFlat && payloadKnownFields.has(key))) {
+          keepTag(key, rawEvent[key], 'at root level');
         }
       });
       
-      Object.keys(payload).forEach(key => {
-        if (!payloadKnownFields.has(key)) {
-          warnings.push(`Unknown field in payload: ${key}`);
+      if (!isFlat) {
+        Object.keys(payload).forEach(key => {
+          if (!payloadKnownFields.has(key)) {
+            keepTag(key, payload[key], 'in payload');
+          }
+        });
+      }
+
+      // Explicit tag objects win over unknown fields of the same name
+      [rawEvent.tags, isFlat ? null : payload.tags].forEach(explicitTags => {
+        if (explicitTags && typeof explicitTags === 'object' && !Array.isArray(explicitTags)) {
+          Object.keys(explicitTags).forEach(key => {
+            if (isValidTagKey(key) && isTagValue(explicitTags[key])) {
+              tags[key] = String(explicitTags[key]).trim();
+            } else {
+              warnings.push(`Tag not kept: ${key} (invalid name or not a scalar value)`);
+            }
+          });
         }
       });
 
+      normalized.tags = tags;
+
+      // Amount in the metric's canonical unit
+      if (errors.length === 0 && this.units) {
+        const conversion = this.units.convert(normalized);
+        errors.push(...conversion.errors);
+        warnings.push(...conversion.warnings);
+        normalized.amount = conversion.amount;
+        normalized.unit = conversion.unit;
+        normalized.original_amount = conversion.original_amount;
+        normalized.original_unit = conversion.original_unit;
+      }
+
+      // GHG scope from the classification rules
+      if (errors.length === 0 && this.classifier) {
+        const classification = this.classifier.classify(normalized);
+        normalized.scope = classification.scope;
+        normalized.scope3_category = classification.scope3_category;
+        normalized.classification_rule_id = classification.classification_rule_id;
+        warnings.push(...classification.warnings);
+      }
+
+      // CO2e from the emission factor valid at the event's time
+      if (errors.length === 0 && this.emissionFactors) {
+        const emissions = this.emissionFactors.calculate(normalized);
+        normalized.co2e_kg = emissions.co2e_kg;
+        normalized.emission_factor_id = emissions.emission_factor_id;
+        warnings.push(...emissions.warnings);
+      }
+
       // Return result
       if (errors.length > 0) {
         return {
           success: false,
           data: null,
           errors,
-          warnings
+          warnings,
+          fieldSources
         };
       }
 
@@ -138,7 +327,8 @@ class Normalizer {
         success: true,
         data: normalized,
         errors: [],
-        warnings
+        warnings,
+        fieldSources
       };
 
     } catch (error) {
@@ -146,20 +336,80 @@ class Normalizer {
         success: false,
         data: null,
         errors: [`Normalization exception: ${error.message}`],
-        warnings
+        warnings,
+        fieldSources
       };
     }
   }
 
+  /**
+   * Resolve the effective field mappings for a client
+   * 
+   * Per canonical field: the client's aliases first, then the global ones,
+   * minus aliases the client excludes or maps to a different field
+   * (so one client's "name" is never read as another field for it)
+   * 
+   * @param {string} clientId - Detected client ID
+   * @returns {Object} - { canonicalField: [aliases in lookup order] }
+   */
+  resolveMappings(clientId) {
+    if (!this.mappingRegistry || !clientId) {
+      return this.fieldMappings;
+    }
+
+    const { include, exclude } = this.mappingRegistry.getClientMappings(clientId);
+
+    const claimedBy = new Map();
+    Object.keys(include).forEach(field => {
+      include[field].forEach(alias => claimedBy.set(alias, field));
+    });
+
+    const resolved = {};
+    Object.keys(this.fieldMappings).forEach(field => {
+      const clientAliases = include[field] || [];
+      const excluded = exclude[field] || [];
+      const globalAliases = this.fieldMappings[field].filter(alias =>
+        !excluded.includes(alias) &&
+        !clientAliases.includes(alias) &&
+        (!claimedBy.has(alias) || claimedBy.get(alias) === field)
+      );
+      resolved[field] = [...clientAliases, ...globalAliases];
+    });
+
+    return resolved;
+  }
+
+  /**
+   * The number format of a client
+   * @returns {Object|null} - { decimal_separator, grouping_separator }, or
+   *                          null for the default format
+   */
+  resolveNumberFormat(clientId) {
+    if (!this.numberFormats || !clientId) {
+      return null;
+    }
+
+    return this.numberFormats.getFormat(clientId);
+  }
+
   /**
    * Extract field using multiple possible field names
    */
-  extractField(obj, canonicalName) {
-    const possibleNames = this.fieldMappings[canonicalName] || [canonicalName];
+  extractField(obj, canonicalName, mappings = this.fieldMappings) {
+    const found = this.findField(obj, canonicalName, mappings);
+    return found ? found.value : null;
+  }
+
+  /**
+   * Find the first alias present for a canonical field
+   * @returns {Object|null} - { alias, value } or null
+   */
+  findField(obj, canonicalName, mappings = this.fieldMappings) {
+    const possibleNames = mappings[canonicalName] || [canonicalName];
     
     for (const name of possibleNames) {
       if (obj && obj[name] !== undefined && obj[name] !== null && obj[name] !== '') {
-        return obj[name];
+        return { alias: name, value: obj[name] };
       }
     }
     
@@ -167,21 +417,80 @@ class Normalizer {
   }
 
   /**
-   * Parse number from various formats
+   * Parse an amount: a number, or a string with a number in the client's
+   * number format, an optional currency sign or code before it and an
+   * optional unit after it ("12", "1,200.5 kg", "3.5MWh", "€350", "-$20",
+   * "USD 1,200.00", "350 EUR"); parentheses make it negative ("(500)") and a
+   * percent sign a fraction ("12.5%" is 0.125)
+   *
+   * @param {*} value - Amount as given
+   * @param {Object|null} format - Client's number format (null: default)
+   * @returns {Object} - { value, units (texts as given, before the number
+   *                     first), warnings, error } - error set (and value
+   *                     null) if there is no number
+   */
+  parseAmount(value, format = null) {
+    const invalid = error => ({ value: null, units: [], warnings: [], error });
+
+    if (typeof value !== 'string') {
+      const number = this.parseNumber(value, format);
+      return number.error ? invalid(number.error) : { value: number.value, units: [], warnings: [], error: null };
+    }
+
+    let text = value.trim();
+    const accounting = text.match(ACCOUNTING_PATTERN);
+    if (accounting) {
+      text = `${accounting[1]}${accounting[2]}${accounting[3]}`.trim();
+    }
+
+    const match = text.match(AMOUNT_PATTERN);
+    if (!match || (match[1] && match[3]) || (accounting && (match[1] || match[3]))) {
+      return invalid('cannot be converted to number');
+    }
+
+    const [, sign, before, innerSign, numberText, percent, after] = match;
+    const number = this.parseNumber(numberText, format);
+    if (number.error) {
+      return invalid(number.error);
+    }
+
+    const negative = Boolean(accounting) || (sign || innerSign) === '-';
+    let amount = negative ? -number.value : number.value;
+    const warnings = number.warning ? [number.warning] : [];
+
+    if (percent) {
+      amount = Number((amount / 100).toPrecision(PERCENT_PRECISION));
+      warnings.push(`Percentage ${numberText}% read as ${amount}`);
+    }
+
+    return {
+      value: amount,
+      units: [before, after].filter(unit => unit !== undefined && unit !== ''),
+      warnings,
+      error: null
+    };
+  }
+
+  /**
+   * Parse a number: a JSON number, or text in the client's number format
+   * (no sign, unit or trailing text: "12abc" is not a number)
+   *
+   * @param {*} value - Number or string
+   * @param {Object|null} format - Client's number format (null: default)
+   * @returns {Object} - { value, error, warning } - value null on error
    */
-  parseNumber(value) {
+  parseNumber(value, format = null) {
     if (typeof value === 'number') {
-      return isNaN(value) ? null : value;
+      return isFinite(value)
+        ? { value, error: null, warning: null }
+        : { value: null, error: 'not a finite number', warning: null };
     }
-    
+
     if (typeof value === 'string') {
-      // Remove common formatting characters
-      const cleaned = value.replace(/[,$]/g, '').trim();
-      const parsed = parseFloat(cleaned);
-      return isNaN(parsed) ? null : parsed;
+      return parseNumber(value.trim(), format);
     }
-    
-    return null;
+
+    return { value: null, error: 'cannot be converted to number', warning: null };
   }
 
   /**
@@ -220,7 +529,8 @@ class Normalizer {
   }
 
   /**
-   * Add custom field mapping for specific client
+   * Add a global field mapping (in memory, applies to every client)
+   * Per-client mappings are persisted through FieldMappingService
    */
   addFieldMapping(canonicalName, fieldName) {
     if (!this.fieldMappings[canonicalName]) {
@@ -232,4 +542,7 @@ class Normalizer {
   }
 }
 
+// Canonical fields that can be mapped per client
+Normalizer.MAPPABLE_FIELDS = ['metric', 'amount', 'unit', 'currency', 'timestamp'];
+
 module.exports = Normalizer;
@@ -0,0 +1,174 @@
+/**
+ * Number Formats
+ *
+ * Reading numbers written for people ("1,200.50", "1.200,50", "1 200",
+ * "1.2e3") with a client's decimal and grouping separators. Used by the
+ * Normalizer for amounts given as text and by NumberFormatService
+ * (per-client formats).
+ *
+ * Design Decisions:
+ * - A number must match the format as a whole: groups have 3 digits (or
+ *   2, Indian style, before the last 3: "12,34,567"), and text the format
+ *   can't read is an error, never a truncated number
+ * - A number past the double range ("1e400") is an error too: Infinity
+ *   would turn every sum it is part of into Infinity
+ * - Without a client format the default one applies (decimal point, comma
+ *   grouping); a number other formats read differently ("1,200", "1.200")
+ *   gets a warning naming them, so the client's format can be set
+ * - Grouping by space accepts any space (no-break and narrow no-break
+ *   spaces too), grouping by apostrophe the right single quote too (de-CH)
+ */
+
+const DECIMAL_SEPARATORS = ['.', ','];
+
+// '' means no grouping
+const GROUPING_SEPARATORS = [',', '.', ' ', "'", ''];
+
+const DEFAULT_NUMBER_FORMAT = { decimal_separator: '.', grouping_separator: ',' };
+
+// Separator -> regex source of the characters written for it
+const SEPARATOR_PATTERNS = {
+  '.': '\\.',
+  ',': ',',
+  ' ': '[ \\u00a0\\u2009\\u202f]',
+  "'": "['\\u2019]"
+};
+
+// Locale separators -> the separator they are written for
+const LOCALE_SEPARATORS = {
+  '\u00a0': ' ',
+  '\u202f': ' ',
+  '\u2019': "'"
+};
+
+// Formats tried to explain a number the expected format doesn't read
+const OTHER_FORMATS = [
+  { decimal_separator: '.', grouping_separator: ',' },
+  { decimal_separator: ',', grouping_separator: '.' },
+  { decimal_separator: '.', grouping_separator: ' ' },
+  { decimal_separator: ',', grouping_separator: ' ' },
+  { decimal_separator: '.', grouping_separator: "'" }
+];
+
+const patterns = new Map();
+
+/**
+ * Anchored regex for a number in a format: integer part, decimals and
+ * exponent captured
+ */
+function numberPattern(format) {
+  const key = `${format.decimal_separator}|${format.grouping_separator}`;
+
+  if (!patterns.has(key)) {
+    const decimal = SEPARATOR_PATTERNS[format.decimal_separator];
+    const group = SEPARATOR_PATTERNS[format.grouping_separator];
+    const integer = group
+      ? `\\d+|[1-9]\\d{0,2}(?:${group}\\d{3})+|[1-9]\\d?(?:${group}\\d{2})+${group}\\d{3}`
+      : '\\d+';
+    patterns.set(key, new RegExp(`^(?:(${integer})(?:${decimal}(\\d+))?|${decimal}(\\d+))(?:[eE]([-+]?\\d+))?$`));
+  }
+
+  return patterns.get(key);
+}
+
+/**
+ * Value of a number written in a format (no sign)
+ * @returns {number|null} - Value (Infinity past the double range), or
+ *                          null if the format doesn't read it
+ */
+function readNumber(text, format) {
+  const match = String(text).trim().match(numberPattern(format));
+
+  if (!match) {
+    return null;
+  }
+
+  const [, integer, decimals, onlyDecimals, exponent] = match;
+  const digits = `${(integer || '0').replace(/\D/g, '')}.${decimals || onlyDecimals || '0'}`;
+
+  return Number(`${digits}e${exponent || 0}`);
+}
+
+/**
+ * Parse a number written in a client's format (no sign)
+ *
+ * @param {string} text - The number
+ * @param {Object|null} format - { decimal_separator, grouping_separator },
+ *                               null for the default format
+ * @returns {Object} - { value (null if unreadable), error, warning }
+ */
+function parseNumber(text, format = null) {
+  const expected = format || DEFAULT_NUMBER_FORMAT;
+  const value = readNumber(text, expected);
+
+  if (value !== null && !Number.isFinite(value)) {
+    return { value: null, error: `"${text}" is too large a number`, warning: null };
+  }
+
+  const other = OTHER_FORMATS
+    .map(candidate => ({ format: candidate, value: readNumber(text, candidate) }))
+    .find(candidate => candidate.value !== null && Number.isFinite(candidate.value) && candidate.value !== value);
+
+  if (value === null) {
+    return {
+      value: null,
+      error: `"${text}" is not a number with ${describeFormat(expected)}` +
+        (other ? `; with ${describeFormat(other.format)} it is ${other.value}` : ''),
+      warning: null
+    };
+  }
+
+  if (!format && other) {
+    return {
+      value,
+      error: null,
+      warning: `Number "${text}" read as ${value} (${describeFormat(expected)}); with ` +
+        `${describeFormat(other.format)} it is ${other.value}: set the client's number format`
+    };
+  }
+
+  return { value, error: null, warning: null };
+}
+
+/**
+ * Decimal and grouping separators of a locale ("de-DE")
+ * @returns {Object|null} - Format, or null if the locale isn't supported
+ */
+function localeFormat(locale) {
+  let parts;
+  try {
+    if (Intl.NumberFormat.supportedLocalesOf([locale]).length === 0) {
+      return null;
+    }
+    parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  } catch (error) {
+    return null;
+  }
+
+  const separator = type => {
+    const part = parts.find(candidate => candidate.type === type);
+    return part ? LOCALE_SEPARATORS[part.value] || part.value : '';
+  };
+  const format = { decimal_separator: separator('decimal'), grouping_separator: separator('group') };
+
+  return DECIMAL_SEPARATORS.includes(format.decimal_separator) &&
+    GROUPING_SEPARATORS.includes(format.grouping_separator) ? format : null;
+}
+
+/**
+ * A format in words, for messages
+ */
+function describeFormat(format) {
+  const grouping = format.grouping_separator === '' ? 'no grouping' : `grouping "${format.grouping_separator}"`;
+  return `decimal "${format.decimal_separator}" and ${grouping}`;
+}
+
+module.exports = {
+  DECIMAL_SEPARATORS,
+  GROUPING_SEPARATORS,
+  DEFAULT_NUMBER_FORMAT,
+  readNumber,
+  parseNumber,
+  localeFormat,
+  describeFormat
+};
@@ -0,0 +1,176 @@
+/**
+ * Keyset Pagination
+ *
+ * Cursor pagination for listings (events, failed events): a page is the
+ * next `limit` rows after (or before) the row a cursor points at, in a
+ * chosen sort.
+ *
+ * A cursor is an opaque base64url token holding the sort, order,
+ * direction and the boundary row's sort value and id.
+ *
+ * Design Decisions:
+ * - Keyset rather than OFFSET: page N costs the same as page 1, and rows
+ *   inserted while paging don't shift later pages
+ * - The row id breaks ties, so rows with equal sort values are neither
+ *   skipped nor repeated across pages
+ * - A cursor only works with the sort and order it was issued for; a
+ *   mismatch is a client error rather than a silently different listing
+ * - Services validate sort names; repositories map them to columns, so
+ *   request values never reach the SQL. A sort name is also the field
+ *   holding the sort value in each returned row
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const ORDERS = ['asc', 'desc'];
+
+// Sorts offered by the event listings and exports (event time, ingest
+// time, amount) and the failed event listing
+const EVENT_SORTS = ['timestamp', 'created_at', 'amount'];
+const FAILED_EVENT_SORTS = ['failed_at', 'last_attempt_at', 'attempts'];
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const data = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (data && typeof data === 'object' && ['next', 'prev'].includes(data.d) && Number.isInteger(data.id)) {
+      return data;
+    }
+  } catch (error) {
+    // Falls through to null
+  }
+  return null;
+}
+
+/**
+ * Validate page parameters (query string values)
+ *
+ * @param {Object} params - { limit, cursor, sort, order, include_total }
+ * @param {Array} sorts - Allowed sort names
+ * @param {string} defaultSort - Sort used when none is given
+ * @returns {Object} - { errors, page: { limit, sort, order, cursor,
+ *                     includeTotal } }
+ */
+function parsePageParams(params = {}, sorts, defaultSort) {
+  const errors = [];
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  const sort = params.sort || defaultSort;
+  const order = params.order || 'desc';
+  let cursor = null;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (!sorts.includes(sort)) {
+    errors.push(`sort must be one of: ${sorts.join(', ')}`);
+  }
+
+  if (!ORDERS.includes(order)) {
+    errors.push(`order must be one of: ${ORDERS.join(', ')}`);
+  }
+
+  if (params.cursor) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      errors.push('Invalid cursor');
+    } else if (cursor.s !== sort || cursor.o !== order) {
+      errors.push(`Cursor was issued for sort=${cursor.s}&order=${cursor.o}; pass the same sort and order`);
+    }
+  }
+
+  return {
+    errors,
+    page: { limit, sort, order, cursor, includeTotal: ['true', true].includes(params.include_total) }
+  };
+}
+
+/**
+ * SQL for one page: extra WHERE condition, ORDER BY and LIMIT
+ *
+ * Pages before a cursor are read in reverse order and flipped back by
+ * buildPage, so both directions use the same index walk.
+ *
+ * @param {Object} page - From parsePageParams
+ * @param {Object} columns - Sort names -> SQL columns
+ * @param {string} idColumn - Tie-breaker column
+ * @returns {Object} - { where, params, orderBy, limit } (limit is one more
+ *                     than the page size, to detect a further page)
+ */
+function keysetQuery(page, columns, idColumn) {
+  const column = columns[page.sort];
+  if (!column) {
+    throw new Error(`Unknown sort: ${page.sort}`);
+  }
+  const backwards = page.cursor !== null && page.cursor.d === 'prev';
+  const ascending = (page.order === 'asc') !== backwards;
+  const direction = ascending ? 'ASC' : 'DESC';
+
+  let where = '';
+  let params = [];
+  if (page.cursor !== null) {
+    where = ` AND (${column}, ${idColumn}) ${ascending ? '>' : '<'} (?, ?)`;
+    params = [page.cursor.v, page.cursor.id];
+  }
+
+  return {
+    where,
+    params,
+    orderBy: `${column} ${direction}, ${idColumn} ${direction}`,
+    limit: page.limit + 1
+  };
+}
+
+/**
+ * Trim a keyset result to the page and work out its cursors
+ *
+ * @param {Array} rows - Rows from a keysetQuery (up to limit + 1)
+ * @param {Object} page - From parsePageParams
+ * @returns {Object} - { rows, pagination: { limit, sort, order,
+ *                     next_cursor, prev_cursor } }
+ */
+function buildPage(rows, page) {
+  const backwards = page.cursor !== null && page.cursor.d === 'prev';
+  const hasMore = rows.length > page.limit;
+  let pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+  if (backwards) {
+    pageRows = pageRows.reverse();
+  }
+
+  const cursorAt = (row, direction) => row ? encodeCursor({
+    s: page.sort,
+    o: page.order,
+    d: direction,
+    v: row[page.sort],
+    id: row.id
+  }) : null;
+
+  // Coming from a cursor, there is a page on the side we came from
+  const hasNext = backwards ? page.cursor !== null : hasMore;
+  const hasPrev = backwards ? hasMore : page.cursor !== null;
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit: page.limit,
+      sort: page.sort,
+      order: page.order,
+      next_cursor: hasNext ? cursorAt(pageRows[pageRows.length - 1], 'next') : null,
+      prev_cursor: hasPrev ? cursorAt(pageRows[0], 'prev') : null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  EVENT_SORTS,
+  FAILED_EVENT_SORTS,
+  parsePageParams,
+  keysetQuery,
+  buildPage
+};
@@ -0,0 +1,72 @@
+/**
+ * Rollups
+ *
+ * Processed events pre-aggregated per client x metric x unit x time bucket
+ * in rollup_hourly and rollup_daily, so the common aggregations don't scan
+ * normalized_events.
+ *
+ * Maintained by RollupStore (storage/rollupStore.js).
+ *
+ * Design Decisions:
+ * - Bucket starts are UTC and compare as strings against canonical ISO
+ *   timestamps (hourly: 2024-01-01T10:00:00.000Z, daily: 2024-01-01)
+ * - total_co2e_kg is SUM(co2e_kg): null when no event in the bucket has
+ *   an emission factor, like the sum over normalized_events
+ * - unit is part of the grain, so amounts in different units land in
+ *   different rows; events without a unit have unit '' (not null, which
+ *   would never conflict in the primary key)
+ */
+
+const ROLLUPS = {
+  hourly: {
+    table: 'rollup_hourly',
+    bucketOf: timestamp => `${timestamp.slice(0, 13)}:00:00.000Z`,
+    bucketSql: "substr(timestamp, 1, 13) || ':00:00.000Z'",
+    nextBucket: bucket => new Date(new Date(bucket).getTime() + 60 * 60 * 1000).toISOString()
+  },
+  daily: {
+    table: 'rollup_daily',
+    bucketOf: timestamp => timestamp.slice(0, 10),
+    bucketSql: 'substr(timestamp, 1, 10)',
+    nextBucket: bucket => new Date(new Date(`${bucket}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000)
+      .toISOString().slice(0, 10)
+  }
+};
+
+// Rollup table key (its grain)
+const ROLLUP_KEY_COLUMNS = ['bucket_start', 'client_id', 'metric', 'unit'];
+
+// Rollup table columns after the key
+const ROLLUP_VALUE_COLUMNS = [
+  'event_count', 'total_amount', 'min_amount', 'max_amount', 'first_event', 'last_event', 'total_co2e_kg'
+];
+
+const ROLLUP_COLUMNS = `
+  COUNT(*) as event_count,
+  SUM(amount) as total_amount,
+  MIN(amount) as min_amount,
+  MAX(amount) as max_amount,
+  MIN(timestamp) as first_event,
+  MAX(timestamp) as last_event,
+  SUM(co2e_kg) as total_co2e_kg
+`;
+
+/**
+ * SQL computing a rollup from scratch, grouped like the rollup table
+ */
+function rollupSourceSql(rollup) {
+  return `
+    SELECT ${rollup.bucketSql} as bucket_start, client_id, metric, COALESCE(unit, '') as unit, ${ROLLUP_COLUMNS}
+    FROM normalized_events
+    WHERE status = 'processed'
+    GROUP BY bucket_start, client_id, metric, COALESCE(unit, '')
+  `;
+}
+
+module.exports = {
+  ROLLUPS,
+  ROLLUP_KEY_COLUMNS,
+  ROLLUP_VALUE_COLUMNS,
+  ROLLUP_COLUMNS,
+  rollupSourceSql
+};
@@ -1,3 +1,18 @@
+const { compileAggregationQuery, MAX_LIMIT } = require('../aggregationQuery');
+const { ROLLUPS } = require('../rollups');
+const { GRANULARITIES, isValidTimeZone, fromWall, bucketWallOf, listBuckets } = require('../timeBuckets');
+const { UNCLASSIFIED, scopeLabel } = require('../ghgScopes');
+const { MIXED_UNITS, findCurrency } = require('../units');
+const ExchangeRateService = require('./exchangeRateService');
+
+// Time-series page size
+const DEFAULT_TIMESERIES_LIMIT = 500;
+const MAX_TIMESERIES_LIMIT = 5000;
+
+const HOUR = 60 * 60 * 1000;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
  * Aggregation Service
  * 
@@ -11,18 +26,28 @@
  * - Aggregations only include successfully processed events
  * - Failed and duplicate events are excluded from aggregations
  * - Results are computed on-demand (can be cached later if needed)
- * - Extensible architecture for adding new aggregation types
+ * - Every aggregation is a query spec compiled by aggregationQuery.js;
+ *   the fixed views below are presets over query()
+ * - Views sum co2e_kg next to amount (total_co2e_kg): null when no event
+ *   in the group has an emission factor
+ * - Amounts of different units are never added up: views report the
+ *   group's unit, and amount sums, averages and extremes are null when
+ *   it is "mixed" (see aggregationQuery.js)
+ * - Every view takes a reporting currency (filters.currency): amounts in
+ *   other currencies are converted at the rates of their dates
  */
 
 class AggregationService {
-  constructor(database) {
-    this.db = database;
+  constructor(storage) {
+    this.storage = storage;
+    this.baseCurrency = ExchangeRateService.baseCurrency();
   }
 
   /**
    * Get aggregated data with optional filtering
    * 
-   * @param {Object} filters - Optional filters (client_id, start_date, end_date)
+   * @param {Object} filters - Optional filters (client_id, start_date,
+   *                           end_date) and reporting currency (currency)
    * @returns {Object} - Aggregated results
    */
   getAggregations(filters = {}) {
@@ -31,219 +56,446 @@ class AggregationService {
       byClient: this.getByClient(filters),
       byMetric: this.getByMetric(filters),
       byDay: this.getByDay(filters),
+      byClientMetric: this.getClientMetricBreakdown(filters),
+      byScope: this.getByScope(filters),
       timeRange: this.getTimeRange(filters)
     };
   }
 
   /**
-   * Get overall summary statistics
+   * Run an aggregation query spec (see aggregationQuery.js)
+   * 
+   * @param {Object} spec - { dimensions, measures, filters, sort, limit,
+   *                        currency }
+   * @returns {Object} - Result with status code
    */
-  getSummary(filters = {}) {
-    let query = `
-      SELECT 
-        COUNT(*) as total_events,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount,
-        MIN(amount) as min_amount,
-        MAX(amount) as max_amount,
-        COUNT(DISTINCT client_id) as unique_clients,
-        COUNT(DISTINCT metric) as unique_metrics
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
+  query(spec = {}) {
+    const compiled = this.compile(spec);
 
-    if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
+    if (compiled.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid aggregation query', errors: compiled.errors };
     }
 
-    if (filters.start_date) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.start_date);
+    const rows = this.storage.events.aggregate(compiled);
+    const truncated = rows.length > compiled.query.limit;
+
+    return {
+      status: 200,
+      success: true,
+      query: compiled.query,
+      source: compiled.source,
+      rows: truncated ? rows.slice(0, compiled.query.limit) : rows,
+      truncated
+    };
+  }
+
+  /**
+   * Compile a spec against the cheapest source that can answer it:
+   * rollup_daily, rollup_hourly, then normalized_events
+   * 
+   * @returns {Object} - Compiled query (see aggregationQuery.js) plus source
+   */
+  compile(spec, options = {}) {
+    options = { baseCurrency: this.baseCurrency, ...options };
+    const compiled = compileAggregationQuery(spec, options);
+
+    if (compiled.errors.length > 0) {
+      return compiled;
     }
 
-    if (filters.end_date) {
-      query += ' AND timestamp <= ?';
-      params.push(filters.end_date);
+    for (const rollup of ['daily', 'hourly']) {
+      const fromRollup = compileAggregationQuery(spec, { ...options, rollup });
+      if (fromRollup.errors.length === 0) {
+        return { ...fromRollup, source: ROLLUPS[rollup].table };
+      }
     }
 
-    const stmt = this.db.prepare(query);
-    return stmt.get(...params);
+    return { ...compiled, source: 'normalized_events' };
   }
 
   /**
-   * Get aggregations grouped by client
+   * Run a preset spec and return its rows (up to MAX_LIMIT unless the preset sets a limit)
    */
-  getByClient(filters = {}) {
-    let query = `
-      SELECT 
-        client_id,
-        COUNT(*) as event_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount,
-        MIN(timestamp) as first_event,
-        MAX(timestamp) as last_event
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
+  runPreset(spec) {
+    const result = this.query({ limit: MAX_LIMIT, ...spec });
+
+    if (!result.success) {
+      throw new Error(`Invalid aggregation preset: ${result.errors.join('; ')}`);
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Convert the classic filters (client_id, start_date, end_date) to query filters
+   */
+  toQueryFilters(filters = {}) {
+    const queryFilters = [];
 
     if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
+      queryFilters.push({ field: 'client_id', op: 'eq', value: filters.client_id });
     }
 
     if (filters.start_date) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.start_date);
+      queryFilters.push({ field: 'timestamp', op: 'gte', value: filters.start_date });
     }
 
     if (filters.end_date) {
-      query += ' AND timestamp <= ?';
-      params.push(filters.end_date);
+      queryFilters.push({ field: 'timestamp', op: 'lte', value: filters.end_date });
     }
 
-    query += ' GROUP BY client_id ORDER BY total_amount DESC';
+    return queryFilters;
+  }
 
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
+  /**
+   * The classic filters and reporting currency as spec fields
+   */
+  toQuerySpec(filters = {}) {
+    return { filters: this.toQueryFilters(filters), currency: filters.currency };
+  }
+
+  /**
+   * Get overall summary statistics
+   */
+  getSummary(filters = {}) {
+    return this.runPreset({
+      measures: [
+        { fn: 'count', as: 'total_events' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'avg', as: 'avg_amount' },
+        { fn: 'min', as: 'min_amount' },
+        { fn: 'max', as: 'max_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' },
+        { fn: 'count_distinct', field: 'client_id', as: 'unique_clients' },
+        { fn: 'count_distinct', field: 'metric', as: 'unique_metrics' }
+      ],
+      ...this.toQuerySpec(filters)
+    })[0];
+  }
+
+  /**
+   * Get aggregations grouped by client
+   */
+  getByClient(filters = {}) {
+    return this.runPreset({
+      dimensions: ['client_id'],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'avg', as: 'avg_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' },
+        { fn: 'min', field: 'timestamp', as: 'first_event' },
+        { fn: 'max', field: 'timestamp', as: 'last_event' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'total_amount', dir: 'desc' }]
+    });
   }
 
   /**
    * Get aggregations grouped by metric type
    */
   getByMetric(filters = {}) {
-    let query = `
-      SELECT 
-        metric,
-        COUNT(*) as event_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
+    return this.runPreset({
+      dimensions: ['metric'],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'avg', as: 'avg_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'total_amount', dir: 'desc' }]
+    });
+  }
 
-    if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
+  /**
+   * Get aggregations grouped by day
+   */
+  getByDay(filters = {}) {
+    return this.runPreset({
+      dimensions: [{ field: 'day', as: 'date' }],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'avg', as: 'avg_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'date', dir: 'desc' }],
+      limit: 30
+    });
+  }
+
+  /**
+   * Get a zero-filled time series in a timezone
+   * 
+   * Events are summed per UTC hour (from rollup_hourly when the bounds
+   * allow) or, for timezones with partial-hour offsets, per 15-minute
+   * slot in SQL, then folded into local buckets (see timeBuckets.js). Date-only start_date /
+   * end_date are whole local days; without them the series spans the data.
+   * 
+   * @param {Object} params - { granularity, tz, start_date, end_date,
+   *                            client_id, metric, tags, currency, cursor,
+   *                            limit }
+   * @returns {Object} - Result with status code; buckets of one page and
+   *                     next_cursor (pass as cursor for the next page)
+   */
+  getTimeseries(params = {}) {
+    const granularity = params.granularity || 'day';
+    const timeZone = params.tz || 'UTC';
+    const limit = params.limit === undefined ? DEFAULT_TIMESERIES_LIMIT : Number(params.limit);
+    const errors = [];
+
+    if (!GRANULARITIES.includes(granularity)) {
+      errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
     }
 
-    if (filters.start_date) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.start_date);
+    if (!isValidTimeZone(timeZone)) {
+      errors.push(`Unknown timezone: ${timeZone}`);
     }
 
-    if (filters.end_date) {
-      query += ' AND timestamp <= ?';
-      params.push(filters.end_date);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TIMESERIES_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_TIMESERIES_LIMIT}`);
     }
 
-    query += ' GROUP BY metric ORDER BY total_amount DESC';
+    if (params.currency && !findCurrency(params.currency)) {
+      errors.push(`Unknown currency: ${params.currency}`);
+    }
 
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
-  }
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid time series query', errors };
+    }
 
-  /**
-   * Get aggregations grouped by day
-   */
-  getByDay(filters = {}) {
-    let query = `
-      SELECT 
-        DATE(timestamp) as date,
-        COUNT(*) as event_count,
-        SUM(amount) as total_amount,
-        AVG(amount) as avg_amount
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
+    const parseBound = (value, name, isEnd) => {
+      if (!value) {
+        return null;
+      }
+      if (DATE_ONLY_PATTERN.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        const wall = Date.UTC(year, month - 1, day + (isEnd ? 1 : 0));
+        return fromWall(wall, timeZone) - (isEnd ? 1 : 0);
+      }
+      const instant = new Date(value).getTime();
+      if (isNaN(instant)) {
+        errors.push(`Invalid ${name}: ${value}`);
+      }
+      return instant;
+    };
 
-    if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
+    const filters = [];
+    ['client_id', 'metric'].forEach(field => {
+      if (params[field]) {
+        filters.push({ field, op: 'eq', value: params[field] });
+      }
+    });
+    Object.keys(params.tags || {}).forEach(key => {
+      filters.push({ field: `tag.${key}`, op: 'eq', value: params.tags[key] });
+    });
+
+    const startDate = parseBound(params.start_date, 'start_date', false);
+    const endDate = parseBound(params.end_date, 'end_date', true);
+    let from = startDate;
+    let to = endDate;
+    const cursor = parseBound(params.cursor, 'cursor', false);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid time series query', errors };
     }
 
-    if (filters.start_date) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.start_date);
+    // Open ends default to the data's time range
+    if (from === null || to === null) {
+      const range = this.query({
+        measures: [
+          { fn: 'min', field: 'timestamp', as: 'earliest' },
+          { fn: 'max', field: 'timestamp', as: 'latest' }
+        ],
+        filters
+      });
+
+      if (!range.success) {
+        return { ...range, message: 'Invalid time series query' };
+      }
+
+      const { earliest, latest } = range.rows[0];
+      from = from === null && earliest ? new Date(earliest).getTime() : from;
+      to = to === null && latest ? new Date(latest).getTime() : to;
     }
 
-    if (filters.end_date) {
-      query += ' AND timestamp <= ?';
-      params.push(filters.end_date);
+    const response = {
+      status: 200,
+      success: true,
+      granularity,
+      tz: timeZone,
+      currency: params.currency ? findCurrency(params.currency) : null,
+      start_date: from === null ? null : new Date(from).toISOString(),
+      end_date: to === null ? null : new Date(to).toISOString(),
+      source: null,
+      buckets: [],
+      next_cursor: null
+    };
+
+    if (from === null || to === null || from > to) {
+      return response;
     }
 
-    query += ' GROUP BY DATE(timestamp) ORDER BY date DESC LIMIT 30';
+    const page = listBuckets(cursor === null ? from : Math.max(cursor, from), to, granularity, timeZone, limit);
 
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
+    if (page.buckets.length === 0) {
+      return response;
+    }
+
+    // Bounds derived from the data need no clamping: keep them on bucket
+    // edges so whole-hour timezones can be answered from rollup_hourly
+    const lastBucket = page.buckets[page.buckets.length - 1];
+    const pageStart = startDate === null ? page.buckets[0].start : Math.max(page.buckets[0].start, startDate);
+    const pageEnd = endDate === null ? lastBucket.end - 1 : Math.min(lastBucket.end - 1, endDate);
+    const wholeHours = page.buckets.every(bucket => bucket.start % HOUR === 0 && bucket.end % HOUR === 0);
+
+    const compiled = this.compile({
+      dimensions: [{ field: wholeHours ? 'hour' : 'quarter_hour', as: 'slot' }],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'min', as: 'min_amount' },
+        { fn: 'max', as: 'max_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      filters: [
+        ...filters,
+        { field: 'timestamp', op: 'between', value: [new Date(pageStart).toISOString(), new Date(pageEnd).toISOString()] }
+      ],
+      currency: response.currency
+    }, { unbounded: true });
+
+    if (compiled.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid time series query', errors: compiled.errors };
+    }
+
+    const byWall = new Map(page.buckets.map(bucket => [bucket.wall, {
+      bucket: bucket.label,
+      start: new Date(bucket.start).toISOString(),
+      end: new Date(bucket.end).toISOString(),
+      event_count: 0,
+      unit: null,
+      total_amount: 0,
+      avg_amount: null,
+      min_amount: null,
+      max_amount: null,
+      total_co2e_kg: null
+    }]));
+
+    this.storage.events.aggregate(compiled).forEach(slot => {
+      const bucket = byWall.get(bucketWallOf(new Date(slot.slot).getTime(), granularity, timeZone));
+      if (!bucket) {
+        return;
+      }
+      // Slots in different units make the bucket's amounts mixed (null)
+      const mixed = slot.unit === MIXED_UNITS || (bucket.event_count > 0 && slot.unit !== bucket.unit);
+      bucket.unit = mixed ? MIXED_UNITS : slot.unit;
+      bucket.event_count += slot.event_count;
+      if (mixed) {
+        bucket.total_amount = null;
+        bucket.min_amount = null;
+        bucket.max_amount = null;
+      } else {
+        bucket.total_amount += slot.total_amount;
+        bucket.min_amount = bucket.min_amount === null ? slot.min_amount : Math.min(bucket.min_amount, slot.min_amount);
+        bucket.max_amount = bucket.max_amount === null ? slot.max_amount : Math.max(bucket.max_amount, slot.max_amount);
+      }
+      if (slot.total_co2e_kg !== null) {
+        bucket.total_co2e_kg = (bucket.total_co2e_kg || 0) + slot.total_co2e_kg;
+      }
+    });
+
+    response.buckets = [...byWall.values()].map(bucket => ({
+      ...bucket,
+      avg_amount: bucket.event_count > 0 && bucket.total_amount !== null ? bucket.total_amount / bucket.event_count : null
+    }));
+    response.source = compiled.source;
+    response.next_cursor = page.next === null ? null : new Date(page.next).toISOString();
+
+    return response;
   }
 
   /**
    * Get time range of data
    */
   getTimeRange(filters = {}) {
-    let query = `
-      SELECT 
-        MIN(timestamp) as earliest_event,
-        MAX(timestamp) as latest_event
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
+    return this.runPreset({
+      measures: [
+        { fn: 'min', field: 'timestamp', as: 'earliest_event' },
+        { fn: 'max', field: 'timestamp', as: 'latest_event' }
+      ],
+      filters: this.toQueryFilters({ client_id: filters.client_id })
+    })[0];
+  }
 
-    if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
-    }
+  /**
+   * Get aggregations grouped by a tag (e.g. region, site)
+   * Events without the tag are grouped under a null tag_value
+   */
+  getByTag(tagKey, filters = {}) {
+    return this.runPreset({
+      dimensions: [{ field: `tag.${tagKey}`, as: 'tag_value' }],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'avg', as: 'avg_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'total_amount', dir: 'desc' }]
+    });
+  }
 
-    const stmt = this.db.prepare(query);
-    return stmt.get(...params);
+  /**
+   * Get aggregations grouped by GHG scope and Scope 3 category
+   * Unclassified events are one group, scope 'unclassified', listed first
+   */
+  getByScope(filters = {}) {
+    return this.runPreset({
+      dimensions: ['scope', 'scope3_category'],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'scope', dir: 'asc' }, { by: 'scope3_category', dir: 'asc' }]
+    }).map(row => ({
+      scope: row.scope || UNCLASSIFIED,
+      scope3_category: row.scope3_category,
+      label: scopeLabel(row.scope, row.scope3_category),
+      event_count: row.event_count,
+      unit: row.unit,
+      total_amount: row.total_amount,
+      total_co2e_kg: row.total_co2e_kg
+    }));
   }
 
   /**
    * Get client-metric breakdown
    */
   getClientMetricBreakdown(filters = {}) {
-    let query = `
-      SELECT 
-        client_id,
-        metric,
-        COUNT(*) as event_count,
-        SUM(amount) as total_amount
-      FROM normalized_events
-      WHERE status = 'processed'
-    `;
-
-    const params = [];
-
-    if (filters.client_id) {
-      query += ' AND client_id = ?';
-      params.push(filters.client_id);
-    }
-
-    if (filters.start_date) {
-      query += ' AND timestamp >= ?';
-      params.push(filters.start_date);
-    }
-
-    if (filters.end_date) {
-      query += ' AND timestamp <= ?';
-      params.push(filters.end_date);
-    }
-
-    query += ' GROUP BY client_id, metric ORDER BY total_amount DESC';
-
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
+    return this.runPreset({
+      dimensions: ['client_id', 'metric'],
+      measures: [
+        { fn: 'count', as: 'event_count' },
+        { fn: 'unit', as: 'unit' },
+        { fn: 'sum', as: 'total_amount' },
+        { fn: 'sum', field: 'co2e_kg', as: 'total_co2e_kg' }
+      ],
+      ...this.toQuerySpec(filters),
+      sort: [{ by: 'total_amount', dir: 'desc' }]
+    });
   }
 }
 
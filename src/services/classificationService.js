@@ -0,0 +1,261 @@
+const { SCOPES, SCOPE3_CATEGORIES, isScope3Category } = require('../ghgScopes');
+const { isValidTagKey } = require('../tags');
+
+/**
+ * Classification Service
+ *
+ * Responsibilities:
+ * - Manage the rules classifying events into GHG Protocol scopes (Scope 1,
+ *   Scope 2 location- / market-based, Scope 3 and its 15 categories)
+ * - Classify a normalized event (the Normalizer calls classify() for every
+ *   event)
+ *
+ * A rule matches on the metric, a tag, or both:
+ * - metric: exact name or a pattern with * ("travel_*"), case-insensitive
+ * - tag_key / tag_value: the event's tag equals the value (case-insensitive),
+ *   e.g. activity_type = business_travel
+ *
+ * Precedence: higher priority first; on equal priority a rule with a tag
+ * condition beats one without, an exact metric beats a pattern, and then
+ * the older rule wins.
+ *
+ * Design Decisions:
+ * - Rules are read from storage on every normalization (no cache), like
+ *   field mappings and emission factors
+ * - An event no rule matches is stored unclassified (scope null) and gets
+ *   a warning, so it shows up in scope breakdowns instead of vanishing
+ * - Rule changes apply to new events; reprocessing reclassifies stored ones
+ */
+
+const RULE_FIELDS = ['metric', 'tag_key', 'tag_value', 'scope', 'scope3_category', 'priority', 'description'];
+
+class ClassificationService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * List rules in the order they are tried
+   */
+  listRules() {
+    return ClassificationService.sortRules(this.storage.classificationRules.listRules());
+  }
+
+  /**
+   * Get a single rule
+   */
+  getRule(ruleId) {
+    return this.storage.classificationRules.getRule(ruleId) || null;
+  }
+
+  /**
+   * Add a rule
+   *
+   * @param {Object} input - { metric, tag_key, tag_value, scope,
+   *                         scope3_category, priority, description }
+   * @returns {Object} - Result with status code
+   */
+  addRule(input = {}) {
+    const rule = this.clean(input);
+    const errors = this.validate(rule);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid classification rule', errors };
+    }
+
+    const duplicate = this.findDuplicate(rule);
+
+    if (duplicate) {
+      return { status: 409, success: false, message: 'A rule with the same conditions exists', ruleId: duplicate.id };
+    }
+
+    const ruleId = this.storage.classificationRules.insertRule(rule);
+
+    return { status: 201, success: true, message: 'Classification rule created', rule: this.getRule(ruleId) };
+  }
+
+  /**
+   * Update a rule (fields not given are kept)
+   */
+  updateRule(ruleId, input = {}) {
+    const existing = this.getRule(ruleId);
+
+    if (!existing) {
+      return { status: 404, success: false, message: 'Classification rule not found' };
+    }
+
+    const rule = this.clean({ ...existing, ...input });
+    const errors = this.validate(rule);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid classification rule', errors };
+    }
+
+    const duplicate = this.findDuplicate(rule, existing.id);
+
+    if (duplicate) {
+      return { status: 409, success: false, message: 'A rule with the same conditions exists', ruleId: duplicate.id };
+    }
+
+    this.storage.classificationRules.updateRule(existing.id, rule);
+
+    return { status: 200, success: true, message: 'Classification rule updated', rule: this.getRule(existing.id) };
+  }
+
+  /**
+   * Delete a rule
+   */
+  deleteRule(ruleId) {
+    if (!this.getRule(ruleId)) {
+      return { status: 404, success: false, message: 'Classification rule not found' };
+    }
+
+    this.storage.classificationRules.deleteRule(ruleId);
+
+    return { status: 200, success: true, message: 'Classification rule deleted' };
+  }
+
+  /**
+   * Classify a normalized event
+   *
+   * @param {Object} event - { metric, tags }
+   * @returns {Object} - { scope, scope3_category, classification_rule_id,
+   *                     warnings } - all null when no rule matches
+   */
+  classify(event) {
+    const rules = this.listRules();
+    const rule = rules.find(candidate => ClassificationService.matches(candidate, event));
+
+    if (!rule) {
+      return {
+        scope: null,
+        scope3_category: null,
+        classification_rule_id: null,
+        warnings: rules.length > 0 ? [`No classification rule matches metric ${event.metric}; event is unclassified`] : []
+      };
+    }
+
+    return {
+      scope: rule.scope,
+      scope3_category: rule.scope3_category,
+      classification_rule_id: rule.id,
+      warnings: []
+    };
+  }
+
+  /**
+   * Another rule with the same conditions
+   */
+  findDuplicate(rule, excludeId = null) {
+    const key = value => (value === null ? null : String(value).toLowerCase());
+
+    return this.storage.classificationRules.listRules().find(other =>
+      other.id !== excludeId &&
+      key(other.metric) === key(rule.metric) &&
+      key(other.tag_key) === key(rule.tag_key) &&
+      key(other.tag_value) === key(rule.tag_value)
+    ) || null;
+  }
+
+  /**
+   * Rule fields from input: strings trimmed, empty optional fields null
+   */
+  clean(input) {
+    const rule = {};
+
+    RULE_FIELDS.forEach(field => {
+      const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      rule[field] = value === undefined || value === '' ? null : value;
+    });
+
+    if (rule.priority === null) {
+      rule.priority = 0;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Validate rule fields
+   * @returns {Array} - Error messages (empty if valid)
+   */
+  validate(rule) {
+    const errors = [];
+
+    if (rule.metric === null && rule.tag_key === null) {
+      errors.push('A rule needs a metric, a tag_key, or both');
+    }
+
+    if (rule.metric !== null && typeof rule.metric !== 'string') {
+      errors.push('metric must be a string (* matches any characters)');
+    }
+
+    if (rule.tag_key !== null && !isValidTagKey(rule.tag_key)) {
+      errors.push('tag_key must be a valid tag name');
+    }
+
+    if ((rule.tag_key === null) !== (rule.tag_value === null)) {
+      errors.push('tag_key and tag_value go together');
+    } else if (rule.tag_value !== null && typeof rule.tag_value !== 'string') {
+      errors.push('tag_value must be a string');
+    }
+
+    if (!SCOPES.includes(rule.scope)) {
+      errors.push(`scope must be one of: ${SCOPES.join(', ')}`);
+    } else if (rule.scope === 'scope_3' && !isScope3Category(rule.scope3_category)) {
+      errors.push(`scope3_category must be a Scope 3 category number (1-${Object.keys(SCOPE3_CATEGORIES).length})`);
+    } else if (rule.scope !== 'scope_3' && rule.scope3_category !== null) {
+      errors.push('scope3_category is only for scope_3');
+    }
+
+    if (!Number.isInteger(rule.priority)) {
+      errors.push('priority must be an integer');
+    }
+
+    if (rule.description !== null && typeof rule.description !== 'string') {
+      errors.push('description must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a rule's conditions against an event
+   */
+  static matches(rule, event) {
+    if (rule.metric !== null && !ClassificationService.metricPattern(rule.metric).test(event.metric)) {
+      return false;
+    }
+
+    if (rule.tag_key !== null) {
+      const value = (event.tags || {})[rule.tag_key];
+      if (value === undefined || value.toLowerCase() !== rule.tag_value.toLowerCase()) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Case-insensitive regex for a metric name or * pattern
+   */
+  static metricPattern(metric) {
+    const source = metric.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Rules in the order they are tried (see module comment)
+   */
+  static sortRules(rules) {
+    const specificity = rule =>
+      (rule.tag_key !== null ? 2 : 0) + (rule.metric !== null && !rule.metric.includes('*') ? 1 : 0);
+
+    return [...rules].sort((a, b) =>
+      b.priority - a.priority || specificity(b) - specificity(a) || a.id - b.id
+    );
+  }
+}
+
+module.exports = ClassificationService;
@@ -0,0 +1,119 @@
+/**
+ * Dedup Policy Service
+ *
+ * Responsibilities:
+ * - Store per-client deduplication policies
+ * - Validate policy changes made through the admin API
+ * - Provide the policy used when hashing a client's events
+ *
+ * Policy fields:
+ * - key_fields: only these fields form the dedup key (e.g. ["txn_id"]);
+ *   null means the whole event body is hashed
+ * - ignored_fields: volatile fields left out of the hash (e.g. "sent_at")
+ * - case_sensitive: keep string case when hashing (default: lowercased)
+ * - window_seconds: identical events further apart than this are
+ *   distinct events; null means no window (deduplicated forever)
+ *
+ * Design Decisions:
+ * - Clients without a policy keep the default content hashing
+ * - Policies are read from storage on every ingest (no cache),
+ *   so admin changes take effect immediately
+ */
+
+class DedupPolicyService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * List all policies
+   */
+  listPolicies() {
+    return this.storage.dedup.listPolicies();
+  }
+
+  /**
+   * Get the policy for a client
+   * @returns {Object|null} - Policy or null (default hashing applies)
+   */
+  getPolicy(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    return this.storage.dedup.getPolicy(clientId);
+  }
+
+  /**
+   * Create or replace the policy for a client
+   *
+   * @param {string} clientId - Client ID
+   * @param {Object} input - { key_fields, ignored_fields, case_sensitive, window_seconds }
+   * @returns {Object} - Result with status code
+   */
+  upsertPolicy(clientId, input = {}) {
+    const errors = this.validate(input);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid dedup policy', errors };
+    }
+
+    const existing = this.getPolicy(clientId);
+
+    this.storage.dedup.savePolicy(clientId, input);
+
+    return {
+      status: existing ? 200 : 201,
+      success: true,
+      message: existing ? 'Dedup policy updated' : 'Dedup policy created',
+      policy: this.getPolicy(clientId)
+    };
+  }
+
+  /**
+   * Delete the policy for a client (back to default hashing)
+   */
+  deletePolicy(clientId) {
+    if (!this.getPolicy(clientId)) {
+      return { status: 404, success: false, message: 'Dedup policy not found' };
+    }
+
+    this.storage.dedup.deletePolicy(clientId);
+
+    return { status: 200, success: true, message: 'Dedup policy deleted' };
+  }
+
+  /**
+   * Validate policy input
+   * @returns {Array} - Error messages (empty if valid)
+   */
+  validate(input) {
+    const errors = [];
+    const isFieldList = (value) => Array.isArray(value) &&
+      value.every(field => typeof field === 'string' && field.trim() !== '');
+
+    if (input.key_fields !== undefined && input.key_fields !== null) {
+      if (!isFieldList(input.key_fields) || input.key_fields.length === 0) {
+        errors.push('key_fields must be a non-empty array of field names (or null)');
+      }
+    }
+
+    if (input.ignored_fields !== undefined && !isFieldList(input.ignored_fields)) {
+      errors.push('ignored_fields must be an array of field names');
+    }
+
+    if (input.case_sensitive !== undefined && typeof input.case_sensitive !== 'boolean') {
+      errors.push('case_sensitive must be a boolean');
+    }
+
+    if (input.window_seconds !== undefined && input.window_seconds !== null) {
+      if (!Number.isInteger(input.window_seconds) || input.window_seconds <= 0) {
+        errors.push('window_seconds must be a positive integer (or null)');
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = DedupPolicyService;
@@ -0,0 +1,390 @@
+const { findUnit, convertAmount } = require('../units');
+
+/**
+ * Emission Factor Service
+ *
+ * Responsibilities:
+ * - Manage the emission factor registry: kgCO2e per unit of an activity
+ *   metric, for a unit, an optional region and an optional validity range
+ * - Compute the CO2e of a normalized event from the factor valid at its
+ *   timestamp (the Normalizer calls calculate() for every event)
+ * - Recalculate stored events after factors change
+ *
+ * Factor selection, for an event's metric and UTC date:
+ * 1. Factors valid on that date (valid_from / valid_to are inclusive
+ *    dates; a missing one is open-ended)
+ * 2. Factors for the event's region (tag "region"), else factors without
+ *    a region
+ * 3. If the event has a unit, factors in that unit, else in a unit it
+ *    converts to (the amount is converted: kWh events, a factor per MWh);
+ *    without one, the factor's unit is assumed, as long as only one unit
+ *    is left
+ *
+ * Design Decisions:
+ * - Factor units come from the unit catalog (units.js), stored by symbol
+ * - Factors of one metric, unit and region must not overlap in time, so
+ *   at most one factor per unit can match an event
+ * - Factors are read from storage on every normalization (no cache), like
+ *   field mappings
+ * - Changing a factor doesn't touch stored events: the response reports
+ *   how many events the change applies to (a COUNT; working out which of
+ *   them would change is the recalculation's scan), and recalculate() (one
+ *   transaction, rollups kept in step) applies it
+ * - An event without a matching factor has co2e_kg null, so it is left out
+ *   of CO2e sums rather than counted as zero
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FACTOR_FIELDS = ['metric', 'unit', 'region', 'valid_from', 'valid_to', 'kg_co2e_per_unit', 'source', 'citation'];
+
+// CO2e is stored rounded to the milligram (6 decimals of kg)
+const CO2E_DECIMALS = 6;
+
+// Upper bound on per-event entries listed in a recalculation report
+const MAX_REPORTED_CHANGES = 1000;
+
+class EmissionFactorService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * List factors
+   * @param {Object} filters - Optional { metric }
+   */
+  listFactors(filters = {}) {
+    return this.storage.factors.listFactors(filters);
+  }
+
+  /**
+   * Get a single factor
+   */
+  getFactor(factorId) {
+    return this.storage.factors.getFactor(factorId) || null;
+  }
+
+  /**
+   * Add a factor
+   *
+   * @param {Object} input - { metric, unit, region, valid_from, valid_to,
+   *                         kg_co2e_per_unit, source, citation }
+   * @returns {Object} - Result with status code; factor and recalculation
+   *                     (events whose CO2e would change)
+   */
+  addFactor(input = {}) {
+    const factor = this.clean(input);
+    const errors = this.validate(factor);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid emission factor', errors };
+    }
+
+    const overlap = this.findOverlap(factor);
+
+    if (overlap) {
+      return this.overlapResult(overlap);
+    }
+
+    const factorId = this.storage.factors.insertFactor(factor);
+
+    return {
+      status: 201,
+      success: true,
+      message: 'Emission factor created',
+      factor: this.getFactor(factorId),
+      recalculation: this.pendingRecalculation([factor])
+    };
+  }
+
+  /**
+   * Update a factor (fields not given are kept)
+   */
+  updateFactor(factorId, input = {}) {
+    const existing = this.getFactor(factorId);
+
+    if (!existing) {
+      return { status: 404, success: false, message: 'Emission factor not found' };
+    }
+
+    const factor = this.clean({ ...existing, ...input });
+    const errors = this.validate(factor);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid emission factor', errors };
+    }
+
+    const overlap = this.findOverlap(factor, existing.id);
+
+    if (overlap) {
+      return this.overlapResult(overlap);
+    }
+
+    this.storage.factors.updateFactor(existing.id, factor);
+
+    return {
+      status: 200,
+      success: true,
+      message: 'Emission factor updated',
+      factor: this.getFactor(existing.id),
+      recalculation: this.pendingRecalculation([existing, factor])
+    };
+  }
+
+  /**
+   * Delete a factor
+   */
+  deleteFactor(factorId) {
+    const existing = this.getFactor(factorId);
+
+    if (!existing) {
+      return { status: 404, success: false, message: 'Emission factor not found' };
+    }
+
+    this.storage.factors.deleteFactor(existing.id);
+
+    return {
+      status: 200,
+      success: true,
+      message: 'Emission factor deleted',
+      recalculation: this.pendingRecalculation([existing])
+    };
+  }
+
+  /**
+   * CO2e of a normalized event
+   *
+   * @param {Object} event - { metric, amount, unit, timestamp, tags }
+   * @param {Array} factors - Optional factors of the event's metric
+   *                          (default: read from storage)
+   * @returns {Object} - { co2e_kg, emission_factor_id, warnings } - both
+   *                     null when no factor applies
+   */
+  calculate(event, factors = this.storage.factors.listFactors({ metric: event.metric })) {
+    const none = { co2e_kg: null, emission_factor_id: null, warnings: [] };
+
+    if (factors.length === 0) {
+      return none;
+    }
+
+    const tags = event.tags || {};
+    const day = event.timestamp.slice(0, 10);
+    const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    const valid = factors.filter(factor =>
+      (factor.valid_from === null || factor.valid_from <= day) &&
+      (factor.valid_to === null || factor.valid_to >= day)
+    );
+    const regional = tags.region ? valid.filter(factor => factor.region !== null && sameText(factor.region, tags.region)) : [];
+    let candidates = regional.length > 0 ? regional : valid.filter(factor => factor.region === null);
+
+    if (event.unit) {
+      const exact = candidates.filter(factor => findUnit(factor.unit) === event.unit);
+      candidates = exact.length > 0
+        ? exact
+        : candidates.filter(factor => convertAmount(1, event.unit, findUnit(factor.unit)) !== null);
+    }
+
+    const described = [
+      `metric ${event.metric}`,
+      tags.region ? `region ${tags.region}` : null,
+      event.unit ? `unit ${event.unit}` : null
+    ].filter(Boolean).join(', ');
+
+    if (candidates.length === 0) {
+      return { ...none, warnings: [`No emission factor for ${described} on ${day}; co2e_kg not calculated`] };
+    }
+
+    if (candidates.length > 1) {
+      const units = candidates.map(factor => factor.unit).join(', ');
+      return {
+        ...none,
+        warnings: [`Emission factors for ${described} on ${day} are in several units (${units}); give the amount's unit`]
+      };
+    }
+
+    const factor = candidates[0];
+    const quantity = event.unit ? convertAmount(event.amount, event.unit, findUnit(factor.unit)) : event.amount;
+
+    return {
+      co2e_kg: EmissionFactorService.round(quantity * factor.kg_co2e_per_unit),
+      emission_factor_id: factor.id,
+      warnings: []
+    };
+  }
+
+  /**
+   * Recompute the CO2e of processed events with the current factors
+   *
+   * @param {Object} filters - Optional filters (metrics: [names], client_id,
+   *                           start_date, end_date on event time)
+   * @param {Object} options - Optional { dryRun } - report without writing
+   * @returns {Object} - Report: scanned, updated, unchanged, changes
+   */
+  recalculate(filters = {}, options = {}) {
+    const events = this.storage.events.listEventsForEmissions(filters);
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      scanned: events.length,
+      updated: 0,
+      unchanged: 0,
+      changes: [],
+      truncated: false
+    };
+    const updates = [];
+    const factorsByMetric = new Map();
+
+    events.forEach(event => {
+      if (!factorsByMetric.has(event.metric)) {
+        factorsByMetric.set(event.metric, this.storage.factors.listFactors({ metric: event.metric }));
+      }
+      const result = this.calculate(event, factorsByMetric.get(event.metric));
+
+      if (result.co2e_kg === event.co2e_kg && result.emission_factor_id === event.emission_factor_id) {
+        report.unchanged++;
+        return;
+      }
+
+      report.updated++;
+      updates.push({ ...event, co2e_kg: result.co2e_kg, emission_factor_id: result.emission_factor_id });
+
+      if (report.changes.length < MAX_REPORTED_CHANGES) {
+        report.changes.push({
+          eventId: event.id,
+          metric: event.metric,
+          timestamp: event.timestamp,
+          co2e_kg: { from: event.co2e_kg, to: result.co2e_kg },
+          emission_factor_id: { from: event.emission_factor_id, to: result.emission_factor_id }
+        });
+      } else {
+        report.truncated = true;
+      }
+    });
+
+    if (!report.dryRun && updates.length > 0) {
+      this.storage.transaction(() => this.storage.events.updateEmissions(updates))();
+    }
+
+    return report;
+  }
+
+  /**
+   * What a recalculation after a factor change would cover: the filters
+   * for the events the changed factors apply to, and how many events
+   * those are
+   *
+   * @param {Array} factors - The factor before and / or after the change
+   * @returns {Object} - { filters, affected }
+   */
+  pendingRecalculation(factors) {
+    const filters = { metrics: [...new Set(factors.map(factor => factor.metric))] };
+
+    if (factors.every(factor => factor.valid_from !== null)) {
+      filters.start_date = factors.map(factor => factor.valid_from).sort()[0];
+    }
+
+    if (factors.every(factor => factor.valid_to !== null)) {
+      filters.end_date = `${factors.map(factor => factor.valid_to).sort().reverse()[0]}T23:59:59.999Z`;
+    }
+
+    return { filters, affected: this.storage.events.countEventsForEmissions(filters) };
+  }
+
+  /**
+   * Another factor of the same metric, unit and region whose validity
+   * overlaps the given one
+   */
+  findOverlap(factor, excludeId = null) {
+    const key = value => (value === null ? '' : value.toLowerCase());
+
+    return this.storage.factors.listFactors({ metric: factor.metric }).find(other =>
+      other.id !== excludeId &&
+      key(other.unit) === key(factor.unit) &&
+      key(other.region) === key(factor.region) &&
+      (other.valid_from === null || factor.valid_to === null || other.valid_from <= factor.valid_to) &&
+      (factor.valid_from === null || other.valid_to === null || factor.valid_from <= other.valid_to)
+    ) || null;
+  }
+
+  overlapResult(overlap) {
+    return {
+      status: 409,
+      success: false,
+      message: 'Emission factor overlaps another factor for the same metric, unit and region',
+      factorId: overlap.id
+    };
+  }
+
+  /**
+   * Factor fields from input: strings trimmed, empty optional fields null,
+   * a known unit by its symbol
+   */
+  clean(input) {
+    const factor = {};
+
+    FACTOR_FIELDS.forEach(field => {
+      const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      factor[field] = value === undefined || value === '' ? null : value;
+    });
+
+    factor.unit = findUnit(factor.unit) || factor.unit;
+
+    return factor;
+  }
+
+  /**
+   * Validate factor fields
+   * @returns {Array} - Error messages (empty if valid)
+   */
+  validate(factor) {
+    const errors = [];
+
+    ['metric', 'unit', 'source'].forEach(field => {
+      if (typeof factor[field] !== 'string') {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    });
+
+    if (typeof factor.unit === 'string' && !findUnit(factor.unit)) {
+      errors.push('unit must be a unit of the catalog (see GET /api/units)');
+    }
+
+    ['region', 'citation'].forEach(field => {
+      if (factor[field] !== null && typeof factor[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+
+    ['valid_from', 'valid_to'].forEach(field => {
+      if (factor[field] !== null && !EmissionFactorService.isDate(factor[field])) {
+        errors.push(`${field} must be a date (YYYY-MM-DD)`);
+      }
+    });
+
+    if (errors.length === 0 && factor.valid_from !== null && factor.valid_to !== null &&
+      factor.valid_from > factor.valid_to) {
+      errors.push('valid_from must not be after valid_to');
+    }
+
+    if (typeof factor.kg_co2e_per_unit !== 'number' || !isFinite(factor.kg_co2e_per_unit) ||
+      factor.kg_co2e_per_unit < 0) {
+      errors.push('kg_co2e_per_unit must be a number >= 0');
+    }
+
+    return errors;
+  }
+
+  static isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+      return false;
+    }
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  static round(value) {
+    return Number(value.toFixed(CO2E_DECIMALS));
+  }
+}
+
+module.exports = EmissionFactorService;
@@ -1,5 +1,12 @@
 const Normalizer = require('../normalizer');
 const IdempotencyHandler = require('../idempotencyHandler');
+const DedupPolicyService = require('./dedupPolicyService');
+const FieldMappingService = require('./fieldMappingService');
+const NumberFormatService = require('./numberFormatService');
+const EmissionFactorService = require('./emissionFactorService');
+const ClassificationService = require('./classificationService');
+const UnitService = require('./unitService');
+const { EVENT_SORTS, FAILED_EVENT_SORTS, parsePageParams, buildPage } = require('../pagination');
 
 /**
  * Event Service
@@ -11,40 +18,200 @@ const IdempotencyHandler = require('../idempotencyHandler');
  * 4. Failure handling
  */
 
+// Upper bound on items per batch request
+const MAX_BATCH_SIZE = 10000;
+
+// Upper bound on client-supplied idempotency key length
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
 class EventService {
-  constructor(database) {
-    this.db = database;
-    this.normalizer = new Normalizer();
+  constructor(storage) {
+    this.storage = storage;
+    this.normalizer = new Normalizer(new FieldMappingService(storage), {
+      numberFormats: new NumberFormatService(storage),
+      units: new UnitService(storage),
+      emissionFactors: new EmissionFactorService(storage),
+      classifier: new ClassificationService(storage)
+    });
+    this.dedupPolicies = new DedupPolicyService(storage);
   }
 
   /**
    * Ingest an event with full fault tolerance
    * 
    * Process:
-   * 1. Generate content hash
-   * 2. Check for duplicates (idempotency)
+   * 1. Resolve dedup key: Idempotency-Key / event_id if present, else content
+   *    hash (shaped by the client's dedup policy, if any)
+   * 2. Check for duplicates (idempotency) and earlier failed attempts
    * 3. Normalize data
    * 4. Persist in transaction (atomicity)
    * 5. Handle failures gracefully
    * 
    * @param {Object} rawEvent - Raw event from client
    * @param {boolean} simulateFailure - Testing flag to simulate DB failure
+   * @param {Object} options - Optional { idempotencyKey, supersede }
    * @returns {Object} - Result with status code and message
    */
-  async ingestEvent(rawEvent, simulateFailure = false) {
-    const eventHash = IdempotencyHandler.generateEventHash(rawEvent);
-    
+  async ingestEvent(rawEvent, simulateFailure = false, options = {}) {
+    const { idempotencyKey, scopedKey, requestHash, contentHash, eventHash } =
+      this.resolveEventHash(rawEvent, options.idempotencyKey);
+
+    // No client-supplied key: content hashing is the dedup key
+    if (!idempotencyKey) {
+      return this.processEvent(rawEvent, eventHash, simulateFailure, contentHash);
+    }
+
+    if (idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return {
+        status: 400,
+        success: false,
+        message: `Idempotency key too long (max ${MAX_IDEMPOTENCY_KEY_LENGTH} characters)`
+      };
+    }
+
+    const stored = this.storage.dedup.getStoredResponse(scopedKey);
+
+    if (stored) {
+      if (stored.request_hash !== requestHash) {
+        // A resubmission may replace the body of a key that never succeeded
+        if (!(options.supersede && stored.response_status === null)) {
+          this.storage.events.logProcessing(
+            eventHash,
+            'ingest',
+            'rejected',
+            'Idempotency key reused with a different request body'
+          );
+
+          return {
+            status: 422,
+            success: false,
+            message: 'Idempotency key was already used with a different request body',
+            idempotencyKey,
+            eventHash
+          };
+        }
+      } else if (stored.response_status !== null) {
+        // Logged as a duplicate: the stats count replays with duplicate requests
+        this.storage.events.logProcessing(eventHash, 'ingest', 'duplicate', 'Stored response replayed');
+        return { ...JSON.parse(stored.response_body), replayed: true };
+      }
+    }
+
+    const result = await this.processEvent(rawEvent, eventHash, simulateFailure, contentHash);
+    const response = { ...result, idempotencyKey };
+
+    IdempotencyHandler.storeResponse(this.storage, scopedKey, eventHash, requestHash, response);
+
+    return response;
+  }
+
+  /**
+   * Resolve the hashes used to deduplicate an event (no writes)
+   * 
+   * @param {Object} rawEvent - Raw event from client
+   * @param {string} headerKey - Idempotency-Key header value, if any
+   * @returns {Object} - { clientId, policy, contentHash, idempotencyKey,
+   *                       scopedKey, requestHash, eventHash }
+   */
+  resolveEventHash(rawEvent, headerKey = null) {
+    const clientId = this.detectClientId(rawEvent);
+    const policy = this.dedupPolicies.getPolicy(clientId);
+    const contentHash = IdempotencyHandler.generateEventHash(rawEvent, policy);
+    const idempotencyKey = IdempotencyHandler.resolveIdempotencyKey(rawEvent, headerKey);
+
+    if (!idempotencyKey) {
+      // A dedup window turns a repeat outside the window into a new event
+      const eventHash = policy && policy.window_seconds
+        ? IdempotencyHandler.resolveWindowedHash(this.storage, contentHash, policy.window_seconds)
+        : contentHash;
+
+      return { clientId, policy, contentHash, idempotencyKey, scopedKey: null, requestHash: null, eventHash };
+    }
+
+    // The key is bound to the full request body, whatever the dedup policy
+    const requestHash = policy ? IdempotencyHandler.generateEventHash(rawEvent) : contentHash;
+    const scopedKey = IdempotencyHandler.scopeIdempotencyKey(idempotencyKey, clientId);
+    const eventHash = IdempotencyHandler.generateKeyHash(scopedKey);
+
+    return { clientId, policy, contentHash, idempotencyKey, scopedKey, requestHash, eventHash };
+  }
+
+  /**
+   * Dry-run an event: normalization and hash computation without persisting
+   * 
+   * Nothing is written (no raw event, no processing log), so it is safe for
+   * trying out a new client's payloads and field mappings.
+   * 
+   * @param {Object} rawEvent - Raw event from client
+   * @param {Object} options - Optional { idempotencyKey }
+   * @returns {Object} - Canonical record, errors, warnings, field sources
+   *                     and the outcome a real ingest would have
+   */
+  validateEvent(rawEvent, options = {}) {
+    if (!rawEvent || typeof rawEvent !== 'object' || Array.isArray(rawEvent)) {
+      return { status: 400, success: false, message: 'Event must be a JSON object' };
+    }
+
+    const hashes = this.resolveEventHash(rawEvent, options.idempotencyKey);
+    const normalizationResult = this.normalizer.normalize(rawEvent);
+    const duplicate = this.storage.dedup.findDuplicate(hashes.eventHash);
+    const priorAttempt = duplicate ? null : this.storage.dedup.findFailedAttempt(hashes.eventHash);
+
+    let keyConflict = false;
+    if (hashes.idempotencyKey) {
+      const stored = this.storage.dedup.getStoredResponse(hashes.scopedKey);
+      keyConflict = Boolean(stored && stored.request_hash !== hashes.requestHash);
+    }
+
+    let outcome;
+    if (keyConflict) {
+      outcome = 'rejected';
+    } else if (duplicate) {
+      outcome = 'duplicate';
+    } else if (!normalizationResult.success) {
+      outcome = 'invalid';
+    } else {
+      outcome = 'created';
+    }
+
+    return {
+      status: 200,
+      success: true,
+      valid: normalizationResult.success,
+      outcome,
+      canonical: normalizationResult.data,
+      errors: normalizationResult.errors,
+      warnings: normalizationResult.warnings,
+      fieldSources: normalizationResult.fieldSources,
+      eventHash: hashes.eventHash,
+      dedupKey: hashes.idempotencyKey ? 'idempotency_key' : 'content_hash',
+      dedupPolicy: hashes.policy ? hashes.policy.client_id : null,
+      wouldBeDuplicate: Boolean(duplicate),
+      firstSeenAt: duplicate ? duplicate.firstSeenAt : null,
+      previousFailedAttempts: priorAttempt ? priorAttempt.attempts : 0
+    };
+  }
+
+  /**
+   * Run the dedup / normalize / persist pipeline for a resolved event hash
+   * 
+   * @param {Object} rawEvent - Raw event from client
+   * @param {string} eventHash - Dedup key (content hash or idempotency key hash)
+   * @param {boolean} simulateFailure - Testing flag to simulate DB failure
+   * @param {string} contentHash - Content hash, stored for dedup windows
+   * @returns {Object} - Result with status code and message
+   */
+  async processEvent(rawEvent, eventHash, simulateFailure = false, contentHash = eventHash) {
     // Log the ingestion attempt
-    IdempotencyHandler.logProcessing(this.db, eventHash, 'ingest', 'started');
+    this.storage.events.logProcessing(eventHash, 'ingest', 'started');
 
     try {
       // STEP 1: Check for duplicate (idempotency)
-      const duplicate = IdempotencyHandler.checkDuplicate(this.db, eventHash);
+      const duplicate = this.storage.dedup.findDuplicate(eventHash);
       
       if (duplicate) {
-        IdempotencyHandler.logProcessing(
-          this.db, 
-          eventHash, 
+        this.storage.events.logProcessing(
+          eventHash,
           'ingest', 
           'duplicate',
           'Event already processed'
@@ -61,27 +228,38 @@ class EventService {
         };
       }
 
-      // STEP 2: Normalize the event
-      const normalizationResult = this.normalizer.normalize(rawEvent);
+      // A raw event without a normalized event means an earlier attempt failed:
+      // this request is a retry and must be processed again
+      const priorAttempt = this.storage.dedup.findFailedAttempt(eventHash);
+
+      if (priorAttempt) {
+        this.storage.events.logProcessing(
+          eventHash,
+          'ingest',
+          'retry',
+          `Retrying after ${priorAttempt.attempts} failed attempt(s)`
+        );
+      }
+
+      // STEP 2: Normalize the event, with the receipt time stored with the
+      // raw event (a retry keeps the first attempt's), so reprocessing
+      // falls back to the same timestamp
+      const receivedAt = priorAttempt ? priorAttempt.receivedAt : new Date().toISOString();
+      const normalizationResult = this.normalizer.normalize(rawEvent, { receivedAt });
       
       if (!normalizationResult.success) {
-        // Store as failed event
-        const rawEventId = IdempotencyHandler.storeRawEvent(this.db, eventHash, rawEvent);
-        
-        if (rawEventId) {
-          IdempotencyHandler.storeFailedEvent(
-            this.db,
-            rawEventId,
-            eventHash,
-            rawEvent,
-            normalizationResult.errors.join('; '),
-            'validation_error'
-          );
-        }
+        // Store as failed event (or count another attempt on it)
+        const failure = IdempotencyHandler.recordFailedAttempt(
+          this.storage,
+          eventHash,
+          rawEvent,
+          normalizationResult.errors.join('; '),
+          'validation_error',
+          { clientId: this.detectClientId(rawEvent), contentHash, receivedAt }
+        );
 
-        IdempotencyHandler.logProcessing(
-          this.db, 
-          eventHash, 
+        this.storage.events.logProcessing(
+          eventHash,
           'normalize', 
           'failed',
           normalizationResult.errors.join('; ')
@@ -93,15 +271,23 @@ class EventService {
           message: 'Event validation failed',
           errors: normalizationResult.errors,
           warnings: normalizationResult.warnings,
-          eventHash
+          eventHash,
+          attempts: failure.attempts
         };
       }
 
       // STEP 3: Persist in atomic transaction
       // This ensures either both raw and normalized events are saved, or neither
-      const processTransaction = this.db.transaction((hash, raw, normalized) => {
-        // Store raw event first
-        const rawEventId = IdempotencyHandler.storeRawEvent(this.db, hash, raw);
+      const processTransaction = this.storage.transaction((hash, raw, normalized) => {
+        // Store raw event first (a retry reuses the one stored by the failed
+        // attempt, keeping the payload that is actually processed)
+        let rawEventId;
+        if (priorAttempt) {
+          rawEventId = priorAttempt.rawEventId;
+          this.storage.events.updateRawEvent(rawEventId, raw);
+        } else {
+          rawEventId = this.storage.events.storeRawEvent(hash, raw, contentHash, receivedAt);
+        }
         
         if (!rawEventId) {
           throw new Error('Failed to store raw event (possible race condition)');
@@ -113,11 +299,11 @@ class EventService {
         }
 
         // Store normalized event
-        const normalizedEventId = IdempotencyHandler.storeNormalizedEvent(
-          this.db,
-          rawEventId,
-          normalized
-        );
+        const normalizedEventId = this.storage.events.storeNormalizedEvent(rawEventId, normalized);
+
+        if (priorAttempt) {
+          this.storage.events.resolveFailedAttempt(hash);
+        }
 
         return { rawEventId, normalizedEventId };
       });
@@ -125,9 +311,8 @@ class EventService {
       try {
         const result = processTransaction(eventHash, rawEvent, normalizationResult.data);
         
-        IdempotencyHandler.logProcessing(
-          this.db, 
-          eventHash, 
+        this.storage.events.logProcessing(
+          eventHash,
           'ingest', 
           'success',
           'Event processed successfully'
@@ -140,35 +325,34 @@ class EventService {
           eventHash,
           rawEventId: result.rawEventId,
           normalizedEventId: result.normalizedEventId,
+          attempts: priorAttempt ? priorAttempt.attempts + 1 : 1,
           data: normalizationResult.data,
           warnings: normalizationResult.warnings
         };
 
       } catch (txnError) {
-        // Transaction failed - event will NOT be stored
-        // On retry, it will be processed again
+        // Transaction failed - normalized event will NOT be stored
+        // The failed attempt is recorded so a retry is processed again
         
-        IdempotencyHandler.logProcessing(
-          this.db, 
-          eventHash, 
+        this.storage.events.logProcessing(
+          eventHash,
           'persist', 
           'failed',
           txnError.message
         );
 
         // Store as failed event (outside transaction)
+        let attempts = priorAttempt ? priorAttempt.attempts + 1 : 1;
         try {
-          const rawEventId = IdempotencyHandler.storeRawEvent(this.db, eventHash, rawEvent);
-          if (rawEventId) {
-            IdempotencyHandler.storeFailedEvent(
-              this.db,
-              rawEventId,
-              eventHash,
-              rawEvent,
-              txnError.message,
-              'persistence_error'
-            );
-          }
+          const failure = IdempotencyHandler.recordFailedAttempt(
+            this.storage,
+            eventHash,
+            rawEvent,
+            txnError.message,
+            'persistence_error',
+            { clientId: this.detectClientId(rawEvent), contentHash, receivedAt }
+          );
+          attempts = failure.attempts;
         } catch (storeError) {
           // Even storing failure failed - log but don't throw
           console.error('Failed to store failure record:', storeError);
@@ -180,15 +364,15 @@ class EventService {
           message: 'Database error occurred',
           error: txnError.message,
           eventHash,
+          attempts,
           retryable: true
         };
       }
 
     } catch (error) {
       // Unexpected error
-      IdempotencyHandler.logProcessing(
-        this.db, 
-        eventHash, 
+      this.storage.events.logProcessing(
+        eventHash,
         'ingest', 
         'error',
         error.message
@@ -205,100 +389,249 @@ class EventService {
   }
 
   /**
-   * Get events with optional filtering
+   * Ingest a batch of events through the same pipeline as ingestEvent
+   * 
+   * Each item is deduplicated, normalized and persisted in its own
+   * transaction, so one bad item never affects the others. The database
+   * file is written once for the whole batch.
+   * 
+   * @param {Array} rawEvents - Raw events from client
+   * @param {Object} parseErrors - Optional map of index -> parse error (NDJSON lines)
+   * @returns {Object} - Result with status code, summary and per-item results
    */
-  getEvents(filters = {}) {
-    let query = `
-      SELECT 
-        ne.id,
-        ne.client_id,
-        ne.metric,
-        ne.amount,
-        ne.timestamp,
-        ne.status,
-        ne.created_at,
-        re.event_hash,
-        re.raw_data
-      FROM normalized_events ne
-      JOIN raw_events re ON ne.raw_event_id = re.id
-      WHERE 1=1
-    `;
-
-    const params = [];
-
-    if (filters.client_id) {
-      query += ' AND ne.client_id = ?';
-      params.push(filters.client_id);
+  async ingestBatch(rawEvents, parseErrors = {}) {
+    if (!Array.isArray(rawEvents)) {
+      return {
+        status: 400,
+        success: false,
+        message: 'Batch must be a JSON array of events (or NDJSON)'
+      };
+    }
+
+    if (rawEvents.length === 0) {
+      return { status: 400, success: false, message: 'Batch is empty' };
+    }
+
+    if (rawEvents.length > MAX_BATCH_SIZE) {
+      return {
+        status: 413,
+        success: false,
+        message: `Batch too large: ${rawEvents.length} items (max ${MAX_BATCH_SIZE})`
+      };
+    }
+
+    const results = await this.storage.deferSave(async () => {
+      const items = [];
+
+      for (let index = 0; index < rawEvents.length; index++) {
+        const rawEvent = rawEvents[index];
+
+        if (parseErrors[index]) {
+          items.push({ index, status: 'invalid', eventHash: null, errors: [parseErrors[index]] });
+          continue;
+        }
+
+        if (!rawEvent || typeof rawEvent !== 'object' || Array.isArray(rawEvent)) {
+          items.push({ index, status: 'invalid', eventHash: null, errors: ['Batch item must be a JSON object'] });
+          continue;
+        }
+
+        items.push({ index, ...this.toBatchItem(await this.ingestEvent(rawEvent)) });
+      }
+
+      return items;
+    });
+
+    const summary = { total: results.length, created: 0, duplicate: 0, invalid: 0, error: 0 };
+    results.forEach(item => summary[item.status]++);
+
+    const allAccepted = summary.invalid === 0 && summary.error === 0;
+
+    return {
+      status: allAccepted ? 200 : 207,
+      success: allAccepted,
+      message: allAccepted
+        ? 'Batch processed successfully'
+        : `Batch partially processed: ${summary.invalid + summary.error} of ${summary.total} items not accepted`,
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Map a single ingestion result to a per-item batch status
+   */
+  toBatchItem(result) {
+    // A replayed response means the event was created by an earlier request
+    if (result.isDuplicate || result.replayed) {
+      return { status: 'duplicate', eventHash: result.eventHash, firstSeenAt: result.firstSeenAt };
+    }
+
+    if (result.status === 201) {
+      return { status: 'created', eventHash: result.eventHash, normalizedEventId: result.normalizedEventId };
+    }
+
+    if (result.status === 400 || result.status === 422) {
+      return { status: 'invalid', eventHash: result.eventHash, errors: result.errors || [result.message] };
+    }
+
+    return { status: 'error', eventHash: result.eventHash, error: result.error, retryable: true };
+  }
+
+  /**
+   * Parse an NDJSON body into events
+   * Blank lines are skipped; malformed lines are reported per index
+   * 
+   * @param {string} text - NDJSON body
+   * @returns {Object} - { events, parseErrors }
+   */
+  static parseNdjson(text) {
+    const events = [];
+    const parseErrors = {};
+
+    String(text || '').split(/\r?\n/).forEach((line, lineIndex) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        parseErrors[events.length] = `Invalid JSON on line ${lineIndex + 1}: ${error.message}`;
+        events.push(null);
+      }
+    });
+
+    return { events, parseErrors };
+  }
+
+  /**
+   * Get a page of events with optional filtering
+   * 
+   * @param {Object} filters - Optional filters (client_id, status, scope (or
+   *                           'unclassified'), start_date, end_date,
+   *                           tags: { key: value })
+   * @param {Object} pageParams - Optional { limit, cursor, sort (timestamp,
+   *                              created_at (default), amount), order,
+   *                              include_total }
+   * @returns {Object} - Result with status code; events and pagination
+   */
+  getEvents(filters = {}, pageParams = {}) {
+    const { errors, page } = parsePageParams(pageParams, EVENT_SORTS, 'created_at');
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid events query', errors };
+    }
+
+    const { rows, pagination } = buildPage(this.storage.events.listEvents(filters, page), page);
+    if (page.includeTotal) {
+      pagination.total = this.storage.events.countEvents(filters);
+    }
+
+    return { status: 200, success: true, events: rows, pagination };
+  }
+
+  /**
+   * Get a page of failed events with optional filtering
+   * 
+   * @param {Object} filters - Optional filters (error_type, client_id, status, start_date, end_date)
+   * @param {Object} pageParams - Optional { limit, cursor, sort (failed_at
+   *                              (default), last_attempt_at, attempts),
+   *                              order, include_total }
+   * @returns {Object} - Result with status code; failedEvents and pagination
+   */
+  getFailedEvents(filters = {}, pageParams = {}) {
+    const { errors, page } = parsePageParams(pageParams, FAILED_EVENT_SORTS, 'failed_at');
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid failed events query', errors };
     }
 
-    if (filters.status) {
-      query += ' AND ne.status = ?';
-      params.push(filters.status);
+    const { rows, pagination } = buildPage(this.storage.events.listFailedEvents(filters, page), page);
+    if (page.includeTotal) {
+      pagination.total = this.storage.events.countFailedEvents(filters);
     }
 
-    if (filters.start_date) {
-      query += ' AND ne.timestamp >= ?';
-      params.push(filters.start_date);
+    return { status: 200, success: true, failedEvents: rows, pagination };
+  }
+
+  /**
+   * Get a single failed event with its parsed payload and processing history
+   */
+  getFailedEvent(id) {
+    const failedEvent = this.storage.events.getFailedEvent(id);
+
+    if (!failedEvent) {
+      return null;
+    }
+
+    const history = this.storage.events.getProcessingHistory(failedEvent.event_hash);
+
+    return {
+      ...failedEvent,
+      raw_data: JSON.parse(failedEvent.raw_data),
+      history
+    };
+  }
+
+  /**
+   * Resubmit a corrected payload for a failed event
+   * 
+   * The corrected payload goes through the normal ingestion pipeline.
+   * If it is accepted (processed or already known), the original
+   * failed event is marked resolved and linked to the new event hash.
+   * 
+   * @param {number} id - Failed event ID
+   * @param {Object} correctedEvent - Corrected raw event
+   * @returns {Object} - Ingestion result with status code
+   */
+  async resubmitFailedEvent(id, correctedEvent) {
+    const failedEvent = this.storage.events.getFailedEvent(id);
+
+    if (!failedEvent) {
+      return { status: 404, success: false, message: 'Failed event not found' };
     }
 
-    if (filters.end_date) {
-      query += ' AND ne.timestamp <= ?';
-      params.push(filters.end_date);
+    if (failedEvent.status !== 'failed') {
+      return { status: 409, success: false, message: 'Failed event is already resolved' };
     }
 
-    query += ' ORDER BY ne.created_at DESC LIMIT 100';
+    const result = await this.ingestEvent(correctedEvent, false, { supersede: true });
+
+    if (result.success) {
+      this.storage.events.supersedeFailedEvent(failedEvent.id, result.eventHash);
+      this.storage.events.logProcessing(
+        failedEvent.event_hash,
+        'resubmit',
+        'resolved',
+        `Superseded by ${result.eventHash}`
+      );
+    }
 
-    const stmt = this.db.prepare(query);
-    return stmt.all(...params);
+    return { ...result, supersedes: failedEvent.id };
   }
 
   /**
-   * Get failed events
+   * Best-effort client detection for failure records
    */
-  getFailedEvents() {
-    const stmt = this.db.prepare(`
-      SELECT 
-        fe.id,
-        fe.event_hash,
-        fe.raw_data,
-        fe.error_message,
-        fe.error_type,
-        fe.failed_at
-      FROM failed_events fe
-      ORDER BY fe.failed_at DESC
-      LIMIT 100
-    `);
-
-    return stmt.all();
+  detectClientId(rawEvent) {
+    const clientId = this.normalizer.extractField(rawEvent, 'client_id');
+    return clientId ? String(clientId) : null;
   }
 
   /**
    * Get statistics
    */
   getStats() {
-    const totalProcessed = this.db.prepare('SELECT COUNT(*) as count FROM normalized_events').get();
-    const totalFailed = this.db.prepare('SELECT COUNT(*) as count FROM failed_events').get();
-    const totalRaw = this.db.prepare('SELECT COUNT(*) as count FROM raw_events').get();
-    
-    const byClient = this.db.prepare(`
-      SELECT client_id, COUNT(*) as count
-      FROM normalized_events
-      GROUP BY client_id
-    `).all();
-
-    const byMetric = this.db.prepare(`
-      SELECT metric, COUNT(*) as count
-      FROM normalized_events
-      GROUP BY metric
-    `).all();
+    const counts = this.storage.events.getCounts();
 
     return {
-      totalProcessed: totalProcessed.count,
-      totalFailed: totalFailed.count,
-      totalRaw: totalRaw.count,
-      duplicateCount: totalRaw.count - totalProcessed.count - totalFailed.count,
-      byClient,
-      byMetric
+      totalProcessed: counts.processed,
+      totalFailed: counts.failed,
+      totalRaw: counts.raw,
+      duplicateCount: counts.duplicates,
+      byClient: counts.byClient,
+      byMetric: counts.byMetric
     };
   }
 }
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('../csv');
+const { findCurrency } = require('../units');
+
+/**
+ * Exchange Rate Service
+ *
+ * Responsibilities:
+ * - Manage daily exchange rates against the base currency
+ *   (EXCHANGE_RATE_BASE, default EUR): a rate is how many units of a
+ *   currency one unit of the base buys on a date
+ * - Load rates from a local file (EXCHANGE_RATES_FILE): CSV with date,
+ *   currency and rate columns, CSV with a date column and one column per
+ *   currency (the ECB reference rate layout), or JSON [{ date, currency,
+ *   rate }]
+ *
+ * Aggregations in a reporting currency convert each event's amount with
+ * the rates of the event's date (see aggregationQuery.js); a date without
+ * rates (weekends, holidays) takes the latest earlier one.
+ *
+ * Design Decisions:
+ * - Events keep the amount and currency they were sent in; conversion
+ *   happens at query time, so correcting or adding rates needs no
+ *   reprocessing
+ * - Rates are written all or nothing: one invalid entry rejects the
+ *   request or file, with every problem listed
+ * - Loading a file again only writes rates that changed, so the file can
+ *   be loaded on every start
+ */
+
+const DEFAULT_BASE_CURRENCY = 'EUR';
+
+const MAX_LISTED_RATES = 1000;
+
+const MAX_REPORTED_ERRORS = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Values of a wide rate file that mean "no rate that day"
+const MISSING_RATE_VALUES = ['', 'N/A', '-'];
+
+class ExchangeRateService {
+  /**
+   * @param {Storage} storage
+   * @param {Object} options - Optional { base (default EXCHANGE_RATE_BASE,
+   *                           or EUR), file (default EXCHANGE_RATES_FILE) }
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.base = ExchangeRateService.baseCurrency(options.base);
+    this.file = options.file || process.env.EXCHANGE_RATES_FILE || null;
+  }
+
+  /**
+   * Currencies with rates: rate count and first / last date
+   */
+  listCurrencies() {
+    return {
+      base: this.base,
+      currencies: this.storage.exchangeRates.summarizeRates(this.base)
+    };
+  }
+
+  /**
+   * Rates of a currency, newest first
+   *
+   * @param {Object} filters - Optional { start_date, end_date } (dates)
+   * @returns {Object} - Result with status code
+   */
+  listRates(currency, filters = {}) {
+    const symbol = findCurrency(currency);
+    const errors = [];
+
+    if (!symbol) {
+      errors.push(`Unknown currency: ${currency}`);
+    }
+
+    ['start_date', 'end_date'].forEach(field => {
+      if (filters[field] && !ExchangeRateService.isDate(filters[field])) {
+        errors.push(`${field} must be a date (YYYY-MM-DD)`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid exchange rate query', errors };
+    }
+
+    const rates = this.storage.exchangeRates.listRates(this.base, symbol, filters, MAX_LISTED_RATES + 1);
+
+    return {
+      status: 200,
+      success: true,
+      base: this.base,
+      currency: symbol,
+      rates: rates.slice(0, MAX_LISTED_RATES),
+      truncated: rates.length > MAX_LISTED_RATES
+    };
+  }
+
+  /**
+   * Save rates (insert or replace)
+   *
+   * @param {Object} input - { rates: [{ currency, date, rate }], source }
+   * @returns {Object} - Result with status code
+   */
+  setRates(input = {}) {
+    if (!Array.isArray(input.rates) || input.rates.length === 0) {
+      return { status: 400, success: false, message: 'Invalid exchange rates', errors: ['rates must be a non-empty array'] };
+    }
+
+    const source = typeof input.source === 'string' && input.source.trim() !== '' ? input.source.trim() : 'api';
+    const checked = this.check(input.rates.map((rate, index) => ({ label: `rates[${index}]`, ...rate })));
+
+    if (checked.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid exchange rates', errors: checked.errors };
+    }
+
+    return { status: 200, success: true, message: 'Exchange rates saved', base: this.base, ...this.save(checked.rates, source) };
+  }
+
+  /**
+   * Delete the rate of a currency on a date
+   */
+  deleteRate(currency, date) {
+    const symbol = findCurrency(currency);
+
+    if (!symbol || !this.storage.exchangeRates.getRate(this.base, symbol, date)) {
+      return { status: 404, success: false, message: 'Exchange rate not found' };
+    }
+
+    this.storage.exchangeRates.deleteRate(this.base, symbol, date);
+
+    return { status: 200, success: true, message: 'Exchange rate deleted' };
+  }
+
+  /**
+   * Load the rate file (EXCHANGE_RATES_FILE)
+   *
+   * @returns {Object} - Result with status code; saved and unchanged
+   *                     counts, ignored_columns (currencies outside the
+   *                     unit catalog)
+   */
+  loadFile(file = this.file) {
+    if (!file) {
+      return { status: 400, success: false, message: 'No exchange rate file configured (EXCHANGE_RATES_FILE)' };
+    }
+
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return { status: 400, success: false, message: `Cannot read exchange rate file: ${error.message}` };
+    }
+
+    const parsed = path.extname(file).toLowerCase() === '.json'
+      ? ExchangeRateService.parseJsonFile(text)
+      : ExchangeRateService.parseCsvFile(text);
+    const checked = parsed.errors.length > 0 ? parsed : this.check(parsed.rates);
+
+    if (checked.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid exchange rate file', file, errors: checked.errors };
+    }
+
+    return {
+      status: 200,
+      success: true,
+      message: 'Exchange rate file loaded',
+      file,
+      base: this.base,
+      ...this.save(checked.rates, `file:${path.basename(file)}`),
+      ignored_columns: parsed.ignored || []
+    };
+  }
+
+  /**
+   * Write the rates that differ from the stored ones
+   * @returns {Object} - { saved, unchanged }
+   */
+  save(rates, source) {
+    const stored = new Map(this.storage.exchangeRates.listAllRates(this.base)
+      .map(rate => [`${rate.currency}|${rate.rate_date}`, rate.rate]));
+    const changed = rates.filter(rate => stored.get(`${rate.currency}|${rate.date}`) !== rate.rate);
+
+    if (changed.length > 0) {
+      this.storage.transaction(() => this.storage.exchangeRates.setRates(this.base, changed, source))();
+    }
+
+    return { saved: changed.length, unchanged: rates.length - changed.length };
+  }
+
+  /**
+   * Validate and clean rate entries ({ label, currency, date, rate })
+   * @returns {Object} - { rates: [{ currency, date, rate }], errors }
+   */
+  check(entries) {
+    const rates = [];
+    const errors = [];
+    const seen = new Set();
+
+    entries.forEach(entry => {
+      const currency = findCurrency(entry.currency);
+      const rate = typeof entry.rate === 'string' && entry.rate.trim() !== '' ? Number(entry.rate) : entry.rate;
+      const problems = [];
+
+      if (!currency) {
+        problems.push(`unknown currency "${entry.currency}"`);
+      } else if (currency === this.base) {
+        problems.push(`${currency} is the base currency`);
+      }
+
+      if (!ExchangeRateService.isDate(entry.date)) {
+        problems.push('date must be a date (YYYY-MM-DD)');
+      }
+
+      if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+        problems.push('rate must be a positive number');
+      }
+
+      if (problems.length === 0 && seen.has(`${currency}|${entry.date}`)) {
+        problems.push(`${currency} on ${entry.date} is given twice`);
+      }
+
+      if (problems.length > 0) {
+        errors.push(`${entry.label}: ${problems.join('; ')}`);
+        return;
+      }
+
+      seen.add(`${currency}|${entry.date}`);
+      rates.push({ currency, date: entry.date, rate });
+    });
+
+    return {
+      rates,
+      errors: errors.length > MAX_REPORTED_ERRORS
+        ? [...errors.slice(0, MAX_REPORTED_ERRORS), `... and ${errors.length - MAX_REPORTED_ERRORS} more`]
+        : errors
+    };
+  }
+
+  /**
+   * Base currency: the given one, else EXCHANGE_RATE_BASE, else EUR
+   */
+  static baseCurrency(name = process.env.EXCHANGE_RATE_BASE || DEFAULT_BASE_CURRENCY) {
+    const symbol = findCurrency(name);
+
+    if (!symbol) {
+      throw new Error(`Exchange rate base is not a currency of the unit catalog: ${name}`);
+    }
+
+    return symbol;
+  }
+
+  /**
+   * A real calendar date as YYYY-MM-DD
+   */
+  static isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+      return false;
+    }
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  /**
+   * Rate entries of a JSON file: [{ date, currency, rate }]
+   */
+  static parseJsonFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { rates: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    if (!Array.isArray(data)) {
+      return { rates: [], errors: ['A JSON rate file is an array of { date, currency, rate }'] };
+    }
+
+    return {
+      rates: data.map((rate, index) => ({ label: `Entry ${index + 1}`, ...rate })),
+      errors: []
+    };
+  }
+
+  /**
+   * Rate entries of a CSV file: date, currency, rate columns, or a date
+   * column and one column per currency (headers are case-insensitive)
+   */
+  static parseCsvFile(text) {
+    const parsed = parseCsv(text);
+    const records = parsed.records.filter(record => record.values.some(value => value.trim() !== ''));
+
+    if (parsed.errors.length > 0) {
+      return { rates: [], errors: parsed.errors.map(error => error.message) };
+    }
+
+    if (records.length === 0) {
+      return { rates: [], errors: ['The rate file is empty'] };
+    }
+
+    const headers = records[0].values.map(header => header.trim());
+    const column = name => headers.findIndex(header => header.toLowerCase() === name);
+    const dateColumn = column('date');
+    const rows = records.slice(1);
+
+    if (dateColumn === -1) {
+      return { rates: [], errors: ['The rate file has no date column'] };
+    }
+
+    if (column('currency') !== -1 && column('rate') !== -1) {
+      return {
+        rates: rows.map(record => ({
+          label: `Row ${record.row}`,
+          date: (record.values[dateColumn] || '').trim(),
+          currency: (record.values[column('currency')] || '').trim(),
+          rate: (record.values[column('rate')] || '').trim()
+        })),
+        errors: []
+      };
+    }
+
+    // One column per currency; blank headers (trailing delimiters) and
+    // currencies outside the unit catalog are ignored
+    const rates = [];
+    const ignored = headers.filter((header, index) => index !== dateColumn && header !== '' && !findCurrency(header));
+    rows.forEach(record => {
+      headers.forEach((header, index) => {
+        const value = (record.values[index] || '').trim();
+        if (index === dateColumn || header === '' || ignored.includes(header) || MISSING_RATE_VALUES.includes(value)) {
+          return;
+        }
+        rates.push({ label: `Row ${record.row} (${header})`, date: (record.values[dateColumn] || '').trim(), currency: header, rate: value });
+      });
+    });
+
+    return { rates, errors: [], ignored };
+  }
+}
+
+module.exports = ExchangeRateService;
@@ -0,0 +1,247 @@
+const { Readable } = require('stream');
+const AggregationService = require('./aggregationService');
+const { EVENT_SORTS, MAX_LIMIT, parsePageParams } = require('../pagination');
+const { isValidTagKey } = require('../tags');
+const { formatCsvRow } = require('../csv');
+const { findCurrency } = require('../units');
+
+/**
+ * Export Service
+ *
+ * Responsibilities:
+ * - Export processed events as CSV or NDJSON, with the same filters and
+ *   sorts as the events listing
+ * - Export aggregation views (the dashboard presets, by-tag, time series
+ *   and query specs) as CSV
+ *
+ * Design Decisions:
+ * - Exports are streams: events are read in keyset batches (see
+ *   pagination.js) as the client consumes them, so memory stays flat
+ *   however many rows match, and no statement is held open between batches
+ * - Parameters are validated before anything is streamed; a bad request
+ *   gets a normal JSON error, not a truncated file
+ * - An export sees rows committed while it runs if they sort after its
+ *   position, like paging through the listing would
+ */
+
+// Rows read per batch while streaming events
+const EXPORT_BATCH_SIZE = MAX_LIMIT;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const EVENT_EXPORT_COLUMNS = [
+  'id', 'client_id', 'metric', 'amount', 'unit', 'original_amount', 'original_unit', 'co2e_kg', 'scope',
+  'scope3_category', 'timestamp', 'status', 'created_at', 'event_hash', 'tags'
+];
+
+// Aggregation views by name -> rows (classic filters: client_id, start_date,
+// end_date; reporting currency)
+const AGGREGATION_VIEWS = {
+  'summary': (aggregations, filters) => [aggregations.getSummary(filters)],
+  'by-client': (aggregations, filters) => aggregations.getByClient(filters),
+  'by-metric': (aggregations, filters) => aggregations.getByMetric(filters),
+  'by-day': (aggregations, filters) => aggregations.getByDay(filters),
+  'by-client-metric': (aggregations, filters) => aggregations.getClientMetricBreakdown(filters),
+  'by-scope': (aggregations, filters) => aggregations.getByScope(filters),
+  'time-range': (aggregations, filters) => [aggregations.getTimeRange(filters)]
+};
+
+const AGGREGATION_EXPORT_VIEWS = [...Object.keys(AGGREGATION_VIEWS), 'by-tag', 'timeseries'];
+
+class ExportService {
+  constructor(storage) {
+    this.storage = storage;
+    this.aggregations = new AggregationService(storage);
+  }
+
+  /**
+   * Export events matching the listing filters
+   *
+   * @param {string} format - csv or ndjson
+   * @param {Object} filters - Optional filters (client_id, status, scope (or
+   *                           'unclassified'), start_date, end_date,
+   *                           tags: { key: value })
+   * @param {Object} params - Optional { sort (timestamp, created_at
+   *                          (default), amount), order (default asc) }
+   * @returns {Object} - Result with status code; on success contentType,
+   *                     filename and stream
+   */
+  exportEvents(format, filters = {}, params = {}) {
+    if (!CONTENT_TYPES[format]) {
+      return {
+        status: 400,
+        success: false,
+        message: 'Invalid export',
+        errors: [`format must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}`]
+      };
+    }
+
+    const { errors, page } = parsePageParams(
+      { sort: params.sort, order: params.order || 'asc', limit: EXPORT_BATCH_SIZE },
+      EVENT_SORTS,
+      'created_at'
+    );
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid export', errors };
+    }
+
+    const formatRow = format === 'csv'
+      ? event => formatCsvRow(EVENT_EXPORT_COLUMNS.map(column => event[column]))
+      : event => `${JSON.stringify(Object.fromEntries(EVENT_EXPORT_COLUMNS.map(column => [column, event[column]])))}\n`;
+
+    const storage = this.storage;
+    function* chunks() {
+      if (format === 'csv') {
+        yield formatCsvRow(EVENT_EXPORT_COLUMNS);
+      }
+
+      let cursor = null;
+      for (;;) {
+        const rows = storage.events.listEvents(filters, { ...page, cursor });
+        const batch = rows.slice(0, page.limit);
+        if (batch.length > 0) {
+          yield batch.map(formatRow).join('');
+        }
+        if (rows.length <= page.limit) {
+          return;
+        }
+        const last = batch[batch.length - 1];
+        cursor = { d: 'next', v: last[page.sort], id: last.id };
+      }
+    }
+
+    return this.streamResult(chunks(), CONTENT_TYPES[format], `events-${ExportService.today()}.${format}`);
+  }
+
+  /**
+   * Export an aggregation view as CSV
+   *
+   * @param {string} view - summary, by-client, by-metric, by-day,
+   *                        by-client-metric, by-scope, time-range, by-tag,
+   *                        timeseries
+   * @param {Object} params - Filters: client_id, start_date, end_date, and
+   *                          the reporting currency; by-tag also tag;
+   *                          timeseries takes the time series parameters
+   *                          (granularity, tz, metric, tags, ...)
+   * @returns {Object} - Result with status code; on success contentType,
+   *                     filename and stream
+   */
+  exportAggregation(view, params = {}) {
+    const filename = `aggregations-${view}-${ExportService.today()}.csv`;
+
+    if (view === 'timeseries') {
+      return this.exportTimeseries(params, filename);
+    }
+
+    const filters = {
+      client_id: params.client_id,
+      start_date: params.start_date,
+      end_date: params.end_date,
+      currency: params.currency
+    };
+    let rows;
+
+    if (params.currency && !findCurrency(params.currency)) {
+      return { status: 400, success: false, message: 'Invalid export', errors: [`Unknown currency: ${params.currency}`] };
+    }
+
+    if (view === 'by-tag') {
+      if (!isValidTagKey(params.tag)) {
+        return { status: 400, success: false, message: 'Invalid export', errors: ['tag must be a valid tag name'] };
+      }
+      rows = this.aggregations.getByTag(params.tag, filters);
+    } else if (AGGREGATION_VIEWS[view]) {
+      rows = AGGREGATION_VIEWS[view](this.aggregations, filters);
+    } else {
+      return {
+        status: 404,
+        success: false,
+        message: `Unknown aggregation view; one of: ${AGGREGATION_EXPORT_VIEWS.join(', ')}`
+      };
+    }
+
+    return this.streamResult(ExportService.csvChunks(rows), CONTENT_TYPES.csv, filename);
+  }
+
+  /**
+   * Export the result of an aggregation query spec (see aggregationQuery.js) as CSV
+   */
+  exportQuery(spec = {}) {
+    const result = this.aggregations.query(spec);
+
+    if (!result.success) {
+      return result;
+    }
+
+    return this.streamResult(
+      ExportService.csvChunks(result.rows),
+      CONTENT_TYPES.csv,
+      `aggregations-query-${ExportService.today()}.csv`
+    );
+  }
+
+  /**
+   * Time series export: every page of buckets, fetched as the client reads
+   */
+  exportTimeseries(params, filename) {
+    const first = this.aggregations.getTimeseries(params);
+
+    if (!first.success) {
+      return first;
+    }
+
+    const aggregations = this.aggregations;
+    function* chunks() {
+      let page = first;
+      let header = true;
+      for (;;) {
+        yield* ExportService.csvChunks(page.buckets, header);
+        header = false;
+        if (!page.next_cursor) {
+          return;
+        }
+        page = aggregations.getTimeseries({ ...params, cursor: page.next_cursor });
+        if (!page.success) {
+          throw new Error(`Time series export failed: ${page.message}`);
+        }
+      }
+    }
+
+    return this.streamResult(chunks(), CONTENT_TYPES.csv, filename);
+  }
+
+  streamResult(chunks, contentType, filename) {
+    return {
+      status: 200,
+      success: true,
+      contentType,
+      filename,
+      stream: Readable.from(chunks, { objectMode: false })
+    };
+  }
+
+  /**
+   * CSV lines for aggregation rows (columns from the first row; rows of
+   * one query share their columns)
+   */
+  static *csvChunks(rows, header = true) {
+    if (rows.length === 0) {
+      return;
+    }
+    const columns = Object.keys(rows[0]);
+    if (header) {
+      yield formatCsvRow(columns);
+    }
+    yield rows.map(row => formatCsvRow(columns.map(column => row[column]))).join('');
+  }
+
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,176 @@
+const Normalizer = require('../normalizer');
+
+/**
+ * Field Mapping Service
+ *
+ * Responsibilities:
+ * - Store per-client field mappings (alias -> canonical field)
+ * - Validate mapping changes made through the API
+ * - Provide the mappings the normalizer resolves for a detected client
+ *
+ * Precedence (per canonical field, for one client):
+ * 1. Client "include" aliases, in the order they were added
+ * 2. Global aliases (Normalizer defaults), minus the client's "exclude"
+ *    aliases and minus aliases the client maps to another field
+ *
+ * Design Decisions:
+ * - client_id itself can't be mapped per client: it is needed to
+ *   find the client's mappings in the first place
+ * - Mappings are read from storage on every normalization (no cache),
+ *   so changes take effect immediately and survive restarts
+ */
+
+const MAPPING_ACTIONS = ['include', 'exclude'];
+
+class FieldMappingService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * List a client's mappings
+   */
+  listMappings(clientId) {
+    return this.storage.mappings.listMappings(clientId);
+  }
+
+  /**
+   * Get a client's mappings grouped for the normalizer
+   * @returns {Object} - { include: { field: [aliases] }, exclude: { field: [aliases] } }
+   */
+  getClientMappings(clientId) {
+    const grouped = { include: {}, exclude: {} };
+
+    if (!clientId) {
+      return grouped;
+    }
+
+    this.listMappings(clientId)
+      .sort((a, b) => a.id - b.id)
+      .forEach(mapping => {
+        const byField = grouped[mapping.action];
+        if (!byField[mapping.canonical_field]) {
+          byField[mapping.canonical_field] = [];
+        }
+        byField[mapping.canonical_field].push(mapping.alias);
+      });
+
+    return grouped;
+  }
+
+  /**
+   * Get the effective lookup order per canonical field for a client
+   * (what the normalizer will actually use)
+   */
+  getResolvedMappings(clientId) {
+    return new Normalizer(this).resolveMappings(clientId);
+  }
+
+  /**
+   * Add a mapping for a client
+   *
+   * @param {string} clientId - Client ID
+   * @param {Object} input - { canonical_field, alias, action }
+   * @returns {Object} - Result with status code
+   */
+  addMapping(clientId, input = {}) {
+    const errors = this.validate(input);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid field mapping', errors };
+    }
+
+    const action = input.action || 'include';
+    const existing = this.storage.mappings.findMapping(clientId, input.canonical_field, input.alias);
+
+    if (existing) {
+      return { status: 409, success: false, message: 'Field mapping already exists', mappingId: existing.id };
+    }
+
+    const mappingId = this.storage.mappings.insertMapping(clientId, { ...input, action });
+
+    return {
+      status: 201,
+      success: true,
+      message: 'Field mapping created',
+      mapping: this.getMapping(clientId, mappingId)
+    };
+  }
+
+  /**
+   * Update a client's mapping
+   */
+  updateMapping(clientId, mappingId, input = {}) {
+    const mapping = this.getMapping(clientId, mappingId);
+
+    if (!mapping) {
+      return { status: 404, success: false, message: 'Field mapping not found' };
+    }
+
+    const updated = { ...mapping, ...input };
+    const errors = this.validate(updated);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid field mapping', errors };
+    }
+
+    const conflict = this.storage.mappings.findMapping(clientId, updated.canonical_field, updated.alias, mapping.id);
+
+    if (conflict) {
+      return { status: 409, success: false, message: 'Field mapping already exists', mappingId: conflict.id };
+    }
+
+    this.storage.mappings.updateMapping(clientId, mapping.id, updated);
+
+    return {
+      status: 200,
+      success: true,
+      message: 'Field mapping updated',
+      mapping: this.getMapping(clientId, mapping.id)
+    };
+  }
+
+  /**
+   * Delete a client's mapping
+   */
+  deleteMapping(clientId, mappingId) {
+    if (!this.getMapping(clientId, mappingId)) {
+      return { status: 404, success: false, message: 'Field mapping not found' };
+    }
+
+    this.storage.mappings.deleteMapping(clientId, mappingId);
+
+    return { status: 200, success: true, message: 'Field mapping deleted' };
+  }
+
+  /**
+   * Get a single mapping
+   */
+  getMapping(clientId, mappingId) {
+    return this.storage.mappings.getMapping(clientId, mappingId);
+  }
+
+  /**
+   * Validate mapping input
+   * @returns {Array} - Error messages (empty if valid)
+   */
+  validate(input) {
+    const errors = [];
+
+    if (!Normalizer.MAPPABLE_FIELDS.includes(input.canonical_field)) {
+      errors.push(`canonical_field must be one of: ${Normalizer.MAPPABLE_FIELDS.join(', ')}`);
+    }
+
+    if (typeof input.alias !== 'string' || input.alias.trim() === '') {
+      errors.push('alias must be a non-empty string');
+    }
+
+    if (input.action !== undefined && !MAPPING_ACTIONS.includes(input.action)) {
+      errors.push(`action must be one of: ${MAPPING_ACTIONS.join(', ')}`);
+    }
+
+    return errors;
+  }
+}
+
+module.exports = FieldMappingService;
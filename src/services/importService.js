@@ -0,0 +1,313 @@
+const Normalizer = require('../normalizer');
+const EventService = require('./eventService');
+const { DELIMITERS, parseCsv } = require('../csv');
+const { isValidTagKey } = require('../tags');
+
+/**
+ * Import Service
+ *
+ * Responsibilities:
+ * - Turn CSV files (spreadsheets) into raw events, one per row
+ * - Map columns to canonical fields: an explicit mapping, or detected from
+ *   the field aliases (the client's, when client_id is given, then the
+ *   global Normalizer aliases)
+ * - Ingest rows with batch semantics (EventService.ingestBatch: dedup per
+ *   row, normalization, failure capture) and report failures by row number
+ * - Preview the mapping and the first rows without writing anything
+ *
+ * Design Decisions:
+ * - A row becomes a raw event keyed by canonical field names, so the
+ *   stored raw event reads the same whatever the spreadsheet's headers
+ *   were, and reprocessing doesn't need the mapping
+ * - Unmapped columns are sent as explicit tags, never read as fields:
+ *   only the mapped columns decide client, metric, amount and timestamp.
+ *   Header characters not allowed in tag names become "_"
+ * - A file whose mapping lacks a required field fails up front (400)
+ *   rather than as one failure per row
+ * - Row numbers are spreadsheet rows: the header is row 1
+ */
+
+// Canonical fields a column can be mapped to (event_id: idempotency key)
+const IMPORT_FIELDS = ['client_id', ...Normalizer.MAPPABLE_FIELDS, 'event_id'];
+
+// Fields a file must provide (timestamp falls back to receipt time)
+const REQUIRED_FIELDS = ['client_id', 'metric', 'amount'];
+
+const PREVIEW_ROWS = 10;
+
+const DELIMITER_NAMES = { comma: ',', semicolon: ';', tab: '\t' };
+
+class ImportService {
+  constructor(storage) {
+    this.storage = storage;
+    this.eventService = new EventService(storage);
+  }
+
+  /**
+   * Show how a CSV file would be imported: column mapping and the first
+   * rows as raw events with their normalization outcome (no writes)
+   *
+   * @param {string} text - CSV file contents
+   * @param {Object} options - Optional { mapping: { field: column } (an
+   *                           empty column: leave the field unmapped),
+   *                           client_id (default client), delimiter (comma,
+   *                           semicolon, tab; default: detected) }
+   * @returns {Object} - Result with status code; columns, mapping,
+   *                     tag_columns, total_rows and preview rows
+   */
+  previewCsv(text, options = {}) {
+    const prepared = this.prepare(text, options);
+
+    if (prepared.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid CSV import', errors: prepared.errors, ...prepared.layout };
+    }
+
+    const rows = prepared.rows.slice(0, PREVIEW_ROWS).map(({ row, event, error }) => {
+      if (error) {
+        return { row, event: null, outcome: 'invalid', canonical: null, errors: [error], warnings: [] };
+      }
+      const outcome = this.eventService.validateEvent(event);
+      return {
+        row,
+        event,
+        outcome: outcome.outcome,
+        canonical: outcome.canonical,
+        errors: outcome.errors,
+        warnings: outcome.warnings
+      };
+    });
+
+    return {
+      status: 200,
+      success: true,
+      ...prepared.layout,
+      total_rows: prepared.rows.length,
+      rows
+    };
+  }
+
+  /**
+   * Import a CSV file
+   *
+   * @param {string} text - CSV file contents
+   * @param {Object} options - Optional, as for previewCsv
+   * @returns {Promise<Object>} - Result with status code; summary, mapping
+   *                              and failures ({ row, status, errors })
+   */
+  async importCsv(text, options = {}) {
+    const prepared = this.prepare(text, options);
+
+    if (prepared.errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid CSV import', errors: prepared.errors, ...prepared.layout };
+    }
+
+    if (prepared.rows.length === 0) {
+      return { status: 400, success: false, message: 'CSV file has no data rows', ...prepared.layout };
+    }
+
+    const parseErrors = {};
+    prepared.rows.forEach(({ error }, index) => {
+      if (error) {
+        parseErrors[index] = error;
+      }
+    });
+
+    const batch = await this.eventService.ingestBatch(prepared.rows.map(({ event }) => event), parseErrors);
+
+    if (!batch.results) {
+      return { ...batch, ...prepared.layout };
+    }
+
+    const failures = batch.results
+      .filter(item => item.status === 'invalid' || item.status === 'error')
+      .map(item => ({
+        row: prepared.rows[item.index].row,
+        status: item.status,
+        errors: item.errors || [item.error],
+        eventHash: item.eventHash
+      }));
+
+    return {
+      status: batch.status,
+      success: batch.success,
+      message: batch.success
+        ? `Imported ${batch.summary.total} rows`
+        : `Import partially processed: ${failures.length} of ${batch.summary.total} rows not accepted`,
+      summary: batch.summary,
+      ...prepared.layout,
+      failures
+    };
+  }
+
+  /**
+   * Parse the file, resolve the mapping and build one raw event per row
+   * @returns {Object} - { errors, layout: { delimiter, columns, fields,
+   *                     mapping, tag_columns }, rows: [{ row, event, error }] }
+   */
+  prepare(text, options) {
+    const errors = [];
+    let delimiter = null;
+
+    if (options.delimiter) {
+      delimiter = DELIMITER_NAMES[options.delimiter] || options.delimiter;
+      if (!DELIMITERS.includes(delimiter)) {
+        errors.push(`delimiter must be one of: ${Object.keys(DELIMITER_NAMES).join(', ')}`);
+        return { errors, layout: {}, rows: [] };
+      }
+    }
+
+    const parsed = parseCsv(text, { delimiter });
+    parsed.errors.forEach(error => errors.push(error.message));
+
+    const [headerRecord, ...dataRecords] = parsed.records;
+    const columns = headerRecord ? headerRecord.values.map(name => name.trim()) : [];
+
+    if (columns.every(name => name === '')) {
+      errors.push('CSV file has no header row');
+      return { errors, layout: { delimiter: parsed.delimiter }, rows: [] };
+    }
+
+    columns.forEach((name, index) => {
+      if (name !== '' && columns.indexOf(name) !== index) {
+        errors.push(`Duplicate column name: ${name}`);
+      }
+    });
+
+    const mapping = this.resolveMapping(columns, options, errors);
+    const mappedColumns = new Set(Object.values(mapping).map(({ column }) => column));
+
+    const tagColumns = {};
+    columns.forEach(name => {
+      if (name !== '' && !mappedColumns.has(name)) {
+        tagColumns[name] = ImportService.toTagKey(name);
+      }
+    });
+
+    const layout = { delimiter: parsed.delimiter, columns, fields: IMPORT_FIELDS, mapping, tag_columns: tagColumns };
+
+    if (errors.length > 0) {
+      return { errors, layout, rows: [] };
+    }
+
+    const indexOf = new Map(columns.map((name, index) => [name, index]));
+    const rows = dataRecords
+      .filter(({ values }) => values.some(value => value.trim() !== ''))
+      .map(({ row, values }) => {
+        const extra = values.slice(columns.length).filter(value => value.trim() !== '');
+        if (extra.length > 0) {
+          return { row, event: null, error: `Row ${row} has ${values.length} fields, the header has ${columns.length}` };
+        }
+
+        const cell = name => (values[indexOf.get(name)] || '').trim();
+        const event = {};
+
+        Object.keys(mapping).forEach(field => {
+          const value = cell(mapping[field].column);
+          if (value !== '') {
+            event[field] = value;
+          }
+        });
+
+        if (!event.client_id && options.client_id) {
+          event.client_id = options.client_id;
+        }
+
+        const tags = {};
+        Object.keys(tagColumns).forEach(name => {
+          const value = cell(name);
+          if (value !== '' && tagColumns[name]) {
+            tags[tagColumns[name]] = value;
+          }
+        });
+        if (Object.keys(tags).length > 0) {
+          event.tags = tags;
+        }
+
+        return { row, event, error: null };
+      });
+
+    return { errors, layout, rows };
+  }
+
+  /**
+   * Explicit mapping first, then aliases for the remaining fields
+   * @returns {Object} - { field: { column, source: 'mapping' | 'detected' } }
+   */
+  resolveMapping(columns, options, errors) {
+    const mapping = {};
+    const claimed = new Set();
+    const explicit = options.mapping || {};
+
+    Object.keys(explicit).forEach(field => {
+      const column = explicit[field];
+      if (!IMPORT_FIELDS.includes(field)) {
+        errors.push(`Cannot map to ${field}; fields: ${IMPORT_FIELDS.join(', ')}`);
+      } else if (column === '') {
+        // Explicitly unmapped: not detected either
+      } else if (!columns.includes(column)) {
+        errors.push(`Column not found for ${field}: ${column}`);
+      } else if (claimed.has(column)) {
+        errors.push(`Column ${column} is mapped to more than one field`);
+      } else {
+        mapping[field] = { column, source: 'mapping' };
+        claimed.add(column);
+      }
+    });
+
+    const resolved = this.eventService.normalizer.resolveMappings(options.client_id || null);
+    const comparable = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    IMPORT_FIELDS.filter(field => !mapping[field] && explicit[field] === undefined).forEach(field => {
+      const aliases = field === 'event_id' ? ['event_id'] : resolved[field];
+      const available = columns.filter(name => name !== '' && !claimed.has(name));
+
+      for (const alias of aliases) {
+        const column = available.find(name => name === alias) ||
+          available.find(name => comparable(name) === comparable(alias));
+        if (column) {
+          mapping[field] = { column, source: 'detected' };
+          claimed.add(column);
+          break;
+        }
+      }
+    });
+
+    REQUIRED_FIELDS.forEach(field => {
+      // A mapping to a missing column is reported above
+      if (explicit[field] && IMPORT_FIELDS.includes(field)) {
+        return;
+      }
+      if (!mapping[field] && !(field === 'client_id' && options.client_id)) {
+        errors.push(field === 'client_id'
+          ? 'No column for client_id: map one, or pass client_id for the whole file'
+          : `No column for ${field}: map one (no header matches its aliases)`);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Column mapping from query parameters (map.<field>=<column>)
+   */
+  static parseMappingParams(query = {}) {
+    const mapping = {};
+    Object.keys(query).forEach(key => {
+      if (key.startsWith('map.') && typeof query[key] === 'string') {
+        mapping[key.slice('map.'.length)] = query[key];
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Tag name for a column header ("Cost Center" -> "Cost_Center"); null
+   * if nothing usable is left
+   */
+  static toTagKey(name) {
+    const key = name.replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 64);
+    return isValidTagKey(key) && /[A-Za-z0-9]/.test(key) ? key : null;
+  }
+}
+
+module.exports = ImportService;
@@ -0,0 +1,154 @@
+const {
+  DECIMAL_SEPARATORS,
+  GROUPING_SEPARATORS,
+  DEFAULT_NUMBER_FORMAT,
+  localeFormat
+} = require('../numbers');
+
+/**
+ * Number Format Service
+ *
+ * Responsibilities:
+ * - Store per-client number formats: the decimal separator ("." or ",")
+ *   and grouping separator (",", ".", " ", "'" or none) a client writes
+ *   amounts with
+ * - Validate format changes made through the API; a locale ("de-DE")
+ *   gives both separators, explicit ones override it
+ * - Provide the format the normalizer reads a client's amounts with
+ *
+ * Design Decisions:
+ * - Clients without a format get the default one (decimal point, comma
+ *   grouping), with a warning on numbers another format reads differently
+ *   ("1.200"); with a format, its numbers are read without warnings and
+ *   anything else is an error
+ * - Formats are read from storage on every normalization (no cache), like
+ *   field mappings
+ * - A format change applies to new events; reprocessing re-reads stored
+ *   ones (failed events of the client included)
+ */
+
+class NumberFormatService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * List number formats
+   */
+  listFormats() {
+    return this.storage.numberFormats.listFormats();
+  }
+
+  /**
+   * Get a client's number format
+   * @returns {Object|null} - Format, or null (default format applies)
+   */
+  getFormat(clientId) {
+    if (!clientId) {
+      return null;
+    }
+
+    return this.storage.numberFormats.getFormat(clientId) || null;
+  }
+
+  /**
+   * The format a client's amounts are read with
+   * @returns {Object} - { configured, number_format }
+   */
+  describeFormat(clientId) {
+    const format = this.getFormat(clientId);
+
+    return {
+      configured: format !== null,
+      number_format: format || { client_id: clientId, locale: null, ...DEFAULT_NUMBER_FORMAT }
+    };
+  }
+
+  /**
+   * Set (create or replace) a client's number format
+   *
+   * @param {string} clientId - Client ID
+   * @param {Object} input - { locale, decimal_separator, grouping_separator }
+   * @returns {Object} - Result with status code
+   */
+  setFormat(clientId, input = {}) {
+    const { format, errors } = this.resolve(input);
+
+    if (errors.length > 0) {
+      return { status: 400, success: false, message: 'Invalid number format', errors };
+    }
+
+    const existing = this.getFormat(clientId);
+    this.storage.numberFormats.setFormat(clientId, format);
+
+    return {
+      status: existing ? 200 : 201,
+      success: true,
+      message: existing ? 'Number format updated' : 'Number format set',
+      number_format: this.getFormat(clientId)
+    };
+  }
+
+  /**
+   * Delete a client's number format (back to the default one)
+   */
+  deleteFormat(clientId) {
+    if (!this.getFormat(clientId)) {
+      return { status: 404, success: false, message: 'Number format not found' };
+    }
+
+    this.storage.numberFormats.deleteFormat(clientId);
+
+    return { status: 200, success: true, message: 'Number format removed' };
+  }
+
+  /**
+   * Validate input and work out the separators
+   * @returns {Object} - { format: { locale, decimal_separator,
+   *                     grouping_separator }, errors }
+   */
+  resolve(input) {
+    const errors = [];
+    const has = field => input[field] !== undefined && input[field] !== null;
+    let fromLocale = null;
+
+    if (has('locale')) {
+      fromLocale = typeof input.locale === 'string' ? localeFormat(input.locale.trim()) : null;
+      if (!fromLocale) {
+        errors.push('locale must be a supported locale writing digits 0-9 (e.g. "de-DE")');
+      }
+    }
+
+    if (has('decimal_separator') && !DECIMAL_SEPARATORS.includes(input.decimal_separator)) {
+      errors.push(`decimal_separator must be one of: ${DECIMAL_SEPARATORS.map(s => `"${s}"`).join(', ')}`);
+    }
+
+    if (has('grouping_separator') && !GROUPING_SEPARATORS.includes(input.grouping_separator)) {
+      errors.push(
+        `grouping_separator must be one of: ${GROUPING_SEPARATORS.map(s => `"${s}"`).join(', ')} ("" for none)`
+      );
+    }
+
+    if (!has('locale') && !(has('decimal_separator') && has('grouping_separator'))) {
+      errors.push('Give a locale, or decimal_separator and grouping_separator');
+    }
+
+    if (errors.length > 0) {
+      return { format: null, errors };
+    }
+
+    const format = {
+      locale: has('locale') ? input.locale.trim() : null,
+      decimal_separator: has('decimal_separator') ? input.decimal_separator : fromLocale.decimal_separator,
+      grouping_separator: has('grouping_separator') ? input.grouping_separator : fromLocale.grouping_separator
+    };
+
+    if (format.decimal_separator === format.grouping_separator) {
+      errors.push('decimal_separator and grouping_separator must differ');
+    }
+
+    return { format, errors };
+  }
+}
+
+module.exports = NumberFormatService;
@@ -0,0 +1,196 @@
+const Normalizer = require('../normalizer');
+const FieldMappingService = require('./fieldMappingService');
+const NumberFormatService = require('./numberFormatService');
+const EmissionFactorService = require('./emissionFactorService');
+const ClassificationService = require('./classificationService');
+const UnitService = require('./unitService');
+
+/**
+ * Reprocess Service
+ *
+ * Responsibilities:
+ * - Re-run stored raw payloads (raw_events.raw_data) through the current
+ *   Normalizer after mappings or parsing logic change
+ * - Rebuild normalized_events (including units, CO2e and GHG scope, with
+ *   the current canonical units, emission factors and classification
+ *   rules) and re-evaluate failed_events
+ * - Report what changed (amounts, timestamps, newly valid/invalid events)
+ *
+ * Design Decisions:
+ * - Normalized rows are updated in place (same id, same raw_event_id),
+ *   never re-inserted, so reprocessing can't double count
+ * - A raw event without a normalized row that now normalizes gets one,
+ *   and its pending failed event is resolved
+ * - A raw event whose failure was superseded by a resubmission is skipped:
+ *   the corrected event already counts, normalizing the original too
+ *   would count it twice
+ * - A processed event that no longer normalizes is marked 'invalid'
+ *   (excluded from aggregations) and gets a failed event
+ * - Missing timestamps fall back to the receipt time stored with the raw
+ *   event, the same one ingestion used, so reprocessing an unchanged
+ *   event changes nothing (idempotent)
+ * - The whole run is one transaction: a live instance sees either the
+ *   old or the new state, never a half-applied one
+ */
+
+const COMPARED_FIELDS = [
+  'client_id', 'metric', 'amount', 'unit', 'original_amount', 'original_unit', 'timestamp', 'tags',
+  'co2e_kg', 'emission_factor_id', 'scope', 'scope3_category', 'classification_rule_id'
+];
+
+// Upper bound on per-event entries listed in the report
+const MAX_REPORTED_CHANGES = 1000;
+
+class ReprocessService {
+  constructor(storage) {
+    this.storage = storage;
+    this.normalizer = new Normalizer(new FieldMappingService(storage), {
+      numberFormats: new NumberFormatService(storage),
+      units: new UnitService(storage),
+      emissionFactors: new EmissionFactorService(storage),
+      classifier: new ClassificationService(storage)
+    });
+  }
+
+  /**
+   * Reprocess raw events
+   *
+   * @param {Object} filters - Optional filters (client_id, start_date, end_date
+   *                           on receipt time, raw_event_ids)
+   * @param {Object} options - Optional { dryRun } - report without writing
+   * @returns {Object} - Diff report
+   */
+  reprocessEvents(filters = {}, options = {}) {
+    const rows = this.storage.events.listRawEventsWithOutcome(filters);
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      scanned: rows.length,
+      unchanged: 0,
+      updated: 0,
+      newlyValid: 0,
+      newlyInvalid: 0,
+      stillInvalid: 0,
+      superseded: 0,
+      changes: [],
+      truncated: false
+    };
+
+    const apply = () => {
+      rows.forEach(row => {
+        const change = this.reprocessRow(row, report.dryRun);
+
+        if (!change) {
+          report.unchanged++;
+          return;
+        }
+
+        report[change.counter]++;
+        if (change.type) {
+          if (report.changes.length < MAX_REPORTED_CHANGES) {
+            report.changes.push({ rawEventId: row.id, eventHash: row.event_hash, change: change.type, ...change.diff });
+          } else {
+            report.truncated = true;
+          }
+        }
+      });
+    };
+
+    if (report.dryRun) {
+      apply();
+    } else {
+      this.storage.transaction(apply)();
+    }
+
+    return report;
+  }
+
+  /**
+   * Re-normalize one raw event and apply the outcome
+   * @returns {Object|null} - { counter, type, diff } or null if unchanged
+   */
+  reprocessRow(row, dryRun) {
+    if (row.normalized_id === null && row.superseded_by) {
+      return { counter: 'superseded', type: null };
+    }
+
+    const rawEvent = JSON.parse(row.raw_data);
+    const receivedAt = new Date(`${row.received_at.replace(' ', 'T')}Z`).toISOString();
+    const result = this.normalizer.normalize(rawEvent, { receivedAt });
+    const wasValid = row.normalized_id !== null && row.status === 'processed';
+    const before = row.normalized_id !== null
+      ? {
+        client_id: row.client_id,
+        metric: row.metric,
+        amount: row.amount,
+        unit: row.unit,
+        original_amount: row.original_amount,
+        original_unit: row.original_unit,
+        timestamp: row.timestamp,
+        tags: JSON.parse(row.tags),
+        co2e_kg: row.co2e_kg,
+        emission_factor_id: row.emission_factor_id,
+        scope: row.scope,
+        scope3_category: row.scope3_category,
+        classification_rule_id: row.classification_rule_id
+      }
+      : null;
+
+    if (!result.success) {
+      if (!wasValid) {
+        return { counter: 'stillInvalid', type: null };
+      }
+
+      if (!dryRun) {
+        const errorMessage = result.errors.join('; ');
+        this.storage.events.updateNormalizedEvent(row.normalized_id, before, 'invalid', errorMessage);
+        this.storage.events.storeFailedEvent(
+          row.id, row.event_hash, rawEvent, errorMessage, 'validation_error', before.client_id
+        );
+        this.storage.events.logProcessing(row.event_hash, 'reprocess', 'failed', errorMessage);
+      }
+
+      return { counter: 'newlyInvalid', type: 'newly_invalid', diff: { before, errors: result.errors } };
+    }
+
+    const after = result.data;
+
+    if (!wasValid) {
+      if (!dryRun) {
+        if (row.normalized_id !== null) {
+          this.storage.events.updateNormalizedEvent(row.normalized_id, after);
+        } else {
+          this.storage.events.storeNormalizedEvent(row.id, after);
+        }
+        this.storage.events.resolveFailedAttempt(row.event_hash);
+        this.storage.events.logProcessing(row.event_hash, 'reprocess', 'success', 'Event is now valid');
+      }
+
+      return { counter: 'newlyValid', type: 'newly_valid', diff: { before, after } };
+    }
+
+    const fields = {};
+    COMPARED_FIELDS.forEach(field => {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        fields[field] = { from: before[field], to: after[field] };
+      }
+    });
+
+    if (Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    if (!dryRun) {
+      this.storage.events.updateNormalizedEvent(row.normalized_id, after);
+      this.storage.events.logProcessing(
+        row.event_hash,
+        'reprocess',
+        'updated',
+        `Changed: ${Object.keys(fields).join(', ')}`
+      );
+    }
+
+    return { counter: 'updated', type: 'updated', diff: { fields } };
+  }
+}
+
+module.exports = ReprocessService;
@@ -0,0 +1,131 @@
+const { ROLLUPS, ROLLUP_KEY_COLUMNS, ROLLUP_VALUE_COLUMNS } = require('../rollups');
+
+/**
+ * Rollup Service
+ *
+ * Responsibilities:
+ * - Rebuild the rollup tables from normalized_events (backfill, repair)
+ * - Check rollups against a fresh aggregation of normalized_events
+ *
+ * Design Decisions:
+ * - Day-to-day maintenance happens in RollupStore, as events are written;
+ *   this service is for operators (admin API and scripts/rollups.js)
+ * - A rebuild is one transaction: readers never see half-filled rollups
+ * - Amount and CO2e sums are compared with a small relative tolerance,
+ *   since the rollups add in a different order than a full scan
+ */
+
+// Upper bound on mismatching buckets listed per rollup in a check report
+const MAX_REPORTED_MISMATCHES = 100;
+
+const AMOUNT_TOLERANCE = 1e-9;
+
+// Sums compared with AMOUNT_TOLERANCE
+const SUM_COLUMNS = ['total_amount', 'total_co2e_kg'];
+
+function bucketKeyFields(row) {
+  return Object.fromEntries(ROLLUP_KEY_COLUMNS.map(column => [column, row[column]]));
+}
+
+function bucketKey(row) {
+  return JSON.stringify(ROLLUP_KEY_COLUMNS.map(column => row[column]));
+}
+
+class RollupService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Rebuild every rollup from normalized_events
+   * @returns {Object} - { rollup_table: bucket rows written }
+   */
+  rebuild() {
+    return this.storage.rollups.rebuild();
+  }
+
+  /**
+   * Compare every rollup to a fresh aggregation of normalized_events
+   * @returns {Object} - { consistent, rollups: { table: { buckets, mismatches,
+   *                     totals, details, truncated } } }
+   */
+  check() {
+    const report = { consistent: true, rollups: {} };
+
+    const raw = this.storage.rollups.getSourceTotals();
+
+    Object.values(ROLLUPS).forEach(rollup => {
+      const expected = new Map();
+      this.storage.rollups.computeBuckets(rollup).forEach(row => {
+        expected.set(bucketKey(row), row);
+      });
+
+      const actual = this.storage.rollups.listBuckets(rollup);
+      const details = [];
+      let mismatches = 0;
+
+      const addMismatch = (detail) => {
+        mismatches++;
+        if (details.length < MAX_REPORTED_MISMATCHES) {
+          details.push(detail);
+        }
+      };
+
+      actual.forEach(row => {
+        const key = bucketKey(row);
+        const want = expected.get(key);
+        expected.delete(key);
+
+        if (!want) {
+          addMismatch({ problem: 'extra', ...bucketKeyFields(row) });
+          return;
+        }
+
+        const fields = this.diffBucket(want, row);
+        if (fields.length > 0) {
+          addMismatch({
+            problem: 'different',
+            ...bucketKeyFields(row),
+            fields: fields.map(field => ({ field, expected: want[field], actual: row[field] }))
+          });
+        }
+      });
+
+      expected.forEach(row => {
+        addMismatch({ problem: 'missing', ...bucketKeyFields(row) });
+      });
+
+      const totals = this.storage.rollups.getTotals(rollup);
+
+      if (mismatches > 0) {
+        report.consistent = false;
+      }
+
+      report.rollups[rollup.table] = {
+        buckets: actual.length,
+        mismatches,
+        totals: { rollup: totals, normalized_events: raw },
+        details,
+        truncated: mismatches > details.length
+      };
+    });
+
+    return report;
+  }
+
+  /**
+   * Fields that differ between an expected and a stored bucket
+   */
+  diffBucket(expected, actual) {
+    return ROLLUP_VALUE_COLUMNS
+      .filter(field => {
+        if (SUM_COLUMNS.includes(field) && expected[field] !== null && actual[field] !== null) {
+          const scale = Math.max(1, Math.abs(expected[field]));
+          return Math.abs(expected[field] - actual[field]) > AMOUNT_TOLERANCE * scale;
+        }
+        return expected[field] !== actual[field];
+      });
+  }
+}
+
+module.exports = RollupService;
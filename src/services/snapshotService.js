@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('../database');
+
+/**
+ * Snapshot Service
+ *
+ * Responsibilities:
+ * - Write point-in-time copies of the database to the snapshot directory,
+ *   each with a metadata file (event counts, schema version, checksum)
+ * - List snapshots, newest first, and prune all but the newest N
+ * - Restore a snapshot after validating it
+ *
+ * Design Decisions:
+ * - A snapshot is a plain SQLite file (<id>.db) beside <id>.json; it can
+ *   be copied off the host, opened with any SQLite tool, or restored by
+ *   copying it over an empty data directory
+ * - The image and its counts are taken in the same tick, with no write in
+ *   between, so the metadata describes exactly what is in the file
+ * - Restore checks the checksum, the SQLite integrity check and the schema
+ *   version before anything is swapped in; older schemas are migrated
+ *   forward, newer ones refused
+ * - Every restore first snapshots the current database ("pre-restore"), so
+ *   a restore can itself be undone; pruning waits until the restore has
+ *   succeeded, so it can't delete the snapshot being restored
+ */
+
+const DEFAULT_RETENTION = 10;
+
+const SNAPSHOT_ID_PATTERN = /^[0-9TZ-]+$/;
+
+class SnapshotService {
+  /**
+   * @param {Storage} storage
+   * @param {Object} options - Optional { dir (default SNAPSHOT_DIR, or
+   *                           snapshots/ beside the database file),
+   *                           retention (default SNAPSHOT_RETENTION, or 10) }
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.dir = options.dir || process.env.SNAPSHOT_DIR || SnapshotService.defaultDir(storage);
+    this.retention = options.retention || Number(process.env.SNAPSHOT_RETENTION) || DEFAULT_RETENTION;
+  }
+
+  /**
+   * Write a snapshot of the current database and prune old ones
+   *
+   * @param {Object} options - Optional { label, prune (default true) }
+   * @returns {Object} - Result with status code and the snapshot metadata
+   */
+  createSnapshot({ label = null, prune = true } = {}) {
+    if (label !== null && (typeof label !== 'string' || label.length > 100)) {
+      return { status: 400, success: false, message: 'label must be a string of at most 100 characters' };
+    }
+
+    const image = this.storage.serialize();
+    const counts = this.storage.events.getCounts();
+    const schemaVersion = this.storage.getSchemaVersion();
+
+    const createdAt = new Date().toISOString();
+    const id = this.uniqueId(createdAt);
+    const snapshot = {
+      id,
+      created_at: createdAt,
+      label,
+      file: `${id}.db`,
+      bytes: image.length,
+      checksum: DatabaseManager.checksum(image),
+      schema_version: schemaVersion,
+      backend: this.storage.backend,
+      counts: {
+        raw_events: counts.raw,
+        processed_events: counts.processed,
+        failed_events: counts.failed
+      }
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    // Metadata last: a snapshot without its .json (crash mid-write) is
+    // never listed or restored
+    this.writeAtomic(path.join(this.dir, snapshot.file), image);
+    this.writeAtomic(this.metadataPath(id), JSON.stringify(snapshot, null, 2));
+
+    const pruned = prune ? this.prune() : [];
+
+    return { status: 201, success: true, message: 'Snapshot created', snapshot, pruned };
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Array} - Snapshot metadata
+   */
+  listSnapshots() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        } catch (error) {
+          console.error(`Skipping unreadable snapshot metadata ${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(snapshot => snapshot && SNAPSHOT_ID_PATTERN.test(snapshot.id))
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Get one snapshot's metadata
+   */
+  getSnapshot(id) {
+    if (!SNAPSHOT_ID_PATTERN.test(id || '')) {
+      return null;
+    }
+    return this.listSnapshots().find(snapshot => snapshot.id === id) || null;
+  }
+
+  /**
+   * Validate a snapshot and swap it in for the current database
+   *
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} - Result with status code; on success
+   *                              { restored, pre_restore_snapshot, schema_version, pruned }
+   */
+  async restoreSnapshot(id) {
+    const snapshot = this.getSnapshot(id);
+    if (!snapshot) {
+      return { status: 404, success: false, message: 'Snapshot not found' };
+    }
+
+    const errors = [];
+    const filePath = path.join(this.dir, snapshot.file);
+    let image = null;
+
+    if (!fs.existsSync(filePath)) {
+      errors.push(`Snapshot file ${snapshot.file} is missing`);
+    } else {
+      image = fs.readFileSync(filePath);
+      if (DatabaseManager.checksum(image) !== snapshot.checksum) {
+        errors.push('Checksum does not match the snapshot metadata');
+      } else {
+        const inspection = await this.storage.inspectImage(image);
+        errors.push(...inspection.errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      return { status: 422, success: false, message: 'Snapshot failed validation', errors };
+    }
+
+    // Not pruned yet: pruning could delete the snapshot being restored
+    const preRestore = this.createSnapshot({ label: `pre-restore (${id})`, prune: false });
+    if (!preRestore.success) {
+      return preRestore;
+    }
+
+    this.storage.restore(image);
+    const pruned = this.prune();
+
+    return {
+      status: 200,
+      success: true,
+      message: 'Snapshot restored',
+      restored: snapshot,
+      pre_restore_snapshot: preRestore.snapshot.id,
+      schema_version: this.storage.getSchemaVersion(),
+      pruned
+    };
+  }
+
+  /**
+   * Delete all but the newest `retention` snapshots
+   * @returns {Array} - Pruned snapshot IDs
+   */
+  prune() {
+    const expired = this.listSnapshots().slice(this.retention);
+
+    expired.forEach(snapshot => {
+      // Metadata first, so a half-pruned snapshot is no longer listed
+      fs.rmSync(this.metadataPath(snapshot.id), { force: true });
+      fs.rmSync(path.join(this.dir, snapshot.file), { force: true });
+    });
+
+    return expired.map(snapshot => snapshot.id);
+  }
+
+  /**
+   * Snapshot ID from its timestamp (file-name safe, sorts by time); two
+   * snapshots in the same millisecond get a counter suffix
+   */
+  uniqueId(createdAt) {
+    const base = createdAt.replace(/[:.]/g, '-');
+    let id = base;
+    for (let n = 1; fs.existsSync(this.metadataPath(id)); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  metadataPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * snapshots/ beside the database file
+   */
+  static defaultDir(storage) {
+    const dbPath = storage.database.dbPath;
+    const base = dbPath && dbPath !== ':memory:' ? dbPath : DatabaseManager.defaultPath();
+    return path.join(path.dirname(base), 'snapshots');
+  }
+}
+
+module.exports = SnapshotService;
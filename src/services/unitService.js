@@ -0,0 +1,175 @@
+const { findUnit, dimensionOf, convertAmount, listUnits } = require('../units');
+
+/**
+ * Unit Service
+ *
+ * Responsibilities:
+ * - Manage canonical units per metric (metric_units)
+ * - Convert a normalized event's amount to its metric's canonical unit
+ *   (the Normalizer calls convert() for every event)
+ *
+ * The canonical unit of a metric is the configured one or, without one,
+ * the unit its processed events are already stored in. The first event
+ * with a unit sets it for an unconfigured metric.
+ *
+ * Design Decisions:
+ * - A unit of another dimension than the canonical one (kg for a kWh
+ *   metric) is rejected, so one metric's events never mix dimensions
+ * - Amounts in another currency than the canonical one are kept in their
+ *   currency: exchange rates change daily, so aggregations convert them
+ *   at query time with the rate of the event's date (ExchangeRateService)
+ * - An event without a unit stays unitless (with a warning when the
+ *   metric has a canonical unit): assuming the canonical unit would store
+ *   the same input differently depending on whether it arrived before or
+ *   after the first event with a unit. Aggregations report a group mixing
+ *   unitless and unit amounts as mixed
+ * - The converted event keeps the amount and unit it was sent with
+ *   (original_amount, original_unit)
+ * - Setting a unit doesn't touch stored events: the response lists the
+ *   units they are stored in, and reprocessing converts them
+ */
+
+class UnitService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * The unit catalog (see units.js)
+   */
+  listUnits() {
+    return listUnits();
+  }
+
+  /**
+   * List canonical units of metrics
+   */
+  listMetricUnits() {
+    return this.storage.metricUnits.listMetricUnits().map(UnitService.describe);
+  }
+
+  /**
+   * Get the configured canonical unit of a metric
+   */
+  getMetricUnit(metric) {
+    const metricUnit = this.storage.metricUnits.getMetricUnit(metric);
+    return metricUnit ? UnitService.describe(metricUnit) : null;
+  }
+
+  /**
+   * Set the canonical unit of a metric
+   *
+   * @param {string} metric - Metric name
+   * @param {Object} input - { unit } - symbol or alias from the catalog
+   * @returns {Object} - Result with status code; metricUnit and
+   *                     stored_units (processed events per stored unit)
+   */
+  setMetricUnit(metric, input = {}) {
+    const unit = findUnit(input.unit);
+
+    if (!unit) {
+      return {
+        status: 400,
+        success: false,
+        message: 'Invalid metric unit',
+        errors: ['unit must be a unit of the catalog (see GET /api/units)']
+      };
+    }
+
+    const existing = this.storage.metricUnits.getMetricUnit(metric);
+    this.storage.metricUnits.setMetricUnit(metric, unit);
+
+    return {
+      status: existing ? 200 : 201,
+      success: true,
+      message: existing ? 'Metric unit updated' : 'Metric unit set',
+      metricUnit: this.getMetricUnit(metric),
+      stored_units: this.storage.events.countEventsByUnit(metric)
+    };
+  }
+
+  /**
+   * Remove the canonical unit of a metric
+   */
+  deleteMetricUnit(metric) {
+    if (!this.storage.metricUnits.getMetricUnit(metric)) {
+      return { status: 404, success: false, message: 'Metric unit not found' };
+    }
+
+    this.storage.metricUnits.deleteMetricUnit(metric);
+
+    return { status: 200, success: true, message: 'Metric unit removed' };
+  }
+
+  /**
+   * Canonical unit of a metric: configured, else the one in use
+   * @returns {string|null} - Unit, or null if the metric has none
+   */
+  canonicalUnit(metric) {
+    const metricUnit = this.storage.metricUnits.getMetricUnit(metric);
+    return metricUnit ? metricUnit.unit : this.storage.events.findMetricUnit(metric);
+  }
+
+  /**
+   * Convert a normalized event's amount to its metric's canonical unit
+   * (amounts in a currency stay in it)
+   *
+   * @param {Object} event - { metric, amount, unit (catalog symbol or null) }
+   * @returns {Object} - { amount, unit, original_amount, original_unit,
+   *                     errors, warnings } - original_* null when the
+   *                     amount wasn't converted
+   */
+  convert(event) {
+    const canonical = this.canonicalUnit(event.metric);
+    const result = {
+      amount: event.amount,
+      unit: event.unit || null,
+      original_amount: null,
+      original_unit: null,
+      errors: [],
+      warnings: []
+    };
+
+    if (!canonical || canonical === result.unit) {
+      return result;
+    }
+
+    if (!result.unit) {
+      result.warnings.push(`No unit given; amount stored without a unit (metric ${event.metric} is in ${canonical})`);
+      return result;
+    }
+
+    if (dimensionOf(result.unit) === 'currency' && dimensionOf(canonical) === 'currency') {
+      return result;
+    }
+
+    const converted = convertAmount(event.amount, result.unit, canonical);
+
+    if (converted === null) {
+      result.errors.push(
+        `Unit ${result.unit} (${dimensionOf(result.unit)}) is not compatible with ${canonical} ` +
+        `(${dimensionOf(canonical)}), the unit of metric ${event.metric}`
+      );
+      return result;
+    }
+
+    result.warnings.push(`Amount converted from ${event.amount} ${result.unit} to ${converted} ${canonical}`);
+
+    return {
+      ...result,
+      amount: converted,
+      unit: canonical,
+      original_amount: event.amount,
+      original_unit: result.unit
+    };
+  }
+
+  /**
+   * A metric unit with its dimension
+   */
+  static describe(metricUnit) {
+    return { ...metricUnit, dimension: dimensionOf(metricUnit.unit) };
+  }
+}
+
+module.exports = UnitService;
@@ -0,0 +1,75 @@
+/**
+ * Classification Rule Store
+ *
+ * Rules classifying events into GHG scopes (see ClassificationService).
+ */
+
+const RULE_COLUMNS = `
+  id, metric, tag_key, tag_value, scope, scope3_category, priority, description, created_at, updated_at
+`;
+
+class ClassificationRuleStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * List rules, highest priority first
+   */
+  listRules() {
+    return this.db.prepare(`
+      SELECT ${RULE_COLUMNS} FROM classification_rules ORDER BY priority DESC, id
+    `).all();
+  }
+
+  /**
+   * Get a single rule
+   */
+  getRule(ruleId) {
+    return this.db.prepare(`SELECT ${RULE_COLUMNS} FROM classification_rules WHERE id = ?`).get(ruleId);
+  }
+
+  /**
+   * Insert a rule
+   * @returns {number} - Rule ID
+   */
+  insertRule(rule) {
+    return this.db.prepare(`
+      INSERT INTO classification_rules
+        (metric, tag_key, tag_value, scope, scope3_category, priority, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      rule.metric,
+      rule.tag_key,
+      rule.tag_value,
+      rule.scope,
+      rule.scope3_category,
+      rule.priority,
+      rule.description
+    ).lastInsertRowid;
+  }
+
+  updateRule(ruleId, rule) {
+    this.db.prepare(`
+      UPDATE classification_rules
+      SET metric = ?, tag_key = ?, tag_value = ?, scope = ?, scope3_category = ?,
+          priority = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      rule.metric,
+      rule.tag_key,
+      rule.tag_value,
+      rule.scope,
+      rule.scope3_category,
+      rule.priority,
+      rule.description,
+      ruleId
+    );
+  }
+
+  deleteRule(ruleId) {
+    this.db.prepare('DELETE FROM classification_rules WHERE id = ?').run(ruleId);
+  }
+}
+
+module.exports = ClassificationRuleStore;
@@ -0,0 +1,198 @@
+/**
+ * Dedup Store
+ *
+ * What deduplication looks up: earlier outcomes of an event hash,
+ * idempotency keys with their stored responses, and per-client dedup
+ * policies.
+ *
+ * Design Decisions:
+ * - An event hash is a duplicate only once it has a normalized event; a
+ *   raw event without one is a failed attempt (findFailedAttempt)
+ * - Policy list columns are stored as JSON and parsed here
+ */
+
+class DedupStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Find the successfully processed event for a hash
+   * @returns {Object|null} - { isDuplicate, rawEventId, normalizedId, status,
+   *                          firstSeenAt, data } or null
+   */
+  findDuplicate(eventHash) {
+    const result = this.db.prepare(`
+      SELECT re.id, re.event_hash, re.received_at,
+             ne.id as normalized_id, ne.status, ne.client_id, ne.metric, ne.amount, ne.unit,
+             ne.original_amount, ne.original_unit, ne.timestamp, ne.tags, ne.co2e_kg, ne.emission_factor_id, ne.scope, ne.scope3_category, ne.classification_rule_id
+      FROM raw_events re
+      LEFT JOIN normalized_events ne ON ne.raw_event_id = re.id
+      WHERE re.event_hash = ? AND ne.id IS NOT NULL
+      LIMIT 1
+    `).get(eventHash);
+
+    if (!result) {
+      return null;
+    }
+
+    return {
+      isDuplicate: true,
+      rawEventId: result.id,
+      normalizedId: result.normalized_id,
+      status: result.status,
+      firstSeenAt: result.received_at,
+      data: {
+        client_id: result.client_id,
+        metric: result.metric,
+        amount: result.amount,
+        unit: result.unit,
+        original_amount: result.original_amount,
+        original_unit: result.original_unit,
+        timestamp: result.timestamp,
+        tags: JSON.parse(result.tags),
+        co2e_kg: result.co2e_kg,
+        emission_factor_id: result.emission_factor_id,
+        scope: result.scope,
+        scope3_category: result.scope3_category,
+        classification_rule_id: result.classification_rule_id
+      }
+    };
+  }
+
+  /**
+   * Find an earlier failed attempt for a hash
+   * (raw event stored, but no normalized event)
+   * @returns {Object|null} - { rawEventId, failedEventId, attempts,
+   *                          receivedAt (ISO) } or null
+   */
+  findFailedAttempt(eventHash) {
+    const result = this.db.prepare(`
+      SELECT re.id, re.received_at, fe.id as failed_event_id, fe.attempts
+      FROM raw_events re
+      LEFT JOIN normalized_events ne ON ne.raw_event_id = re.id
+      LEFT JOIN failed_events fe ON fe.event_hash = re.event_hash AND fe.status = 'failed'
+      WHERE re.event_hash = ? AND ne.id IS NULL
+      LIMIT 1
+    `).get(eventHash);
+
+    if (!result) {
+      return null;
+    }
+
+    return {
+      rawEventId: result.id,
+      failedEventId: result.failed_event_id,
+      attempts: result.attempts || 0,
+      receivedAt: new Date(`${result.received_at.replace(' ', 'T')}Z`).toISOString()
+    };
+  }
+
+  /**
+   * Latest raw event with a content hash (dedup windows)
+   * @returns {Object|null} - { event_hash, received_at } or null
+   */
+  findLatestByContentHash(contentHash) {
+    return this.db.prepare(`
+      SELECT event_hash, received_at
+      FROM raw_events
+      WHERE content_hash = ?
+      ORDER BY id DESC
+      LIMIT 1
+    `).get(contentHash);
+  }
+
+  /**
+   * Get the record stored for an idempotency key
+   * @returns {Object|null} - { event_hash, request_hash, response_status, response_body } or null
+   */
+  getStoredResponse(scopedKey) {
+    return this.db.prepare(`
+      SELECT event_hash, request_hash, response_status, response_body
+      FROM idempotency_keys
+      WHERE idempotency_key = ?
+    `).get(scopedKey);
+  }
+
+  /**
+   * Bind an idempotency key to its request body and store the response
+   * (status and body null: bound, but nothing to replay)
+   */
+  storeResponse(scopedKey, eventHash, requestHash, responseStatus, responseBody) {
+    this.db.prepare(`
+      INSERT INTO idempotency_keys (idempotency_key, event_hash, request_hash, response_status, response_body)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(idempotency_key) DO UPDATE SET
+        request_hash = excluded.request_hash,
+        response_status = excluded.response_status,
+        response_body = excluded.response_body,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(scopedKey, eventHash, requestHash, responseStatus, responseBody);
+  }
+
+  /**
+   * List all dedup policies
+   */
+  listPolicies() {
+    return this.db.prepare(`
+      SELECT * FROM dedup_policies ORDER BY client_id
+    `).all().map(row => this.toPolicy(row));
+  }
+
+  /**
+   * Get a client's dedup policy
+   * @returns {Object|null} - Policy or null
+   */
+  getPolicy(clientId) {
+    const row = this.db.prepare(`
+      SELECT * FROM dedup_policies WHERE client_id = ?
+    `).get(clientId);
+
+    return row ? this.toPolicy(row) : null;
+  }
+
+  /**
+   * Create or replace a client's dedup policy
+   *
+   * @param {Object} policy - { key_fields, ignored_fields, case_sensitive, window_seconds }
+   */
+  savePolicy(clientId, policy) {
+    this.db.prepare(`
+      INSERT INTO dedup_policies (client_id, key_fields, ignored_fields, case_sensitive, window_seconds)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(client_id) DO UPDATE SET
+        key_fields = excluded.key_fields,
+        ignored_fields = excluded.ignored_fields,
+        case_sensitive = excluded.case_sensitive,
+        window_seconds = excluded.window_seconds,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      clientId,
+      policy.key_fields ? JSON.stringify(policy.key_fields) : null,
+      JSON.stringify(policy.ignored_fields || []),
+      policy.case_sensitive ? 1 : 0,
+      policy.window_seconds || null
+    );
+  }
+
+  deletePolicy(clientId) {
+    this.db.prepare('DELETE FROM dedup_policies WHERE client_id = ?').run(clientId);
+  }
+
+  /**
+   * Convert a database row to a policy object
+   */
+  toPolicy(row) {
+    return {
+      client_id: row.client_id,
+      key_fields: row.key_fields ? JSON.parse(row.key_fields) : null,
+      ignored_fields: JSON.parse(row.ignored_fields),
+      case_sensitive: row.case_sensitive === 1,
+      window_seconds: row.window_seconds,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+module.exports = DedupStore;
@@ -0,0 +1,88 @@
+/**
+ * Emission Factor Store
+ *
+ * Emission factors: kgCO2e per unit of an activity metric, by unit, region
+ * and validity dates (see EmissionFactorService).
+ */
+
+const FACTOR_COLUMNS = `
+  id, metric, unit, region, valid_from, valid_to, kg_co2e_per_unit, source, citation, created_at, updated_at
+`;
+
+class EmissionFactorStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * List factors, by metric then validity
+   *
+   * @param {Object} filters - Optional { metric }
+   */
+  listFactors(filters = {}) {
+    let query = `SELECT ${FACTOR_COLUMNS} FROM emission_factors WHERE 1=1`;
+    const params = [];
+
+    if (filters.metric) {
+      query += ' AND metric = ?';
+      params.push(filters.metric);
+    }
+
+    query += " ORDER BY metric, unit, COALESCE(region, ''), COALESCE(valid_from, ''), id";
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Get a single factor
+   */
+  getFactor(factorId) {
+    return this.db.prepare(`SELECT ${FACTOR_COLUMNS} FROM emission_factors WHERE id = ?`).get(factorId);
+  }
+
+  /**
+   * Insert a factor
+   * @returns {number} - Factor ID
+   */
+  insertFactor(factor) {
+    return this.db.prepare(`
+      INSERT INTO emission_factors
+        (metric, unit, region, valid_from, valid_to, kg_co2e_per_unit, source, citation)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      factor.metric,
+      factor.unit,
+      factor.region,
+      factor.valid_from,
+      factor.valid_to,
+      factor.kg_co2e_per_unit,
+      factor.source,
+      factor.citation
+    ).lastInsertRowid;
+  }
+
+  updateFactor(factorId, factor) {
+    this.db.prepare(`
+      UPDATE emission_factors
+      SET metric = ?, unit = ?, region = ?, valid_from = ?, valid_to = ?,
+          kg_co2e_per_unit = ?, source = ?, citation = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      factor.metric,
+      factor.unit,
+      factor.region,
+      factor.valid_from,
+      factor.valid_to,
+      factor.kg_co2e_per_unit,
+      factor.source,
+      factor.citation,
+      factorId
+    );
+  }
+
+  deleteFactor(factorId) {
+    this.db.prepare('DELETE FROM emission_factors WHERE id = ?').run(factorId);
+  }
+}
+
+module.exports = EmissionFactorStore;
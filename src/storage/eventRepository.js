@@ -0,0 +1,609 @@
+const { isValidTagKey, tagJsonPath } = require('../tags');
+const { keysetQuery } = require('../pagination');
+const { UNCLASSIFIED } = require('../ghgScopes');
+
+/**
+ * Event Repository
+ *
+ * Raw, normalized and failed events and the processing log.
+ *
+ * Design Decisions:
+ * - Methods are the individual steps of the ingestion pipeline; callers
+ *   group them with Storage.transaction() (EventService decides what is
+ *   atomic, this class only writes)
+ * - Normalized event writes keep the rollups in step (RollupStore), in
+ *   the caller's transaction
+ * - JSON columns (raw_data, tags) are serialized here; list methods parse
+ *   tags, raw payloads are returned as stored
+ */
+
+// Listing sorts (names as in the API) -> columns
+const EVENT_SORT_COLUMNS = {
+  timestamp: 'ne.timestamp',
+  created_at: 'ne.created_at',
+  amount: 'ne.amount'
+};
+
+const FAILED_EVENT_SORT_COLUMNS = {
+  failed_at: 'fe.failed_at',
+  last_attempt_at: 'COALESCE(fe.last_attempt_at, fe.failed_at)',
+  attempts: 'fe.attempts'
+};
+
+// Columns derived during normalization: the amount's unit (null: none)
+// and the amount before conversion to it (null: not converted), CO2e
+// (null: no emission factor) and GHG scope (null: unclassified)
+const DERIVED_COLUMNS = [
+  'unit', 'original_amount', 'original_unit',
+  'co2e_kg', 'emission_factor_id', 'scope', 'scope3_category', 'classification_rule_id'
+];
+
+function derivedValues(event) {
+  return DERIVED_COLUMNS.map(column => (event[column] === undefined ? null : event[column]));
+}
+
+class EventRepository {
+  constructor(database, rollups) {
+    this.db = database;
+    this.rollups = rollups;
+  }
+
+  /**
+   * Log processing attempt
+   */
+  logProcessing(eventHash, action, status, message = null) {
+    this.db.prepare(`
+      INSERT INTO processing_log (event_hash, action, status, message)
+      VALUES (?, ?, ?, ?)
+    `).run(eventHash, action, status, message);
+  }
+
+  /**
+   * Store raw event (first step in processing)
+   * @param {string} receivedAt - Receipt time (ISO); stored to the
+   *                              millisecond, as the normalizer saw it
+   * @returns {number|null} - rawEventId, or null if the hash already exists
+   */
+  storeRawEvent(eventHash, rawData, contentHash = eventHash, receivedAt = new Date().toISOString()) {
+    try {
+      const info = this.db.prepare(`
+        INSERT INTO raw_events (event_hash, content_hash, raw_data, received_at)
+        VALUES (?, ?, ?, ?)
+      `).run(eventHash, contentHash, JSON.stringify(rawData), receivedAt.replace('T', ' ').replace('Z', ''));
+      return info.lastInsertRowid;
+    } catch (error) {
+      // If unique constraint violation, event already exists
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the payload of a stored raw event
+   * Used when a retry succeeds with a (possibly corrected) payload
+   */
+  updateRawEvent(rawEventId, rawData) {
+    this.db.prepare(`
+      UPDATE raw_events SET raw_data = ? WHERE id = ?
+    `).run(JSON.stringify(rawData), rawEventId);
+  }
+
+  /**
+   * Store normalized event (second step in processing)
+   */
+  storeNormalizedEvent(rawEventId, normalizedData) {
+    const info = this.db.prepare(`
+      INSERT INTO normalized_events
+        (raw_event_id, client_id, metric, amount, timestamp, tags, ${DERIVED_COLUMNS.join(', ')}, status)
+      VALUES (?, ?, ?, ?, ?, ?, ${DERIVED_COLUMNS.map(() => '?').join(', ')}, 'processed')
+    `).run(
+      rawEventId,
+      normalizedData.client_id,
+      normalizedData.metric,
+      normalizedData.amount,
+      normalizedData.timestamp,
+      JSON.stringify(normalizedData.tags || {}),
+      ...derivedValues(normalizedData)
+    );
+
+    this.rollups.recordEvent(normalizedData);
+
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Update a normalized event in place (reprocessing)
+   * The row keeps its id and raw_event_id, so it is never counted twice
+   */
+  updateNormalizedEvent(normalizedId, normalizedData, status = 'processed', processingError = null) {
+    const previous = this.db.prepare(`
+      SELECT client_id, metric, timestamp FROM normalized_events WHERE id = ?
+    `).get(normalizedId);
+
+    this.db.prepare(`
+      UPDATE normalized_events
+      SET client_id = ?, metric = ?, amount = ?, timestamp = ?, tags = ?,
+          ${DERIVED_COLUMNS.map(column => `${column} = ?`).join(', ')},
+          status = ?, processing_error = ?
+      WHERE id = ?
+    `).run(
+      normalizedData.client_id,
+      normalizedData.metric,
+      normalizedData.amount,
+      normalizedData.timestamp,
+      JSON.stringify(normalizedData.tags || {}),
+      ...derivedValues(normalizedData),
+      status,
+      processingError,
+      normalizedId
+    );
+
+    this.rollups.refreshBuckets(previous ? [previous, normalizedData] : [normalizedData]);
+  }
+
+  /**
+   * Set the CO2e of processed events (emission factor recalculation)
+   *
+   * @param {Array} events - [{ id, client_id, metric, timestamp, co2e_kg,
+   *                         emission_factor_id }]
+   */
+  updateEmissions(events) {
+    const update = this.db.prepare(`
+      UPDATE normalized_events SET co2e_kg = ?, emission_factor_id = ? WHERE id = ?
+    `);
+
+    events.forEach(event => {
+      update.run(event.co2e_kg, event.emission_factor_id, event.id);
+    });
+
+    this.rollups.refreshBuckets(events);
+  }
+
+  /**
+   * Store failed event
+   */
+  storeFailedEvent(rawEventId, eventHash, rawData, errorMessage, errorType, clientId = null) {
+    const info = this.db.prepare(`
+      INSERT INTO failed_events (raw_event_id, event_hash, client_id, raw_data, error_message, error_type)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(rawEventId, eventHash, clientId, JSON.stringify(rawData), errorMessage, errorType);
+    return info.lastInsertRowid;
+  }
+
+  /**
+   * Count another failed attempt on a failed event
+   */
+  recordRetryFailure(failedEventId, errorMessage, errorType) {
+    this.db.prepare(`
+      UPDATE failed_events
+      SET attempts = attempts + 1,
+          error_message = ?,
+          error_type = ?,
+          last_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(errorMessage, errorType, failedEventId);
+  }
+
+  /**
+   * Mark the pending failed event for this hash as resolved
+   * Called inside the transaction of the retry that succeeded
+   */
+  resolveFailedAttempt(eventHash) {
+    this.db.prepare(`
+      UPDATE failed_events
+      SET status = 'resolved',
+          attempts = attempts + 1,
+          last_attempt_at = CURRENT_TIMESTAMP,
+          resolved_at = CURRENT_TIMESTAMP,
+          resolved_by_hash = event_hash
+      WHERE event_hash = ? AND status = 'failed'
+    `).run(eventHash);
+  }
+
+  /**
+   * Mark a failed event as superseded by a corrected event
+   * (a resubmission with a different payload, and therefore a different hash)
+   */
+  supersedeFailedEvent(failedEventId, resolvedByHash) {
+    this.db.prepare(`
+      UPDATE failed_events
+      SET status = 'resolved',
+          resolved_at = CURRENT_TIMESTAMP,
+          resolved_by_hash = ?
+      WHERE id = ? AND status = 'failed'
+    `).run(resolvedByHash, failedEventId);
+  }
+
+  /**
+   * List one page of normalized events (see pagination.js)
+   *
+   * @param {Object} filters - Optional filters (client_id, status, scope
+   *                           (or 'unclassified'), start_date, end_date,
+   *                           tags: { key: value })
+   * @param {Object} page - { limit, sort (timestamp, created_at, amount),
+   *                        order, cursor } from parsePageParams
+   * @returns {Array} - Up to page.limit + 1 rows, in keyset order
+   */
+  listEvents(filters = {}, page) {
+    const { where, params } = this.eventFilters(filters);
+    const keyset = keysetQuery(page, EVENT_SORT_COLUMNS, 'ne.id');
+
+    const query = `
+      SELECT 
+        ne.id,
+        ne.client_id,
+        ne.metric,
+        ne.amount,
+        ne.unit,
+        ne.original_amount,
+        ne.original_unit,
+        ne.timestamp,
+        ne.tags,
+        ne.co2e_kg,
+        ne.emission_factor_id,
+        ne.scope,
+        ne.scope3_category,
+        ne.status,
+        ne.created_at,
+        re.event_hash,
+        re.raw_data
+      FROM normalized_events ne
+      JOIN raw_events re ON ne.raw_event_id = re.id
+      WHERE 1=1${where}${keyset.where}
+      ORDER BY ${keyset.orderBy}
+      LIMIT ?
+    `;
+
+    return this.db.prepare(query).all(...params, ...keyset.params, keyset.limit)
+      .map(event => ({ ...event, tags: JSON.parse(event.tags) }));
+  }
+
+  /**
+   * Count normalized events matching listEvents filters
+   */
+  countEvents(filters = {}) {
+    const { where, params } = this.eventFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM normalized_events ne WHERE 1=1${where}`)
+      .get(...params).count;
+  }
+
+  eventFilters(filters) {
+    let where = '';
+    const params = [];
+
+    if (filters.client_id) {
+      where += ' AND ne.client_id = ?';
+      params.push(filters.client_id);
+    }
+
+    if (filters.status) {
+      where += ' AND ne.status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.scope === UNCLASSIFIED) {
+      where += ' AND ne.scope IS NULL';
+    } else if (filters.scope) {
+      where += ' AND ne.scope = ?';
+      params.push(filters.scope);
+    }
+
+    if (filters.start_date) {
+      where += ' AND ne.timestamp >= ?';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      where += ' AND ne.timestamp <= ?';
+      params.push(filters.end_date);
+    }
+
+    Object.keys(filters.tags || {}).forEach(key => {
+      if (!isValidTagKey(key)) {
+        throw new Error(`Invalid tag name: ${key}`);
+      }
+      where += ' AND json_extract(ne.tags, ?) = ?';
+      params.push(tagJsonPath(key), filters.tags[key]);
+    });
+
+    return { where, params };
+  }
+
+  /**
+   * List one page of failed events (see pagination.js)
+   *
+   * @param {Object} filters - Optional filters (error_type, client_id, status, start_date, end_date)
+   * @param {Object} page - { limit, sort (failed_at, last_attempt_at,
+   *                        attempts), order, cursor } from parsePageParams
+   * @returns {Array} - Up to page.limit + 1 rows, in keyset order
+   */
+  listFailedEvents(filters = {}, page) {
+    const { where, params } = this.failedEventFilters(filters);
+    const keyset = keysetQuery(page, FAILED_EVENT_SORT_COLUMNS, 'fe.id');
+
+    // Never-retried events were last attempted when they failed
+    const query = `
+      SELECT 
+        fe.id,
+        fe.event_hash,
+        fe.client_id,
+        fe.raw_data,
+        fe.error_message,
+        fe.error_type,
+        fe.attempts,
+        fe.status,
+        fe.failed_at,
+        COALESCE(fe.last_attempt_at, fe.failed_at) as last_attempt_at,
+        fe.resolved_at,
+        fe.resolved_by_hash
+      FROM failed_events fe
+      WHERE 1=1${where}${keyset.where}
+      ORDER BY ${keyset.orderBy}
+      LIMIT ?
+    `;
+
+    return this.db.prepare(query).all(...params, ...keyset.params, keyset.limit);
+  }
+
+  /**
+   * Count failed events matching listFailedEvents filters
+   */
+  countFailedEvents(filters = {}) {
+    const { where, params } = this.failedEventFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM failed_events fe WHERE 1=1${where}`)
+      .get(...params).count;
+  }
+
+  failedEventFilters(filters) {
+    let where = '';
+    const params = [];
+
+    if (filters.error_type) {
+      where += ' AND fe.error_type = ?';
+      params.push(filters.error_type);
+    }
+
+    if (filters.client_id) {
+      where += ' AND fe.client_id = ?';
+      params.push(filters.client_id);
+    }
+
+    if (filters.status) {
+      where += ' AND fe.status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.start_date) {
+      where += ' AND datetime(fe.failed_at) >= datetime(?)';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      where += ' AND datetime(fe.failed_at) <= datetime(?)';
+      params.push(filters.end_date);
+    }
+
+    return { where, params };
+  }
+
+  /**
+   * A unit the processed events of a metric are stored in (they share
+   * one, see UnitService)
+   * @returns {string|null} - Unit, or null if none has a unit
+   */
+  findMetricUnit(metric) {
+    const row = this.db.prepare(`
+      SELECT unit FROM normalized_events
+      WHERE metric = ? AND unit IS NOT NULL AND status = 'processed'
+      LIMIT 1
+    `).get(metric);
+    return row ? row.unit : null;
+  }
+
+  /**
+   * Processed events of a metric per stored unit (null: no unit)
+   * @returns {Array} - [{ unit, event_count }]
+   */
+  countEventsByUnit(metric) {
+    return this.db.prepare(`
+      SELECT unit, COUNT(*) as event_count FROM normalized_events
+      WHERE metric = ? AND status = 'processed'
+      GROUP BY unit
+      ORDER BY unit
+    `).all(metric);
+  }
+
+  /**
+   * Get a failed event row
+   */
+  getFailedEvent(id) {
+    return this.db.prepare(`
+      SELECT *
+      FROM failed_events
+      WHERE id = ?
+    `).get(id);
+  }
+
+  /**
+   * Processing log entries for an event hash, oldest first
+   */
+  getProcessingHistory(eventHash) {
+    return this.db.prepare(`
+      SELECT action, status, message, timestamp
+      FROM processing_log
+      WHERE event_hash = ?
+      ORDER BY id ASC
+    `).all(eventHash);
+  }
+
+  /**
+   * Raw events with their current outcome (normalized row, pending failure,
+   * the hash of the resubmission that superseded it), oldest first - the
+   * input of reprocessing
+   *
+   * @param {Object} filters - Optional filters (client_id, start_date, end_date
+   *                           on receipt time, raw_event_ids)
+   */
+  listRawEventsWithOutcome(filters = {}) {
+    let query = `
+      SELECT
+        re.id,
+        re.event_hash,
+        re.raw_data,
+        re.received_at,
+        ne.id as normalized_id,
+        ne.client_id,
+        ne.metric,
+        ne.amount,
+        ne.unit,
+        ne.original_amount,
+        ne.original_unit,
+        ne.timestamp,
+        ne.tags,
+        ne.co2e_kg,
+        ne.emission_factor_id,
+        ne.scope,
+        ne.scope3_category,
+        ne.classification_rule_id,
+        ne.status,
+        fe.client_id as failed_client_id,
+        (
+          SELECT sfe.resolved_by_hash
+          FROM failed_events sfe
+          WHERE sfe.event_hash = re.event_hash
+            AND sfe.status = 'resolved'
+            AND sfe.resolved_by_hash != sfe.event_hash
+          ORDER BY sfe.id DESC
+          LIMIT 1
+        ) as superseded_by
+      FROM raw_events re
+      LEFT JOIN normalized_events ne ON ne.raw_event_id = re.id
+      LEFT JOIN failed_events fe ON fe.event_hash = re.event_hash AND fe.status = 'failed'
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (filters.client_id) {
+      query += ' AND (ne.client_id = ? OR fe.client_id = ?)';
+      params.push(filters.client_id, filters.client_id);
+    }
+
+    if (filters.start_date) {
+      query += ' AND datetime(re.received_at) >= datetime(?)';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      query += ' AND datetime(re.received_at) <= datetime(?)';
+      params.push(filters.end_date);
+    }
+
+    if (Array.isArray(filters.raw_event_ids) && filters.raw_event_ids.length > 0) {
+      query += ` AND re.id IN (${filters.raw_event_ids.map(() => '?').join(', ')})`;
+      params.push(...filters.raw_event_ids);
+    }
+
+    query += ' ORDER BY re.id ASC';
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Processed events with their CO2e, oldest first - the input of emission
+   * factor recalculation
+   *
+   * @param {Object} filters - Optional filters (metrics: [names], client_id,
+   *                           start_date, end_date on event time)
+   */
+  listEventsForEmissions(filters = {}) {
+    const { where, params } = this.emissionFilters(filters);
+
+    return this.db.prepare(`
+      SELECT id, client_id, metric, amount, unit, timestamp, tags, co2e_kg, emission_factor_id
+      FROM normalized_events
+      WHERE status = 'processed'${where}
+      ORDER BY id ASC
+    `).all(...params)
+      .map(event => ({ ...event, tags: JSON.parse(event.tags) }));
+  }
+
+  /**
+   * Count the events listEventsForEmissions would return
+   */
+  countEventsForEmissions(filters = {}) {
+    const { where, params } = this.emissionFilters(filters);
+    return this.db.prepare(`SELECT COUNT(*) as count FROM normalized_events WHERE status = 'processed'${where}`)
+      .get(...params).count;
+  }
+
+  emissionFilters(filters) {
+    let where = '';
+    const params = [];
+
+    if (Array.isArray(filters.metrics) && filters.metrics.length > 0) {
+      where += ` AND metric IN (${filters.metrics.map(() => '?').join(', ')})`;
+      params.push(...filters.metrics);
+    }
+
+    if (filters.client_id) {
+      where += ' AND client_id = ?';
+      params.push(filters.client_id);
+    }
+
+    if (filters.start_date) {
+      where += ' AND timestamp >= ?';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      where += ' AND timestamp <= ?';
+      params.push(filters.end_date);
+    }
+
+    return { where, params };
+  }
+
+  /**
+   * Event counts for the stats endpoint
+   * @returns {Object} - { processed, failed, raw, duplicates, byClient, byMetric }
+   */
+  getCounts() {
+    const count = sql => this.db.prepare(sql).get().count;
+
+    return {
+      processed: count("SELECT COUNT(*) as count FROM normalized_events WHERE status = 'processed'"),
+      failed: count("SELECT COUNT(*) as count FROM failed_events WHERE status = 'failed'"),
+      raw: count('SELECT COUNT(*) as count FROM raw_events'),
+      // Requests answered as duplicates, Idempotency-Key replays included
+      // (they store no raw event of their own)
+      duplicates: count("SELECT COUNT(*) as count FROM processing_log WHERE action = 'ingest' AND status = 'duplicate'"),
+      byClient: this.db.prepare(`
+        SELECT client_id, COUNT(*) as count
+        FROM normalized_events
+        WHERE status = 'processed'
+        GROUP BY client_id
+      `).all(),
+      byMetric: this.db.prepare(`
+        SELECT metric, COUNT(*) as count
+        FROM normalized_events
+        WHERE status = 'processed'
+        GROUP BY metric
+      `).all()
+    };
+  }
+
+  /**
+   * Run a compiled aggregation query (see aggregationQuery.js)
+   *
+   * @param {Object} compiled - { sql, params }
+   * @returns {Array} - Result rows
+   */
+  aggregate(compiled) {
+    return this.db.prepare(compiled.sql).all(...compiled.params);
+  }
+}
+
+module.exports = EventRepository;
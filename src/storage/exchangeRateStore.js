@@ -0,0 +1,102 @@
+/**
+ * Exchange Rate Store
+ *
+ * Daily exchange rates: units of a currency per unit of a base currency,
+ * by date (see ExchangeRateService).
+ */
+
+// Rates per INSERT statement (5 parameters each, within SQLite's 999)
+const INSERT_CHUNK_SIZE = 150;
+
+class ExchangeRateStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Currencies with rates against a base: rate count and date range
+   */
+  summarizeRates(base) {
+    return this.db.prepare(`
+      SELECT currency, COUNT(*) as rate_count, MIN(rate_date) as first_date, MAX(rate_date) as last_date
+      FROM exchange_rates
+      WHERE base_currency = ?
+      GROUP BY currency
+      ORDER BY currency
+    `).all(base);
+  }
+
+  /**
+   * List rates of a currency, newest first
+   *
+   * @param {Object} filters - Optional { start_date, end_date } (inclusive)
+   * @param {number} limit - Maximum rows
+   */
+  listRates(base, currency, filters = {}, limit) {
+    let query = `
+      SELECT rate_date, rate, source, updated_at FROM exchange_rates
+      WHERE base_currency = ? AND currency = ?
+    `;
+    const params = [base, currency];
+
+    if (filters.start_date) {
+      query += ' AND rate_date >= ?';
+      params.push(filters.start_date);
+    }
+
+    if (filters.end_date) {
+      query += ' AND rate_date <= ?';
+      params.push(filters.end_date);
+    }
+
+    query += ' ORDER BY rate_date DESC LIMIT ?';
+    params.push(limit);
+
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * Every rate against a base (currency, rate_date, rate)
+   */
+  listAllRates(base) {
+    return this.db.prepare(`
+      SELECT currency, rate_date, rate FROM exchange_rates WHERE base_currency = ?
+    `).all(base);
+  }
+
+  /**
+   * Get a rate
+   */
+  getRate(base, currency, date) {
+    return this.db.prepare(`
+      SELECT rate_date, rate, source, updated_at FROM exchange_rates
+      WHERE base_currency = ? AND currency = ? AND rate_date = ?
+    `).get(base, currency, date);
+  }
+
+  /**
+   * Insert or replace rates
+   *
+   * @param {Array} rates - [{ currency, date, rate }]
+   */
+  setRates(base, rates, source) {
+    for (let start = 0; start < rates.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = rates.slice(start, start + INSERT_CHUNK_SIZE);
+
+      this.db.prepare(`
+        INSERT INTO exchange_rates (base_currency, currency, rate_date, rate, source)
+        VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+        ON CONFLICT(base_currency, currency, rate_date)
+        DO UPDATE SET rate = excluded.rate, source = excluded.source, updated_at = CURRENT_TIMESTAMP
+      `).run(...chunk.flatMap(rate => [base, rate.currency, rate.date, rate.rate, source]));
+    }
+  }
+
+  deleteRate(base, currency, date) {
+    this.db.prepare(`
+      DELETE FROM exchange_rates WHERE base_currency = ? AND currency = ? AND rate_date = ?
+    `).run(base, currency, date);
+  }
+}
+
+module.exports = ExchangeRateStore;
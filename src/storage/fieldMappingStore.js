@@ -0,0 +1,70 @@
+/**
+ * Field Mapping Store
+ *
+ * Per-client field mappings (alias -> canonical field).
+ */
+
+class FieldMappingStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * List a client's mappings
+   */
+  listMappings(clientId) {
+    return this.db.prepare(`
+      SELECT id, client_id, canonical_field, alias, action, created_at
+      FROM field_mappings
+      WHERE client_id = ?
+      ORDER BY canonical_field, id
+    `).all(clientId);
+  }
+
+  /**
+   * Get a single mapping
+   */
+  getMapping(clientId, mappingId) {
+    return this.db.prepare(`
+      SELECT id, client_id, canonical_field, alias, action, created_at
+      FROM field_mappings
+      WHERE id = ? AND client_id = ?
+    `).get(mappingId, clientId);
+  }
+
+  /**
+   * Find a client's mapping of an alias to a field, other than excludeId
+   * @returns {Object|null} - { id } or null
+   */
+  findMapping(clientId, canonicalField, alias, excludeId = null) {
+    return this.db.prepare(`
+      SELECT id FROM field_mappings
+      WHERE client_id = ? AND canonical_field = ? AND alias = ? AND id != ?
+    `).get(clientId, canonicalField, alias, excludeId === null ? -1 : excludeId);
+  }
+
+  /**
+   * Insert a mapping
+   * @returns {number} - Mapping ID
+   */
+  insertMapping(clientId, mapping) {
+    return this.db.prepare(`
+      INSERT INTO field_mappings (client_id, canonical_field, alias, action)
+      VALUES (?, ?, ?, ?)
+    `).run(clientId, mapping.canonical_field, mapping.alias, mapping.action).lastInsertRowid;
+  }
+
+  updateMapping(clientId, mappingId, mapping) {
+    this.db.prepare(`
+      UPDATE field_mappings
+      SET canonical_field = ?, alias = ?, action = ?
+      WHERE id = ? AND client_id = ?
+    `).run(mapping.canonical_field, mapping.alias, mapping.action, mappingId, clientId);
+  }
+
+  deleteMapping(clientId, mappingId) {
+    this.db.prepare('DELETE FROM field_mappings WHERE id = ? AND client_id = ?').run(mappingId, clientId);
+  }
+}
+
+module.exports = FieldMappingStore;
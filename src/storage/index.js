@@ -0,0 +1,180 @@
+const DatabaseManager = require('../database');
+const Migrator = require('../migrator');
+const MemoryDatabase = require('./memoryDatabase');
+const NativeDatabase = require('./nativeDatabase');
+const EventRepository = require('./eventRepository');
+const DedupStore = require('./dedupStore');
+const RollupStore = require('./rollupStore');
+const FieldMappingStore = require('./fieldMappingStore');
+const EmissionFactorStore = require('./emissionFactorStore');
+const ClassificationRuleStore = require('./classificationRuleStore');
+const MetricUnitStore = require('./metricUnitStore');
+const ExchangeRateStore = require('./exchangeRateStore');
+const NumberFormatStore = require('./numberFormatStore');
+
+/**
+ * Storage
+ *
+ * The interface services persist through:
+ * - events: raw, normalized and failed events, processing log, aggregation
+ *   queries (EventRepository)
+ * - dedup: duplicate and failed-attempt lookups, idempotency keys, dedup
+ *   policies (DedupStore)
+ * - rollups: rollup maintenance and consistency data (RollupStore)
+ * - mappings: per-client field mappings (FieldMappingStore)
+ * - factors: emission factors (EmissionFactorStore)
+ * - classificationRules: GHG scope classification rules
+ *   (ClassificationRuleStore)
+ * - metricUnits: canonical units of metrics (MetricUnitStore)
+ * - exchangeRates: daily exchange rates (ExchangeRateStore)
+ * - numberFormats: per-client number formats (NumberFormatStore)
+ * - transaction(fn), deferSave(fn), getStatus(), close()
+ * - serialize() / restore(image) / inspectImage(image): whole-database
+ *   images (SQLite file format) for snapshots and restores
+ *
+ * Backends (STORAGE_BACKEND, or options.backend):
+ * - sqljs (default): sql.js in memory, persisted through a journal and
+ *   snapshots (DatabaseManager)
+ * - memory: sql.js without any files, for tests (MemoryDatabase)
+ * - sqlite: native file-backed SQLite via better-sqlite3 (NativeDatabase)
+ *
+ * Design Decisions:
+ * - Every backend is SQLite, so the repositories are written once against
+ *   a small driver API (prepare/exec/transaction/deferSave); a backend is
+ *   a driver, and aggregation SQL runs unchanged on all of them
+ * - Services never see the driver; only migrations and maintenance
+ *   scripts use storage.database directly
+ */
+
+const BACKENDS = {
+  sqljs: options => new DatabaseManager(options.dbPath, options),
+  memory: options => new MemoryDatabase(options),
+  sqlite: options => new NativeDatabase(options.dbPath || DatabaseManager.defaultPath(), options)
+};
+
+const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+class Storage {
+  constructor(database, backend) {
+    this.database = database;
+    this.backend = backend;
+    this.rollups = new RollupStore(database);
+    this.events = new EventRepository(database, this.rollups);
+    this.dedup = new DedupStore(database);
+    this.mappings = new FieldMappingStore(database);
+    this.factors = new EmissionFactorStore(database);
+    this.classificationRules = new ClassificationRuleStore(database);
+    this.metricUnits = new MetricUnitStore(database);
+    this.exchangeRates = new ExchangeRateStore(database);
+    this.numberFormats = new NumberFormatStore(database);
+  }
+
+  /**
+   * Wrap a callback in a transaction (call the returned function to run it)
+   */
+  transaction(callback) {
+    return this.database.transaction(callback);
+  }
+
+  /**
+   * Run many small writes as a batch (sqljs: one snapshot check at the end)
+   */
+  deferSave(callback) {
+    return this.database.deferSave(callback);
+  }
+
+  /**
+   * Storage health
+   * @returns {Object} - { status: 'ok' | 'degraded', issues }
+   */
+  getStatus() {
+    return this.database.getStorageStatus();
+  }
+
+  /**
+   * Highest applied migration version
+   */
+  getSchemaVersion() {
+    return Migrator.getStatus(this.database).current;
+  }
+
+  /**
+   * Consistent copy of the whole database
+   * @returns {Buffer} - SQLite database file
+   */
+  serialize() {
+    return this.database.serialize();
+  }
+
+  /**
+   * Replace the whole database with an image (see inspectImage first);
+   * older schemas are migrated forward
+   */
+  restore(image) {
+    this.database.restore(image);
+  }
+
+  /**
+   * Check a database image without touching the live database
+   * @returns {Promise<Object>} - { valid, errors, schemaVersion }
+   */
+  async inspectImage(image) {
+    const SQL = await DatabaseManager.loadSqlJs();
+    const errors = [];
+    let schemaVersion = null;
+    let db;
+
+    try {
+      db = new SQL.Database(image);
+      DatabaseManager.checkIntegrity(db);
+      const hasMigrations = db.exec(
+        "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+      ).length > 0;
+      if (!hasMigrations) {
+        throw new Error('no schema_migrations table');
+      }
+      const result = db.exec('SELECT COALESCE(MAX(version), 0) FROM schema_migrations');
+      schemaVersion = result[0].values[0][0];
+    } catch (error) {
+      errors.push(`Not a readable database: ${error.message}`);
+    } finally {
+      if (db) {
+        db.close();
+      }
+    }
+
+    const latest = Migrator.loadMigrations().slice(-1)[0];
+    if (schemaVersion !== null && latest && schemaVersion > latest.version) {
+      errors.push(`Schema version ${schemaVersion} is newer than this code (latest: ${latest.version})`);
+    }
+
+    return { valid: errors.length === 0, errors, schemaVersion };
+  }
+
+  close() {
+    this.database.close();
+  }
+}
+
+/**
+ * Open the configured backend and wrap it
+ *
+ * @param {Object} options - Optional { backend, dbPath, migrate, ...backend options }
+ * @returns {Promise<Storage>}
+ */
+async function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'sqljs';
+
+  if (!BACKENDS[backend]) {
+    throw new Error(`STORAGE_BACKEND must be one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  const database = await BACKENDS[backend](options).init();
+  return new Storage(database, backend);
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  Storage,
+  createStorage
+};
@@ -0,0 +1,37 @@
+const DatabaseManager = require('../database');
+const Migrator = require('../migrator');
+
+/**
+ * Memory Database
+ *
+ * The sql.js database without a snapshot or journal: nothing touches the
+ * disk and everything is gone on close. For tests and throwaway runs
+ * (STORAGE_BACKEND=memory).
+ *
+ * Design Decisions:
+ * - Same statement API and migrations as DatabaseManager, so the
+ *   repositories and aggregation SQL behave exactly as in production
+ */
+
+class MemoryDatabase extends DatabaseManager {
+  /**
+   * @param {Object} options - Optional { migrate (default true) }
+   */
+  constructor(options = {}) {
+    super(':memory:', options);
+  }
+
+  async init() {
+    this.SQL = await DatabaseManager.loadSqlJs();
+    this.db = new this.SQL.Database();
+    this.initializeTables();
+
+    if (this.autoMigrate) {
+      Migrator.migrate(this);
+    }
+
+    return this;
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,47 @@
+/**
+ * Metric Unit Store
+ *
+ * Canonical units of metrics: amounts of a metric are converted to its
+ * unit during normalization (see UnitService).
+ */
+
+class MetricUnitStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * List canonical units, by metric
+   */
+  listMetricUnits() {
+    return this.db.prepare(`
+      SELECT metric, unit, created_at, updated_at FROM metric_units ORDER BY metric
+    `).all();
+  }
+
+  /**
+   * Get the canonical unit of a metric
+   */
+  getMetricUnit(metric) {
+    return this.db.prepare(`
+      SELECT metric, unit, created_at, updated_at FROM metric_units WHERE metric = ?
+    `).get(metric);
+  }
+
+  /**
+   * Set (insert or replace) the canonical unit of a metric
+   */
+  setMetricUnit(metric, unit) {
+    this.db.prepare(`
+      INSERT INTO metric_units (metric, unit)
+      VALUES (?, ?)
+      ON CONFLICT(metric) DO UPDATE SET unit = excluded.unit, updated_at = CURRENT_TIMESTAMP
+    `).run(metric, unit);
+  }
+
+  deleteMetricUnit(metric) {
+    this.db.prepare('DELETE FROM metric_units WHERE metric = ?').run(metric);
+  }
+}
+
+module.exports = MetricUnitStore;
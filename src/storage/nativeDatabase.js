@@ -0,0 +1,177 @@
+const fs = require('fs');
+const Migrator = require('../migrator');
+
+/**
+ * Native Database
+ *
+ * File-backed SQLite through better-sqlite3 (STORAGE_BACKEND=sqlite), for
+ * volumes where keeping the whole database in memory and snapshotting it
+ * (DatabaseManager) no longer fits.
+ *
+ * Design Decisions:
+ * - better-sqlite3 is loaded only when this backend is selected; it is a
+ *   native module and not needed by the default sql.js backend
+ * - SQLite does the durability work (WAL mode), so there is no journal,
+ *   snapshot or checksum sidecar of our own
+ * - A sql.js database file can be opened directly (same file format), but
+ *   only after its journal has been folded in: a leftover data.db.journal
+ *   stops startup instead of being ignored
+ * - A restore keeps the old file (data.db.prev) until the new one has
+ *   opened and migrated, and puts it back if that fails
+ * - Prepared statements are cached per SQL string
+ */
+
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+    throw error;
+  }
+}
+
+class NativeDatabase {
+  /**
+   * @param {string} dbPath - Database file
+   * @param {Object} options - Optional { migrate (default true) }
+   */
+  constructor(dbPath, options = {}) {
+    this.dbPath = dbPath;
+    this.autoMigrate = options.migrate !== false;
+    this.db = null;
+    this.statements = new Map();
+  }
+
+  async init() {
+    const journalPath = `${this.dbPath}.journal`;
+    if (fs.existsSync(journalPath) && fs.statSync(journalPath).size > 0) {
+      throw new Error(
+        `${journalPath} has unreplayed sql.js writes; start once with STORAGE_BACKEND=sqljs ` +
+        'and stop the server cleanly before switching to the sqlite backend'
+      );
+    }
+
+    // A restore stopped between its two renames leaves only the old file
+    const previousPath = `${this.dbPath}.prev`;
+    if (!fs.existsSync(this.dbPath) && fs.existsSync(previousPath)) {
+      fs.renameSync(previousPath, this.dbPath);
+    }
+
+    this.open();
+    return this;
+  }
+
+  /**
+   * Open the database file, check it and migrate it forward
+   */
+  open() {
+    const BetterSqlite3 = loadDriver();
+    this.db = new BetterSqlite3(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    const check = this.db.pragma('quick_check', { simple: true });
+    if (check !== 'ok') {
+      this.db.close();
+      throw new Error(`Database file ${this.dbPath} failed integrity check: ${check}`);
+    }
+
+    if (this.autoMigrate) {
+      Migrator.migrate(this);
+    }
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  prepare(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    const stmt = this.statements.get(sql);
+
+    return {
+      run: (...params) => ({ lastInsertRowid: Number(stmt.run(...params).lastInsertRowid) }),
+      get: (...params) => stmt.get(...params) || null,
+      all: (...params) => stmt.all(...params)
+    };
+  }
+
+  /**
+   * Wrap a callback in a transaction (nested calls become savepoints)
+   */
+  transaction(callback) {
+    return this.db.transaction(callback);
+  }
+
+  /**
+   * Run a batch of writes (nothing to defer: SQLite writes pages directly)
+   */
+  async deferSave(callback) {
+    return callback();
+  }
+
+  /**
+   * Export a consistent copy of the database
+   * @returns {Buffer} - SQLite database file
+   */
+  serialize() {
+    return this.db.serialize();
+  }
+
+  /**
+   * Replace the database file with an image (restore) and reopen it. The
+   * old file is kept as .prev until the image has opened and migrated, and
+   * put back if it doesn't
+   */
+  restore(buffer) {
+    if (this.db.inTransaction) {
+      throw new Error('Database is busy (transaction in progress), try again');
+    }
+
+    const tempPath = `${this.dbPath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, buffer);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Fold the WAL into the old file first, so no stale WAL is left
+    // next to the new one
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+    this.close();
+
+    const previousPath = `${this.dbPath}.prev`;
+    fs.renameSync(this.dbPath, previousPath);
+    fs.renameSync(tempPath, this.dbPath);
+
+    try {
+      this.open();
+    } catch (error) {
+      if (this.db.open) {
+        this.close();
+      }
+      ['-wal', '-shm'].forEach(suffix => fs.rmSync(`${this.dbPath}${suffix}`, { force: true }));
+      fs.renameSync(previousPath, this.dbPath);
+      this.open();
+      throw error;
+    }
+    fs.unlinkSync(previousPath);
+  }
+
+  getStorageStatus() {
+    return { status: 'ok', issues: [] };
+  }
+
+  close() {
+    this.statements.clear();
+    this.db.close();
+  }
+}
+
+module.exports = NativeDatabase;
@@ -0,0 +1,55 @@
+/**
+ * Number Format Store
+ *
+ * Per-client number formats: the separators amounts given as text are
+ * read with (see NumberFormatService).
+ */
+
+class NumberFormatStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * List number formats, by client
+   */
+  listFormats() {
+    return this.db.prepare(`
+      SELECT client_id, locale, decimal_separator, grouping_separator, created_at, updated_at
+      FROM number_formats ORDER BY client_id
+    `).all();
+  }
+
+  /**
+   * Get a client's number format
+   */
+  getFormat(clientId) {
+    return this.db.prepare(`
+      SELECT client_id, locale, decimal_separator, grouping_separator, created_at, updated_at
+      FROM number_formats WHERE client_id = ?
+    `).get(clientId);
+  }
+
+  /**
+   * Set (insert or replace) a client's number format
+   *
+   * @param {Object} format - { locale, decimal_separator, grouping_separator }
+   */
+  setFormat(clientId, format) {
+    this.db.prepare(`
+      INSERT INTO number_formats (client_id, locale, decimal_separator, grouping_separator)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(client_id) DO UPDATE SET
+        locale = excluded.locale,
+        decimal_separator = excluded.decimal_separator,
+        grouping_separator = excluded.grouping_separator,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(clientId, format.locale, format.decimal_separator, format.grouping_separator);
+  }
+
+  deleteFormat(clientId) {
+    this.db.prepare('DELETE FROM number_formats WHERE client_id = ?').run(clientId);
+  }
+}
+
+module.exports = NumberFormatStore;
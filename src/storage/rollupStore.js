@@ -0,0 +1,156 @@
+const { ROLLUPS, ROLLUP_KEY_COLUMNS, ROLLUP_VALUE_COLUMNS, ROLLUP_COLUMNS, rollupSourceSql } = require('../rollups');
+
+const INSERT_COLUMNS = [...ROLLUP_KEY_COLUMNS, ...ROLLUP_VALUE_COLUMNS].join(', ');
+
+/**
+ * Rollup Store
+ *
+ * Reads and writes the rollup tables (see rollups.js for their layout).
+ *
+ * Design Decisions:
+ * - Inserts are incremental upserts; updates (reprocessing, invalidation)
+ *   recompute the affected buckets from normalized_events, since min/max
+ *   can't be decremented
+ * - Called by EventRepository inside the transaction that writes the
+ *   normalized event, so a rollup never disagrees with committed events
+ */
+
+class RollupStore {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Add a newly processed event to every rollup
+   *
+   * @param {Object} event - { client_id, metric, unit, amount, timestamp, co2e_kg }
+   */
+  recordEvent(event) {
+    Object.values(ROLLUPS).forEach(rollup => {
+      this.db.prepare(`
+        INSERT INTO ${rollup.table}
+          (${INSERT_COLUMNS})
+        VALUES (?, ?, ?, ?, 1, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(${ROLLUP_KEY_COLUMNS.join(', ')}) DO UPDATE SET
+          event_count = event_count + 1,
+          total_amount = total_amount + excluded.total_amount,
+          min_amount = MIN(min_amount, excluded.min_amount),
+          max_amount = MAX(max_amount, excluded.max_amount),
+          first_event = MIN(first_event, excluded.first_event),
+          last_event = MAX(last_event, excluded.last_event),
+          total_co2e_kg = COALESCE(total_co2e_kg + excluded.total_co2e_kg, total_co2e_kg, excluded.total_co2e_kg)
+      `).run(
+        rollup.bucketOf(event.timestamp),
+        event.client_id,
+        event.metric,
+        event.unit || '',
+        event.amount,
+        event.amount,
+        event.amount,
+        event.timestamp,
+        event.timestamp,
+        event.co2e_kg === undefined ? null : event.co2e_kg
+      );
+    });
+  }
+
+  /**
+   * Recompute the buckets the given events fall in from normalized_events
+   * (pass both the old and new version of an updated event; every unit of
+   * a client and metric is recomputed)
+   *
+   * @param {Array} events - [{ client_id, metric, timestamp }]
+   */
+  refreshBuckets(events) {
+    Object.values(ROLLUPS).forEach(rollup => {
+      const seen = new Set();
+
+      events.forEach(event => {
+        const bucket = rollup.bucketOf(event.timestamp);
+        const key = JSON.stringify([bucket, event.client_id, event.metric]);
+
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+
+        this.db.prepare(`
+          DELETE FROM ${rollup.table} WHERE bucket_start = ? AND client_id = ? AND metric = ?
+        `).run(bucket, event.client_id, event.metric);
+
+        this.db.prepare(`
+          INSERT INTO ${rollup.table}
+            (${INSERT_COLUMNS})
+          SELECT ?, client_id, metric, COALESCE(unit, ''), ${ROLLUP_COLUMNS}
+          FROM normalized_events
+          WHERE status = 'processed' AND client_id = ? AND metric = ?
+            AND timestamp >= ? AND timestamp < ?
+          GROUP BY client_id, metric, COALESCE(unit, '')
+        `).run(bucket, event.client_id, event.metric, bucket, rollup.nextBucket(bucket));
+      });
+    });
+  }
+
+  /**
+   * Rebuild every rollup from normalized_events, in one transaction
+   * @returns {Object} - { rollup_table: bucket rows written }
+   */
+  rebuild() {
+    const counts = {};
+
+    this.db.transaction(() => {
+      Object.values(ROLLUPS).forEach(rollup => {
+        this.db.prepare(`DELETE FROM ${rollup.table}`).run();
+        this.db.prepare(`
+          INSERT INTO ${rollup.table}
+            (${INSERT_COLUMNS})
+          ${rollupSourceSql(rollup)}
+        `).run();
+        counts[rollup.table] = this.db.prepare(`SELECT COUNT(*) as count FROM ${rollup.table}`).get().count;
+      });
+    })();
+
+    return counts;
+  }
+
+  /**
+   * Stored buckets of a rollup
+   */
+  listBuckets(rollup) {
+    return this.db.prepare(`SELECT * FROM ${rollup.table}`).all();
+  }
+
+  /**
+   * Buckets of a rollup computed from scratch from normalized_events
+   */
+  computeBuckets(rollup) {
+    return this.db.prepare(rollupSourceSql(rollup)).all();
+  }
+
+  /**
+   * Event count, amount and CO2e of the processed events the rollups summarize
+   * @returns {Object} - { event_count, total_amount, total_co2e_kg }
+   */
+  getSourceTotals() {
+    return this.db.prepare(`
+      SELECT COUNT(*) as event_count, COALESCE(SUM(amount), 0) as total_amount,
+        COALESCE(SUM(co2e_kg), 0) as total_co2e_kg
+      FROM normalized_events
+      WHERE status = 'processed'
+    `).get();
+  }
+
+  /**
+   * Event count, amount and CO2e summed over a rollup
+   * @returns {Object} - { event_count, total_amount, total_co2e_kg }
+   */
+  getTotals(rollup) {
+    return this.db.prepare(`
+      SELECT COALESCE(SUM(event_count), 0) as event_count, COALESCE(SUM(total_amount), 0) as total_amount,
+        COALESCE(SUM(total_co2e_kg), 0) as total_co2e_kg
+      FROM ${rollup.table}
+    `).get();
+  }
+}
+
+module.exports = RollupStore;
@@ -0,0 +1,73 @@
+/**
+ * Event Tags
+ *
+ * Unknown payload fields (region, site, department, ...) are kept on each
+ * normalized event as string tags in normalized_events.tags (a JSON object).
+ * These helpers are shared by the normalizer (extraction) and the query
+ * side (filters and group-by on tags).
+ *
+ * Design Decisions:
+ * - Only scalar values become tags; values are stored as trimmed strings
+ *   so filters compare consistently
+ * - Tag keys are restricted to a safe character set and always passed to
+ *   SQLite as bound JSON paths, never interpolated into SQL
+ */
+
+const TAG_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Upper bound on tags kept per event
+const MAX_TAGS = 50;
+
+/**
+ * Check a tag key
+ */
+function isValidTagKey(key) {
+  return typeof key === 'string' && TAG_KEY_PATTERN.test(key);
+}
+
+/**
+ * Check a value can be kept as a tag
+ */
+function isTagValue(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value) && String(value).trim() !== '';
+}
+
+/**
+ * JSON path for a tag key, for json_extract(tags, ?)
+ */
+function tagJsonPath(key) {
+  return `$."${key}"`;
+}
+
+/**
+ * Parse tag filters from query parameters
+ * Accepts tag.region=eu and tag[region]=eu
+ *
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - { key: value }
+ */
+function parseTagFilters(query = {}) {
+  const tags = {};
+
+  Object.keys(query).forEach(param => {
+    if (param.startsWith('tag.')) {
+      tags[param.slice(4)] = String(query[param]);
+    }
+  });
+
+  if (query.tag && typeof query.tag === 'object') {
+    Object.keys(query.tag).forEach(key => {
+      tags[key] = String(query.tag[key]);
+    });
+  }
+
+  return tags;
+}
+
+module.exports = {
+  MAX_TAGS,
+  isValidTagKey,
+  isTagValue,
+  tagJsonPath,
+  parseTagFilters
+};
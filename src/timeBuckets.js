@@ -0,0 +1,217 @@
+/**
+ * Time Buckets
+ *
+ * Calendar buckets (hour, day, ISO week, month, quarter, year) in an IANA
+ * timezone, used by time-series aggregations.
+ *
+ * A bucket is identified by its local "wall" start: the local date and time
+ * encoded as if it were UTC (Date.UTC(y, m, d, h)), so calendar arithmetic
+ * is plain UTC arithmetic. It is converted to a real instant only for the
+ * bucket boundaries.
+ *
+ * Design Decisions:
+ * - Offsets come from Intl (no timezone database dependency)
+ * - DST: a local hour skipped by a spring-forward transition has no bucket;
+ *   a repeated fall-back hour is one (two-hour) bucket
+ * - Every IANA offset in use is a multiple of 15 minutes, so 15-minute UTC
+ *   slots never straddle a local bucket boundary
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a timezone (throws RangeError if unknown)
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check a timezone name
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local wall time of an instant, as a UTC-encoded timestamp
+ */
+function toWall(instant, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * First instant at or after a local wall time
+ * (the earlier one when the wall time occurs twice)
+ */
+function fromWall(wall, timeZone) {
+  const offsetBefore = toWall(wall - DAY, timeZone) - (wall - DAY);
+  const offsetAfter = toWall(wall + DAY, timeZone) - (wall + DAY);
+  const candidates = [wall - offsetBefore, wall - offsetAfter]
+    .filter(instant => toWall(instant, timeZone) === wall);
+
+  if (candidates.length === 0) {
+    // Wall time skipped by a transition: the gap ends at this instant
+    return wall - offsetBefore;
+  }
+
+  return Math.min(...candidates);
+}
+
+/**
+ * Wall start of the bucket containing a wall time
+ */
+function floorWall(wall, granularity) {
+  const date = new Date(wall);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (granularity) {
+    case 'hour':
+      return wall - (wall % HOUR);
+    case 'day':
+      return Date.UTC(year, month, date.getUTCDate());
+    case 'week':
+      // ISO weeks start on Monday
+      return Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    case 'month':
+      return Date.UTC(year, month, 1);
+    case 'quarter':
+      return Date.UTC(year, month - (month % 3), 1);
+    case 'year':
+      return Date.UTC(year, 0, 1);
+    default:
+      throw new Error(`Unknown granularity: ${granularity}`);
+  }
+}
+
+/**
+ * Wall start of the next bucket
+ */
+function nextWall(wall, granularity) {
+  const date = new Date(wall);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  switch (granularity) {
+    case 'hour':
+      return wall + HOUR;
+    case 'day':
+      return Date.UTC(year, month, date.getUTCDate() + 1);
+    case 'week':
+      return Date.UTC(year, month, date.getUTCDate() + 7);
+    case 'month':
+      return Date.UTC(year, month + 1, 1);
+    case 'quarter':
+      return Date.UTC(year, month + 3, 1);
+    case 'year':
+      return Date.UTC(year + 1, 0, 1);
+    default:
+      throw new Error(`Unknown granularity: ${granularity}`);
+  }
+}
+
+/**
+ * Label of a bucket (2024-03-10T02:00, 2024-03-10, 2024-W10, 2024-03, 2024-Q1, 2024)
+ */
+function bucketLabel(wall, granularity) {
+  const iso = new Date(wall).toISOString();
+  const date = new Date(wall);
+
+  switch (granularity) {
+    case 'hour':
+      return iso.slice(0, 16);
+    case 'day':
+      return iso.slice(0, 10);
+    case 'week': {
+      // ISO week-year is the year of the week's Thursday
+      const thursday = new Date(wall + 3 * DAY);
+      const weekYear = thursday.getUTCFullYear();
+      const week = 1 + Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / (7 * DAY));
+      return `${weekYear}-W${String(week).padStart(2, '0')}`;
+    }
+    case 'month':
+      return iso.slice(0, 7);
+    case 'quarter':
+      return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    case 'year':
+      return String(date.getUTCFullYear());
+    default:
+      throw new Error(`Unknown granularity: ${granularity}`);
+  }
+}
+
+/**
+ * Wall start of the bucket containing an instant
+ */
+function bucketWallOf(instant, granularity, timeZone) {
+  return floorWall(toWall(instant, timeZone), granularity);
+}
+
+/**
+ * List consecutive buckets, starting with the one containing `from`
+ *
+ * @param {number} from - Instant (ms) inside the first bucket
+ * @param {number} to - Last instant (ms) to cover
+ * @param {string} granularity - One of GRANULARITIES
+ * @param {string} timeZone - IANA timezone
+ * @param {number} limit - Maximum number of buckets
+ * @returns {Object} - { buckets: [{ wall, label, start, end }], next } -
+ *                     next is the start instant of the following bucket,
+ *                     or null when `to` is covered
+ */
+function listBuckets(from, to, granularity, timeZone, limit) {
+  const buckets = [];
+  let wall = bucketWallOf(from, granularity, timeZone);
+  let start = fromWall(wall, timeZone);
+
+  while (start <= to && buckets.length < limit) {
+    const next = nextWall(wall, granularity);
+    const end = fromWall(next, timeZone);
+
+    // Skipped local hour (spring forward): no instant belongs to it
+    if (end > start && bucketWallOf(start, granularity, timeZone) === wall) {
+      buckets.push({ wall, label: bucketLabel(wall, granularity), start, end });
+    }
+
+    wall = next;
+    start = end;
+  }
+
+  return { buckets, next: start <= to ? start : null };
+}
+
+module.exports = {
+  GRANULARITIES,
+  isValidTimeZone,
+  toWall,
+  fromWall,
+  bucketWallOf,
+  listBuckets
+};
@@ -0,0 +1,215 @@
+/**
+ * Unit Catalog
+ *
+ * The units amounts can be given in, grouped by dimension (energy, mass,
+ * volume, distance, currency). Shared by the Normalizer (units after an
+ * amount or in a unit field), UnitService (canonical unit per metric) and
+ * the emission factors.
+ *
+ * Design Decisions:
+ * - Symbols are case-sensitive: mWh and MWh, or mL and ML, are a factor
+ *   10^9 apart, so a symbol in the wrong case is refused rather than
+ *   guessed (symbolsInOtherCase names the one meant). Word aliases and
+ *   ISO currency codes are matched in any case
+ * - Units convert through their dimension's base unit (kWh, kg, L, km);
+ *   conversions are rounded to 12 significant digits, so 3.5 MWh is
+ *   3500 kWh and not 3499.9999999999995
+ * - Currencies have no fixed factor: amounts in different currencies
+ *   don't convert here, they are converted at query time with the
+ *   exchange rate of the event's date (see ExchangeRateService)
+ * - Currency signs ($, €, £, ...) stand for currencies; an ambiguous sign
+ *   ($, ¥) stands for several, the first being what it is read as alone
+ */
+
+const DIMENSIONS = {
+  energy: 'kWh',
+  mass: 'kg',
+  volume: 'L',
+  distance: 'km',
+  currency: null
+};
+
+// symbol -> { dimension, factor (base units per unit), aliases }
+const UNITS = {
+  Wh: { dimension: 'energy', factor: 0.001, aliases: ['watt_hour', 'watt_hours'] },
+  kWh: { dimension: 'energy', factor: 1, aliases: ['kilowatt_hour', 'kilowatt_hours'] },
+  MWh: { dimension: 'energy', factor: 1000, aliases: ['megawatt_hour', 'megawatt_hours'] },
+  GWh: { dimension: 'energy', factor: 1000000, aliases: ['gigawatt_hour', 'gigawatt_hours'] },
+  J: { dimension: 'energy', factor: 1 / 3600000, aliases: ['joule', 'joules'] },
+  kJ: { dimension: 'energy', factor: 1 / 3600, aliases: [] },
+  MJ: { dimension: 'energy', factor: 1 / 3.6, aliases: [] },
+  GJ: { dimension: 'energy', factor: 1000 / 3.6, aliases: [] },
+  therm: { dimension: 'energy', factor: 29.30711, aliases: ['therms'] },
+  BTU: { dimension: 'energy', factor: 0.00029307107, aliases: [] },
+  MMBtu: { dimension: 'energy', factor: 293.07107, aliases: [] },
+
+  g: { dimension: 'mass', factor: 0.001, aliases: ['gram', 'grams'] },
+  kg: { dimension: 'mass', factor: 1, aliases: ['kilogram', 'kilograms', 'kgs'] },
+  t: { dimension: 'mass', factor: 1000, aliases: ['tonne', 'tonnes', 'metric_ton', 'metric_tons'] },
+  lb: { dimension: 'mass', factor: 0.45359237, aliases: ['lbs', 'pound', 'pounds'] },
+
+  mL: { dimension: 'volume', factor: 0.001, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  L: { dimension: 'volume', factor: 1, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  m3: { dimension: 'volume', factor: 1000, aliases: ['m³', 'cubic_meter', 'cubic_meters', 'cubic_metre', 'cubic_metres'] },
+  gal: { dimension: 'volume', factor: 3.785411784, aliases: ['gallon', 'gallons'] },
+  bbl: { dimension: 'volume', factor: 158.987294928, aliases: ['barrel', 'barrels'] },
+
+  m: { dimension: 'distance', factor: 0.001, aliases: ['meter', 'meters', 'metre', 'metres'] },
+  km: { dimension: 'distance', factor: 1, aliases: ['kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+  mi: { dimension: 'distance', factor: 1.609344, aliases: ['mile', 'miles'] },
+
+  USD: { dimension: 'currency', factor: null, aliases: [] },
+  EUR: { dimension: 'currency', factor: null, aliases: [] },
+  GBP: { dimension: 'currency', factor: null, aliases: [] },
+  JPY: { dimension: 'currency', factor: null, aliases: [] },
+  CHF: { dimension: 'currency', factor: null, aliases: [] },
+  CAD: { dimension: 'currency', factor: null, aliases: [] },
+  AUD: { dimension: 'currency', factor: null, aliases: [] },
+  CNY: { dimension: 'currency', factor: null, aliases: [] },
+  INR: { dimension: 'currency', factor: null, aliases: [] },
+  SEK: { dimension: 'currency', factor: null, aliases: [] },
+  NOK: { dimension: 'currency', factor: null, aliases: [] },
+  DKK: { dimension: 'currency', factor: null, aliases: [] },
+  PLN: { dimension: 'currency', factor: null, aliases: [] }
+};
+
+// Currency sign -> currencies it can stand for (the first by default)
+const CURRENCY_SIGNS = {
+  '$': ['USD', 'CAD', 'AUD'],
+  'US$': ['USD'],
+  'C$': ['CAD'],
+  'A$': ['AUD'],
+  '€': ['EUR'],
+  '£': ['GBP'],
+  '¥': ['JPY', 'CNY'],
+  '₹': ['INR'],
+  'zł': ['PLN'],
+  'kr': ['SEK', 'NOK', 'DKK']
+};
+
+// Aggregated unit of a group whose events are in more than one unit
+const MIXED_UNITS = 'mixed';
+
+const CONVERSION_PRECISION = 12;
+
+// lower-case word alias or currency code -> symbol
+const FOLDED_LOOKUP = new Map();
+Object.keys(UNITS).forEach(symbol => {
+  const names = UNITS[symbol].dimension === 'currency' ? [symbol, ...UNITS[symbol].aliases] : UNITS[symbol].aliases;
+  names.forEach(name => FOLDED_LOOKUP.set(name.toLowerCase(), symbol));
+});
+
+function lookupKey(name) {
+  return name.trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Catalog symbol of a unit name: a symbol in its exact case, or a word
+ * alias or currency code in any case
+ * @returns {string|null} - Symbol, or null if unknown
+ */
+function findUnit(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const key = lookupKey(name);
+  if (Object.prototype.hasOwnProperty.call(UNITS, key)) {
+    return key;
+  }
+  return FOLDED_LOOKUP.get(key.toLowerCase()) || null;
+}
+
+/**
+ * Symbols a unit name matches only in another case ("ML" -> ["mL"])
+ * @returns {Array} - Catalog symbols (empty if none)
+ */
+function symbolsInOtherCase(name) {
+  if (typeof name !== 'string' || findUnit(name)) {
+    return [];
+  }
+  const key = lookupKey(name).toLowerCase();
+  return Object.keys(UNITS).filter(symbol => symbol.toLowerCase() === key);
+}
+
+/**
+ * Catalog symbol of a currency (ISO code, any case)
+ * @returns {string|null} - Symbol, or null if not a currency
+ */
+function findCurrency(name) {
+  const symbol = findUnit(name);
+  return symbol && UNITS[symbol].dimension === 'currency' ? symbol : null;
+}
+
+/**
+ * Units a unit name or currency sign can stand for
+ * @returns {Array} - Catalog symbols (empty if unknown)
+ */
+function unitCandidates(name) {
+  if (typeof name !== 'string') {
+    return [];
+  }
+  const symbol = findUnit(name);
+  return symbol ? [symbol] : CURRENCY_SIGNS[name.trim()] || [];
+}
+
+/**
+ * Currency symbols of the catalog
+ */
+function listCurrencies() {
+  return Object.keys(UNITS).filter(symbol => UNITS[symbol].dimension === 'currency');
+}
+
+/**
+ * Dimension of a unit symbol (null if unknown)
+ */
+function dimensionOf(symbol) {
+  return UNITS[symbol] ? UNITS[symbol].dimension : null;
+}
+
+/**
+ * Convert an amount between unit symbols
+ * @returns {number|null} - Converted amount, or null if the units are
+ *                          unknown or incompatible
+ */
+function convertAmount(amount, from, to) {
+  if (from === to && UNITS[from]) {
+    return amount;
+  }
+
+  const source = UNITS[from];
+  const target = UNITS[to];
+
+  if (!source || !target || source.dimension !== target.dimension || source.factor === null || target.factor === null) {
+    return null;
+  }
+
+  return Number((amount * source.factor / target.factor).toPrecision(CONVERSION_PRECISION));
+}
+
+/**
+ * The catalog as a list, for the API
+ */
+function listUnits() {
+  return Object.keys(UNITS).map(symbol => ({
+    unit: symbol,
+    dimension: UNITS[symbol].dimension,
+    base_unit: DIMENSIONS[UNITS[symbol].dimension],
+    to_base: UNITS[symbol].factor,
+    aliases: UNITS[symbol].aliases,
+    signs: Object.keys(CURRENCY_SIGNS).filter(sign => CURRENCY_SIGNS[sign].includes(symbol))
+  }));
+}
+
+module.exports = {
+  DIMENSIONS,
+  MIXED_UNITS,
+  CURRENCY_SIGNS,
+  findUnit,
+  findCurrency,
+  symbolsInOtherCase,
+  unitCandidates,
+  listCurrencies,
+  dimensionOf,
+  convertAmount,
+  listUnits
+};
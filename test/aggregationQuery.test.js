@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileAggregationQuery } = require('../src/aggregationQuery');
+const EventService = require('../src/services/eventService');
+const AggregationService = require('../src/services/aggregationService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+async function seed(t) {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  for (const event of [
+    rawEvent({ amount: 10, region: 'eu' }),
+    rawEvent({ amount: 20, region: 'us', timestamp: '2024-01-16T10:00:00.000Z' }),
+    rawEvent({ source: 'client_B', amount: 5, region: 'eu' }),
+    rawEvent({ source: 'client_B', metric: 'fuel', amount: 2 }),
+    rawEvent({ source: 'client_B', metric: 'fuel', amount: '3 l' })
+  ]) {
+    assert.equal((await events.ingestEvent(event)).status, 201);
+  }
+
+  return new AggregationService(storage);
+}
+
+test('specs outside the whitelists are refused', () => {
+  const { errors, sql } = compileAggregationQuery({
+    dimensions: ['client_id; DROP TABLE raw_events', 'tag.bad key'],
+    measures: ['median', { fn: 'sum', field: 'client_id' }, { fn: 'count', as: 'x" FROM raw_events --' }],
+    filters: [{ field: 'raw_data', op: 'eq', value: 1 }, { field: 'amount', op: 'like', value: 1 }],
+    sort: [{ by: 'amount' }],
+    limit: 0
+  });
+
+  assert.equal(sql, null);
+  assert.deepEqual(errors.map(error => error.split(':')[0]), [
+    'dimensions[0]', 'dimensions[1]', 'measures[0]', 'measures[1]', 'measures[2]',
+    'filters[0]', 'filters[1]', 'sort[0]', 'limit must be an integer between 1 and 10000'
+  ]);
+});
+
+test('filter values are bound, never inlined', () => {
+  const value = "client_A' OR '1'='1";
+  const { errors, sql, params } = compileAggregationQuery({
+    dimensions: ['tag.region'],
+    filters: [{ field: 'client_id', op: 'in', value: [value] }, { field: 'tag.site', op: 'eq', value: 'x' }]
+  });
+
+  assert.deepEqual(errors, []);
+  assert.ok(!sql.includes(value));
+  assert.deepEqual(params, ['$."region"', value, '$."site"', 'x', '$."region"', 1001]);
+});
+
+test('a spec is grouped, filtered, sorted and limited', async t => {
+  const aggregations = await seed(t);
+
+  const result = aggregations.query({
+    dimensions: ['client_id', { field: 'tag.region', as: 'region' }],
+    measures: ['count', { fn: 'sum', as: 'total' }],
+    filters: [{ field: 'metric', op: 'eq', value: 'electricity' }, { field: 'amount', op: 'gte', value: 5 }],
+    sort: [{ by: 'total', dir: 'desc' }],
+    limit: 2
+  });
+
+  assert.equal(result.source, 'normalized_events');
+  assert.equal(result.truncated, true);
+  assert.deepEqual(result.rows, [
+    { client_id: 'client_A', region: 'us', count: 1, total: 20 },
+    { client_id: 'client_A', region: 'eu', count: 1, total: 10 }
+  ]);
+});
+
+test('amounts in different units are not summed', async t => {
+  const aggregations = await seed(t);
+
+  const { rows } = aggregations.query({
+    dimensions: ['metric'],
+    measures: ['count', 'sum', 'unit'],
+    filters: [{ field: 'client_id', op: 'eq', value: 'client_B' }],
+    sort: ['metric']
+  });
+
+  assert.deepEqual(rows, [
+    { metric: 'electricity', count: 1, sum_amount: 5, unit: null },
+    { metric: 'fuel', count: 2, sum_amount: null, unit: 'mixed' }
+  ]);
+});
+
+test('invalid specs are answered with 400 and their errors', async t => {
+  const aggregations = await seed(t);
+  const result = aggregations.query({ measures: [] });
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.errors, ['measures must be a non-empty array of at most 10 entries']);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('a batch reports a result per item', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const batch = await events.ingestBatch([
+    rawEvent(),
+    rawEvent(),
+    rawEvent({ amount: 'n/a' }),
+    ['not', 'an', 'object'],
+    rawEvent({ source: 'client_B' })
+  ]);
+
+  assert.equal(batch.status, 207);
+  assert.deepEqual(batch.summary, { total: 5, created: 2, duplicate: 1, invalid: 2, error: 0 });
+  assert.deepEqual(batch.results.map(item => item.status), ['created', 'duplicate', 'invalid', 'invalid', 'created']);
+  assert.equal(batch.results[1].eventHash, batch.results[0].eventHash);
+  assert.deepEqual(batch.results[3].errors, ['Batch item must be a JSON object']);
+  assert.equal(events.getStats().totalProcessed, 2);
+});
+
+test('a batch of accepted items succeeds', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent());
+  const batch = await events.ingestBatch([rawEvent(), rawEvent({ amount: 11 })]);
+
+  assert.equal(batch.status, 200);
+  assert.deepEqual(batch.summary, { total: 2, created: 1, duplicate: 1, invalid: 0, error: 0 });
+});
+
+test('empty, oversized and non-array batches are refused', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  assert.equal((await events.ingestBatch({})).status, 400);
+  assert.equal((await events.ingestBatch([])).status, 400);
+  assert.equal((await events.ingestBatch(new Array(10001).fill(rawEvent()))).status, 413);
+});
+
+test('NDJSON lines are parsed with errors per index', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const text = [JSON.stringify(rawEvent()), '', '{"source": ', JSON.stringify(rawEvent({ amount: 2 }))].join('\r\n');
+
+  const { events: parsed, parseErrors } = EventService.parseNdjson(text);
+  const batch = await events.ingestBatch(parsed, parseErrors);
+
+  assert.equal(parsed.length, 3);
+  assert.match(parseErrors[1], /^Invalid JSON on line 3: /);
+  assert.deepEqual(batch.results.map(item => item.status), ['created', 'invalid', 'created']);
+  assert.deepEqual(batch.results[1].errors, [parseErrors[1]]);
+});
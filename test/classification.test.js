@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scopeLabel } = require('../src/ghgScopes');
+const EventService = require('../src/services/eventService');
+const ClassificationService = require('../src/services/classificationService');
+const AggregationService = require('../src/services/aggregationService');
+const ReprocessService = require('../src/services/reprocessService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const scopes = events => events.getEvents({}, { sort: 'timestamp', order: 'asc' }).events
+  .map(event => [event.scope, event.scope3_category]);
+
+test('the most specific matching rule classifies an event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const rules = new ClassificationService(storage);
+  rules.addRule({ metric: 'travel_*', scope: 'scope_3', scope3_category: 6 });
+  rules.addRule({ metric: 'travel_car', scope: 'scope_1' });
+  rules.addRule({ metric: 'travel_*', tag_key: 'paid_by', tag_value: 'employee', scope: 'scope_3', scope3_category: 7 });
+  rules.addRule({ metric: 'electricity', scope: 'scope_2_location' });
+
+  await events.ingestEvent(rawEvent({ metric: 'travel_flight', timestamp: '2024-01-15T01:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ metric: 'TRAVEL_CAR', timestamp: '2024-01-15T02:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ metric: 'travel_car', paid_by: 'Employee', timestamp: '2024-01-15T03:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ timestamp: '2024-01-15T04:00:00.000Z' }));
+
+  assert.deepEqual(scopes(events), [['scope_3', 6], ['scope_1', null], ['scope_3', 7], ['scope_2_location', null]]);
+});
+
+test('priority overrides specificity', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const rules = new ClassificationService(storage);
+  rules.addRule({ metric: 'electricity', scope: 'scope_2_location' });
+  rules.addRule({ tag_key: 'contract', tag_value: 'green', scope: 'scope_2_market', priority: 1 });
+
+  await events.ingestEvent(rawEvent({ contract: 'green' }));
+
+  assert.deepEqual(scopes(events), [['scope_2_market', null]]);
+  assert.deepEqual(rules.listRules().map(rule => rule.scope), ['scope_2_market', 'scope_2_location']);
+});
+
+test('unmatched events are unclassified and reprocessing applies new rules', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const rules = new ClassificationService(storage);
+  rules.addRule({ metric: 'gas', scope: 'scope_1' });
+
+  const result = await events.ingestEvent(rawEvent());
+  assert.deepEqual(result.warnings, ['No classification rule matches metric electricity; event is unclassified']);
+  assert.equal(events.getEvents({ scope: 'unclassified' }).events.length, 1);
+
+  const aggregations = new AggregationService(storage);
+  assert.deepEqual(aggregations.getByScope().map(row => [row.scope, row.label]), [['unclassified', 'Unclassified']]);
+
+  rules.addRule({ metric: 'electricity', scope: 'scope_2_location' });
+  new ReprocessService(storage).reprocessEvents();
+
+  assert.deepEqual(aggregations.getByScope().map(row => row.label), ['Scope 2 (location-based)']);
+  assert.equal(scopeLabel('scope_3', 6), 'Scope 3.6 Business travel');
+});
+
+test('invalid and duplicate rules are refused', async t => {
+  const storage = await memoryStorage(t);
+  const rules = new ClassificationService(storage);
+  const { rule } = rules.addRule({ metric: 'gas', scope: 'scope_1' });
+
+  assert.equal(rules.addRule({ metric: 'GAS', scope: 'scope_3', scope3_category: 1 }).ruleId, rule.id);
+  assert.deepEqual(rules.addRule({ tag_key: 'site', scope: 'scope_4' }).errors, [
+    'tag_key and tag_value go together',
+    'scope must be one of: scope_1, scope_2_location, scope_2_market, scope_3'
+  ]);
+  assert.deepEqual(rules.addRule({ metric: 'gas', tag_key: 'x', tag_value: 'y', scope: 'scope_3', scope3_category: 16 }).errors, [
+    'scope3_category must be a Scope 3 category number (1-15)'
+  ]);
+  assert.deepEqual(rules.updateRule(rule.id, { scope3_category: 2, priority: 1.5 }).errors, [
+    'scope3_category is only for scope_3',
+    'priority must be an integer'
+  ]);
+  assert.deepEqual(rules.addRule({ scope: 'scope_1' }).errors, ['A rule needs a metric, a tag_key, or both']);
+  assert.equal(rules.deleteRule(999).status, 404);
+});
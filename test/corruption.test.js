@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+const EventService = require('../src/services/eventService');
+const { tempDir, rawEvent } = require('./helpers');
+
+// A closed database with one event (snapshot and checksum written)
+async function createDatabase(t) {
+  const dir = tempDir(t);
+  const dbPath = path.join(dir, 'data.db');
+  const storage = await createStorage({ backend: 'sqljs', dbPath });
+  await new EventService(storage).ingestEvent(rawEvent());
+  storage.close();
+  return { dir, dbPath };
+}
+
+function quarantined(dir) {
+  return fs.readdirSync(dir).filter(file => file.startsWith('data.db.corrupt-')).sort();
+}
+
+function quiet(t) {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+test('a snapshot that fails its checksum stops startup and is copied aside', async t => {
+  quiet(t);
+  const { dir, dbPath } = await createDatabase(t);
+  const image = fs.readFileSync(dbPath);
+  image[image.length - 1] ^= 0xff;
+  fs.writeFileSync(dbPath, image);
+
+  await assert.rejects(createStorage({ backend: 'sqljs', dbPath }), /^Error: Database is corrupt: Checksum mismatch/);
+
+  assert.deepEqual(fs.readFileSync(dbPath), image);
+  assert.equal(quarantined(dir).length, 3);
+});
+
+test('an unreadable snapshot without a checksum fails its integrity check', async t => {
+  quiet(t);
+  const { dbPath } = await createDatabase(t);
+  fs.unlinkSync(`${dbPath}.sha256`);
+  fs.writeFileSync(dbPath, Buffer.alloc(8192, 7));
+
+  await assert.rejects(createStorage({ backend: 'sqljs', dbPath }), /failed integrity check/);
+});
+
+test('a damaged journal is refused', async t => {
+  quiet(t);
+  const { dbPath } = await createDatabase(t);
+  const journalPath = `${dbPath}.journal`;
+
+  fs.writeFileSync(journalPath, 'not json\n{"seq":5,"statements":[]}\n');
+  await assert.rejects(createStorage({ backend: 'sqljs', dbPath }), /Journal entry after \d+ is unreadable/);
+
+  // Only the part after the last newline can be a torn append
+  fs.writeFileSync(journalPath, '\n{"seq":5,"statements":[]}\n');
+  await assert.rejects(createStorage({ backend: 'sqljs', dbPath }), /Journal entry after \d+ is empty/);
+
+  fs.writeFileSync(journalPath, '{"seq":999,"statements":[]}\n');
+  await assert.rejects(createStorage({ backend: 'sqljs', dbPath }), /Journal skips from entry \d+ to 999/);
+});
+
+test('with start_empty the damaged files are moved aside and storage is degraded', async t => {
+  quiet(t);
+  const { dir, dbPath } = await createDatabase(t);
+  fs.writeFileSync(`${dbPath}.journal`, 'not json\n');
+
+  const storage = await createStorage({ backend: 'sqljs', dbPath, corruptionPolicy: 'start_empty' });
+
+  assert.equal(new EventService(storage).getStats().totalRaw, 0);
+  assert.deepEqual(quarantined(dir).map(file => file.replace(/corrupt-[^.]+/, 'corrupt-*')), [
+    'data.db.corrupt-*', 'data.db.corrupt-*.journal', 'data.db.corrupt-*.sha256'
+  ]);
+  assert.equal(storage.getStatus().status, 'degraded');
+  assert.deepEqual(storage.getStatus().issues.map(issue => issue.type), ['corruption']);
+  storage.close();
+});
+
+test('an unknown corruption policy is refused', async () => {
+  await assert.rejects(
+    createStorage({ backend: 'sqljs', dbPath: 'unused.db', corruptionPolicy: 'ignore' }),
+    /DB_CORRUPTION_POLICY must be one of: fail, start_empty/
+  );
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const DedupPolicyService = require('../src/services/dedupPolicyService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+async function setup(t, policy) {
+  const storage = await memoryStorage(t);
+  if (policy) {
+    assert.equal(new DedupPolicyService(storage).upsertPolicy('client_A', policy).status, 201);
+  }
+  return { storage, events: new EventService(storage) };
+}
+
+const statuses = async (events, rawEvents) => {
+  const results = [];
+  for (const event of rawEvents) {
+    const result = await events.ingestEvent(event);
+    results.push(result.isDuplicate ? 'duplicate' : result.status);
+  }
+  return results;
+};
+
+test('without a policy the whole body is hashed, ignoring case and receipt metadata', async t => {
+  const { events } = await setup(t);
+
+  assert.deepEqual(await statuses(events, [
+    rawEvent({ metric: 'Electricity', received_at: '2024-01-15T10:00:01Z' }),
+    rawEvent({ metric: ' electricity ', received_at: '2024-01-15T10:00:02Z' }),
+    rawEvent({ sent_at: '2024-01-15T10:00:03Z' })
+  ]), [201, 'duplicate', 201]);
+});
+
+test('key fields alone identify an event', async t => {
+  const { events } = await setup(t, { key_fields: ['txn_id'] });
+
+  assert.deepEqual(await statuses(events, [
+    rawEvent({ txn_id: 'T1' }),
+    rawEvent({ txn_id: 'T1', amount: 99 }),
+    rawEvent({ txn_id: 'T2' })
+  ]), [201, 'duplicate', 201]);
+});
+
+test('ignored fields and case sensitivity shape the hash', async t => {
+  const { events } = await setup(t, { ignored_fields: ['sent_at'], case_sensitive: true });
+
+  assert.deepEqual(await statuses(events, [
+    rawEvent({ sent_at: '1' }),
+    rawEvent({ sent_at: '2' }),
+    rawEvent({ metric: 'ELECTRICITY' })
+  ]), [201, 'duplicate', 201]);
+});
+
+test('a repeat outside the dedup window is a new event', async t => {
+  const { storage, events } = await setup(t, { window_seconds: 60 });
+
+  assert.deepEqual(await statuses(events, [rawEvent(), rawEvent()]), [201, 'duplicate']);
+
+  storage.database.prepare("UPDATE raw_events SET received_at = datetime('now', '-2 minutes')").run();
+  assert.deepEqual(await statuses(events, [rawEvent(), rawEvent()]), [201, 'duplicate']);
+  assert.equal(events.getStats().totalProcessed, 2);
+});
+
+test('policies are validated, replaced and deleted', async t => {
+  const storage = await memoryStorage(t);
+  const policies = new DedupPolicyService(storage);
+
+  const invalid = policies.upsertPolicy('client_A', {
+    key_fields: [], ignored_fields: 'sent_at', case_sensitive: 'yes', window_seconds: 0
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.errors.length, 4);
+
+  assert.equal(policies.upsertPolicy('client_A', { key_fields: ['txn_id'] }).status, 201);
+  assert.equal(policies.upsertPolicy('client_A', { key_fields: null }).status, 200);
+  assert.equal(policies.getPolicy('client_A').key_fields, null);
+  assert.equal(policies.deletePolicy('client_A').status, 200);
+  assert.equal(policies.deletePolicy('client_A').status, 404);
+});
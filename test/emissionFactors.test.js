@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const EmissionFactorService = require('../src/services/emissionFactorService');
+const AggregationService = require('../src/services/aggregationService');
+const RollupService = require('../src/services/rollupService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const GRID_2023 = { metric: 'electricity', unit: 'kWh', valid_to: '2023-12-31', kg_co2e_per_unit: 0.5, source: 'grid' };
+const GRID_2024 = { metric: 'electricity', unit: 'MWh', valid_from: '2024-01-01', kg_co2e_per_unit: 400, source: 'grid' };
+
+const co2e = events => events.getEvents({}, { sort: 'timestamp', order: 'asc' }).events.map(event => event.co2e_kg);
+
+test('events get the CO2e of the factor valid on their date', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const factors = new EmissionFactorService(storage);
+  factors.addFactor(GRID_2023);
+  factors.addFactor(GRID_2024);
+  factors.addFactor({ ...GRID_2024, unit: 'kWh', region: 'FR', kg_co2e_per_unit: 0.05 });
+
+  await events.ingestEvent(rawEvent({ amount: '10 kWh', timestamp: '2023-06-01T10:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: '10 kWh' }));
+  await events.ingestEvent(rawEvent({ amount: '10 kWh', region: 'fr', timestamp: '2024-01-16T10:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ metric: 'water', amount: 3, timestamp: '2024-01-17T10:00:00.000Z' }));
+
+  // kWh events are converted for the per-MWh factor
+  assert.deepEqual(co2e(events), [5, 4, 0.5, null]);
+});
+
+test('factors in several units need the event to give one', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const factors = new EmissionFactorService(storage);
+  factors.addFactor(GRID_2024);
+  factors.addFactor({ ...GRID_2024, unit: 'kWh', kg_co2e_per_unit: 0.4 });
+
+  const result = await events.ingestEvent(rawEvent({ amount: 10 }));
+
+  assert.match(result.warnings[0], /are in several units \(MWh, kWh\); give the amount's unit$/);
+  assert.deepEqual(co2e(events), [null]);
+});
+
+test('a factor change reports the events it applies to until they are recalculated', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const factors = new EmissionFactorService(storage);
+  const { factor } = factors.addFactor(GRID_2024);
+  await events.ingestEvent(rawEvent({ amount: '2 MWh' }));
+  await events.ingestEvent(rawEvent({ amount: '1 MWh', timestamp: '2023-06-01T10:00:00.000Z' }));
+
+  // Counted, not scanned: the scan is the recalculation's
+  const scan = t.mock.method(factors, 'recalculate');
+  const updated = factors.updateFactor(factor.id, { kg_co2e_per_unit: 300 });
+  assert.deepEqual(updated.recalculation, { filters: { metrics: ['electricity'], start_date: '2024-01-01' }, affected: 1 });
+  assert.equal(scan.mock.callCount(), 0);
+  assert.deepEqual(co2e(events), [null, 800]);
+
+  const report = factors.recalculate(updated.recalculation.filters);
+  assert.equal(report.updated, 1);
+  assert.deepEqual(report.changes[0].co2e_kg, { from: 800, to: 600 });
+  assert.deepEqual(co2e(events), [null, 600]);
+  assert.equal(new AggregationService(storage).getSummary().total_co2e_kg, 600);
+  assert.equal(new RollupService(storage).check().consistent, true);
+
+  assert.equal(factors.deleteFactor(factor.id).recalculation.affected, 1);
+});
+
+test('overlapping and invalid factors are refused', async t => {
+  const storage = await memoryStorage(t);
+  const factors = new EmissionFactorService(storage);
+  const { factor } = factors.addFactor(GRID_2024);
+
+  const overlap = factors.addFactor({ ...GRID_2024, unit: 'megawatt_hours', valid_from: '2024-06-01', valid_to: '2024-06-30' });
+  assert.equal(overlap.status, 409);
+  assert.equal(overlap.factorId, factor.id);
+  assert.equal(factors.addFactor({ ...GRID_2024, region: 'FR' }).status, 201);
+
+  assert.deepEqual(factors.addFactor({ metric: 'gas', unit: 'furlong', valid_from: '2024-02-30', kg_co2e_per_unit: -1 }).errors, [
+    'source must be a non-empty string',
+    'unit must be a unit of the catalog (see GET /api/units)',
+    'valid_from must be a date (YYYY-MM-DD)',
+    'kg_co2e_per_unit must be a number >= 0'
+  ]);
+  assert.equal(factors.updateFactor(999, {}).status, 404);
+});
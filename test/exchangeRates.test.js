@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const EventService = require('../src/services/eventService');
+const ExchangeRateService = require('../src/services/exchangeRateService');
+const AggregationService = require('../src/services/aggregationService');
+const { memoryStorage, tempDir, rawEvent } = require('./helpers');
+
+const spend = (amount, timestamp) => rawEvent({ metric: 'spend', amount, timestamp });
+
+test('amounts are reported in a currency at the rate of their date', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const rates = new ExchangeRateService(storage, { base: 'EUR' });
+  rates.setRates({ rates: [
+    { currency: 'USD', date: '2024-01-12', rate: 1.25 },
+    { currency: 'USD', date: '2024-01-15', rate: 2 }
+  ] });
+
+  // Saturday: Friday's rate applies
+  await events.ingestEvent(spend('100 USD', '2024-01-13T10:00:00.000Z'));
+  await events.ingestEvent(spend('€50', '2024-01-15T10:00:00.000Z'));
+
+  const aggregations = new AggregationService(storage);
+  const total = currency => {
+    const [row] = aggregations.query({ measures: ['unit', 'sum'], currency }).rows;
+    return [row.unit, row.sum_amount];
+  };
+
+  assert.deepEqual(total(undefined), ['mixed', null]);
+  assert.deepEqual(total('eur'), ['EUR', 130]);
+  assert.deepEqual(total('USD'), ['USD', 200]);
+
+  // Each event keeps the currency it was sent in
+  assert.deepEqual(events.getEvents().events.map(event => [event.amount, event.unit]), [[50, 'EUR'], [100, 'USD']]);
+});
+
+test('an amount without a rate on or before its date stays in its currency', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const rates = new ExchangeRateService(storage, { base: 'EUR' });
+  rates.setRates({ rates: [{ currency: 'USD', date: '2024-01-12', rate: 1.25 }] });
+  await events.ingestEvent(spend('100 USD', '2024-01-11T10:00:00.000Z'));
+
+  const [row] = new AggregationService(storage).query({ measures: ['unit', 'sum'], currency: 'EUR' }).rows;
+
+  assert.deepEqual([row.unit, row.sum_amount], ['USD', 100]);
+});
+
+test('rates are saved all or nothing, and unchanged rates are not written', async t => {
+  const storage = await memoryStorage(t);
+  const rates = new ExchangeRateService(storage, { base: 'EUR' });
+  const usd = { currency: 'usd', date: '2024-01-12', rate: '1.25' };
+
+  assert.deepEqual(rates.setRates({ rates: [usd] }), {
+    status: 200, success: true, message: 'Exchange rates saved', base: 'EUR', saved: 1, unchanged: 0
+  });
+  assert.equal(rates.setRates({ rates: [usd] }).unchanged, 1);
+
+  assert.deepEqual(rates.setRates({ rates: [
+    { currency: 'GBP', date: '2024-01-12', rate: 0.8 },
+    { currency: 'EUR', date: '2024-02-30', rate: 0 },
+    { currency: 'GBP', date: '2024-01-12', rate: 0.9 }
+  ] }).errors, [
+    'rates[1]: EUR is the base currency; date must be a date (YYYY-MM-DD); rate must be a positive number',
+    'rates[2]: GBP on 2024-01-12 is given twice'
+  ]);
+  assert.deepEqual(rates.listCurrencies().currencies.map(currency => currency.currency), ['USD']);
+
+  assert.equal(rates.deleteRate('USD', '2024-01-12').status, 200);
+  assert.equal(rates.deleteRate('USD', '2024-01-12').status, 404);
+});
+
+test('rate files load in the long, wide (ECB) and JSON layouts', async t => {
+  const storage = await memoryStorage(t);
+  const rates = new ExchangeRateService(storage, { base: 'EUR' });
+  const dir = tempDir(t);
+  const write = (name, text) => {
+    fs.writeFileSync(path.join(dir, name), text);
+    return path.join(dir, name);
+  };
+
+  const wide = rates.loadFile(write('ecb.csv', 'Date,USD,GBP,XAU,\n2024-01-12,1.25,N/A,1900,\n2024-01-15,1.3,0.86,1950,\n'));
+  assert.deepEqual([wide.saved, wide.ignored_columns], [3, ['XAU']]);
+
+  const long = rates.loadFile(write('rates.csv', 'date;currency;rate\n2024-01-12;USD;1.25\n2024-01-12;GBP;0.85\n'));
+  assert.deepEqual([long.saved, long.unchanged], [1, 1]);
+
+  const json = rates.loadFile(write('rates.json', '[{"date":"2024-01-16","currency":"USD","rate":"x"}]'));
+  assert.deepEqual(json.errors, ['Entry 1: rate must be a positive number']);
+
+  assert.deepEqual(rates.listRates('usd').rates.map(rate => rate.rate), [1.3, 1.25]);
+  assert.equal(rates.loadFile(path.join(dir, 'missing.csv')).status, 400);
+  assert.throws(() => new ExchangeRateService(null, { base: 'kWh' }), /not a currency of the unit catalog: kWh/);
+});
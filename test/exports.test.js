@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../src/csv');
+const EventService = require('../src/services/eventService');
+const ExportService = require('../src/services/exportService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+async function read(result) {
+  let text = '';
+  for await (const chunk of result.stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+// Two events with tags that need CSV quoting and formula escaping, one failed
+async function seed(t) {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 2, site: '=HYPERLINK("x")', note: 'a, "b"' }));
+  await events.ingestEvent(rawEvent({ source: 'client_B', amount: 1, timestamp: '2024-01-16T10:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+
+  return new ExportService(storage);
+}
+
+test('events export as CSV that reads back, formulas neutralised', async t => {
+  const exports = await seed(t);
+  const result = exports.exportEvents('csv', {}, { sort: 'amount' });
+
+  assert.equal(result.contentType, 'text/csv; charset=utf-8');
+  assert.match(result.filename, /^events-\d{4}-\d{2}-\d{2}\.csv$/);
+
+  const { records, errors } = parseCsv(await read(result));
+  const [header, ...rows] = records.map(record => record.values);
+  const column = name => rows.map(row => row[header.indexOf(name)]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(header[0], 'id');
+  assert.deepEqual(column('amount'), ['1', '2']);
+  assert.deepEqual(JSON.parse(column('tags')[1]), { site: '=HYPERLINK("x")', note: 'a, "b"' });
+});
+
+test('events export as NDJSON with the listing filters', async t => {
+  const exports = await seed(t);
+  const text = await read(exports.exportEvents('ndjson', { client_id: 'client_A' }));
+  const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].amount, 2);
+  assert.deepEqual(lines[0].tags, { site: '=HYPERLINK("x")', note: 'a, "b"' });
+});
+
+test('an export streams every batch', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  await events.ingestBatch(Array.from({ length: 1001 }, (_, i) => rawEvent({ amount: i })));
+
+  const text = await read(new ExportService(storage).exportEvents('ndjson', {}, { sort: 'amount' }));
+  const amounts = text.trim().split('\n').map(line => JSON.parse(line).amount);
+
+  assert.equal(amounts.length, 1001);
+  assert.ok(amounts.every((amount, i) => amount === i));
+});
+
+test('aggregation views and query specs export as CSV', async t => {
+  const exports = await seed(t);
+
+  const byClient = parseCsv(await read(exports.exportAggregation('by-client'))).records.map(record => record.values);
+  assert.equal(byClient.length, 3);
+  assert.equal(byClient[0][0], 'client_id');
+
+  const query = await read(exports.exportQuery({ dimensions: ['client_id'], measures: ['sum'], sort: ['client_id'] }));
+  assert.equal(query, 'client_id,sum_amount\r\nclient_A,2\r\nclient_B,1\r\n');
+
+  const series = await read(exports.exportAggregation('timeseries', { limit: 1 }));
+  assert.equal(series.trim().split('\r\n').length, 3);
+});
+
+test('bad export requests are refused before streaming', async t => {
+  const exports = new ExportService(await memoryStorage(t));
+
+  assert.equal(exports.exportEvents('xlsx').status, 400);
+  assert.deepEqual(exports.exportEvents('csv', {}, { sort: 'client_id' }).errors, [
+    'sort must be one of: timestamp, created_at, amount'
+  ]);
+  assert.equal(exports.exportAggregation('by-weather').status, 404);
+  assert.equal(exports.exportAggregation('by-tag', { tag: 'bad tag' }).status, 400);
+  assert.equal(exports.exportAggregation('summary', { currency: 'XYZ' }).status, 400);
+  assert.equal(exports.exportQuery({ measures: ['median'] }).status, 400);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const FieldMappingService = require('../src/services/fieldMappingService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const amounts = (events, clientId) => events.getEvents({ client_id: clientId }).events.map(event => event.amount);
+
+test('client aliases come before the global ones', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const mappings = new FieldMappingService(storage);
+
+  mappings.addMapping('client_D', { canonical_field: 'amount', alias: 'reading' });
+  await events.ingestEvent(rawEvent({ source: 'client_D', value: 1, reading: 2 }));
+  await events.ingestEvent(rawEvent({ value: 1, reading: 2, amount: undefined }));
+
+  assert.deepEqual(amounts(events, 'client_D'), [2]);
+  assert.deepEqual(amounts(events, 'client_A'), [1]);
+});
+
+test('an alias mapped to another field is no longer read for its global one', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const mappings = new FieldMappingService(storage);
+  const event = rawEvent({ source: 'client_D', metric: undefined, amount: undefined, value: 'gas', qty: 5 });
+
+  assert.equal((await events.ingestEvent(event)).status, 400);
+
+  mappings.addMapping('client_D', { canonical_field: 'metric', alias: 'value' });
+  mappings.addMapping('client_D', { canonical_field: 'amount', alias: 'qty' });
+
+  assert.equal((await events.ingestEvent(event)).status, 201);
+  assert.deepEqual(events.getEvents().events.map(stored => [stored.metric, stored.amount]), [['gas', 5]]);
+});
+
+test('a client can exclude a global alias', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const mappings = new FieldMappingService(storage);
+
+  mappings.addMapping('client_D', { canonical_field: 'amount', alias: 'total', action: 'exclude' });
+
+  const excluded = await events.ingestEvent(rawEvent({ source: 'client_D', amount: undefined, total: 5 }));
+  assert.deepEqual(excluded.errors, ['Missing required field: amount (or equivalent)']);
+  await events.ingestEvent(rawEvent({ amount: undefined, total: 5 }));
+  assert.deepEqual(amounts(events, 'client_A'), [5]);
+});
+
+test('mappings are validated and managed per client', async t => {
+  const mappings = new FieldMappingService(await memoryStorage(t));
+
+  const invalid = mappings.addMapping('client_D', { canonical_field: 'client_id', alias: ' ', action: 'rename' });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.errors.length, 3);
+
+  const created = mappings.addMapping('client_D', { canonical_field: 'amount', alias: 'qty' });
+  assert.equal(created.status, 201);
+  assert.equal(created.mapping.action, 'include');
+  assert.equal(mappings.addMapping('client_D', { canonical_field: 'amount', alias: 'qty' }).status, 409);
+
+  const id = created.mapping.id;
+  assert.equal(mappings.updateMapping('client_D', id, { alias: 'quantity_kwh' }).mapping.alias, 'quantity_kwh');
+  assert.equal(mappings.updateMapping('client_E', id, { alias: 'x' }).status, 404);
+  assert.equal(mappings.deleteMapping('client_D', id).status, 200);
+  assert.equal(mappings.deleteMapping('client_D', id).status, 404);
+  assert.deepEqual(mappings.listMappings('client_D'), []);
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+
+/**
+ * Test helpers
+ *
+ * Tests run the real services against the memory backend (sql.js, no
+ * files); the file-backed backends get a temporary directory that is
+ * removed after the test.
+ */
+
+/**
+ * A migrated in-memory storage, closed after the test
+ */
+async function memoryStorage(t, options = {}) {
+  const storage = await createStorage({ backend: 'memory', ...options });
+  t.after(() => storage.close());
+  return storage;
+}
+
+/**
+ * A temporary directory, removed after the test
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'events-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Whether the optional better-sqlite3 package is installed
+ */
+function hasNativeSqlite() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * A valid raw event (fields can be overridden or removed with undefined)
+ */
+function rawEvent(overrides = {}) {
+  const event = {
+    source: 'client_A',
+    metric: 'electricity',
+    amount: 10,
+    timestamp: '2024-01-15T10:00:00.000Z',
+    ...overrides
+  };
+
+  Object.keys(event).forEach(key => event[key] === undefined && delete event[key]);
+  return event;
+}
+
+module.exports = {
+  memoryStorage,
+  tempDir,
+  hasNativeSqlite,
+  rawEvent
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('a repeated key replays the stored response', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const first = await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-1' });
+  const replay = await events.ingestEvent(rawEvent(), false, { idempotencyKey: ' key-1 ' });
+
+  assert.equal(first.status, 201);
+  assert.equal(replay.status, 201);
+  assert.equal(replay.replayed, true);
+  assert.equal(replay.normalizedEventId, first.normalizedEventId);
+  assert.equal(events.getStats().totalProcessed, 1);
+});
+
+test('a key reused with a different body is refused', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-1' });
+  const reused = await events.ingestEvent(rawEvent({ amount: 11 }), false, { idempotencyKey: 'key-1' });
+
+  assert.equal(reused.status, 422);
+  assert.equal(events.getStats().totalProcessed, 1);
+});
+
+test('the key, not the content, identifies the event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const first = await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-1' });
+  const second = await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-2' });
+
+  assert.equal(second.status, 201);
+  assert.notEqual(second.eventHash, first.eventHash);
+  assert.equal(events.getStats().totalProcessed, 2);
+});
+
+test('event_id is a key scoped to the client', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const results = [
+    await events.ingestEvent(rawEvent({ event_id: 7 })),
+    await events.ingestEvent(rawEvent({ event_id: 7, source: 'client_B' })),
+    await events.ingestEvent(rawEvent({ event_id: 7 }))
+  ];
+
+  assert.deepEqual(results.map(result => result.status), [201, 201, 201]);
+  assert.equal(results[2].replayed, true);
+  assert.equal(events.getStats().totalProcessed, 2);
+});
+
+test('a failed request can be retried under its key', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const failed = await events.ingestEvent(rawEvent(), true, { idempotencyKey: 'key-1' });
+  const retried = await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-1' });
+
+  assert.equal(failed.status, 500);
+  assert.equal(retried.status, 201);
+  assert.equal(retried.replayed, undefined);
+  assert.equal(retried.attempts, 2);
+});
+
+test('overlong keys are refused', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  assert.equal((await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'k'.repeat(256) })).status, 400);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../src/csv');
+const EventService = require('../src/services/eventService');
+const ImportService = require('../src/services/importService');
+const { memoryStorage } = require('./helpers');
+
+test('spreadsheet CSV is parsed with its quirks and row numbers', () => {
+  const { delimiter, records } = parseCsv('\ufeffa;b\r\n"x;\ny";2\n3;"say ""hi"""\n');
+
+  assert.equal(delimiter, ';');
+  assert.deepEqual(records, [
+    { row: 1, values: ['a', 'b'] },
+    { row: 2, values: ['x;\ny', '2'] },
+    { row: 3, values: ['3', 'say "hi"'] }
+  ]);
+  assert.equal(parseCsv('a,"b\n').errors[0].message, 'Row 1: unterminated quoted field');
+});
+
+test('columns are detected from aliases and the rest become tags', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const imports = new ImportService(storage);
+  const csv = [
+    'Client,Type,Value,Timestamp,Cost Center',
+    'client_A,electricity,12 kWh,2024-01-15T10:00:00Z,CC-1',
+    'client_A,electricity,,2024-01-15T11:00:00Z,CC-1',
+    '',
+    'client_A,electricity,3,2024-01-15T12:00:00Z,CC-2,extra'
+  ].join('\n');
+
+  const result = await imports.importCsv(csv);
+
+  assert.equal(result.status, 207);
+  assert.deepEqual(result.summary, { total: 3, created: 1, duplicate: 0, invalid: 2, error: 0 });
+  assert.deepEqual(result.mapping.amount, { column: 'Value', source: 'detected' });
+  assert.deepEqual(result.tag_columns, { 'Cost Center': 'Cost_Center' });
+  assert.deepEqual(result.failures.map(failure => failure.row), [3, 5]);
+  assert.deepEqual(result.failures[1].errors, ['Row 5 has 6 fields, the header has 5']);
+
+  const [event] = events.getEvents().events;
+  assert.deepEqual(event.tags, { Cost_Center: 'CC-1' });
+  assert.equal(event.amount, 12);
+});
+
+test('an explicit mapping and a file-wide client are used', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const imports = new ImportService(storage);
+  const csv = 'when\tkind\tqty\tvalue\n2024-01-15T10:00:00Z\tgas\t4\t99\n';
+
+  const result = await imports.importCsv(csv, {
+    client_id: 'client_B', delimiter: 'tab', mapping: { amount: 'qty', timestamp: 'when', metric: 'kind' }
+  });
+
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.tag_columns, { value: 'value' });
+  assert.deepEqual(events.getEvents().events.map(event => [event.client_id, event.metric, event.amount]), [
+    ['client_B', 'gas', 4]
+  ]);
+});
+
+test('a preview shows the outcome of the first rows without writing', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const imports = new ImportService(storage);
+  const preview = imports.previewCsv('source,metric,amount\nclient_A,electricity,5\nclient_A,electricity,n/a\n');
+
+  assert.deepEqual(preview.rows.map(row => row.outcome), ['created', 'invalid']);
+  assert.equal(preview.total_rows, 2);
+  assert.equal(events.getStats().totalRaw, 0);
+});
+
+test('a file that cannot be mapped is refused as a whole', async t => {
+  const storage = await memoryStorage(t);
+  const imports = new ImportService(storage);
+
+  assert.deepEqual((await imports.importCsv('metric,amount,amount\ngas,1,2\n')).errors, [
+    'Duplicate column name: amount',
+    'No column for client_id: map one, or pass client_id for the whole file'
+  ]);
+  const unmappable = await imports.importCsv('source,metric,amount\n', { mapping: { amount: 'qty', co2: 'metric' } });
+  assert.equal(unmappable.errors[0], 'Column not found for amount: qty');
+  assert.match(unmappable.errors[1], /^Cannot map to co2; fields: client_id, metric, amount, /);
+  assert.equal((await imports.importCsv('source,metric,amount\n')).message, 'CSV file has no data rows');
+  assert.equal((await imports.importCsv('a,b\n1,2\n', { delimiter: 'pipe' })).status, 400);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+const EventService = require('../src/services/eventService');
+const RollupService = require('../src/services/rollupService');
+const { tempDir, rawEvent } = require('./helpers');
+
+// Stop without the snapshot close() takes, as a killed process would
+function crash(storage) {
+  fs.closeSync(storage.database.journalFd);
+  storage.database.db.close();
+}
+
+function open(dbPath, options = {}) {
+  return createStorage({ backend: 'sqljs', dbPath, ...options });
+}
+
+test('writes since the last snapshot are replayed after a crash', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const first = await open(dbPath);
+  const events = new EventService(first);
+  await events.ingestEvent(rawEvent());
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.ingestEvent(rawEvent({ source: 'client_B' }));
+  const before = events.getEvents().events;
+  crash(first);
+
+  assert.ok(fs.statSync(`${dbPath}.journal`).size > 0);
+
+  const second = await open(dbPath);
+  const recovered = new EventService(second);
+
+  assert.deepEqual(recovered.getEvents().events, before);
+  assert.equal(recovered.getStats().totalFailed, 1);
+  assert.equal(new RollupService(second).check().consistent, true);
+  assert.equal(fs.statSync(`${dbPath}.journal`).size, 0);
+  second.close();
+});
+
+test('a torn last journal line is dropped and cut off', async t => {
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const first = await open(dbPath);
+  await new EventService(first).ingestEvent(rawEvent());
+  first.close();
+  fs.appendFileSync(`${dbPath}.journal`, '{"seq":99,"statements":[["INSERT INTO raw_');
+
+  const second = await open(dbPath);
+  const events = new EventService(second);
+
+  assert.equal(events.getStats().totalProcessed, 1);
+  assert.match(warn.mock.calls[0].arguments[0], /^Ignoring 42 bytes of incomplete journal at entry \d+$/);
+  assert.equal(fs.statSync(`${dbPath}.journal`).size, 0);
+
+  // Entries appended after the cut replay normally
+  await events.ingestEvent(rawEvent({ amount: 11 }));
+  crash(second);
+
+  const third = await open(dbPath);
+  assert.equal(new EventService(third).getStats().totalProcessed, 2);
+  third.close();
+});
+
+test('a failed commit takes its journal entry back', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const first = await open(dbPath);
+  const events = new EventService(first);
+  await events.ingestEvent(rawEvent());
+
+  const { db } = first.database;
+  const exec = db.exec.bind(db);
+  const failCommit = t.mock.method(db, 'exec', sql => {
+    if (sql === 'COMMIT') {
+      throw new Error('disk I/O error');
+    }
+    return exec(sql);
+  });
+  await assert.rejects(events.ingestEvent(rawEvent({ amount: 11 })), /disk I\/O error/);
+  failCommit.mock.restore();
+
+  await events.ingestEvent(rawEvent({ amount: 12 }));
+  crash(first);
+
+  // The entry after the failed commit has the next sequence number
+  const second = await open(dbPath);
+  assert.deepEqual(new EventService(second).getEvents({}, { sort: 'amount' }).events.map(event => event.amount), [12, 10]);
+  second.close();
+});
+
+test('short journal writes are completed and a failed write is cut off', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const first = await open(dbPath);
+  const events = new EventService(first);
+  const journalPath = `${dbPath}.journal`;
+  const writeSync = fs.writeSync;
+  let failAfterPart = false;
+
+  // Journal appends write at most 16 bytes per call; with failAfterPart,
+  // 16 bytes and then an error
+  t.mock.method(fs, 'writeSync', (fd, buffer, offset, length, ...rest) => {
+    if (fd !== first.database.journalFd) {
+      return writeSync(fd, buffer, offset, length, ...rest);
+    }
+    if (failAfterPart && offset > 0) {
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    }
+    return writeSync(fd, buffer, offset, Math.min(length, 16));
+  });
+
+  await events.ingestEvent(rawEvent());
+  const size = fs.statSync(journalPath).size;
+
+  failAfterPart = true;
+  await assert.rejects(events.ingestEvent(rawEvent({ amount: 11 })), /no space left on device/);
+  assert.equal(fs.statSync(journalPath).size, size);
+  assert.equal(first.getStatus().issues[0].type, 'journal_write');
+
+  failAfterPart = false;
+  await events.ingestEvent(rawEvent({ amount: 12 }));
+  crash(first);
+
+  const second = await open(dbPath);
+  assert.deepEqual(new EventService(second).getEvents({}, { sort: 'amount' }).events.map(event => event.amount), [12, 10]);
+  second.close();
+});
+
+test('a rolled back transaction leaves nothing to replay', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const first = await open(dbPath);
+  assert.throws(() => first.transaction(() => {
+    first.events.storeRawEvent('rolled-back', { source: 'x' });
+    throw new Error('abort');
+  })(), /abort/);
+  crash(first);
+
+  const second = await open(dbPath);
+  assert.equal(new EventService(second).getStats().totalRaw, 0);
+  second.close();
+});
+
+test('a snapshot is taken once the journal passes its size limit', async t => {
+  t.mock.method(console, 'log', () => {});
+  const dbPath = path.join(tempDir(t), 'data.db');
+
+  const storage = await open(dbPath, { snapshotBytes: 1024 });
+  const events = new EventService(storage);
+  const snapshot = fs.readFileSync(dbPath);
+
+  for (let i = 0; i < 5; i++) {
+    await events.ingestEvent(rawEvent({ amount: i }));
+  }
+
+  assert.ok(fs.statSync(`${dbPath}.journal`).size < 1024);
+  assert.ok(!fs.readFileSync(dbPath).equals(snapshot));
+  storage.close();
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Migrator = require('../src/migrator');
+const EventService = require('../src/services/eventService');
+const RollupService = require('../src/services/rollupService');
+const { memoryStorage, tempDir, rawEvent } = require('./helpers');
+
+const LATEST = Migrator.loadMigrations().slice(-1)[0].version;
+
+// Tables and their columns, order-independent
+function schemaOf(db) {
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT IN ('schema_migrations', 'sqlite_sequence')
+    ORDER BY name
+  `).all();
+
+  return Object.fromEntries(
+    tables.map(({ name }) => [name, db.prepare(`PRAGMA table_info(${name})`).all().map(column => column.name).sort()])
+  );
+}
+
+test('a new database is migrated to the latest version', async t => {
+  const storage = await memoryStorage(t);
+  const status = Migrator.getStatus(storage.database);
+
+  assert.equal(status.current, LATEST);
+  assert.equal(status.latest, LATEST);
+  assert.ok(status.migrations.every(migration => migration.status === 'applied'));
+});
+
+test('rolling everything back and forward again gives the same schema', async t => {
+  const storage = await memoryStorage(t);
+  const db = storage.database;
+  const schema = schemaOf(db);
+
+  assert.equal(Migrator.rollback(db, 0).length, LATEST);
+  assert.deepEqual(Object.keys(schemaOf(db)), ['persistence_state']);
+  assert.equal(Migrator.migrate(db).length, LATEST);
+  assert.deepEqual(schemaOf(db), schema);
+});
+
+test('rolling back and forward keeps events and refills the rollups', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  await events.ingestEvent(rawEvent());
+  await events.ingestEvent(rawEvent({ amount: '2 kWh', timestamp: '2024-01-16T10:00:00.000Z' }));
+
+  assert.deepEqual(Migrator.rollback(storage.database, 6).map(migration => migration.version), [12, 11, 10, 9, 8, 7]);
+  Migrator.migrate(storage.database);
+
+  assert.equal(events.getStats().totalProcessed, 2);
+  assert.equal(new RollupService(storage).check().consistent, true);
+});
+
+test('migrations run up to a target version', async t => {
+  const storage = await memoryStorage(t, { migrate: false });
+
+  assert.deepEqual(Migrator.migrate(storage.database, 3).map(migration => migration.version), [1, 2, 3]);
+  assert.equal(Migrator.getStatus(storage.database).current, 3);
+  assert.deepEqual(Migrator.rollback(storage.database).map(migration => migration.version), [3]);
+});
+
+test('a failing migration leaves the schema as it was', async t => {
+  const storage = await memoryStorage(t, { migrate: false });
+  const migrations = [
+    { version: 1, name: 'widgets', up: db => db.exec('CREATE TABLE widgets (id INTEGER)'), down: () => {} },
+    { version: 2, name: 'broken', up: db => db.exec('ALTER TABLE missing ADD COLUMN x TEXT'), down: () => {} }
+  ];
+
+  assert.throws(() => Migrator.migrate(storage.database, null, migrations), /no such table: missing/);
+  assert.equal(Migrator.getStatus(storage.database, migrations).current, 0);
+  assert.equal(Migrator.hasColumn(storage.database, 'widgets', 'id'), false);
+});
+
+test('a database migrated by newer code is refused', async t => {
+  const storage = await memoryStorage(t);
+  storage.database.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')").run();
+
+  assert.equal(Migrator.getStatus(storage.database).migrations.slice(-1)[0].status, 'unknown');
+  assert.throws(() => Migrator.migrate(storage.database), /Database schema is newer than this code \(applied: 999/);
+  assert.throws(() => Migrator.rollback(storage.database), /Migration 999 \(from_the_future\) is not known/);
+});
+
+test('migration files must have distinct versions', t => {
+  const dir = tempDir(t);
+  ['001_first.js', '001_again.js'].forEach(file => {
+    fs.writeFileSync(path.join(dir, file), 'module.exports = { up() {}, down() {} };\n');
+  });
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+  assert.throws(() => Migrator.loadMigrations(dir), /Duplicate migration version 1/);
+});
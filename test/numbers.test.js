@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumber, localeFormat } = require('../src/numbers');
+const Normalizer = require('../src/normalizer');
+const EventService = require('../src/services/eventService');
+const NumberFormatService = require('../src/services/numberFormatService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const GERMAN = { decimal_separator: ',', grouping_separator: '.' };
+
+test('numbers are read with the format as a whole', () => {
+  assert.equal(parseNumber('1,200.50').value, 1200.5);
+  assert.equal(parseNumber('12,34,567').value, 1234567);
+  assert.equal(parseNumber('.5').value, 0.5);
+  assert.equal(parseNumber('1.2e3').value, 1200);
+  assert.equal(parseNumber('1.200,50', GERMAN).value, 1200.5);
+  assert.equal(parseNumber('1 200', { decimal_separator: ',', grouping_separator: ' ' }).value, 1200);
+  assert.equal(parseNumber('1\u202f200', { decimal_separator: ',', grouping_separator: ' ' }).value, 1200);
+
+  assert.match(parseNumber('1,20,0').error, /is not a number with decimal "\." and grouping ","$/);
+  assert.match(parseNumber('1,2').error, /with decimal "," and grouping "\." it is 1\.2/);
+  assert.equal(parseNumber('1,200.50', GERMAN).value, null);
+});
+
+test('numbers past the double range are refused', () => {
+  assert.deepEqual(parseNumber('1e400'), { value: null, error: '"1e400" is too large a number', warning: null });
+  assert.equal(parseNumber('1e-400').value, 0);
+});
+
+test('the default format warns about numbers other formats read differently', () => {
+  const ambiguous = parseNumber('1.200');
+
+  assert.equal(ambiguous.value, 1.2);
+  assert.match(ambiguous.warning, /with decimal "," and grouping "\." it is 1200/);
+  assert.equal(parseNumber('1.200', { decimal_separator: '.', grouping_separator: ',' }).warning, null);
+});
+
+test('locales give both separators', () => {
+  assert.deepEqual(localeFormat('de-DE'), GERMAN);
+  assert.deepEqual(localeFormat('fr-FR'), { decimal_separator: ',', grouping_separator: ' ' });
+  assert.deepEqual(localeFormat('de-CH'), { decimal_separator: '.', grouping_separator: "'" });
+  assert.equal(localeFormat('ar-EG'), null);
+  assert.equal(localeFormat('not a locale'), null);
+});
+
+test('a string amount is only reported as converted when its unit is accepted', () => {
+  const normalizer = new Normalizer();
+  const normalize = amount => normalizer.normalize(rawEvent({ amount }));
+
+  assert.deepEqual(normalize('12 kWh').warnings, ['Amount was provided as string "12 kWh", converted to 12 (unit kWh)']);
+
+  ['12abc', '0x10'].forEach(amount => {
+    const result = normalize(amount);
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /is not a number or a known unit/);
+    assert.deepEqual(result.warnings.filter(warning => warning.startsWith('Amount was provided')), []);
+  });
+
+  assert.match(normalize('1e400').errors[0], /too large a number/);
+  assert.equal(normalize(Infinity).success, false);
+});
+
+test('client number formats are validated and used for new events', async t => {
+  const storage = await memoryStorage(t);
+  const formats = new NumberFormatService(storage);
+  const events = new EventService(storage);
+
+  assert.equal(formats.setFormat('client_A', {}).status, 400);
+  assert.equal(formats.setFormat('client_A', { decimal_separator: ',', grouping_separator: ',' }).status, 400);
+  assert.equal(formats.setFormat('client_A', { locale: 'de-DE' }).status, 201);
+  assert.equal(formats.setFormat('client_A', { locale: 'de-DE', grouping_separator: '' }).status, 200);
+  assert.deepEqual(formats.describeFormat('client_B').number_format, {
+    client_id: 'client_B', locale: null, decimal_separator: '.', grouping_separator: ','
+  });
+
+  const created = await events.ingestEvent(rawEvent({ amount: '1200,5' }));
+  const refused = await events.ingestEvent(rawEvent({ amount: '1.200,5' }));
+
+  assert.equal(created.data.amount, 1200.5);
+  assert.equal(refused.status, 400);
+  assert.equal(formats.deleteFormat('client_A').status, 200);
+  assert.equal(formats.deleteFormat('client_A').status, 404);
+});
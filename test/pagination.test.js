@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+// Five events; amounts 3 and 1 appear twice, so ties must be broken by id
+const AMOUNTS = [3, 1, 5, 3, 1];
+
+async function seed(t) {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  for (const [i, amount] of AMOUNTS.entries()) {
+    await events.ingestEvent(rawEvent({ amount, timestamp: `2024-01-1${i}T10:00:00.000Z` }));
+  }
+  return events;
+}
+
+// Follow next_cursor until the listing runs out
+function walk(events, params) {
+  const pages = [];
+  let result = events.getEvents({}, params);
+  pages.push(result.events.map(event => event.amount));
+  while (result.pagination.next_cursor) {
+    result = events.getEvents({}, { ...params, cursor: result.pagination.next_cursor });
+    pages.push(result.events.map(event => event.amount));
+  }
+  return pages;
+}
+
+test('pages follow the sort, with ties neither skipped nor repeated', async t => {
+  const events = await seed(t);
+
+  assert.deepEqual(walk(events, { sort: 'amount', order: 'asc', limit: 2 }), [[1, 1], [3, 3], [5]]);
+  assert.deepEqual(walk(events, { limit: 2 }).flat(), [...AMOUNTS].reverse());
+});
+
+test('prev_cursor walks back to the first page', async t => {
+  const events = await seed(t);
+  const params = { sort: 'timestamp', order: 'asc', limit: 2 };
+
+  const first = events.getEvents({}, params);
+  const second = events.getEvents({}, { ...params, cursor: first.pagination.next_cursor });
+  const back = events.getEvents({}, { ...params, cursor: second.pagination.prev_cursor });
+
+  assert.equal(first.pagination.prev_cursor, null);
+  assert.deepEqual(back.events, first.events);
+  assert.equal(back.pagination.prev_cursor, null);
+  assert.equal(back.pagination.next_cursor, first.pagination.next_cursor);
+});
+
+test('rows added while paging do not shift later pages', async t => {
+  const events = await seed(t);
+  const first = events.getEvents({}, { sort: 'timestamp', limit: 2 });
+
+  await events.ingestEvent(rawEvent({ amount: 9, timestamp: '2024-02-01T10:00:00.000Z' }));
+  const rest = events.getEvents({}, { sort: 'timestamp', limit: 10, cursor: first.pagination.next_cursor });
+
+  assert.deepEqual(rest.events.map(event => event.amount), [5, 1, 3]);
+});
+
+test('the total is counted only when asked for, over the filters', async t => {
+  const events = await seed(t);
+
+  assert.equal(events.getEvents({}, { limit: 1 }).pagination.total, undefined);
+  assert.equal(events.getEvents({}, { limit: 1, include_total: 'true' }).pagination.total, 5);
+  assert.equal(events.getEvents({ start_date: '2024-01-13' }, { include_total: 'true' }).pagination.total, 2);
+});
+
+test('invalid page parameters and mismatched cursors are refused', async t => {
+  const events = await seed(t);
+  const { pagination } = events.getEvents({}, { sort: 'amount', limit: 2 });
+
+  assert.deepEqual(events.getEvents({}, { limit: 0, sort: 'client_id', order: 'up', cursor: 'garbage' }).errors, [
+    'limit must be an integer between 1 and 1000',
+    'sort must be one of: timestamp, created_at, amount',
+    'order must be one of: asc, desc',
+    'Invalid cursor'
+  ]);
+  assert.deepEqual(events.getEvents({}, { limit: 2, cursor: pagination.next_cursor }).errors, [
+    'Cursor was issued for sort=amount&order=desc; pass the same sort and order'
+  ]);
+});
+
+test('failed events are paged by attempts', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.ingestEvent(rawEvent({ amount: 'none', source: 'client_B' }));
+
+  const first = events.getFailedEvents({}, { sort: 'attempts', limit: 1, include_total: true });
+  const second = events.getFailedEvents({}, { sort: 'attempts', limit: 1, cursor: first.pagination.next_cursor });
+
+  assert.equal(first.pagination.total, 2);
+  assert.equal(first.failedEvents[0].attempts, 2);
+  assert.equal(second.failedEvents[0].attempts, 1);
+  assert.equal(second.pagination.next_cursor, null);
+  assert.equal(events.getFailedEvents({}, { sort: 'amount' }).status, 400);
+});
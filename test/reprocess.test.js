@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const FieldMappingService = require('../src/services/fieldMappingService');
+const ReprocessService = require('../src/services/reprocessService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+// An event sent with an alias the normalizer doesn't know yet
+const withQty = (overrides = {}) => rawEvent({ source: 'client_D', amount: undefined, qty: 42, ...overrides });
+
+test('a failed event becomes valid after a mapping is added', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  assert.equal((await events.ingestEvent(withQty())).status, 400);
+  new FieldMappingService(storage).addMapping('client_D', { canonical_field: 'amount', alias: 'qty' });
+
+  const report = new ReprocessService(storage).reprocessEvents({ client_id: 'client_D' });
+
+  assert.equal(report.newlyValid, 1);
+  assert.deepEqual(events.getFailedEvents().failedEvents.map(event => event.status), ['resolved']);
+  assert.deepEqual(events.getEvents().events.map(event => [event.client_id, event.amount]), [['client_D', 42]]);
+});
+
+test('a failed event superseded by a resubmission is not normalized again', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const reprocess = new ReprocessService(storage);
+
+  await events.ingestEvent(withQty());
+  const failedId = events.getFailedEvents().failedEvents[0].id;
+  assert.equal((await events.resubmitFailedEvent(failedId, withQty({ amount: 42, qty: undefined }))).status, 201);
+  new FieldMappingService(storage).addMapping('client_D', { canonical_field: 'amount', alias: 'qty' });
+
+  const preview = reprocess.reprocessEvents({}, { dryRun: true });
+  const report = reprocess.reprocessEvents();
+
+  assert.equal(preview.superseded, 1);
+  assert.equal(report.scanned, 2);
+  assert.equal(report.superseded, 1);
+  assert.equal(report.newlyValid, 0);
+  assert.equal(events.getEvents().events.length, 1);
+  assert.equal(events.getStats().totalProcessed, 1);
+});
+
+test('reprocessing unchanged events changes nothing, receipt-time timestamps included', async t => {
+  // A receipt time with milliseconds, which a second-precision fallback would lose
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-15T10:00:00.620Z') });
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const reprocess = new ReprocessService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: '1.5 kWh' }));
+  await events.ingestEvent(rawEvent({ amount: 4, timestamp: undefined }));
+
+  // A retry keeps the receipt time of the first attempt
+  assert.equal((await events.ingestEvent(withQty({ timestamp: undefined }))).status, 400);
+  t.mock.timers.tick(5000);
+  new FieldMappingService(storage).addMapping('client_D', { canonical_field: 'amount', alias: 'qty' });
+  assert.equal((await events.ingestEvent(withQty({ timestamp: undefined }))).status, 201);
+
+  const report = reprocess.reprocessEvents();
+
+  assert.equal(report.scanned, 3);
+  assert.equal(report.unchanged, 3);
+  assert.deepEqual(report.changes, []);
+  assert.deepEqual(events.getEvents({}, { sort: 'amount' }).events.map(event => event.timestamp), [
+    '2024-01-15T10:00:00.620Z', '2024-01-15T10:00:00.620Z', '2024-01-15T10:00:00.000Z'
+  ]);
+});
+
+test('an event that no longer normalizes is marked invalid, not deleted', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const reprocess = new ReprocessService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: undefined, total: 5 }));
+  new FieldMappingService(storage).addMapping('client_A', { canonical_field: 'amount', alias: 'total', action: 'exclude' });
+
+  const preview = reprocess.reprocessEvents({}, { dryRun: true });
+  assert.equal(preview.newlyInvalid, 1);
+  assert.equal(events.getStats().totalProcessed, 1);
+
+  const report = reprocess.reprocessEvents();
+  assert.equal(report.newlyInvalid, 1);
+  assert.equal(report.changes[0].change, 'newly_invalid');
+  assert.deepEqual(events.getEvents({ status: 'invalid' }).events.map(event => event.amount), [5]);
+  assert.equal(events.getStats().totalProcessed, 0);
+  assert.equal(events.getStats().totalFailed, 1);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('a resubmission supersedes the failed event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  assert.equal((await events.ingestEvent(rawEvent({ amount: 'n/a' }))).status, 400);
+  const failedId = events.getFailedEvents().failedEvents[0].id;
+
+  const result = await events.resubmitFailedEvent(failedId, rawEvent({ amount: 12 }));
+  const failedEvent = storage.events.getFailedEvent(failedId);
+
+  assert.equal(result.status, 201);
+  assert.equal(result.supersedes, failedId);
+  assert.equal(failedEvent.status, 'resolved');
+  assert.equal(failedEvent.resolved_by_hash, result.eventHash);
+  assert.equal((await events.resubmitFailedEvent(failedId, rawEvent({ amount: 13 }))).status, 409);
+  assert.equal((await events.resubmitFailedEvent(failedId + 1, rawEvent())).status, 404);
+});
+
+test('a resubmission that fails again leaves the failed event pending', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  const failedId = events.getFailedEvents().failedEvents[0].id;
+
+  assert.equal((await events.resubmitFailedEvent(failedId, rawEvent({ amount: 'still n/a' }))).status, 400);
+  assert.equal(storage.events.getFailedEvent(failedId).status, 'failed');
+});
+
+test('stats count duplicate requests and replays, not resolved failures', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.resubmitFailedEvent(events.getFailedEvents().failedEvents[0].id, rawEvent());
+  await events.ingestEvent(rawEvent({ source: 'client_B' }));
+
+  assert.deepEqual(events.getStats(), {
+    totalProcessed: 2,
+    totalFailed: 0,
+    totalRaw: 3,
+    duplicateCount: 0,
+    byClient: [{ client_id: 'client_A', count: 1 }, { client_id: 'client_B', count: 1 }],
+    byMetric: [{ metric: 'electricity', count: 2 }]
+  });
+
+  await events.ingestEvent(rawEvent());
+  await events.ingestEvent(rawEvent());
+  assert.equal(events.getStats().duplicateCount, 2);
+
+  // A replayed Idempotency-Key response is a duplicate request too
+  await events.ingestEvent(rawEvent({ amount: 12 }), false, { idempotencyKey: 'key-1' });
+  await events.ingestEvent(rawEvent({ amount: 12 }), false, { idempotencyKey: 'key-1' });
+  assert.equal(events.getStats().duplicateCount, 3);
+});
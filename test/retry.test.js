@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('an event that failed to persist is processed again on retry', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const failed = await events.ingestEvent(rawEvent(), true);
+  const retried = await events.ingestEvent(rawEvent());
+  const duplicate = await events.ingestEvent(rawEvent());
+
+  assert.equal(failed.status, 500);
+  assert.equal(failed.retryable, true);
+  assert.equal(failed.attempts, 1);
+  assert.equal(retried.status, 201);
+  assert.equal(retried.attempts, 2);
+  assert.equal(retried.eventHash, failed.eventHash);
+  assert.equal(duplicate.isDuplicate, true);
+
+  const [failedEvent] = events.getFailedEvents().failedEvents;
+  assert.equal(failedEvent.status, 'resolved');
+  assert.equal(failedEvent.resolved_by_hash, failed.eventHash);
+  assert.equal(events.getStats().totalRaw, 1);
+});
+
+test('repeated failures are counted on one failed event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  const second = await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  const third = await events.ingestEvent(rawEvent({ amount: 'n/a' }), true);
+
+  assert.equal(second.status, 400);
+  assert.equal(second.attempts, 2);
+  assert.equal(third.attempts, 3);
+
+  const failedEvents = events.getFailedEvents().failedEvents;
+  assert.equal(failedEvents.length, 1);
+  assert.equal(failedEvents[0].status, 'failed');
+  assert.equal(failedEvents[0].attempts, 3);
+});
+
+test('the processing log keeps every attempt', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const { eventHash } = await events.ingestEvent(rawEvent(), true);
+  await events.ingestEvent(rawEvent());
+
+  const log = storage.events.getProcessingHistory(eventHash).map(entry => `${entry.action}:${entry.status}`);
+  assert.deepEqual(log, ['ingest:started', 'persist:failed', 'ingest:started', 'ingest:retry', 'ingest:success']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileAggregationQuery } = require('../src/aggregationQuery');
+const EventService = require('../src/services/eventService');
+const AggregationService = require('../src/services/aggregationService');
+const FieldMappingService = require('../src/services/fieldMappingService');
+const ReprocessService = require('../src/services/reprocessService');
+const RollupService = require('../src/services/rollupService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+async function seed(t) {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 10, site: 'berlin' }));
+  await events.ingestEvent(rawEvent({ amount: 5, timestamp: '2024-01-15T10:30:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: 7, timestamp: '2024-01-15T11:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ source: 'client_B', amount: undefined, total: 2 }));
+
+  return storage;
+}
+
+test('rollups follow ingestion, reprocessing and invalidation', async t => {
+  const storage = await seed(t);
+  const rollups = new RollupService(storage);
+
+  assert.equal(rollups.check().consistent, true);
+
+  new FieldMappingService(storage).addMapping('client_B', { canonical_field: 'amount', alias: 'total', action: 'exclude' });
+  assert.equal(new ReprocessService(storage).reprocessEvents().newlyInvalid, 1);
+
+  const report = rollups.check();
+  assert.equal(report.consistent, true);
+  assert.deepEqual(report.rollups.rollup_daily.totals.normalized_events, report.rollups.rollup_daily.totals.rollup);
+  assert.equal(report.rollups.rollup_hourly.buckets, 2);
+});
+
+test('a check reports drifted buckets and a rebuild repairs them', async t => {
+  const storage = await seed(t);
+  const rollups = new RollupService(storage);
+
+  storage.database.prepare("UPDATE rollup_daily SET total_amount = total_amount + 1 WHERE client_id = 'client_A'").run();
+  storage.database.prepare("DELETE FROM rollup_hourly WHERE client_id = 'client_B'").run();
+
+  const report = rollups.check();
+  assert.equal(report.consistent, false);
+  assert.deepEqual(report.rollups.rollup_daily.details[0].fields, [{ field: 'total_amount', expected: 22, actual: 23 }]);
+  assert.equal(report.rollups.rollup_hourly.details[0].problem, 'missing');
+
+  assert.deepEqual(rollups.rebuild(), { rollup_hourly: 3, rollup_daily: 2 });
+  assert.equal(rollups.check().consistent, true);
+});
+
+test('queries are answered from the coarsest rollup with the same result', async t => {
+  const storage = await seed(t);
+  const aggregations = new AggregationService(storage);
+
+  const specs = [
+    { dimensions: ['client_id', 'day'], measures: ['count', 'sum', 'min', 'max'], sort: ['client_id'] },
+    { dimensions: ['hour'], measures: ['count', 'avg'], sort: ['hour'] },
+    { dimensions: ['tag.site'], measures: ['count'] }
+  ];
+
+  assert.deepEqual(specs.map(spec => aggregations.query(spec).source), [
+    'rollup_daily', 'rollup_hourly', 'normalized_events'
+  ]);
+
+  specs.forEach(spec => {
+    const fromEvents = storage.events.aggregate(compileAggregationQuery(spec));
+    assert.deepEqual(aggregations.query(spec).rows, fromEvents);
+  });
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Migrator = require('../src/migrator');
+const DatabaseManager = require('../src/database');
+const EventService = require('../src/services/eventService');
+const SnapshotService = require('../src/services/snapshotService');
+const { memoryStorage, tempDir, rawEvent } = require('./helpers');
+
+const LATEST = Migrator.loadMigrations().slice(-1)[0].version;
+
+// Replace a snapshot's file, keeping its metadata consistent with it
+function rewrite(snapshots, snapshot, image) {
+  fs.writeFileSync(path.join(snapshots.dir, snapshot.file), image);
+  const metadata = { ...snapshot, bytes: image.length, checksum: DatabaseManager.checksum(image) };
+  fs.writeFileSync(snapshots.metadataPath(snapshot.id), JSON.stringify(metadata));
+}
+
+test('a restore brings back the data as it was at the snapshot', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t) });
+  await events.ingestEvent(rawEvent());
+
+  const created = snapshots.createSnapshot({ label: 'before import' });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.snapshot.counts, { raw_events: 1, processed_events: 1, failed_events: 0 });
+
+  await events.ingestEvent(rawEvent({ amount: 11 }));
+  const result = await snapshots.restoreSnapshot(created.snapshot.id);
+
+  assert.equal(result.status, 200);
+  assert.equal(result.schema_version, LATEST);
+  assert.equal(events.getStats().totalProcessed, 1);
+
+  // The pre-restore snapshot undoes the restore
+  assert.equal(snapshots.getSnapshot(result.pre_restore_snapshot).label, `pre-restore (${created.snapshot.id})`);
+  await snapshots.restoreSnapshot(result.pre_restore_snapshot);
+  assert.equal(events.getStats().totalProcessed, 2);
+});
+
+test('snapshots are listed newest first and pruned to the retention', async t => {
+  const storage = await memoryStorage(t);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t), retention: 2 });
+
+  const ids = [1, 2, 3].map(() => snapshots.createSnapshot().snapshot.id);
+
+  assert.deepEqual(snapshots.listSnapshots().map(snapshot => snapshot.id), [ids[2], ids[1]]);
+  assert.equal(fs.readdirSync(snapshots.dir).length, 4);
+  assert.equal(snapshots.getSnapshot('../data'), null);
+});
+
+test('the snapshot being restored is not pruned by the pre-restore snapshot', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t), retention: 2 });
+  const oldest = snapshots.createSnapshot().snapshot;
+  snapshots.createSnapshot();
+  await events.ingestEvent(rawEvent());
+
+  const result = await snapshots.restoreSnapshot(oldest.id);
+
+  assert.equal(result.status, 200);
+  assert.equal(events.getStats().totalProcessed, 0);
+  assert.deepEqual(result.pruned, [oldest.id]);
+  assert.equal(snapshots.listSnapshots()[0].id, result.pre_restore_snapshot);
+});
+
+test('a failed restore keeps every snapshot', async t => {
+  const storage = await memoryStorage(t);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t), retention: 1 });
+  const { snapshot } = snapshots.createSnapshot();
+  t.mock.method(storage, 'restore', () => {
+    throw new Error('disk full');
+  });
+
+  await assert.rejects(snapshots.restoreSnapshot(snapshot.id), /disk full/);
+
+  assert.equal(snapshots.listSnapshots().length, 2);
+  assert.equal(snapshots.listSnapshots()[1].id, snapshot.id);
+});
+
+test('a snapshot that fails validation is not restored', async t => {
+  t.mock.method(console, 'log', () => {});
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t) });
+  const { snapshot } = snapshots.createSnapshot();
+  await events.ingestEvent(rawEvent());
+
+  fs.appendFileSync(path.join(snapshots.dir, snapshot.file), 'x');
+  assert.deepEqual((await snapshots.restoreSnapshot(snapshot.id)).errors, ['Checksum does not match the snapshot metadata']);
+
+  rewrite(snapshots, snapshot, Buffer.from('not a database'));
+  const unreadable = await snapshots.restoreSnapshot(snapshot.id);
+  assert.equal(unreadable.status, 422);
+  assert.match(unreadable.errors[0], /^Not a readable database/);
+
+  assert.equal(events.getStats().totalProcessed, 1);
+  assert.equal(snapshots.listSnapshots().length, 1);
+  assert.equal((await snapshots.restoreSnapshot('2000-01-01T00-00-00-000Z')).status, 404);
+});
+
+test('older snapshots are migrated forward, newer ones refused', async t => {
+  const storage = await memoryStorage(t);
+  const snapshots = new SnapshotService(storage, { dir: tempDir(t) });
+  const old = await memoryStorage(t);
+  Migrator.rollback(old.database, 9);
+
+  const { snapshot } = snapshots.createSnapshot();
+  rewrite(snapshots, snapshot, old.serialize());
+  assert.equal((await snapshots.restoreSnapshot(snapshot.id)).schema_version, LATEST);
+
+  storage.database.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')").run();
+  rewrite(snapshots, snapshot, storage.serialize());
+  assert.deepEqual((await snapshots.restoreSnapshot(snapshot.id)).errors, [
+    `Schema version 999 is newer than this code (latest: ${LATEST})`
+  ]);
+});
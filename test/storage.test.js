@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStorage, STORAGE_BACKENDS } = require('../src/storage');
+const EventService = require('../src/services/eventService');
+const AggregationService = require('../src/services/aggregationService');
+const RollupService = require('../src/services/rollupService');
+const { tempDir, hasNativeSqlite, rawEvent } = require('./helpers');
+
+// The same ingestion and query scenario, reduced to backend-independent values
+async function runScenario(storage) {
+  const events = new EventService(storage);
+  const aggregations = new AggregationService(storage);
+
+  const created = [
+    await events.ingestEvent(rawEvent({ amount: 10 })),
+    await events.ingestEvent(rawEvent({ source: 'client_B', amount: '12.5 kWh' })),
+    await events.ingestEvent(rawEvent({ timestamp: '2024-01-16T08:30:00.000Z', amount: 7 }))
+  ];
+  const duplicate = await events.ingestEvent(rawEvent({ amount: 10 }));
+  const invalid = await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  const failedId = events.getFailedEvents().failedEvents[0].id;
+  const resubmitted = await events.resubmitFailedEvent(failedId, rawEvent({ amount: 3 }));
+
+  const firstPage = events.getEvents({}, { sort: 'amount', order: 'asc', limit: 2 });
+  const secondPage = events.getEvents({}, { sort: 'amount', order: 'asc', limit: 2, cursor: firstPage.pagination.next_cursor });
+
+  const rolledBack = () => storage.transaction(() => {
+    storage.events.storeRawEvent('rolled-back', { source: 'x' });
+    throw new Error('abort');
+  })();
+  assert.throws(rolledBack, /abort/);
+
+  return {
+    statuses: [...created, duplicate, invalid, resubmitted].map(result => result.status),
+    pages: [firstPage, secondPage].map(page => page.events.map(event => [event.client_id, event.amount, event.unit])),
+    byClient: aggregations.query({
+      dimensions: ['client_id', 'day'],
+      measures: ['count', 'sum'],
+      sort: [{ by: 'client_id' }, { by: 'day' }]
+    }).rows,
+    stats: events.getStats(),
+    rollupsConsistent: new RollupService(storage).check().consistent,
+    rolledBack: storage.events.listRawEventsWithOutcome().some(row => row.event_hash === 'rolled-back')
+  };
+}
+
+const backends = {
+  memory: () => ({ backend: 'memory' }),
+  sqljs: t => ({ backend: 'sqljs', dbPath: path.join(tempDir(t), 'data.db') }),
+  sqlite: t => ({ backend: 'sqlite', dbPath: path.join(tempDir(t), 'data.db') })
+};
+
+test('every backend is covered by the parity tests', () => {
+  assert.deepEqual(Object.keys(backends).sort(), [...STORAGE_BACKENDS].sort());
+});
+
+test('repositories behave the same on every backend', async t => {
+  const results = {};
+
+  for (const backend of Object.keys(backends)) {
+    if (backend === 'sqlite' && !hasNativeSqlite()) {
+      t.diagnostic('better-sqlite3 is not installed: sqlite backend skipped');
+      continue;
+    }
+    const storage = await createStorage(backends[backend](t));
+    try {
+      results[backend] = await runScenario(storage);
+    } finally {
+      storage.close();
+    }
+  }
+
+  const expected = results.memory;
+  assert.deepEqual(expected.statuses, [201, 201, 201, 200, 400, 201]);
+  assert.deepEqual(expected.pages, [
+    [['client_A', 3, null], ['client_A', 7, null]],
+    [['client_A', 10, null], ['client_B', 12.5, 'kWh']]
+  ]);
+  assert.equal(expected.rollupsConsistent, true);
+  assert.equal(expected.rolledBack, false);
+
+  Object.keys(results).forEach(backend => {
+    assert.deepEqual(results[backend], expected, `${backend} differs from memory`);
+  });
+});
+
+for (const backend of ['sqljs', 'sqlite']) {
+  test(`${backend} backend keeps its data across a restart`, { skip: backend === 'sqlite' && !hasNativeSqlite() }, async t => {
+    const options = backends[backend](t);
+
+    const first = await createStorage(options);
+    await new EventService(first).ingestEvent(rawEvent());
+    const schemaVersion = first.getSchemaVersion();
+    first.close();
+
+    const second = await createStorage(options);
+    try {
+      const events = new EventService(second);
+      assert.equal(events.getStats().totalProcessed, 1);
+      assert.equal((await events.ingestEvent(rawEvent())).isDuplicate, true);
+      assert.equal(second.getSchemaVersion(), schemaVersion);
+    } finally {
+      second.close();
+    }
+  });
+}
+
+test('a failed restore leaves the sqlite backend on its old file', { skip: !hasNativeSqlite() }, async t => {
+  const options = backends.sqlite(t);
+  const storage = await createStorage(options);
+  t.after(() => storage.close());
+  const events = new EventService(storage);
+  await events.ingestEvent(rawEvent());
+
+  const future = await createStorage({ backend: 'memory' });
+  future.database.prepare("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')").run();
+  const image = future.serialize();
+  future.close();
+
+  assert.throws(() => storage.restore(image), /newer than this code/);
+  assert.throws(() => storage.restore(Buffer.from('not a database')), /not a database/);
+
+  assert.equal(fs.existsSync(`${options.dbPath}.prev`), false);
+  assert.equal(events.getStats().totalProcessed, 1);
+  assert.equal((await events.ingestEvent(rawEvent({ amount: 11 }))).status, 201);
+});
+
+test('an unknown backend is refused', async () => {
+  await assert.rejects(createStorage({ backend: 'postgres' }), /STORAGE_BACKEND must be one of/);
+});
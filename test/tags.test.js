@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTagFilters } = require('../src/tags');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('unknown scalar fields are kept as tags', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const result = await events.ingestEvent({
+    source: 'client_A',
+    region: 'eu ',
+    meta: { nested: true },
+    'bad key': 'x',
+    tags: { region: 'eu-west', line: 3 },
+    payload: { metric: 'electricity', amount: 4, timestamp: '2024-01-15T10:00:00.000Z', site: 'berlin', empty: '' }
+  });
+
+  assert.equal(result.status, 201);
+  assert.deepEqual(result.data.tags, { region: 'eu-west', line: '3', site: 'berlin' });
+  assert.ok(result.warnings.includes('Unknown field at root level: meta (not kept as tag: not a scalar value)'));
+  assert.ok(result.warnings.includes('Unknown field at root level: bad key (not kept as tag: invalid tag name)'));
+  assert.ok(result.warnings.includes('Unknown field in payload: site (kept as tag)'));
+});
+
+test('at most 50 tags are kept per event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const fields = Object.fromEntries(Array.from({ length: 52 }, (_, i) => [`field_${i}`, i]));
+
+  const result = await events.ingestEvent(rawEvent(fields));
+
+  assert.equal(Object.keys(result.data.tags).length, 50);
+  assert.equal(result.warnings.filter(warning => warning.includes('more than 50 tags')).length, 2);
+});
+
+test('events are filtered by tag', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ region: 'eu', site: 'berlin' }));
+  await events.ingestEvent(rawEvent({ region: 'eu', site: 'paris', amount: 2 }));
+  await events.ingestEvent(rawEvent({ region: 'us', amount: 3 }));
+
+  const amounts = filters => events.getEvents(filters).events.map(event => event.amount).sort((a, b) => a - b);
+
+  assert.deepEqual(amounts({ tags: { region: 'eu' } }), [2, 10]);
+  assert.deepEqual(amounts({ tags: { region: 'eu', site: 'paris' } }), [2]);
+  assert.throws(() => amounts({ tags: { "a'); DROP TABLE raw_events; --": 'x' } }), /Invalid tag name/);
+});
+
+test('tag filters are read from both query parameter forms', () => {
+  assert.deepEqual(parseTagFilters({ 'tag.region': 'eu', tag: { site: 4 }, client_id: 'client_A' }), {
+    region: 'eu',
+    site: '4'
+  });
+});
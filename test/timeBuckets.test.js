@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listBuckets, isValidTimeZone } = require('../src/timeBuckets');
+const EventService = require('../src/services/eventService');
+const AggregationService = require('../src/services/aggregationService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const instant = iso => new Date(iso).getTime();
+
+test('a spring-forward day has no bucket for the skipped hour', () => {
+  const { buckets } = listBuckets(
+    instant('2024-03-30T23:00:00Z'), instant('2024-03-31T21:59:59Z'), 'hour', 'Europe/Berlin', 100
+  );
+
+  assert.equal(buckets.length, 23);
+  assert.deepEqual(buckets.slice(1, 3).map(bucket => bucket.label), ['2024-03-31T01:00', '2024-03-31T03:00']);
+});
+
+test('a repeated fall-back hour is one two-hour bucket', () => {
+  const { buckets } = listBuckets(
+    instant('2024-10-26T22:00:00Z'), instant('2024-10-27T22:59:59Z'), 'hour', 'Europe/Berlin', 100
+  );
+  const repeated = buckets.find(bucket => bucket.label === '2024-10-27T02:00');
+
+  assert.equal(buckets.length, 24);
+  assert.equal(repeated.end - repeated.start, 2 * HOUR);
+});
+
+test('buckets are labelled per granularity, weeks by ISO week-year', () => {
+  const label = (iso, granularity) => listBuckets(instant(iso), instant(iso), granularity, 'UTC', 1).buckets[0].label;
+
+  assert.equal(label('2024-12-31T12:00:00Z', 'week'), '2025-W01');
+  assert.equal(label('2024-05-20T12:00:00Z', 'quarter'), '2024-Q2');
+  assert.equal(label('2024-05-20T12:00:00Z', 'month'), '2024-05');
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
+
+test('a time series follows the timezone it is asked in', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const aggregations = new AggregationService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 1, timestamp: '2024-01-15T17:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: 2, timestamp: '2024-01-15T19:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: 4, timestamp: '2024-01-16T10:00:00.000Z' }));
+
+  const series = tz => aggregations.getTimeseries({ granularity: 'day', tz });
+  const totals = result => result.buckets.map(bucket => [bucket.bucket, bucket.total_amount]);
+
+  const utc = series('UTC');
+  const kolkata = series('Asia/Kolkata');
+
+  assert.deepEqual(totals(utc), [['2024-01-15', 3], ['2024-01-16', 4]]);
+  assert.equal(utc.source, 'rollup_hourly');
+  assert.deepEqual(totals(kolkata), [['2024-01-15', 1], ['2024-01-16', 6]]);
+  assert.equal(kolkata.source, 'normalized_events');
+  assert.equal(kolkata.buckets[1].start, '2024-01-15T18:30:00.000Z');
+});
+
+test('a time series is paged by bucket and fills empty buckets', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const aggregations = new AggregationService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 1, timestamp: '2024-01-01T10:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: 2, timestamp: '2024-01-03T10:00:00.000Z' }));
+
+  const first = aggregations.getTimeseries({ limit: 2 });
+  const second = aggregations.getTimeseries({ limit: 2, cursor: first.next_cursor });
+
+  assert.deepEqual(first.buckets.map(bucket => [bucket.bucket, bucket.event_count]), [['2024-01-01', 1], ['2024-01-02', 0]]);
+  assert.equal(first.next_cursor, '2024-01-03T00:00:00.000Z');
+  assert.deepEqual(second.buckets.map(bucket => [bucket.bucket, bucket.event_count]), [['2024-01-03', 1]]);
+  assert.equal(second.next_cursor, null);
+});
+
+test('invalid time series parameters are refused', async t => {
+  const aggregations = new AggregationService(await memoryStorage(t));
+  const result = aggregations.getTimeseries({ granularity: 'fortnight', tz: 'Nowhere/City', limit: 0 });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.errors.length, 3);
+});
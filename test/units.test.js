@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findUnit, symbolsInOtherCase, convertAmount, unitCandidates } = require('../src/units');
+const EventService = require('../src/services/eventService');
+const UnitService = require('../src/services/unitService');
+const AggregationService = require('../src/services/aggregationService');
+const ReprocessService = require('../src/services/reprocessService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+const stored = events => events.getEvents({}, { sort: 'timestamp', order: 'asc' }).events
+  .map(event => [event.amount, event.unit, event.original_amount, event.original_unit]);
+
+test('units are found by symbol or alias and convert within a dimension', () => {
+  assert.equal(findUnit(' Kilowatt Hours '), 'kWh');
+  assert.equal(findUnit('usd'), 'USD');
+  assert.equal(findUnit('parsec'), null);
+  assert.equal(convertAmount(3.5, 'MWh', 'kWh'), 3500);
+  assert.equal(convertAmount(1, 'kg', 'kWh'), null);
+  assert.deepEqual(unitCandidates('€'), ['EUR']);
+});
+
+test('symbols are case-sensitive: a symbol in another case is refused', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  assert.equal(findUnit('mL'), 'mL');
+  assert.equal(findUnit('ML'), null);
+  assert.equal(findUnit('mWh'), null);
+  assert.deepEqual(symbolsInOtherCase('ML'), ['mL']);
+  assert.deepEqual(symbolsInOtherCase('mWh'), ['MWh']);
+
+  const megalitres = await events.ingestEvent(rawEvent({ metric: 'water', amount: '12 ML' }));
+  const milliwattHours = await events.ingestEvent(rawEvent({ amount: 3, unit: 'mWh' }));
+
+  assert.deepEqual(megalitres.errors, [
+    'Invalid amount value: 12 ML (ML is not a number or a known unit; unit symbols are case-sensitive, the catalog has mL)'
+  ]);
+  assert.deepEqual(milliwattHours.errors, ['Unknown unit: mWh (unit symbols are case-sensitive, the catalog has MWh)']);
+  assert.equal(events.getStats().totalProcessed, 0);
+});
+
+test('amounts are converted to the unit set by the first event', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: '2 MWh', timestamp: '2024-01-15T01:00:00.000Z' }));
+  const converted = await events.ingestEvent(rawEvent({ amount: 500, unit: 'kWh', timestamp: '2024-01-15T02:00:00.000Z' }));
+
+  assert.deepEqual(stored(events), [[2, 'MWh', null, null], [0.5, 'MWh', 500, 'kWh']]);
+  assert.deepEqual(converted.warnings, ['Amount converted from 500 kWh to 0.5 MWh']);
+});
+
+test('an amount without a unit stays unitless whether it comes before or after one with a unit', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  await events.ingestEvent(rawEvent({ amount: 1, timestamp: '2024-01-15T01:00:00.000Z' }));
+  await events.ingestEvent(rawEvent({ amount: '2 kWh', timestamp: '2024-01-15T02:00:00.000Z' }));
+  const after = await events.ingestEvent(rawEvent({ amount: 3, timestamp: '2024-01-15T03:00:00.000Z' }));
+
+  assert.deepEqual(stored(events), [[1, null, null, null], [2, 'kWh', null, null], [3, null, null, null]]);
+  assert.deepEqual(after.warnings, ['No unit given; amount stored without a unit (metric electricity is in kWh)']);
+  assert.equal(new AggregationService(storage).getSummary().unit, 'mixed');
+});
+
+test('a unit of another dimension is rejected', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  await events.ingestEvent(rawEvent({ amount: '1 kWh' }));
+
+  const result = await events.ingestEvent(rawEvent({ amount: '3 kg' }));
+
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.errors, ['Unit kg (mass) is not compatible with kWh (energy), the unit of metric electricity']);
+});
+
+test('a configured unit applies to new events and to reprocessed ones', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+  const units = new UnitService(storage);
+  await events.ingestEvent(rawEvent({ amount: '1500 kWh' }));
+
+  const set = units.setMetricUnit('electricity', { unit: 'megawatt_hours' });
+  assert.equal(set.status, 201);
+  assert.equal(set.metricUnit.dimension, 'energy');
+  assert.deepEqual(set.stored_units, [{ unit: 'kWh', event_count: 1 }]);
+
+  await events.ingestEvent(rawEvent({ amount: '500 kWh', timestamp: '2024-01-16T10:00:00.000Z' }));
+  assert.deepEqual(stored(events), [[1500, 'kWh', null, null], [0.5, 'MWh', 500, 'kWh']]);
+
+  new ReprocessService(storage).reprocessEvents();
+  assert.deepEqual(stored(events), [[1.5, 'MWh', 1500, 'kWh'], [0.5, 'MWh', 500, 'kWh']]);
+
+  assert.equal(units.setMetricUnit('electricity', { unit: 'parsec' }).status, 400);
+  assert.equal(units.deleteMetricUnit('electricity').status, 200);
+  assert.equal(units.deleteMetricUnit('electricity').status, 404);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventService = require('../src/services/eventService');
+const { memoryStorage, rawEvent } = require('./helpers');
+
+test('validating an event writes nothing', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const result = events.validateEvent(rawEvent({ amount: '12.5', site: 'berlin' }));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.outcome, 'created');
+  assert.equal(result.canonical.amount, 12.5);
+  assert.deepEqual(result.canonical.tags, { site: 'berlin' });
+  assert.equal(result.dedupKey, 'content_hash');
+  assert.equal(events.getStats().totalRaw, 0);
+  assert.deepEqual(storage.events.getProcessingHistory(result.eventHash), []);
+});
+
+test('the outcome is the one a real ingest would have', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const created = await events.ingestEvent(rawEvent());
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.ingestEvent(rawEvent({ amount: 'n/a' }));
+  await events.ingestEvent(rawEvent(), false, { idempotencyKey: 'key-1' });
+
+  const duplicate = events.validateEvent(rawEvent());
+  assert.equal(duplicate.outcome, 'duplicate');
+  assert.equal(duplicate.eventHash, created.eventHash);
+  assert.equal(duplicate.wouldBeDuplicate, true);
+
+  const invalid = events.validateEvent(rawEvent({ amount: 'n/a' }));
+  assert.equal(invalid.outcome, 'invalid');
+  assert.equal(invalid.previousFailedAttempts, 2);
+  assert.match(invalid.errors[0], /^Invalid amount value: n\/a/);
+
+  const rejected = events.validateEvent(rawEvent({ amount: 11 }), { idempotencyKey: 'key-1' });
+  assert.equal(rejected.outcome, 'rejected');
+  assert.equal(rejected.dedupKey, 'idempotency_key');
+});
+
+test('field sources name the path each field was read from', async t => {
+  const storage = await memoryStorage(t);
+  const events = new EventService(storage);
+
+  const result = events.validateEvent({
+    client: 'client_A',
+    payload: { type: 'electricity', value: 3, time: '2024-01-15T10:00:00.000Z' }
+  });
+
+  assert.deepEqual(result.fieldSources, {
+    client_id: 'client',
+    metric: 'payload.type',
+    amount: 'payload.value',
+    timestamp: 'payload.time'
+  });
+});